@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Homomorphic Complexity Units
+ *
+ * The fhEVM meters FHE work in homomorphic complexity units (HCU). Every
+ * operation the `FHEVMExecutor` performs is charged by the `HCULimit`
+ * contract according to its operator, operand type and whether the right
+ * operand is a plaintext scalar. A transaction may spend at most
+ * `MAX_HOMOMORPHIC_COMPUTE_UNITS_PER_TX` in total, and at most
+ * `MAX_HOMOMORPHIC_COMPUTE_UNITS_DEPTH_PER_TX` along its longest chain of
+ * dependent operations.
+ *
+ * The charges live in transient storage and cannot be read once the
+ * transaction is over, so they are recomputed here: the price table is read
+ * from the `HCULimit.sol` source of the installed core contracts, and each
+ * operation is taken from the events the executor emits.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const HCU_LIMIT_SOURCE = require.resolve("@fhevm/core-contracts/contracts/HCULimit.sol");
+const FHE_TYPE_SOURCE = require.resolve("@fhevm/core-contracts/contracts/shared/FheType.sol");
+
+const FHE_EVENTS = new ethers.Interface([
+  ...[
+    "FheAdd", "FheSub", "FheMul", "FheDiv", "FheRem", "FheBitAnd", "FheBitOr", "FheBitXor",
+    "FheShl", "FheShr", "FheRotl", "FheRotr", "FheEq", "FheNe", "FheGe", "FheGt", "FheLe",
+    "FheLt", "FheMin", "FheMax",
+  ].map(name => `event ${name}(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)`),
+  "event FheNeg(address indexed caller, bytes32 ct, bytes32 result)",
+  "event FheNot(address indexed caller, bytes32 ct, bytes32 result)",
+  "event Cast(address indexed caller, bytes32 ct, uint8 toType, bytes32 result)",
+  "event TrivialEncrypt(address indexed caller, uint256 pt, uint8 toType, bytes32 result)",
+  "event FheIfThenElse(address indexed caller, bytes32 control, bytes32 ifTrue, bytes32 ifFalse, bytes32 result)",
+  "event FheRand(address indexed caller, uint8 randType, bytes16 seed, bytes32 result)",
+  "event FheRandBounded(address indexed caller, uint256 upperBound, uint8 randType, bytes16 seed, bytes32 result)",
+]);
+
+/**
+ * Reads the `FheType` enum, in declaration order
+ * @param {string} source - Solidity source declaring the enum
+ * @returns {string[]} - Type names indexed by their enum value
+ */
+function parseFheTypes(source) {
+  const body = /enum FheType \{([^}]*)\}/.exec(source);
+  if (body === null) {
+    throw new Error("FheType enum not found");
+  }
+  return body[1].split(",").map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Collects the `FheType.X ... opHCU = N` pairs of a block of Solidity
+ * @param {string} block - Part of a `checkHCUFor*` function
+ * @param {string} name - The function, for error messages
+ * @returns {Object<string, number>} - HCU by type name
+ * @throws {Error} - If a type branch does not set a price, or there is none
+ */
+function parsePrices(block, name) {
+  const prices = {};
+  for (const [, type, branch] of block.matchAll(/resultType == FheType\.(\w+)\) \{([^}]*)\}/g)) {
+    const hcu = /^\s*opHCU = ([\d_]+);\s*$/.exec(branch);
+    if (hcu === null) {
+      throw new Error(`No HCU price for ${type} in checkHCUFor${name}`);
+    }
+    prices[type] = Number(hcu[1].replace(/_/g, ""));
+  }
+  if (Object.keys(prices).length === 0) {
+    throw new Error(`No HCU prices found in checkHCUFor${name}`);
+  }
+  return prices;
+}
+
+/**
+ * Reads the price table and the transaction limits from `HCULimit.sol`
+ * @param {string} source - The contract source
+ * @returns {{prices: Object, limits: {transaction: number, depth: number}}}
+ * - `prices[event]` holds `scalar` and `nonScalar` tables of HCU by type
+ * name; operations without a scalar form share one table for both
+ * @throws {Error} - If the source does not have the expected shape
+ */
+function parseHcuLimit(source) {
+  const prices = {};
+  for (const [, name, body] of source.matchAll(/function checkHCUFor(\w+)\(([\s\S]*?)\n    \}\n/g)) {
+    // The executor event of `checkHCUForIfThenElse` is `FheIfThenElse`
+    const event = name === "IfThenElse" ? "FheIfThenElse" : name;
+    const scalarBranch = body.indexOf("if (scalarByte == 0x01) {");
+    if (scalarBranch === -1) {
+      const table = parsePrices(body, name);
+      prices[event] = { scalar: table, nonScalar: table };
+    } else {
+      const nonScalarBranch = body.indexOf("} else {\n            if", scalarBranch);
+      if (nonScalarBranch === -1) {
+        throw new Error(`No non-scalar branch found in checkHCUFor${name}`);
+      }
+      prices[event] = {
+        scalar: parsePrices(body.slice(scalarBranch, nonScalarBranch), name),
+        nonScalar: parsePrices(body.slice(nonScalarBranch), name),
+      };
+    }
+  }
+
+  for (const fragment of FHE_EVENTS.fragments) {
+    if (prices[fragment.name] === undefined) {
+      throw new Error(`No HCU prices found for ${fragment.name} in HCULimit.sol`);
+    }
+  }
+
+  const limit = name => {
+    const match = new RegExp(`${name} = ([\\d_]+);`).exec(source);
+    if (match === null) {
+      throw new Error(`${name} not found in HCULimit.sol`);
+    }
+    return Number(match[1].replace(/_/g, ""));
+  };
+
+  return {
+    prices,
+    limits: {
+      transaction: limit("MAX_HOMOMORPHIC_COMPUTE_UNITS_PER_TX"),
+      depth: limit("MAX_HOMOMORPHIC_COMPUTE_UNITS_DEPTH_PER_TX"),
+    },
+  };
+}
+
+/**
+ * Loads the HCU schedule of the installed core contracts
+ * @returns {{prices: Object, limits: {transaction: number, depth: number}, types: string[]}}
+ * - See `parseHcuLimit`; `types` maps `FheType` values to names
+ */
+function loadHcuSchedule() {
+  return {
+    ...parseHcuLimit(fs.readFileSync(HCU_LIMIT_SOURCE, "utf8")),
+    types: parseFheTypes(fs.readFileSync(FHE_TYPE_SOURCE, "utf8")),
+  };
+}
+
+/**
+ * Reads the type of a ciphertext from its handle
+ * @param {string} handle - The 32-byte handle
+ * @param {string[]} types - `FheType` names by value
+ * @returns {string} - The type name
+ */
+function typeOfHandle(handle, types) {
+  return types[ethers.getBytes(handle)[30]];
+}
+
+/**
+ * Recomputes the HCU a transaction was charged
+ *
+ * Mirrors `HCULimit`: the total adds up every operation, while the depth of
+ * a result is the price of its operation plus the deepest of the operands
+ * the price depends on. Ciphertexts from earlier transactions start at 0.
+ * @param {import("ethers").TransactionReceipt} receipt - The mined transaction
+ * @param {Object} schedule - As returned by `loadHcuSchedule`
+ * @returns {{hcu: number, depth: number, operations: Object<string, {count: number, hcu: number}>}}
+ * - The totals and a breakdown keyed by operation and operand type, such as
+ * `FheAdd(euint32, scalar)`
+ * @throws {Error} - On an operation the schedule has no price for
+ */
+function measureHcu(receipt, { prices, types }) {
+  const depths = new Map();
+  const depthOf = handle => depths.get(handle) || 0;
+  const operations = {};
+  let hcu = 0;
+
+  for (const log of receipt.logs) {
+    const parsed = FHE_EVENTS.parseLog(log);
+    if (parsed === null) {
+      continue;
+    }
+
+    const { name, args } = parsed;
+    const binary = args.scalarByte !== undefined;
+    const scalar = binary && (Number(args.scalarByte) & 1) === 1;
+    let type;
+    let operands;
+    if (binary) {
+      type = typeOfHandle(args.lhs, types);
+      operands = scalar ? [args.lhs] : [args.lhs, args.rhs];
+    } else if (name === "FheIfThenElse") {
+      type = typeOfHandle(args.ifTrue, types);
+      operands = [args.control, args.ifTrue, args.ifFalse];
+    } else if (args.ct !== undefined) {
+      type = name === "Cast" ? types[Number(args.toType)] : typeOfHandle(args.ct, types);
+      operands = [args.ct];
+    } else {
+      type = types[Number(args.toType ?? args.randType)];
+      operands = [];
+    }
+
+    const price = prices[name]?.[scalar ? "scalar" : "nonScalar"]?.[type];
+    if (price === undefined) {
+      throw new Error(`No HCU price for ${name} on ${type}`);
+    }
+
+    hcu += price;
+    depths.set(args.result, price + Math.max(0, ...operands.map(depthOf)));
+
+    const key = `${name}(${type === "Bool" ? "ebool" : `e${type.toLowerCase()}`}${scalar ? ", scalar" : ""})`;
+    operations[key] = operations[key] || { count: 0, hcu: 0 };
+    operations[key].count += 1;
+    operations[key].hcu += price;
+  }
+
+  return { hcu, depth: Math.max(0, ...depths.values()), operations };
+}
+
+module.exports = {
+  FHE_EVENTS,
+  loadHcuSchedule,
+  measureHcu,
+  parseHcuLimit,
+};
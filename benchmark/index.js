@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Poll Cost Benchmark
+ *
+ * Deploys fresh polls and casts one ballot per voter in every scenario,
+ * recording the gas and the HCU of each. `runAndReport` writes the results
+ * to `benchmark/report.json` and `benchmark/report.md` and compares them
+ * with the committed `benchmark/baseline.json`.
+ *
+ * The fhEVM mock is only set up on the in-process network by `hardhat test`,
+ * so `npm run benchmark` runs `benchmark/run.js` through it, and options are
+ * read from the environment:
+ *   BENCHMARK_VOTERS=5            ballots measured per scenario
+ *   BENCHMARK_THRESHOLD=5         allowed growth, in percent
+ *   BENCHMARK_SCENARIOS=a,b       run only these scenarios
+ *   BENCHMARK_UPDATE_BASELINE=1   write the results as the new baseline
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { loadHcuSchedule, measureHcu } = require("./hcu");
+const { compareToBaseline, renderMarkdown, summarizeScenario } = require("./report");
+const { SCENARIOS } = require("./scenarios");
+
+const BASELINE_FILE = path.join(__dirname, "baseline.json");
+const REPORT_JSON_FILE = path.join(__dirname, "report.json");
+const REPORT_MARKDOWN_FILE = path.join(__dirname, "report.md");
+
+/**
+ * Reads the options from environment variables
+ * @param {Object<string, string>} env - Usually `process.env`
+ * @returns {{voters: number, thresholdPercent: number, scenarios: string[], updateBaseline: boolean}}
+ * - The options, with defaults applied
+ * @throws {Error} - On a malformed number or an unknown scenario
+ */
+function parseEnv(env) {
+  const voters = Number(env.BENCHMARK_VOTERS || 5);
+  const thresholdPercent = Number(env.BENCHMARK_THRESHOLD || 5);
+  if (!Number.isInteger(voters) || voters < 1) {
+    throw new Error(`BENCHMARK_VOTERS must be a positive integer, got ${env.BENCHMARK_VOTERS}`);
+  }
+  if (!Number.isFinite(thresholdPercent) || thresholdPercent < 0) {
+    throw new Error(`BENCHMARK_THRESHOLD must be a non-negative number, got ${env.BENCHMARK_THRESHOLD}`);
+  }
+
+  const known = SCENARIOS.map(scenario => scenario.name);
+  const scenarios = env.BENCHMARK_SCENARIOS ? env.BENCHMARK_SCENARIOS.split(",").map(name => name.trim()) : known;
+  for (const name of scenarios) {
+    if (!known.includes(name)) {
+      throw new Error(`Unknown scenario ${name}; expected one of ${known.join(", ")}`);
+    }
+  }
+
+  return { voters, thresholdPercent, scenarios, updateBaseline: env.BENCHMARK_UPDATE_BASELINE === "1" };
+}
+
+/**
+ * Creates funded voter accounts that are the same on every run, so that
+ * results do not depend on how many accounts the network configures
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - The runtime
+ * @param {number} count - How many voters
+ * @returns {Promise<import("ethers").Wallet[]>} - The voters
+ */
+async function createVoters(hre, count) {
+  const voters = [];
+  for (let i = 0; i < count; i++) {
+    const voter = new hre.ethers.Wallet(hre.ethers.id(`benchmark-voter-${i}`), hre.ethers.provider);
+    await hre.network.provider.send("hardhat_setBalance", [voter.address, hre.ethers.toQuantity(hre.ethers.WeiPerEther)]);
+    voters.push(voter);
+  }
+  return voters;
+}
+
+/**
+ * Runs the scenarios and measures every ballot
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - The runtime;
+ * must use the fhEVM mock
+ * @param {Object} [options] - Benchmark options
+ * @param {number} [options.voters=5] - Ballots measured per scenario
+ * @param {string[]} [options.scenarios] - Names of the scenarios to run; all by default
+ * @returns {Promise<Object>} - The report
+ */
+async function runBenchmark(hre, { voters = 5, scenarios = SCENARIOS.map(scenario => scenario.name) } = {}) {
+  await hre.fhevm.initializeCLIApi();
+  const schedule = loadHcuSchedule();
+  const [owner] = await hre.ethers.getSigners();
+  const context = { hre, owner, voters: await createVoters(hre, voters) };
+
+  const results = [];
+  for (const scenario of SCENARIOS.filter(entry => scenarios.includes(entry.name))) {
+    const state = await scenario.setup(context);
+    const ballots = [];
+    for (const [index, voter] of context.voters.entries()) {
+      const receipt = await (await scenario.vote(context, state, voter, index)).wait();
+      const { hcu, depth, operations } = measureHcu(receipt, schedule);
+      ballots.push({ gas: Number(receipt.gasUsed), hcu, hcuDepth: depth, operations });
+    }
+    results.push(summarizeScenario(scenario, ballots));
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    voters,
+    hcuLimits: schedule.limits,
+    scenarios: results,
+  };
+}
+
+/**
+ * Writes a JSON document with a trailing newline
+ * @param {string} file - The destination
+ * @param {Object} value - The document
+ */
+function writeJson(file, value) {
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Runs the benchmark, writes the reports and compares them with the
+ * baseline, or replaces the baseline when asked to
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - The runtime
+ * @param {Object<string, string>} env - Options, see `parseEnv`
+ * @returns {Promise<{report: Object, comparison: (Object|undefined)}>} - The
+ * comparison is missing when there was no baseline to compare with
+ */
+async function runAndReport(hre, env) {
+  const options = parseEnv(env);
+  const report = await runBenchmark(hre, options);
+
+  let comparison;
+  if (options.updateBaseline) {
+    writeJson(BASELINE_FILE, report);
+    console.log(`Baseline written to ${path.relative(process.cwd(), BASELINE_FILE)}`);
+  } else if (fs.existsSync(BASELINE_FILE)) {
+    comparison = compareToBaseline(report, JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8")), options.thresholdPercent);
+  } else {
+    console.log("No baseline found; run with BENCHMARK_UPDATE_BASELINE=1 to record one");
+  }
+
+  writeJson(REPORT_JSON_FILE, comparison === undefined ? report : { ...report, comparison });
+  fs.writeFileSync(REPORT_MARKDOWN_FILE, renderMarkdown(report, comparison));
+  return { report, comparison };
+}
+
+module.exports = {
+  SCENARIOS,
+  compareToBaseline,
+  loadHcuSchedule,
+  measureHcu,
+  parseEnv,
+  renderMarkdown,
+  runAndReport,
+  runBenchmark,
+};
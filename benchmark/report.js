@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Benchmark Reports and Baseline Comparison
+ *
+ * A report holds, for every scenario, the gas and HCU of each measured
+ * ballot plus their summary. The committed baseline is a report too;
+ * comparing against it flags every summary metric that grew by more than
+ * the allowed percentage.
+ */
+
+// Summary metrics compared against the baseline, as paths into a scenario
+const COMPARED_METRICS = ["gas.mean", "gas.max", "hcu.max", "hcuDepth"];
+
+/**
+ * Returns the minimum, rounded mean and maximum of a list of numbers
+ * @param {number[]} values - At least one value
+ * @returns {{min: number, mean: number, max: number}}
+ */
+function stats(values) {
+  return {
+    min: Math.min(...values),
+    mean: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    max: Math.max(...values),
+  };
+}
+
+/**
+ * Summarizes the measured ballots of a scenario
+ * @param {{name: string, description: string}} scenario - The scenario
+ * @param {Array<{gas: number, hcu: number, hcuDepth: number, operations: Object}>} ballots
+ * - One measurement per voter, in voting order
+ * @returns {Object} - The scenario entry of a report; `operations` breaks
+ * down the ballot that cost the most HCU
+ */
+function summarizeScenario({ name, description }, ballots) {
+  const costliest = ballots.reduce((worst, ballot) => (ballot.hcu > worst.hcu ? ballot : worst));
+  return {
+    name,
+    description,
+    gas: stats(ballots.map(ballot => ballot.gas)),
+    hcu: stats(ballots.map(ballot => ballot.hcu)),
+    hcuDepth: Math.max(...ballots.map(ballot => ballot.hcuDepth)),
+    operations: costliest.operations,
+    ballots: ballots.map(({ gas, hcu, hcuDepth }) => ({ gas, hcu, hcuDepth })),
+  };
+}
+
+/**
+ * Reads a metric of a scenario entry
+ * @param {Object} scenario - A scenario entry
+ * @param {string} metric - A path such as `gas.max`
+ * @returns {number|undefined} - The value
+ */
+function metricOf(scenario, metric) {
+  return metric.split(".").reduce((value, key) => (value === undefined ? undefined : value[key]), scenario);
+}
+
+/**
+ * Compares a report with the baseline
+ * @param {Object} report - The new report
+ * @param {Object} baseline - The committed report
+ * @param {number} thresholdPercent - How much a metric may grow, in percent
+ * @returns {{passed: boolean, thresholdPercent: number, rows: Array<Object>, added: string[], missing: string[]}}
+ * - One row per scenario and metric, with the change in percent; scenarios
+ * only in the report are `added`, those only in the baseline `missing`.
+ * Only growth beyond the threshold fails the comparison
+ * @throws {Error} - If the two were measured with different voter counts
+ */
+function compareToBaseline(report, baseline, thresholdPercent) {
+  if (report.voters !== baseline.voters) {
+    throw new Error(
+      `The baseline was measured with ${baseline.voters} voters, this run with ${report.voters}; ` +
+      "run with the same count or update the baseline"
+    );
+  }
+
+  const previous = new Map(baseline.scenarios.map(scenario => [scenario.name, scenario]));
+  const rows = [];
+  const added = [];
+  for (const scenario of report.scenarios) {
+    const reference = previous.get(scenario.name);
+    if (reference === undefined) {
+      added.push(scenario.name);
+      continue;
+    }
+    for (const metric of COMPARED_METRICS) {
+      const before = metricOf(reference, metric);
+      const after = metricOf(scenario, metric);
+      const change = before === 0 ? (after === 0 ? 0 : Infinity) : ((after - before) / before) * 100;
+      rows.push({
+        scenario: scenario.name,
+        metric,
+        baseline: before,
+        current: after,
+        change,
+        regressed: change > thresholdPercent,
+      });
+    }
+  }
+
+  const measured = new Set(report.scenarios.map(scenario => scenario.name));
+  return {
+    passed: rows.every(row => !row.regressed),
+    thresholdPercent,
+    rows,
+    added,
+    missing: baseline.scenarios.map(scenario => scenario.name).filter(name => !measured.has(name)),
+  };
+}
+
+/**
+ * Formats a change in percent with its sign
+ * @param {number} change - The change
+ * @returns {string} - For example `+1.25%`
+ */
+function formatChange(change) {
+  const rounded = Number(change.toFixed(2));
+  return `${rounded > 0 ? "+" : ""}${rounded === 0 ? "0.00" : change.toFixed(2)}%`;
+}
+
+/**
+ * Renders a report, and optionally its comparison, as Markdown
+ * @param {Object} report - The report
+ * @param {Object} [comparison] - As returned by `compareToBaseline`
+ * @returns {string} - The document
+ */
+function renderMarkdown(report, comparison) {
+  const number = value => value.toLocaleString("en-US");
+  const lines = [
+    "# Poll Cost Benchmark",
+    "",
+    `${report.voters} voters per scenario, measured ${report.generatedAt}. ` +
+      `HCU limits per transaction: ${number(report.hcuLimits.transaction)} in total, ` +
+      `${number(report.hcuLimits.depth)} in depth.`,
+    "",
+    "## Summary",
+    "",
+    "| Scenario | Gas (min / mean / max) | HCU (min / max) | HCU depth |",
+    "| --- | ---: | ---: | ---: |",
+    ...report.scenarios.map(({ name, gas, hcu, hcuDepth }) =>
+      `| ${name} | ${number(gas.min)} / ${number(gas.mean)} / ${number(gas.max)} | ` +
+      `${number(hcu.min)} / ${number(hcu.max)} | ${number(hcuDepth)} |`),
+  ];
+
+  if (comparison !== undefined) {
+    lines.push(
+      "",
+      "## Baseline Comparison",
+      "",
+      `${comparison.passed ? "Passed" : "FAILED"}: no metric may grow by more than ${comparison.thresholdPercent}%.`,
+      "",
+      "| Scenario | Metric | Baseline | Current | Change |",
+      "| --- | --- | ---: | ---: | ---: |",
+      ...comparison.rows.map(row =>
+        `| ${row.scenario} | ${row.metric} | ${number(row.baseline)} | ${number(row.current)} | ` +
+        `${formatChange(row.change)}${row.regressed ? " **regressed**" : ""} |`)
+    );
+    if (comparison.added.length > 0) {
+      lines.push("", `Not in the baseline: ${comparison.added.join(", ")}.`);
+    }
+    if (comparison.missing.length > 0) {
+      lines.push("", `Not measured in this run: ${comparison.missing.join(", ")}.`);
+    }
+  }
+
+  for (const scenario of report.scenarios) {
+    lines.push(
+      "",
+      `## ${scenario.name}`,
+      "",
+      `${scenario.description}. FHE operations of the costliest ballot:`,
+      "",
+      "| Operation | Count | HCU |",
+      "| --- | ---: | ---: |",
+      ...Object.entries(scenario.operations).map(([operation, { count, hcu }]) =>
+        `| ${operation} | ${count} | ${number(hcu)} |`)
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  COMPARED_METRICS,
+  compareToBaseline,
+  renderMarkdown,
+  summarizeScenario,
+};
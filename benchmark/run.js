@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Benchmark Runner
+ *
+ * Usage: npm run benchmark
+ *        BENCHMARK_VOTERS=10 BENCHMARK_THRESHOLD=2 npm run benchmark
+ *
+ * Run by `hardhat test` so that the fhEVM mock is deployed on the in-process
+ * network. Fails, and so exits with code 1, when a metric exceeds the
+ * baseline by more than the threshold.
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { renderMarkdown, runAndReport } = require(".");
+
+describe("Poll Cost Benchmark", function () {
+  it("should stay within the baseline", async function () {
+    this.timeout(0);
+    const { report, comparison } = await runAndReport(hre, process.env);
+    console.log(renderMarkdown(report, comparison));
+
+    const regressions = comparison === undefined ? [] : comparison.rows.filter(row => row.regressed);
+    expect(
+      regressions.map(row => `${row.scenario} ${row.metric}: ${row.baseline} -> ${row.current}`),
+      `metrics exceeding the baseline by more than ${comparison?.thresholdPercent}%`
+    ).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Benchmark Scenarios
+ *
+ * One scenario per way a ballot reaches a poll. `setup` deploys fresh
+ * contracts and does any unmeasured preparation; `vote` sends the ballot of
+ * one voter and returns the transaction whose receipt is measured. Voters
+ * encrypt for themselves, as they would through the SDK.
+ */
+
+const { BALLOT_TYPES, ballotDomain } = require("../sdk/ballots");
+
+const MULTI_OPTION_COUNT = 4;
+
+/**
+ * @typedef {Object} ScenarioContext
+ * @property {import("hardhat/types").HardhatRuntimeEnvironment} hre - The runtime
+ * @property {import("ethers").Signer} owner - Deploys, administers and relays
+ * @property {import("ethers").Signer[]} voters - One account per ballot
+ */
+
+/**
+ * Deploys a contract and waits for it
+ * @param {ScenarioContext} context - The benchmark context
+ * @param {string} name - The contract name
+ * @param {Array} args - Constructor arguments
+ * @returns {Promise<import("ethers").Contract>} - The deployed contract
+ */
+async function deploy({ hre, owner }, name, args) {
+  const contract = await (await hre.ethers.getContractFactory(name, owner)).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Encrypts a 0/1 vote for `FHEPoll` and `FHEWeightedPoll`
+ * @param {ScenarioContext} context - The benchmark context
+ * @param {string} pollAddress - The poll the ballot is for
+ * @param {import("ethers").Signer} voter - The voter
+ * @param {number} index - The voter's position, which picks the vote
+ * @returns {Promise<{handles: Uint8Array[], inputProof: Uint8Array}>}
+ */
+function encryptYesNo({ hre }, pollAddress, voter, index) {
+  return hre.fhevm.createEncryptedInput(pollAddress, voter.address).add32(index % 2).encrypt();
+}
+
+/**
+ * Has every voter cast a first ballot
+ * @param {ScenarioContext} context - The benchmark context
+ * @param {import("ethers").Contract} poll - An `FHEPoll`
+ */
+async function castFirstBallots(context, poll) {
+  const pollAddress = await poll.getAddress();
+  for (const [index, voter] of context.voters.entries()) {
+    const input = await encryptYesNo(context, pollAddress, voter, index + 1);
+    await (await poll.connect(voter).castVote(input.handles[0], input.inputProof)).wait();
+  }
+}
+
+const SCENARIOS = [
+  {
+    name: "binary",
+    description: "First ballot in a yes/no poll (`FHEPoll.castVote`)",
+    setup: async context => ({ poll: await deploy(context, "FHEPoll", [0, 0]) }),
+    vote: async (context, { poll }, voter, index) => {
+      const input = await encryptYesNo(context, await poll.getAddress(), voter, index);
+      return poll.connect(voter).castVote(input.handles[0], input.inputProof);
+    },
+  },
+  {
+    name: "binary-replacement",
+    description: "Second ballot replacing the first in a yes/no poll",
+    setup: async context => {
+      const poll = await deploy(context, "FHEPoll", [0, 0]);
+      await castFirstBallots(context, poll);
+      return { poll };
+    },
+    vote: async (context, { poll }, voter, index) => {
+      const input = await encryptYesNo(context, await poll.getAddress(), voter, index);
+      return poll.connect(voter).castVote(input.handles[0], input.inputProof);
+    },
+  },
+  {
+    name: "binary-relayed",
+    description: "Signed ballot submitted by a relayer (`FHEPoll.castVoteBySig`)",
+    setup: async context => ({
+      poll: await deploy(context, "FHEPoll", [0, 0]),
+      chainId: (await context.hre.ethers.provider.getNetwork()).chainId,
+    }),
+    vote: async (context, { poll, chainId }, voter, index) => {
+      const pollAddress = await poll.getAddress();
+      const input = await encryptYesNo(context, pollAddress, voter, index);
+      const handle = context.hre.ethers.hexlify(input.handles[0]);
+      const deadline = (await context.hre.ethers.provider.getBlock("latest")).timestamp + 3600;
+      const signature = await voter.signTypedData(ballotDomain(pollAddress, chainId), BALLOT_TYPES, {
+        voter: voter.address,
+        handle,
+        nonce: await poll.nonces(voter.address),
+        deadline,
+      });
+      return poll.connect(context.owner).castVoteBySig(voter.address, handle, input.inputProof, deadline, signature);
+    },
+  },
+  {
+    name: "multi-option",
+    description: `First ballot in a ${MULTI_OPTION_COUNT}-option poll (\`FHEMultiOptionPoll.castVote\`)`,
+    setup: async context => ({ poll: await deploy(context, "FHEMultiOptionPoll", [0, 0, MULTI_OPTION_COUNT]) }),
+    vote: async ({ hre }, { poll }, voter, index) => {
+      const input = await hre.fhevm
+        .createEncryptedInput(await poll.getAddress(), voter.address)
+        .add8(index % MULTI_OPTION_COUNT)
+        .encrypt();
+      return poll.connect(voter).castVote(input.handles[0], input.inputProof);
+    },
+  },
+  {
+    name: "weighted",
+    description: "First ballot in a weighted poll with owner-issued power (`FHEWeightedPoll.castVote`)",
+    setup: async context => {
+      const poll = await deploy(context, "FHEWeightedPoll", [0, 0, context.hre.ethers.ZeroAddress]);
+      const pollAddress = await poll.getAddress();
+      for (const [index, voter] of context.voters.entries()) {
+        const power = await context.hre.fhevm
+          .createEncryptedInput(pollAddress, context.owner.address)
+          .add64(10 + index)
+          .encrypt();
+        await (await poll.setVotingPower(voter.address, power.handles[0], power.inputProof)).wait();
+      }
+      return { poll };
+    },
+    vote: async (context, { poll }, voter, index) => {
+      const input = await encryptYesNo(context, await poll.getAddress(), voter, index);
+      return poll.connect(voter).castVote(input.handles[0], input.inputProof);
+    },
+  },
+  {
+    name: "ballot-sheet",
+    description: `One \`PollFactory.castVotes\` call covering a yes/no and a ${MULTI_OPTION_COUNT}-option poll`,
+    setup: async context => {
+      const binary = await deploy(context, "FHEPoll", [0, 0]);
+      const multi = await deploy(context, "FHEMultiOptionPoll", [0, 0, MULTI_OPTION_COUNT]);
+      const factory = await deploy(context, "PollFactory", [await binary.getAddress(), await multi.getAddress()]);
+
+      const metadata = optionLabels => ({
+        title: "Benchmark",
+        description: "",
+        optionLabels,
+        contentHash: context.hre.ethers.ZeroHash,
+      });
+      await (await factory.createPoll(0, 0, metadata(["No", "Yes"]))).wait();
+      await (await factory.createMultiOptionPoll(0, 0, metadata(["A", "B", "C", "D"].slice(0, MULTI_OPTION_COUNT)))).wait();
+      const polls = (await factory.getPolls(0, 2)).map(entry => entry.poll);
+      return { factory, polls };
+    },
+    vote: async ({ hre }, { factory, polls }, voter, index) => {
+      const input = await hre.fhevm
+        .createEncryptedInput(await factory.getAddress(), voter.address)
+        .add32(index % 2)
+        .add8(index % MULTI_OPTION_COUNT)
+        .encrypt();
+      return factory.connect(voter).castVotes(polls, input.handles, input.inputProof);
+    },
+  },
+];
+
+module.exports = {
+  SCENARIOS,
+};
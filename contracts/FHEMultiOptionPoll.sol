@@ -0,0 +1,290 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE, euint8, euint32, externalEuint8} from "@fhevm/solidity/lib/FHE.sol";
+import {FheType} from "@fhevm/solidity/lib/FheType.sol";
+import {PollBase} from "./PollBase.sol";
+
+/// @title Confidential Multi‑Option Poll Contract
+/// @author Your Name
+/// @notice A confidential poll with between 2 and 16 options. Each ballot is
+/// an encrypted option index. The contract compares it homomorphically
+/// against every option with `FHE.eq` and adds an encrypted 1 or 0 to each
+/// option's counter with `FHE.select`, so every counter changes on every
+/// ballot and nobody learns which option was chosen. An index outside the
+/// option range matches no option and therefore adds nothing.
+contract FHEMultiOptionPoll is PollBase {
+    // -------------------------------------------------------------------------
+    // Constants
+    // -------------------------------------------------------------------------
+
+    /// @notice Smallest number of options a poll may have.
+    uint8 public constant MIN_OPTIONS = 2;
+
+    /// @notice Largest number of options a poll may have. Every ballot costs
+    /// one comparison and two selections per option, so this bounds the gas
+    /// of `castVote`.
+    uint8 public constant MAX_OPTIONS = 16;
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when the option count is outside
+    /// `[MIN_OPTIONS, MAX_OPTIONS]`.
+    error InvalidOptionCount();
+
+    /// @notice Thrown when a tally is requested for an option that does not
+    /// exist.
+    error InvalidOption();
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice Number of options voters can choose from, indexed from 0.
+    uint8 public optionCount;
+
+    /// @dev Encrypted number of live ballots for each option.
+    mapping(uint8 => euint32) private _tallies;
+
+    /// @dev The encrypted option index each address currently has counted.
+    /// Kept so that a later ballot from the same address can be swapped in.
+    mapping(address => euint8) private _choices;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the poll with the deployer as owner and tally role.
+    /// @param startTime_ Timestamp from which ballots are accepted; 0 or a
+    /// past timestamp opens the poll immediately.
+    /// @param endTime_ Timestamp at which voting ends; 0 keeps the poll open
+    /// until the owner calls `close()`.
+    /// @param optionCount_ Number of options, between `MIN_OPTIONS` and
+    /// `MAX_OPTIONS`.
+    constructor(
+        uint64 startTime_,
+        uint64 endTime_,
+        uint8 optionCount_
+    ) PollBase(startTime_, endTime_) {
+        _setOptionCount(optionCount_);
+    }
+
+    /// @notice Sets up a minimal‑proxy clone of this contract.
+    /// @dev Can only be called once per clone, and never on a poll deployed
+    /// through the constructor.
+    /// @param owner_ The account that administers the poll and acts as its
+    /// first tally role.
+    /// @param startTime_ Timestamp from which ballots are accepted.
+    /// @param endTime_ Timestamp at which voting ends, or 0 for no scheduled end.
+    /// @param optionCount_ Number of options, between `MIN_OPTIONS` and
+    /// `MAX_OPTIONS`.
+    function initialize(
+        address owner_,
+        uint64 startTime_,
+        uint64 endTime_,
+        uint8 optionCount_
+    ) external {
+        _initializePoll(owner_, startTime_, endTime_);
+        _setOptionCount(optionCount_);
+        factory = msg.sender;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @notice Returns the encrypted number of ballots for an option.
+    /// @dev The returned `euint32` can only be decrypted by accounts that have
+    /// obtained access through `allowTallyDecryption`.
+    /// @param optionId The option index, from 0 to `optionCount - 1`.
+    /// @return The encrypted counter for `optionId`.
+    function getTally(uint8 optionId) external view returns (euint32) {
+        if (optionId >= optionCount) revert InvalidOption();
+        return _tallies[optionId];
+    }
+
+    /// @notice Returns the caller's choice as it is currently counted, so
+    /// that they can check it was recorded as they cast it.
+    /// @dev The option index as submitted; one of `optionCount` or above was
+    /// counted for no option. Only the voter can decrypt it. Uninitialized if
+    /// the caller has not voted.
+    /// @return The caller's encrypted option index.
+    function myBallot() external view returns (euint8) {
+        return _choices[msg.sender];
+    }
+
+    /// @notice Casts an encrypted choice, or replaces the caller's previous one.
+    ///
+    /// Clients encrypt the index of their chosen option as a `uint8` together
+    /// with a zero‑knowledge proof binding it to the caller and this contract.
+    /// Each address has exactly one live ballot: voting again removes the old
+    /// choice from the counters in the same pass that adds the new one.
+    ///
+    /// @param choiceEuint The encrypted option index.
+    /// @param choiceProof The zero‑knowledge proof associated with `choiceEuint`.
+    function castVote(
+        externalEuint8 choiceEuint,
+        bytes calldata choiceProof
+    ) external {
+        _castVote(msg.sender, choiceEuint, choiceProof, "");
+    }
+
+    /// @notice Casts an encrypted choice in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @param choiceEuint The encrypted option index.
+    /// @param choiceProof The zero‑knowledge proof associated with `choiceEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    function castVote(
+        externalEuint8 choiceEuint,
+        bytes calldata choiceProof,
+        bytes calldata eligibilityProof
+    ) external {
+        _castVote(msg.sender, choiceEuint, choiceProof, eligibilityProof);
+    }
+
+    /// @notice Casts a ballot that `voter` encrypted and signed, on their
+    /// behalf, so that they need no ETH for gas.
+    /// @dev Verified as in `FHEPoll.castVoteBySig`; see `BALLOT_TYPEHASH`.
+    /// @param voter The address the ballot is cast for.
+    /// @param choiceEuint The encrypted option index.
+    /// @param choiceProof The zero‑knowledge proof associated with `choiceEuint`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint8 choiceEuint,
+        bytes calldata choiceProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint8.unwrap(choiceEuint), deadline, signature);
+        _castVote(voter, choiceEuint, choiceProof, "");
+    }
+
+    /// @notice Casts a signed ballot in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @param voter The address the ballot is cast for.
+    /// @param choiceEuint The encrypted option index.
+    /// @param choiceProof The zero‑knowledge proof associated with `choiceEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint8 choiceEuint,
+        bytes calldata choiceProof,
+        bytes calldata eligibilityProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint8.unwrap(choiceEuint), deadline, signature);
+        _castVote(voter, choiceEuint, choiceProof, eligibilityProof);
+    }
+
+    /// @notice Casts a choice that the factory verified as part of a ballot
+    /// sheet covering several polls; see `PollFactory.castVotes`.
+    /// @dev Checked as in `FHEPoll.castVoteFor`.
+    /// @param voter The address that signed the ballot sheet transaction.
+    /// @param choice The verified encrypted option index.
+    function castVoteFor(address voter, euint8 choice) external onlyFactory {
+        _requireOpen();
+        _requireEligible(voter, "");
+        _countVote(voter, choice);
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------------------
+
+    /// @dev Implements the `castVote` and `castVoteBySig` overloads.
+    function _castVote(
+        address voter,
+        externalEuint8 choiceEuint,
+        bytes calldata choiceProof,
+        bytes memory eligibilityProof
+    ) private {
+        // ---------------------------------------------------------------------
+        // Only accept ballots inside the voting window and from eligible
+        // voters, then verify the proof and convert the input into an
+        // internal FHE type.
+        // ---------------------------------------------------------------------
+        _requireOpen();
+        _requireEligible(voter, eligibilityProof);
+        euint8 choice = voter == msg.sender
+            ? FHE.fromExternal(choiceEuint, choiceProof)
+            : euint8.wrap(_fromExternalOf(voter, externalEuint8.unwrap(choiceEuint), choiceProof, FheType.Uint8));
+        _countVote(voter, choice);
+    }
+
+    /// @dev Counts a verified choice for `voter`, replacing their previous
+    /// one. Shared by `_castVote` and `castVoteFor`.
+    function _countVote(address voter, euint8 choice) private {
+        bool isReplacement = _recordBallot(voter);
+        euint8 previous = _choices[voter];
+        euint32 one = FHE.asEuint32(1);
+        euint32 zero = FHE.asEuint32(0);
+
+        // ---------------------------------------------------------------------
+        // Spread the ballot across all counters. Each counter receives an
+        // encrypted 1 if the ballot names its option and an encrypted 0
+        // otherwise; a replaced ballot is taken back the same way. Adding
+        // before subtracting keeps each counter from wrapping below zero.
+        // ---------------------------------------------------------------------
+        for (uint8 optionId = 0; optionId < optionCount; optionId++) {
+            euint32 tally = FHE.add(_tallies[optionId], FHE.select(FHE.eq(choice, optionId), one, zero));
+            if (isReplacement) {
+                tally = FHE.sub(tally, FHE.select(FHE.eq(previous, optionId), one, zero));
+            }
+            _tallies[optionId] = tally;
+            FHE.allowThis(tally);
+        }
+
+        // ---------------------------------------------------------------------
+        // Remember the choice so that it can be replaced later. As in
+        // `FHEPoll`, the voter may decrypt it through `myBallot()` but
+        // receives no access to the counters.
+        // ---------------------------------------------------------------------
+        _choices[voter] = choice;
+        FHE.allowThis(choice);
+        FHE.allow(choice, voter);
+
+        if (isReplacement) {
+            emit VoteReplaced(voter);
+        } else {
+            emit VoteCast(voter);
+        }
+    }
+
+    /// @dev Validates and stores the number of options.
+    function _setOptionCount(uint8 optionCount_) private {
+        if (optionCount_ < MIN_OPTIONS || optionCount_ > MAX_OPTIONS) {
+            revert InvalidOptionCount();
+        }
+        optionCount = optionCount_;
+    }
+
+    /// @inheritdoc PollBase
+    function _hasBallot(address voter) internal view override returns (bool) {
+        return FHE.isInitialized(_choices[voter]);
+    }
+
+    /// @inheritdoc PollBase
+    function _grantTallyAccess(address account, bool makePublic) internal override {
+        for (uint8 optionId = 0; optionId < optionCount; optionId++) {
+            euint32 tally = _tallies[optionId];
+            if (!FHE.isInitialized(tally)) {
+                tally = FHE.asEuint32(0);
+                FHE.allowThis(tally);
+                _tallies[optionId] = tally;
+            }
+            FHE.allow(tally, account);
+            if (makePublic) {
+                FHE.makePubliclyDecryptable(tally);
+            }
+        }
+    }
+}
@@ -1,8 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import {FHE, euint32, externalEuint32} from "@fhevm/solidity/lib/FHE.sol";
-import {SepoliaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+import {FHE, ebool, euint32, euint64, externalEuint32} from "@fhevm/solidity/lib/FHE.sol";
+import {FheType} from "@fhevm/solidity/lib/FheType.sol";
+import {PollBase} from "./PollBase.sol";
 
 /// @title Confidential Poll Contract
 /// @author Your Name
@@ -11,17 +12,302 @@ import {SepoliaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
 /// submit an encrypted integer (0 or 1) along with a zero‑knowledge proof. The
 /// contract homomorphically aggregates these encrypted votes without ever
 /// learning individual inputs. The resulting encrypted sum can later be
-/// decrypted off‑chain by authorized parties.
-contract FHEPoll is SepoliaConfig {
+/// decrypted off‑chain by authorized parties. Ballots outside the 0/1 range
+/// are neutralised homomorphically, so a malicious client cannot skew the
+/// tally and nobody learns that a ballot was discarded. Nobody can decrypt
+/// the running tally while voting is open, because comparing two consecutive
+/// decryptions would reveal the ballot cast in between. Once voting is over,
+/// the poll can instead publish only whether the motion passed: the yes
+/// share is compared homomorphically against a threshold, and only the
+/// resulting `ebool` is made decryptable. For small recurring polls the
+/// owner can also have calibrated noise from `FHE.randEuint32` added to the
+/// yes count, so that only a differentially private tally is ever released.
+/// Every ballot is also kept in an append‑only log, so that if the result
+/// is disputed anyone can recount the live ballots after the poll closes
+/// and have the oracle publish whether the recount matches the tally.
+contract FHEPoll is PollBase {
+    // -------------------------------------------------------------------------
+    // Types
+    // -------------------------------------------------------------------------
+
+    /// @notice What `allowTallyDecryption` and the oracle may reveal.
+    /// @dev `Tally` reveals the yes and no counts as well as the outcome;
+    /// `OutcomeOnly` reveals only whether the motion passed and keeps both
+    /// counts private for good.
+    enum RevealScope {
+        Tally,
+        OutcomeOnly
+    }
+
+    // -------------------------------------------------------------------------
+    // Constants
+    // -------------------------------------------------------------------------
+
+    /// @notice Basis points in 100 %.
+    uint16 public constant BPS_DENOMINATOR = 10_000;
+
+    /// @notice Default threshold: the motion passes with more than half of
+    /// the valid ballots.
+    uint16 public constant SIMPLE_MAJORITY_BPS = 5_000;
+
+    /// @notice Largest allowed noise bound. Keeps the noisy tally well inside
+    /// the `euint32` range.
+    uint32 public constant MAX_NOISE_BOUND = 1 << 16;
+
+    /// @notice Largest number of log entries one `recount` call goes through.
+    /// @dev Each live entry deepens the chain of encrypted additions by one,
+    /// so this keeps a call within the per‑transaction HCU depth limit.
+    uint32 public constant MAX_RECOUNT_BATCH = 32;
+
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    /// @notice Emitted when the owner changes what may be revealed.
+    /// @param scope The new reveal scope.
+    event RevealScopeUpdated(RevealScope scope);
+
+    /// @notice Emitted when the owner changes the pass threshold.
+    /// @param thresholdBps The new threshold in basis points.
+    event PassThresholdUpdated(uint16 thresholdBps);
+
+    /// @notice Emitted when the owner changes the noise bound.
+    /// @param noiseBound The new bound, or 0 if noise is disabled.
+    event NoiseBoundUpdated(uint32 noiseBound);
+
+    /// @notice Emitted when the outcome is sent to the decryption oracle.
+    /// @param requestId The oracle request identifier.
+    event OutcomeRequested(uint256 indexed requestId);
+
+    /// @notice Emitted when the oracle has delivered the verified outcome.
+    /// @param requestId The oracle request identifier.
+    /// @param passed Whether the motion passed.
+    event OutcomeRevealed(uint256 indexed requestId, bool passed);
+
+    /// @notice Emitted when the final tally is sent to the decryption oracle.
+    /// @param requestId The oracle request identifier.
+    event TallyRequested(uint256 indexed requestId);
+
+    /// @notice Emitted when the oracle has delivered the verified clear tally.
+    /// @param requestId The oracle request identifier.
+    /// @param tally The number of "yes" ballots, or the noisy count including
+    /// `noiseOffset()` if noise is enabled.
+    event TallyRevealed(uint256 indexed requestId, uint32 tally);
+
+    /// @notice Emitted alongside `TallyRevealed` when the tally was released
+    /// with noise.
+    /// @param requestId The oracle request identifier.
+    /// @param noisyTally The unbiased noisy count of "yes" ballots.
+    /// @param noiseBound The bound the noise was drawn with.
+    /// @param noiseOffset The offset subtracted to center the noise.
+    event NoisyTallyRevealed(uint256 indexed requestId, int256 noisyTally, uint32 noiseBound, uint32 noiseOffset);
+
+    /// @notice Emitted after each `recount` call.
+    /// @param recounted Number of log entries recounted so far.
+    /// @param ballotCount Number of entries in the log.
+    event RecountProgressed(uint32 recounted, uint32 ballotCount);
+
+    /// @notice Emitted when the completed recount is compared with the tally
+    /// and the result is sent to the decryption oracle.
+    /// @param requestId The oracle request identifier.
+    event RecountRequested(uint256 indexed requestId);
+
+    /// @notice Emitted when the oracle has delivered the verified recount
+    /// result.
+    /// @param requestId The oracle request identifier.
+    /// @param matches Whether the recount equals the tally.
+    event RecountRevealed(uint256 indexed requestId, bool matches);
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when the tally has already been sent for decryption.
+    error TallyAlreadyRequested();
+
+    /// @notice Thrown when the oracle callback does not match the pending
+    /// tally request.
+    error InvalidTallyRequest();
+
+    /// @notice Thrown when the clear tally is read before it was revealed.
+    error TallyNotRevealed();
+
+    /// @notice Thrown when the tally is requested from a poll that only
+    /// reveals its outcome.
+    error TallyHidden();
+
+    /// @notice Thrown when the pass threshold is not below 100 %.
+    error InvalidThreshold();
+
+    /// @notice Thrown when the noise bound is not 0 or a power of two between
+    /// 2 and `MAX_NOISE_BOUND`.
+    error InvalidNoiseBound();
+
+    /// @notice Thrown when the noisy tally is read from a poll without noise.
+    error NoiseDisabled();
+
+    /// @notice Thrown when the outcome has already been sent for decryption.
+    error OutcomeAlreadyRequested();
+
+    /// @notice Thrown when the oracle callback does not match the pending
+    /// outcome request.
+    error InvalidOutcomeRequest();
+
+    /// @notice Thrown when the clear outcome is read before it was revealed.
+    error OutcomeNotRevealed();
+
+    /// @notice Thrown when a `recount` range does not continue where the
+    /// recount left off, runs past the log or exceeds `MAX_RECOUNT_BATCH`.
+    error InvalidRecountRange();
+
+    /// @notice Thrown when `recount` is called after the whole log has been
+    /// recounted.
+    error RecountAlreadyCompleted();
+
+    /// @notice Thrown when the oracle callback does not match the pending
+    /// recount request.
+    error InvalidRecountRequest();
+
+    /// @notice Thrown when the recount result is read before it was revealed.
+    error RecountNotRevealed();
+
     // -------------------------------------------------------------------------
     // Storage
     // -------------------------------------------------------------------------
 
+    /// @notice The account allowed to decrypt the rejected‑ballot counter.
+    address public auditor;
+
+    /// @notice What may be revealed once the poll is closed.
+    RevealScope public revealScope;
+
+    /// @notice Share of the valid ballots, in basis points, that "yes" must
+    /// exceed for the motion to pass.
+    uint16 public passThresholdBps;
+
+    /// @notice Bound of the noise added to the released tally, or 0 if the
+    /// exact tally is released.
+    uint32 public noiseBound;
+
+    /// @notice Number of ballots in the ballot log, replaced ones included.
+    /// @dev Packed with the settings above, which every ballot reads anyway.
+    uint32 public ballotCount;
+
+    /// @dev Identifier of the pending oracle request for the final tally.
+    uint256 private _tallyRequestId;
+
+    /// @dev Set once `requestTally()` has been called.
+    bool private _tallyRequested;
+
+    /// @notice Whether the oracle has published the clear final tally.
+    bool public isTallyRevealed;
+
+    /// @dev The clear final tally, valid only once `isTallyRevealed` is set.
+    uint32 private _revealedTally;
+
     /// @dev Stores the homomorphically accumulated tally of all votes. Because
     /// this value is encrypted, it cannot be inspected directly on chain. Only
     /// those with proper decryption permissions can recover the plain sum.
     euint32 private _sum;
 
+    /// @dev Encrypted count of "no" ballots.
+    euint32 private _noCount;
+
+    /// @dev Encrypted yes count plus noise, computed once the poll is closed
+    /// if `noiseBound` is set.
+    euint32 private _noisySum;
+
+    /// @dev Encrypted outcome, computed once the poll is closed.
+    ebool private _outcome;
+
+    /// @dev Identifier of the pending oracle request for the outcome.
+    uint256 private _outcomeRequestId;
+
+    /// @dev Set once `requestOutcome()` has been called.
+    bool private _outcomeRequested;
+
+    /// @notice Whether the oracle has published the clear outcome.
+    bool public isOutcomeRevealed;
+
+    /// @dev The clear outcome, valid only once `isOutcomeRevealed` is set.
+    bool private _passed;
+
+    /// @dev Encrypted count of ballots that were not 0 or 1. Invalid ballots
+    /// add nothing to `_sum`; this counter lets the auditor see how many were
+    /// discarded without learning who cast them.
+    euint32 private _rejected;
+
+    /// @dev Every ballot counted so far, as submitted and in the order cast.
+    /// Append‑only: a replaced ballot stays and is marked in `_superseded`,
+    /// so that `recount` can tell which entries are live. A voter's live
+    /// ballot is also what a later ballot from them is swapped against, by
+    /// subtracting it; its yes and no parts are derived again then, which
+    /// keeps each entry down to a single stored ciphertext.
+    mapping(uint256 => euint32) private _ballotLog;
+
+    /// @dev Position of each voter's live ballot in `_ballotLog`, plus one,
+    /// or 0 if they have not voted.
+    mapping(address => uint256) private _ballotPositions;
+
+    /// @dev Log entries that were replaced by a later ballot from the same
+    /// voter and no longer count.
+    mapping(uint256 => bool) private _superseded;
+
+    /// @notice Number of log entries the recount has gone through.
+    uint32 public recountProgress;
+
+    /// @notice Whether the whole log has been recounted and the result sent
+    /// to the oracle.
+    bool public isRecountComplete;
+
+    /// @notice Whether the oracle has published the recount result.
+    bool public isRecountRevealed;
+
+    /// @dev The clear recount result, valid only once `isRecountRevealed` is
+    /// set.
+    bool private _recountMatches;
+
+    /// @dev Identifier of the pending oracle request for the recount result.
+    uint256 private _recountRequestId;
+
+    /// @dev The yes and no counts rebuilt by `recount` so far.
+    euint32 private _recountYes;
+    euint32 private _recountNo;
+
+    /// @dev Encrypted recount result: true if both rebuilt counts equal the
+    /// tally. Computed when the recount completes.
+    ebool private _recountMatch;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the poll with the deployer as owner, auditor and
+    /// tally role, under the `TallyRoles` decryption policy.
+    /// @param startTime_ Timestamp from which ballots are accepted; 0 or a
+    /// past timestamp opens the poll immediately.
+    /// @param endTime_ Timestamp at which voting ends; 0 keeps the poll open
+    /// until the owner calls `close()`.
+    constructor(uint64 startTime_, uint64 endTime_) PollBase(startTime_, endTime_) {
+        auditor = msg.sender;
+        passThresholdBps = SIMPLE_MAJORITY_BPS;
+    }
+
+    /// @notice Sets up a minimal‑proxy clone of this contract.
+    /// @dev Can only be called once per clone, and never on a poll deployed
+    /// through the constructor. `PollFactory` calls it in the same
+    /// transaction that creates the clone.
+    /// @param owner_ The account that administers the poll and acts as its
+    /// auditor and first tally role.
+    /// @param startTime_ Timestamp from which ballots are accepted.
+    /// @param endTime_ Timestamp at which voting ends, or 0 for no scheduled end.
+    function initialize(address owner_, uint64 startTime_, uint64 endTime_) external {
+        _initializePoll(owner_, startTime_, endTime_);
+        factory = msg.sender;
+        auditor = owner_;
+        passThresholdBps = SIMPLE_MAJORITY_BPS;
+    }
+
     // -------------------------------------------------------------------------
     // External API
     // -------------------------------------------------------------------------
@@ -34,16 +320,324 @@ contract FHEPoll is SepoliaConfig {
         return _sum;
     }
 
-    /// @notice Casts an encrypted vote.
+    /// @notice Returns the encrypted number of "no" ballots.
+    /// @dev Only decryptable under the `Tally` reveal scope, by accounts that
+    /// have obtained access through `allowTallyDecryption`.
+    /// @return The encrypted "no" count.
+    function getNoCount() external view returns (euint32) {
+        return _noCount;
+    }
+
+    /// @notice Returns the caller's ballot as it is currently counted, so
+    /// that they can check it was recorded as they cast it.
+    /// @dev The value as submitted; one other than 0 or 1 was counted as
+    /// rejected. Only the voter can decrypt it; even the owner and the tally
+    /// roles cannot. Uninitialized if the caller has not voted.
+    /// @return The caller's encrypted ballot.
+    function myBallot() external view returns (euint32) {
+        return _ballotOf(msg.sender);
+    }
+
+    /// @notice Returns the encrypted outcome: true if the motion passed.
+    /// @dev Uninitialized until the outcome is first needed after the poll
+    /// closes, through `allowTallyDecryption` or `requestOutcome`.
+    /// @return The encrypted outcome.
+    function getOutcome() external view returns (ebool) {
+        return _outcome;
+    }
+
+    /// @notice Chooses whether the counts or only the outcome may be revealed.
+    /// @dev Locked once the poll is closed, like the decryption policy.
+    /// @param scope The new reveal scope.
+    function setRevealScope(RevealScope scope) external onlyOwner {
+        if (status() == PollStatus.Closed) revert PolicyLocked();
+        revealScope = scope;
+        emit RevealScopeUpdated(scope);
+    }
+
+    /// @notice Sets the share of valid ballots that "yes" must exceed.
+    /// @dev `SIMPLE_MAJORITY_BPS` (the default) requires more than half; a
+    /// two‑thirds supermajority is 6_666, since 2 of 3 ballots is 6_666.7 bps.
+    /// Locked once the poll is closed.
+    /// @param thresholdBps The threshold in basis points, below
+    /// `BPS_DENOMINATOR`.
+    function setPassThreshold(uint16 thresholdBps) external onlyOwner {
+        if (status() == PollStatus.Closed) revert PolicyLocked();
+        if (thresholdBps >= BPS_DENOMINATOR) revert InvalidThreshold();
+        passThresholdBps = thresholdBps;
+        emit PassThresholdUpdated(thresholdBps);
+    }
+
+    /// @notice Returns the encrypted yes count with noise added.
+    /// @dev Uninitialized until the poll is closed and the tally is first
+    /// shared or requested. Under noise, this replaces `getSum()` and
+    /// `getNoCount()` as the only count that can be decrypted.
+    /// @return The encrypted noisy count, including `noiseOffset()`.
+    function getNoisySum() external view returns (euint32) {
+        return _noisySum;
+    }
+
+    /// @notice Releases the tally with noise, or releases it exactly again.
+    /// @dev The noise is the sum of two values drawn with
+    /// `FHE.randEuint32(bound)`, so it is symmetric around `noiseOffset()`
+    /// and lies within `bound - 1` of it either way. The bound must be a
+    /// power of two. Locked once the poll is closed.
+    /// @param bound The noise bound, or 0 to release the exact tally.
+    function setNoiseBound(uint32 bound) external onlyOwner {
+        if (status() == PollStatus.Closed) revert PolicyLocked();
+        if (bound != 0 && (bound < 2 || bound > MAX_NOISE_BOUND || bound & (bound - 1) != 0)) {
+            revert InvalidNoiseBound();
+        }
+        noiseBound = bound;
+        emit NoiseBoundUpdated(bound);
+    }
+
+    /// @notice Returns the amount to subtract from the decrypted noisy count
+    /// to obtain an unbiased estimate of the yes count.
+    /// @return The offset, or 0 if noise is disabled.
+    function noiseOffset() public view returns (uint32) {
+        return noiseBound == 0 ? 0 : noiseBound - 1;
+    }
+
+    /// @notice Asks the fhEVM decryption oracle to publish the outcome.
+    /// @dev Callable once the poll is closed with at least `minTurnout`
+    /// voters and the trustees, if any, approved, and only once, under either
+    /// reveal scope. Since the result becomes public, the caller must be
+    /// allowed to decrypt the tally: anyone under the `Public` policy, tally
+    /// roles otherwise. The oracle answers through `revealOutcome`.
+    /// @return requestId The oracle request identifier.
+    function requestOutcome() external returns (uint256 requestId) {
+        _authorizeTallyAccess();
+        if (_outcomeRequested) revert OutcomeAlreadyRequested();
+
+        _computeOutcome();
+
+        bytes32[] memory handles = new bytes32[](1);
+        handles[0] = FHE.toBytes32(_outcome);
+        requestId = FHE.requestDecryption(handles, this.revealOutcome.selector);
+
+        _outcomeRequested = true;
+        _outcomeRequestId = requestId;
+        emit OutcomeRequested(requestId);
+    }
+
+    /// @notice Oracle callback that stores the decrypted outcome.
+    /// @dev Verified with `FHE.checkSignatures`, as for `revealTally`.
+    /// @param requestId The oracle request identifier.
+    /// @param cleartexts The ABI‑encoded clear outcome.
+    /// @param decryptionProof The KMS signatures proving the decryption.
+    function revealOutcome(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        if (!_outcomeRequested || requestId != _outcomeRequestId || isOutcomeRevealed) {
+            revert InvalidOutcomeRequest();
+        }
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        bool passed_ = abi.decode(cleartexts, (bool));
+        _passed = passed_;
+        isOutcomeRevealed = true;
+        emit OutcomeRevealed(requestId, passed_);
+    }
+
+    /// @notice Returns the publicly revealed outcome.
+    /// @return True if the motion passed.
+    function passed() external view returns (bool) {
+        if (!isOutcomeRevealed) revert OutcomeNotRevealed();
+        return _passed;
+    }
+
+    /// @notice Asks the fhEVM decryption oracle to publish the final tally.
+    /// @dev Callable once the poll is closed with at least `minTurnout`
+    /// voters and the trustees, if any, approved, by the same accounts as
+    /// `requestOutcome`, and only once, unless the poll only reveals its
+    /// outcome. The oracle answers asynchronously
+    /// through `revealTally`. A poll without any ballots has no `_sum` yet, so
+    /// an encrypted zero is requested instead. If noise is enabled, the noisy
+    /// count is requested in place of the exact one.
+    /// @return requestId The oracle request identifier.
+    function requestTally() external returns (uint256 requestId) {
+        _authorizeTallyAccess();
+        if (revealScope == RevealScope.OutcomeOnly) revert TallyHidden();
+        if (_tallyRequested) revert TallyAlreadyRequested();
+
+        _initializeSum();
+        _computeNoisySum();
+
+        bytes32[] memory handles = new bytes32[](1);
+        handles[0] = FHE.toBytes32(noiseBound == 0 ? _sum : _noisySum);
+        requestId = FHE.requestDecryption(handles, this.revealTally.selector);
+
+        _tallyRequested = true;
+        _tallyRequestId = requestId;
+        emit TallyRequested(requestId);
+    }
+
+    /// @notice Oracle callback that stores the decrypted final tally.
+    /// @dev `FHE.checkSignatures` verifies the KMS signatures over the clear
+    /// value, so a forged result from any other caller is rejected.
+    /// @param requestId The oracle request identifier.
+    /// @param cleartexts The ABI‑encoded clear tally.
+    /// @param decryptionProof The KMS signatures proving the decryption.
+    function revealTally(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        if (!_tallyRequested || requestId != _tallyRequestId || isTallyRevealed) {
+            revert InvalidTallyRequest();
+        }
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint32 tally = abi.decode(cleartexts, (uint32));
+        _revealedTally = tally;
+        isTallyRevealed = true;
+        emit TallyRevealed(requestId, tally);
+        if (noiseBound != 0) {
+            emit NoisyTallyRevealed(requestId, revealedNoisyTally(), noiseBound, noiseOffset());
+        }
+    }
+
+    /// @notice Returns the publicly revealed final tally.
+    /// @dev If noise is enabled this is the decrypted noisy count, which still
+    /// includes `noiseOffset()`; see `revealedNoisyTally`.
+    /// @return The number of "yes" ballots.
+    function revealedTally() external view returns (uint32) {
+        if (!isTallyRevealed) revert TallyNotRevealed();
+        return _revealedTally;
+    }
+
+    /// @notice Returns the publicly revealed noisy tally, centered so that it
+    /// is an unbiased estimate of the number of "yes" ballots.
+    /// @dev May be negative, or exceed the turnout, by up to `noiseOffset()`.
+    /// @return The noisy number of "yes" ballots.
+    function revealedNoisyTally() public view returns (int256) {
+        if (noiseBound == 0) revert NoiseDisabled();
+        if (!isTallyRevealed) revert TallyNotRevealed();
+        return int256(uint256(_revealedTally)) - int256(uint256(noiseOffset()));
+    }
+
+    /// @notice Recounts the next entries of the ballot log, and once the
+    /// whole log is done, sends whether the recount matches the tally to the
+    /// decryption oracle.
+    /// @dev Callable by anyone once the poll is closed, in as many calls as
+    /// the log needs. The yes and no parts of every live entry are derived
+    /// again from the ballot as submitted and added to a second pair of
+    /// encrypted counts; replaced entries are skipped. Ranges must follow on
+    /// from one another, so that a resent call reverts instead of counting
+    /// entries twice. The final call compares both counts with the tally
+    /// homomorphically and requests decryption of only that comparison; the
+    /// oracle answers through `revealRecount`. A poll without ballots is
+    /// recounted with `recount(0, 0)`.
+    /// @param from Position of the first entry, which must equal
+    /// `recountProgress`.
+    /// @param to Position after the last entry, at most `ballotCount` and
+    /// `from + MAX_RECOUNT_BATCH`.
+    function recount(uint32 from, uint32 to) external {
+        if (status() != PollStatus.Closed) revert PollNotClosed();
+        if (isRecountComplete) revert RecountAlreadyCompleted();
+        if (from != recountProgress || to < from || to > ballotCount || to - from > MAX_RECOUNT_BATCH) {
+            revert InvalidRecountRange();
+        }
+
+        euint32 yes = _recountYes;
+        euint32 no = _recountNo;
+        for (uint256 position = from; position < to; position++) {
+            if (_superseded[position]) {
+                continue;
+            }
+            (, euint32 entryYes, euint32 entryNo) = _splitBallot(_ballotLog[position]);
+            yes = _accumulate(yes, entryYes);
+            no = _accumulate(no, entryNo);
+        }
+        recountProgress = to;
+        emit RecountProgressed(to, ballotCount);
+
+        if (to < ballotCount) {
+            if (FHE.isInitialized(yes)) {
+                _recountYes = yes;
+                _recountNo = no;
+                FHE.allowThis(yes);
+                FHE.allowThis(no);
+            }
+            return;
+        }
+
+        // Uninitialized counts, from a poll without ballots, compare as zero
+        _initializeSum();
+        _recountMatch = FHE.and(FHE.eq(yes, _sum), FHE.eq(no, _noCount));
+        FHE.allowThis(_recountMatch);
+
+        bytes32[] memory handles = new bytes32[](1);
+        handles[0] = FHE.toBytes32(_recountMatch);
+        uint256 requestId = FHE.requestDecryption(handles, this.revealRecount.selector);
+
+        isRecountComplete = true;
+        _recountRequestId = requestId;
+        emit RecountRequested(requestId);
+    }
+
+    /// @notice Oracle callback that stores the decrypted recount result.
+    /// @dev Verified with `FHE.checkSignatures`, as for `revealTally`.
+    /// @param requestId The oracle request identifier.
+    /// @param cleartexts The ABI‑encoded clear result.
+    /// @param decryptionProof The KMS signatures proving the decryption.
+    function revealRecount(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        if (!isRecountComplete || requestId != _recountRequestId || isRecountRevealed) {
+            revert InvalidRecountRequest();
+        }
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        bool matches = abi.decode(cleartexts, (bool));
+        _recountMatches = matches;
+        isRecountRevealed = true;
+        emit RecountRevealed(requestId, matches);
+    }
+
+    /// @notice Returns the publicly revealed recount result.
+    /// @return True if recounting the stored ballots gave the tally.
+    function recountMatches() external view returns (bool) {
+        if (!isRecountRevealed) revert RecountNotRevealed();
+        return _recountMatches;
+    }
+
+    /// @notice Returns the encrypted number of ballots rejected as out of range.
+    /// @dev Only the contract and the current auditor may decrypt this value.
+    /// @return The encrypted rejected‑ballot count.
+    function getRejectedCount() external view returns (euint32) {
+        return _rejected;
+    }
+
+    /// @notice Hands the auditor role to another account.
+    /// @dev The new auditor is granted access to the current counter right away
+    /// so that it does not have to wait for the next rejected ballot.
+    /// @param newAuditor The account that may decrypt the rejected‑ballot count.
+    function setAuditor(address newAuditor) external onlyOwner {
+        auditor = newAuditor;
+        if (FHE.isInitialized(_rejected)) {
+            FHE.allow(_rejected, newAuditor);
+        }
+    }
+
+    /// @notice Casts an encrypted vote, or replaces the caller's previous one.
     ///
     /// Clients are expected to encrypt their vote off‑chain (as 0 or 1) and
     /// generate a zero‑knowledge proof that binds the ciphertext to the
     /// caller and this contract. The encrypted value and proof are then
     /// submitted to this function. The contract homomorphically adds the vote
-    /// to the running tally while preserving input confidentiality. After
-    /// updating the tally, the function grants decryption permissions to both
-    /// the contract and the caller so that they can retrieve the updated
-    /// encrypted sum off‑chain.
+    /// to the running tally while preserving input confidentiality; any other
+    /// value is counted as zero and recorded in the rejected counter. Each
+    /// address has exactly one live ballot: voting again swaps the old ballot
+    /// out of the tally and the new one in. Because a voter can always
+    /// overwrite their vote, they cannot prove to anyone how they voted. After
+    /// updating the tally, the function grants the contract permission to
+    /// keep using it; the caller receives no decryption rights.
     ///
     /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
     /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
@@ -51,34 +645,292 @@ contract FHEPoll is SepoliaConfig {
         externalEuint32 voteEuint,
         bytes calldata voteProof
     ) external {
+        _castVote(msg.sender, voteEuint, voteProof, "");
+    }
+
+    /// @notice Casts an encrypted vote in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @dev Behaves exactly like `castVote(voteEuint, voteProof)` once the
+    /// strategy has admitted the caller.
+    /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
+    /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    function castVote(
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        bytes calldata eligibilityProof
+    ) external {
+        _castVote(msg.sender, voteEuint, voteProof, eligibilityProof);
+    }
+
+    /// @notice Casts a ballot that `voter` encrypted and signed, on their
+    /// behalf, so that they need no ETH for gas.
+    /// @dev The voter signs an EIP‑712 `Ballot` over the input handle, their
+    /// current `nonces` entry and `deadline`. The input must have been
+    /// encrypted by the voter for this contract, not by the relayer. The
+    /// ballot then counts exactly as if the voter had called `castVote`.
+    /// @param voter The address the ballot is cast for.
+    /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
+    /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint32.unwrap(voteEuint), deadline, signature);
+        _castVote(voter, voteEuint, voteProof, "");
+    }
+
+    /// @notice Casts a signed ballot in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @dev The evidence is not part of the signature; it can only ever
+    /// admit `voter`.
+    /// @param voter The address the ballot is cast for.
+    /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
+    /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        bytes calldata eligibilityProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint32.unwrap(voteEuint), deadline, signature);
+        _castVote(voter, voteEuint, voteProof, eligibilityProof);
+    }
+
+    /// @notice Casts a ballot that the factory verified as part of a ballot
+    /// sheet covering several polls; see `PollFactory.castVotes`.
+    /// @dev The factory checked the input proof against `voter` and granted
+    /// this poll transient access to `vote`. The voting window and the
+    /// eligibility strategy are enforced here as for `castVote`.
+    /// @param voter The address that signed the ballot sheet transaction.
+    /// @param vote The verified encrypted vote.
+    function castVoteFor(address voter, euint32 vote) external onlyFactory {
+        _requireOpen();
+        _requireEligible(voter, "");
+        _countVote(voter, vote);
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------------------
+
+    /// @dev Implements the `castVote` and `castVoteBySig` overloads.
+    function _castVote(
+        address voter,
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        bytes memory eligibilityProof
+    ) private {
+        // ---------------------------------------------------------------------
+        // Only accept ballots inside the voting window and from voters the
+        // eligibility strategy admits.
+        // ---------------------------------------------------------------------
+        _requireOpen();
+        _requireEligible(voter, eligibilityProof);
+
         // ---------------------------------------------------------------------
         // Convert external encrypted input into an internal FHE type. This
         // verifies the proof and ensures that the ciphertext was encrypted by
-        // the caller for this contract. Without this conversion, the FHE
-        // functions cannot operate on the value.
+        // the voter for this contract. Without this conversion, the FHE
+        // functions cannot operate on the value. A relayed ballot is checked
+        // against the voter instead of the relayer that submits it.
+        // ---------------------------------------------------------------------
+        euint32 vote = voter == msg.sender
+            ? FHE.fromExternal(voteEuint, voteProof)
+            : euint32.wrap(_fromExternalOf(voter, externalEuint32.unwrap(voteEuint), voteProof, FheType.Uint32));
+        _countVote(voter, vote);
+    }
+
+    /// @dev Counts a verified ballot for `voter`, replacing their previous
+    /// one. Shared by `_castVote` and `castVoteFor`.
+    function _countVote(address voter, euint32 vote) private {
+        // ---------------------------------------------------------------------
+        // Check that the ballot is 0 or 1 without decrypting it. An invalid
+        // ballot adds an encrypted zero to both the yes and the no count and
+        // is counted as rejected instead. Counting valid "no" ballots lets the
+        // outcome compare the yes share against all valid ballots. Every value
+        // is always computed, so the ciphertexts reveal nothing about which
+        // case applied.
+        // ---------------------------------------------------------------------
+        (euint32 validBit, euint32 counted, euint32 noBallot) = _splitBallot(vote);
+        _rejected = _accumulate(_rejected, FHE.xor(validBit, 1));
+        FHE.allowThis(_rejected);
+        FHE.allow(_rejected, auditor);
+
+        // ---------------------------------------------------------------------
+        // If the voter already has a ballot in the tally, subtract it first.
+        // Its yes and no parts are 0/1 values that were added earlier, so the
+        // subtraction cannot underflow.
         // ---------------------------------------------------------------------
-        euint32 vote = FHE.fromExternal(voteEuint, voteProof);
+        bool isReplacement = _recordBallot(voter);
+        if (isReplacement) {
+            uint256 previous = _ballotPositions[voter] - 1;
+            (, euint32 previousYes, euint32 previousNo) = _splitBallot(_ballotLog[previous]);
+            _sum = FHE.sub(_sum, previousYes);
+            _noCount = FHE.sub(_noCount, previousNo);
+            _superseded[previous] = true;
+        }
 
         // ---------------------------------------------------------------------
         // Homomorphically add the vote to the internal sum. Because `_sum` and
-        // `vote` are both encrypted types, FHE.add() performs the addition
+        // `counted` are both encrypted types, FHE.add() performs the addition
         // without revealing any intermediate values. The resulting ciphertext
         // replaces the previous sum.
         // ---------------------------------------------------------------------
-        _sum = FHE.add(_sum, vote);
+        _sum = _accumulate(_sum, counted);
+        _noCount = _accumulate(_noCount, noBallot);
 
         // ---------------------------------------------------------------------
-        // Grant permission to this contract to use the updated `_sum` in
-        // subsequent operations. Without this ACL entry, the contract itself
-        // cannot process the ciphertext further.
+        // Append the ballot to the log, so that it can be replaced and
+        // recounted later. The contract needs ACL access to it for both. The
+        // voter, and nobody else, may decrypt it as a receipt through
+        // `myBallot()`.
+        // ---------------------------------------------------------------------
+        uint32 position = ballotCount;
+        _ballotLog[position] = vote;
+        _ballotPositions[voter] = uint256(position) + 1;
+        ballotCount = position + 1;
+        FHE.allowThis(vote);
+        FHE.allow(vote, voter);
+
+        // ---------------------------------------------------------------------
+        // Grant permission to this contract to use the updated counters in
+        // subsequent operations. Without these ACL entries, the contract itself
+        // cannot process the ciphertexts further.
         // ---------------------------------------------------------------------
         FHE.allowThis(_sum);
+        FHE.allowThis(_noCount);
 
         // ---------------------------------------------------------------------
-        // Grant permission to the caller (`msg.sender`) to decrypt the updated
-        // sum off‑chain. If this permission is not set, the caller will not be
-        // able to retrieve the clear value using their FHEVM client.
+        // The caller is deliberately not allowed to decrypt the new sum. If
+        // every voter could decrypt the tally right after their own ballot,
+        // any two consecutive decryptions would reveal the ballot in between.
+        // Access is handed out by `allowTallyDecryption` once voting is over.
         // ---------------------------------------------------------------------
-        FHE.allow(_sum, msg.sender);
+
+        if (isReplacement) {
+            emit VoteReplaced(voter);
+        } else {
+            emit VoteCast(voter);
+        }
+    }
+
+    /// @dev Splits a submitted ballot into encrypted bits without decrypting
+    /// it: `validBit` is 1 for a 0/1 ballot, `yes` is the ballot ANDed with
+    /// that bit, and `no` is whatever remains of a valid ballot. An invalid
+    /// ballot therefore yields zeros for both yes and no.
+    function _splitBallot(euint32 vote) private returns (euint32 validBit, euint32 yes, euint32 no) {
+        validBit = FHE.asEuint32(FHE.le(vote, 1));
+        yes = FHE.and(vote, validBit);
+        no = FHE.sub(validBit, yes);
+    }
+
+    /// @dev Adds `amount` to an encrypted counter, or starts the counter at
+    /// `amount` if it has no handle yet. Starting from the first ballot
+    /// itself spares encrypting a zero and adding to it.
+    function _accumulate(euint32 counter, euint32 amount) private returns (euint32) {
+        return FHE.isInitialized(counter) ? FHE.add(counter, amount) : amount;
+    }
+
+    /// @dev The live ballot of `voter`, or an uninitialized handle if they
+    /// have not voted.
+    function _ballotOf(address voter) private view returns (euint32 ballot) {
+        uint256 position = _ballotPositions[voter];
+        if (position != 0) {
+            ballot = _ballotLog[position - 1];
+        }
+    }
+
+    /// @inheritdoc PollBase
+    function _hasBallot(address voter) internal view override returns (bool) {
+        return _ballotPositions[voter] != 0;
+    }
+
+    /// @inheritdoc PollBase
+    /// @dev Under the `OutcomeOnly` scope only the outcome is shared; the
+    /// counts stay accessible to this contract alone. With noise enabled only
+    /// the noisy yes count is shared; the exact "no" count is withheld too,
+    /// since together with the public turnout it would give the yes count away.
+    function _grantTallyAccess(address account, bool makePublic) internal override {
+        _computeOutcome();
+        FHE.allow(_outcome, account);
+        if (makePublic) {
+            FHE.makePubliclyDecryptable(_outcome);
+        }
+        if (revealScope == RevealScope.OutcomeOnly) {
+            return;
+        }
+
+        if (noiseBound != 0) {
+            _computeNoisySum();
+            FHE.allow(_noisySum, account);
+            if (makePublic) {
+                FHE.makePubliclyDecryptable(_noisySum);
+            }
+            return;
+        }
+
+        FHE.allow(_sum, account);
+        FHE.allow(_noCount, account);
+        if (makePublic) {
+            FHE.makePubliclyDecryptable(_sum);
+            FHE.makePubliclyDecryptable(_noCount);
+        }
+    }
+
+    /// @dev A poll without any ballots has no `_sum` or `_noCount` handle
+    /// yet. Replaces them with encrypted zeros so that they can be shared or
+    /// decrypted.
+    function _initializeSum() private {
+        if (!FHE.isInitialized(_sum)) {
+            _sum = FHE.asEuint32(0);
+            _noCount = FHE.asEuint32(0);
+            FHE.allowThis(_sum);
+            FHE.allowThis(_noCount);
+        }
+    }
+
+    /// @dev Draws the noise once, after the poll has closed, and adds it to
+    /// the yes count. Two uniform draws from [0, noiseBound) sum to a
+    /// triangular distribution centered on `noiseOffset()`, which is only
+    /// subtracted in the clear so the encrypted count can never wrap below
+    /// zero.
+    function _computeNoisySum() private {
+        if (noiseBound == 0 || FHE.isInitialized(_noisySum)) {
+            return;
+        }
+        _initializeSum();
+
+        euint32 noise = FHE.add(FHE.randEuint32(noiseBound), FHE.randEuint32(noiseBound));
+        _noisySum = FHE.add(_sum, noise);
+        FHE.allowThis(_noisySum);
+    }
+
+    /// @dev Computes the outcome once, after the poll has closed: the motion
+    /// passes if yes × 10_000 > (yes + no) × threshold. The products are
+    /// taken in 64 bits so that they cannot overflow. A poll without valid
+    /// ballots does not pass.
+    function _computeOutcome() private {
+        if (FHE.isInitialized(_outcome)) {
+            return;
+        }
+        _initializeSum();
+
+        euint64 yes = FHE.asEuint64(_sum);
+        euint64 valid = FHE.add(yes, FHE.asEuint64(_noCount));
+        _outcome = FHE.gt(FHE.mul(yes, uint64(BPS_DENOMINATOR)), FHE.mul(valid, uint64(passThresholdBps)));
+        FHE.allowThis(_outcome);
     }
-}
\ No newline at end of file
+}
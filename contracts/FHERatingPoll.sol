@@ -0,0 +1,401 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE, ebool, euint8, euint32, externalEuint8} from "@fhevm/solidity/lib/FHE.sol";
+import {FheType} from "@fhevm/solidity/lib/FheType.sol";
+import {PollBase} from "./PollBase.sol";
+
+/// @title Confidential Rating Poll Contract
+/// @author Your Name
+/// @notice A confidential poll for questions such as "rate 1–10". Each
+/// ballot is an encrypted rating that the contract clamps homomorphically
+/// into the poll's range with `FHE.max`/`FHE.min`, so an out‑of‑range rating
+/// counts as the nearest bound and nobody learns that it was out of range.
+/// The poll keeps an encrypted sum of the ratings, whose mean is the sum
+/// divided by the public `turnout`, and an encrypted histogram with one
+/// bucket per rating, filled with `FHE.eq`/`FHE.select` so that every bucket
+/// changes on every ballot. The lowest and highest ratings are derived from
+/// the histogram with `FHE.min`/`FHE.max` once the poll is closed. Each of
+/// these statistics can be decrypted on its own under the poll's decryption
+/// policy, for example to publish the mean but keep the distribution private.
+contract FHERatingPoll is PollBase {
+    // -------------------------------------------------------------------------
+    // Types
+    // -------------------------------------------------------------------------
+
+    /// @notice The statistics `allowStatisticDecryption` can grant access to.
+    /// @dev `Histogram` covers every bucket.
+    enum Statistic {
+        Sum,
+        Min,
+        Max,
+        Histogram
+    }
+
+    // -------------------------------------------------------------------------
+    // Constants
+    // -------------------------------------------------------------------------
+
+    /// @notice Largest number of distinct ratings, and so of histogram
+    /// buckets. Every ballot costs one comparison, one selection and one
+    /// addition per bucket, so this bounds the gas of `castVote`.
+    uint8 public constant MAX_BUCKETS = 16;
+
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    /// @notice Emitted when an account is granted decryption access to a
+    /// single statistic.
+    /// @param account The account that received decryption access.
+    /// @param statistic The statistic it may now decrypt.
+    event StatisticAccessGranted(address indexed account, Statistic statistic);
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when the lowest rating is not below the highest, or the
+    /// range has more than `MAX_BUCKETS` ratings.
+    error InvalidRatingRange();
+
+    /// @notice Thrown when a histogram bucket is requested for a rating
+    /// outside the poll's range.
+    error InvalidRating();
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice Lowest rating a ballot counts as.
+    uint8 public minRating;
+
+    /// @notice Highest rating a ballot counts as.
+    uint8 public maxRating;
+
+    /// @dev Set once `_lowest` and `_highest` have been derived from the
+    /// histogram.
+    bool private _extremesComputed;
+
+    /// @dev Encrypted sum of the live ratings.
+    euint32 private _sum;
+
+    /// @dev Encrypted lowest and highest live rating, derived once the poll
+    /// is closed.
+    euint8 private _lowest;
+    euint8 private _highest;
+
+    /// @dev Encrypted number of live ballots for each rating, indexed by
+    /// `rating - minRating`.
+    mapping(uint8 => euint32) private _histogram;
+
+    /// @dev The clamped rating each address currently has counted. Kept so
+    /// that a later ballot from the same address can be swapped in.
+    mapping(address => euint8) private _ratings;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the poll with the deployer as owner and tally role.
+    /// @param startTime_ Timestamp from which ballots are accepted; 0 or a
+    /// past timestamp opens the poll immediately.
+    /// @param endTime_ Timestamp at which voting ends; 0 keeps the poll open
+    /// until the owner calls `close()`.
+    /// @param minRating_ Lowest rating, below `maxRating_`.
+    /// @param maxRating_ Highest rating, at most `MAX_BUCKETS - 1` above
+    /// `minRating_`.
+    constructor(
+        uint64 startTime_,
+        uint64 endTime_,
+        uint8 minRating_,
+        uint8 maxRating_
+    ) PollBase(startTime_, endTime_) {
+        if (minRating_ >= maxRating_ || maxRating_ - minRating_ >= MAX_BUCKETS) {
+            revert InvalidRatingRange();
+        }
+        minRating = minRating_;
+        maxRating = maxRating_;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @notice Returns the number of distinct ratings, and so of histogram
+    /// buckets.
+    function bucketCount() public view returns (uint8) {
+        return maxRating - minRating + 1;
+    }
+
+    /// @notice Returns the encrypted sum of the live ratings.
+    /// @dev Divide the decrypted sum by `turnout()` for the mean rating. Only
+    /// decryptable by accounts granted access to `Statistic.Sum`.
+    /// @return The encrypted sum.
+    function getSum() external view returns (euint32) {
+        return _sum;
+    }
+
+    /// @notice Returns the encrypted lowest live rating.
+    /// @dev Uninitialized until access to `Statistic.Min` or `Statistic.Max`
+    /// has first been granted, and 0 if nobody voted.
+    /// @return The encrypted lowest rating.
+    function getMin() external view returns (euint8) {
+        return _lowest;
+    }
+
+    /// @notice Returns the encrypted highest live rating.
+    /// @dev Uninitialized until access to `Statistic.Min` or `Statistic.Max`
+    /// has first been granted, and 0 if nobody voted.
+    /// @return The encrypted highest rating.
+    function getMax() external view returns (euint8) {
+        return _highest;
+    }
+
+    /// @notice Returns the encrypted number of ballots for a rating.
+    /// @dev Only decryptable by accounts granted access to
+    /// `Statistic.Histogram`.
+    /// @param rating A rating from `minRating` to `maxRating`.
+    /// @return The encrypted bucket for `rating`.
+    function getHistogram(uint8 rating) external view returns (euint32) {
+        if (rating < minRating || rating > maxRating) revert InvalidRating();
+        return _histogram[rating - minRating];
+    }
+
+    /// @notice Returns the caller's rating as it is currently counted, so
+    /// that they can check it was recorded as they cast it.
+    /// @dev The rating after clamping into the poll's range. Only the voter
+    /// can decrypt it. Uninitialized if the caller has not voted.
+    /// @return The caller's encrypted rating.
+    function myBallot() external view returns (euint8) {
+        return _ratings[msg.sender];
+    }
+
+    /// @notice Allows the caller to decrypt a single statistic off‑chain.
+    /// @dev Subject to the same checks as `allowTallyDecryption`, which
+    /// grants access to every statistic at once.
+    /// @param statistic The statistic to grant access to.
+    function allowStatisticDecryption(Statistic statistic) external {
+        bool isPublic = _authorizeTallyAccess();
+        _grantStatisticAccess(statistic, msg.sender, isPublic);
+        emit StatisticAccessGranted(msg.sender, statistic);
+    }
+
+    /// @notice Casts an encrypted rating, or replaces the caller's previous one.
+    ///
+    /// Clients encrypt their rating as a `uint8` together with a
+    /// zero‑knowledge proof binding it to the caller and this contract. A
+    /// rating outside `[minRating, maxRating]` counts as the nearest bound.
+    /// Each address has exactly one live ballot: voting again removes the old
+    /// rating from the sum and histogram in the same pass that adds the new one.
+    ///
+    /// @param ratingEuint The encrypted rating.
+    /// @param ratingProof The zero‑knowledge proof associated with `ratingEuint`.
+    function castVote(
+        externalEuint8 ratingEuint,
+        bytes calldata ratingProof
+    ) external {
+        _castVote(msg.sender, ratingEuint, ratingProof, "");
+    }
+
+    /// @notice Casts an encrypted rating in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @param ratingEuint The encrypted rating.
+    /// @param ratingProof The zero‑knowledge proof associated with `ratingEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    function castVote(
+        externalEuint8 ratingEuint,
+        bytes calldata ratingProof,
+        bytes calldata eligibilityProof
+    ) external {
+        _castVote(msg.sender, ratingEuint, ratingProof, eligibilityProof);
+    }
+
+    /// @notice Casts a rating that `voter` encrypted and signed, on their
+    /// behalf, so that they need no ETH for gas.
+    /// @dev Verified as in `FHEPoll.castVoteBySig`; see `BALLOT_TYPEHASH`.
+    /// @param voter The address the ballot is cast for.
+    /// @param ratingEuint The encrypted rating.
+    /// @param ratingProof The zero‑knowledge proof associated with `ratingEuint`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint8 ratingEuint,
+        bytes calldata ratingProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint8.unwrap(ratingEuint), deadline, signature);
+        _castVote(voter, ratingEuint, ratingProof, "");
+    }
+
+    /// @notice Casts a signed rating in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @param voter The address the ballot is cast for.
+    /// @param ratingEuint The encrypted rating.
+    /// @param ratingProof The zero‑knowledge proof associated with `ratingEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint8 ratingEuint,
+        bytes calldata ratingProof,
+        bytes calldata eligibilityProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint8.unwrap(ratingEuint), deadline, signature);
+        _castVote(voter, ratingEuint, ratingProof, eligibilityProof);
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------------------
+
+    /// @dev Implements the `castVote` and `castVoteBySig` overloads.
+    function _castVote(
+        address voter,
+        externalEuint8 ratingEuint,
+        bytes calldata ratingProof,
+        bytes memory eligibilityProof
+    ) private {
+        _requireOpen();
+        _requireEligible(voter, eligibilityProof);
+        euint8 submitted = voter == msg.sender
+            ? FHE.fromExternal(ratingEuint, ratingProof)
+            : euint8.wrap(_fromExternalOf(voter, externalEuint8.unwrap(ratingEuint), ratingProof, FheType.Uint8));
+
+        // ---------------------------------------------------------------------
+        // Clamp the rating into the poll's range. Both bounds are applied to
+        // every ballot, so the ciphertext reveals nothing about whether the
+        // rating was out of range.
+        // ---------------------------------------------------------------------
+        euint8 rating = FHE.min(FHE.max(submitted, minRating), maxRating);
+
+        bool isReplacement = _recordBallot(voter);
+        euint8 previous = _ratings[voter];
+
+        // ---------------------------------------------------------------------
+        // Add the rating to the sum and take a replaced one back out. Adding
+        // before subtracting keeps the sum from wrapping below zero.
+        // ---------------------------------------------------------------------
+        euint32 sum = FHE.add(_sum, FHE.asEuint32(rating));
+        if (isReplacement) {
+            sum = FHE.sub(sum, FHE.asEuint32(previous));
+        }
+        _sum = sum;
+        FHE.allowThis(sum);
+
+        // ---------------------------------------------------------------------
+        // Spread the rating across the histogram as `FHEMultiOptionPoll`
+        // spreads an option index across its counters.
+        // ---------------------------------------------------------------------
+        euint32 one = FHE.asEuint32(1);
+        euint32 zero = FHE.asEuint32(0);
+        uint8 buckets = bucketCount();
+        for (uint8 bucket = 0; bucket < buckets; bucket++) {
+            uint8 bucketRating = minRating + bucket;
+            euint32 count = FHE.add(_histogram[bucket], FHE.select(FHE.eq(rating, bucketRating), one, zero));
+            if (isReplacement) {
+                count = FHE.sub(count, FHE.select(FHE.eq(previous, bucketRating), one, zero));
+            }
+            _histogram[bucket] = count;
+            FHE.allowThis(count);
+        }
+
+        _ratings[voter] = rating;
+        FHE.allowThis(rating);
+        FHE.allow(rating, voter);
+
+        if (isReplacement) {
+            emit VoteReplaced(voter);
+        } else {
+            emit VoteCast(voter);
+        }
+    }
+
+    /// @dev Derives the lowest and highest live rating from the final
+    /// histogram, once. A running minimum and maximum could not forget a
+    /// replaced rating, whereas the histogram already has it taken out.
+    /// Only called once the poll is closed, so the histogram no longer
+    /// changes.
+    function _computeExtremes() private {
+        if (_extremesComputed) return;
+
+        euint8 lowest;
+        euint8 highest;
+        if (turnout == 0) {
+            lowest = FHE.asEuint8(0);
+            highest = lowest;
+        } else {
+            lowest = FHE.asEuint8(maxRating);
+            highest = FHE.asEuint8(minRating);
+            uint8 buckets = bucketCount();
+            for (uint8 bucket = 0; bucket < buckets; bucket++) {
+                uint8 bucketRating = minRating + bucket;
+                ebool isUsed = FHE.ne(_histogram[bucket], 0);
+                lowest = FHE.select(isUsed, FHE.min(lowest, bucketRating), lowest);
+                highest = FHE.select(isUsed, FHE.max(highest, bucketRating), highest);
+            }
+        }
+
+        _lowest = lowest;
+        _highest = highest;
+        _extremesComputed = true;
+        FHE.allowThis(lowest);
+        FHE.allowThis(highest);
+    }
+
+    /// @dev Grants `account` access to one statistic, initializing it first
+    /// if nobody voted, and makes it publicly decryptable when `makePublic`
+    /// is set.
+    function _grantStatisticAccess(Statistic statistic, address account, bool makePublic) private {
+        if (statistic == Statistic.Sum) {
+            _sum = _allowCounter(_sum, account, makePublic);
+        } else if (statistic == Statistic.Histogram) {
+            uint8 buckets = bucketCount();
+            for (uint8 bucket = 0; bucket < buckets; bucket++) {
+                _histogram[bucket] = _allowCounter(_histogram[bucket], account, makePublic);
+            }
+        } else {
+            _computeExtremes();
+            euint8 extreme = statistic == Statistic.Min ? _lowest : _highest;
+            FHE.allow(extreme, account);
+            if (makePublic) {
+                FHE.makePubliclyDecryptable(extreme);
+            }
+        }
+    }
+
+    /// @dev Grants `account` access to an encrypted counter, replacing an
+    /// uninitialized one with an encrypted zero first.
+    /// @return The counter to store back.
+    function _allowCounter(euint32 counter, address account, bool makePublic) private returns (euint32) {
+        if (!FHE.isInitialized(counter)) {
+            counter = FHE.asEuint32(0);
+            FHE.allowThis(counter);
+        }
+        FHE.allow(counter, account);
+        if (makePublic) {
+            FHE.makePubliclyDecryptable(counter);
+        }
+        return counter;
+    }
+
+    /// @inheritdoc PollBase
+    function _hasBallot(address voter) internal view override returns (bool) {
+        return FHE.isInitialized(_ratings[voter]);
+    }
+
+    /// @inheritdoc PollBase
+    function _grantTallyAccess(address account, bool makePublic) internal override {
+        _grantStatisticAccess(Statistic.Sum, account, makePublic);
+        _grantStatisticAccess(Statistic.Min, account, makePublic);
+        _grantStatisticAccess(Statistic.Max, account, makePublic);
+        _grantStatisticAccess(Statistic.Histogram, account, makePublic);
+    }
+}
@@ -0,0 +1,471 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE, ebool, euint32, euint64, externalEuint32, externalEuint64} from "@fhevm/solidity/lib/FHE.sol";
+import {FheType} from "@fhevm/solidity/lib/FheType.sol";
+import {PollBase} from "./PollBase.sol";
+import {IVotingPowerSource} from "./IVotingPowerSource.sol";
+
+/// @title Confidential Weighted Poll Contract
+/// @author Your Name
+/// @notice A yes/no poll in which each ballot counts with the voter's
+/// encrypted voting power instead of as a single vote. Voting power is either
+/// issued by the owner as an encrypted amount per voter or read from a
+/// confidential token through `IVotingPowerSource`, as it stood just before
+/// the poll opened. The 0/1 ballot is
+/// multiplied by the power with `FHE.mul`, so neither the choice nor the
+/// weight is ever revealed. Yes and no weight are kept in separate `euint64`
+/// counters, which leaves room for weights far beyond a `uint32`.
+///
+/// Voters who do not want to vote themselves can `delegate` their power to
+/// another voter. Delegation is one level deep: a delegatee cannot delegate
+/// onwards and a delegator cannot receive delegations, which rules out both
+/// chains and loops. The delegated power is added to the delegatee's weight
+/// whenever the delegatee's ballot is counted, and a delegator who votes
+/// directly withdraws their delegation first, so no power is counted twice.
+contract FHEWeightedPoll is PollBase {
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    /// @notice Emitted when the owner issues or changes a voter's power.
+    /// @param voter The voter whose power was set.
+    event VotingPowerIssued(address indexed voter);
+
+    /// @notice Emitted when a voter delegates, re‑delegates or withdraws their
+    /// delegation.
+    /// @param delegator The voter whose power moved.
+    /// @param fromDelegate The previous delegatee, or the zero address.
+    /// @param toDelegate The new delegatee, or the zero address.
+    event DelegateChanged(
+        address indexed delegator,
+        address indexed fromDelegate,
+        address indexed toDelegate
+    );
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when the owner issues voting power to a poll that reads
+    /// it from an external source.
+    error VotingPowerFromSource();
+
+    /// @notice Thrown when a voter tries to delegate to themselves or to the
+    /// zero address.
+    error InvalidDelegate();
+
+    /// @notice Thrown when a delegation would create a chain or a loop: the
+    /// delegatee has delegated themselves, or the caller holds delegations.
+    error DelegationChain();
+
+    /// @notice Thrown when a voter who has already voted tries to delegate.
+    error AlreadyVoted();
+
+    /// @notice Thrown when `undelegate` is called without an active
+    /// delegation.
+    error NotDelegated();
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice Where voting power comes from, or the zero address if it is
+    /// issued by the owner with `setVotingPower`.
+    IVotingPowerSource public votingPowerSource;
+
+    /// @notice The timestamp at which power from `votingPowerSource` is read:
+    /// the last second before the poll opened. Tokens moved after it do not
+    /// change anyone's weight in this poll.
+    uint64 public immutable snapshotTime;
+
+    /// @dev Encrypted total weight of live "yes" ballots.
+    euint64 private _yesWeight;
+
+    /// @dev Encrypted total weight of live "no" ballots.
+    euint64 private _noWeight;
+
+    /// @dev Encrypted voting power issued by the owner to each voter.
+    mapping(address => euint64) private _votingPower;
+
+    /// @notice The voter each address has delegated its power to, or the
+    /// zero address.
+    mapping(address => address) public delegates;
+
+    /// @notice Number of voters currently delegating to each address.
+    mapping(address => uint256) public delegatorCount;
+
+    /// @dev Encrypted sum of the power delegated to each address.
+    mapping(address => euint64) private _delegatedPower;
+
+    /// @dev The power each delegator added to its delegatee's sum, so that
+    /// exactly that amount is taken back when the delegation ends.
+    mapping(address => euint64) private _delegatedAmount;
+
+    /// @dev Each voter's range‑checked ballot (0 or 1) and whether the
+    /// submitted value was valid. Kept so that the ballot can be recounted
+    /// when the power behind it changes.
+    mapping(address => euint32) private _counted;
+    mapping(address => ebool) private _isValid;
+
+    /// @dev Each voter's ballot as submitted, kept as the receipt returned by
+    /// `myBallot()`.
+    mapping(address => euint32) private _ballots;
+
+    /// @dev The weight each address currently has counted towards "yes" and
+    /// "no". Kept so that a recount can take the old contribution back even
+    /// if the voter's power has changed in the meantime.
+    mapping(address => euint64) private _yesBallots;
+    mapping(address => euint64) private _noBallots;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the poll with the deployer as owner and tally role.
+    /// @param startTime_ Timestamp from which ballots are accepted; 0 or a
+    /// past timestamp opens the poll immediately.
+    /// @param endTime_ Timestamp at which voting ends; 0 keeps the poll open
+    /// until the owner calls `close()`.
+    /// @param votingPowerSource_ Confidential source of voting power, or the
+    /// zero address to have the owner issue it.
+    constructor(
+        uint64 startTime_,
+        uint64 endTime_,
+        IVotingPowerSource votingPowerSource_
+    ) PollBase(startTime_, endTime_) {
+        votingPowerSource = votingPowerSource_;
+        snapshotTime = (startTime_ > block.timestamp ? startTime_ : uint64(block.timestamp)) - 1;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @notice Returns the encrypted total weight of "yes" ballots.
+    /// @dev Only decryptable by accounts that have obtained access through
+    /// `allowTallyDecryption`.
+    function getYesWeight() external view returns (euint64) {
+        return _yesWeight;
+    }
+
+    /// @notice Returns the encrypted total weight of "no" ballots.
+    /// @dev Only decryptable by accounts that have obtained access through
+    /// `allowTallyDecryption`.
+    function getNoWeight() external view returns (euint64) {
+        return _noWeight;
+    }
+
+    /// @notice Returns the encrypted voting power the owner issued to `voter`.
+    /// @dev The voter may decrypt their own power. Polls that read power from
+    /// `votingPowerSource` keep nothing here.
+    /// @param voter The voter to look up.
+    function getVotingPower(address voter) external view returns (euint64) {
+        return _votingPower[voter];
+    }
+
+    /// @notice Returns the caller's ballot as submitted, so that they can
+    /// check it was recorded as they cast it.
+    /// @dev A value other than 0 or 1 was counted with zero weight. Only the
+    /// voter can decrypt it. Uninitialized if the caller has not voted.
+    /// @return The caller's encrypted ballot.
+    function myBallot() external view returns (euint32) {
+        return _ballots[msg.sender];
+    }
+
+    /// @notice Issues or replaces a voter's encrypted voting power.
+    /// @dev The owner encrypts the amount off‑chain. A ballot already cast
+    /// keeps the weight it was counted with until it is counted again, when
+    /// the voter votes again or the delegations to them change. Power already
+    /// delegated stays at the amount it had when it was delegated.
+    /// @param voter The voter receiving the power.
+    /// @param powerEuint The encrypted amount.
+    /// @param powerProof The zero‑knowledge proof associated with `powerEuint`.
+    function setVotingPower(
+        address voter,
+        externalEuint64 powerEuint,
+        bytes calldata powerProof
+    ) external onlyOwner {
+        if (address(votingPowerSource) != address(0)) revert VotingPowerFromSource();
+        if (status() == PollStatus.Closed) revert PollAlreadyClosed();
+
+        euint64 power = FHE.fromExternal(powerEuint, powerProof);
+        _votingPower[voter] = power;
+        FHE.allowThis(power);
+        FHE.allow(power, voter);
+        emit VotingPowerIssued(voter);
+    }
+
+    /// @notice Returns the encrypted sum of the power delegated to `delegatee`.
+    /// @dev Only the contract can use this value; nobody may decrypt it, since
+    /// with a single delegator it would reveal that delegator's power.
+    /// @param delegatee The voter to look up.
+    function getDelegatedPower(address delegatee) external view returns (euint64) {
+        return _delegatedPower[delegatee];
+    }
+
+    /// @notice Hands the caller's voting power to `delegatee`, replacing any
+    /// earlier delegation.
+    /// @dev Owner‑issued power is taken as it stands now, power from
+    /// `votingPowerSource` as of `snapshotTime`, so the latter can only be
+    /// delegated once the poll has opened. If `delegatee` has already voted,
+    /// their ballot is recounted with the extra power straight away.
+    /// @param delegatee The voter who will vote with the caller's power.
+    function delegate(address delegatee) external {
+        _delegate(delegatee, "");
+    }
+
+    /// @notice Delegates in a poll whose eligibility strategy needs evidence
+    /// from the delegator, such as a Merkle proof.
+    /// @param delegatee The voter who will vote with the caller's power.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    function delegate(address delegatee, bytes calldata eligibilityProof) external {
+        _delegate(delegatee, eligibilityProof);
+    }
+
+    /// @notice Takes the caller's power back from their delegatee.
+    /// @dev If the delegatee has already voted, their ballot is recounted
+    /// without the caller's power.
+    function undelegate() external {
+        if (status() == PollStatus.Closed) revert PollAlreadyClosed();
+        address previous = delegates[msg.sender];
+        if (previous == address(0)) revert NotDelegated();
+
+        _removeDelegation(msg.sender);
+        emit DelegateChanged(msg.sender, previous, address(0));
+    }
+
+    /// @notice Casts an encrypted yes/no ballot weighted by the caller's
+    /// voting power, or replaces the caller's previous one.
+    ///
+    /// The ballot is encrypted off‑chain as 0 or 1, exactly as for `FHEPoll`.
+    /// Any other value counts with zero weight on both sides, and a caller
+    /// without voting power adds nothing either; neither case is revealed.
+    /// The ballot also carries any power delegated to the caller. A caller who
+    /// has delegated their own power takes it back by voting directly.
+    ///
+    /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
+    /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
+    function castVote(
+        externalEuint32 voteEuint,
+        bytes calldata voteProof
+    ) external {
+        _castVote(msg.sender, voteEuint, voteProof, "");
+    }
+
+    /// @notice Casts a weighted ballot in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
+    /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    function castVote(
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        bytes calldata eligibilityProof
+    ) external {
+        _castVote(msg.sender, voteEuint, voteProof, eligibilityProof);
+    }
+
+    /// @notice Casts a ballot that `voter` encrypted and signed, on their
+    /// behalf, so that they need no ETH for gas.
+    /// @dev Verified as in `FHEPoll.castVoteBySig`; see `BALLOT_TYPEHASH`.
+    /// @param voter The address the ballot is cast for.
+    /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
+    /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint32.unwrap(voteEuint), deadline, signature);
+        _castVote(voter, voteEuint, voteProof, "");
+    }
+
+    /// @notice Casts a signed ballot in a poll whose eligibility strategy
+    /// needs evidence from the voter, such as a Merkle proof.
+    /// @param voter The address the ballot is cast for.
+    /// @param voteEuint The encrypted vote (0 for “no”, 1 for “yes”).
+    /// @param voteProof The zero‑knowledge proof associated with `voteEuint`.
+    /// @param eligibilityProof Evidence passed to `eligibility.isEligible`.
+    /// @param deadline Timestamp after which the signature is no longer
+    /// accepted.
+    /// @param signature The voter's EIP‑712 signature of the ballot.
+    function castVoteBySig(
+        address voter,
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        bytes calldata eligibilityProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useBallotSignature(voter, externalEuint32.unwrap(voteEuint), deadline, signature);
+        _castVote(voter, voteEuint, voteProof, eligibilityProof);
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------------------
+
+    /// @dev Implements the `castVote` and `castVoteBySig` overloads.
+    function _castVote(
+        address voter,
+        externalEuint32 voteEuint,
+        bytes calldata voteProof,
+        bytes memory eligibilityProof
+    ) private {
+        _requireOpen();
+        _requireEligible(voter, eligibilityProof);
+        euint32 vote = voter == msg.sender
+            ? FHE.fromExternal(voteEuint, voteProof)
+            : euint32.wrap(_fromExternalOf(voter, externalEuint32.unwrap(voteEuint), voteProof, FheType.Uint32));
+
+        // ---------------------------------------------------------------------
+        // A direct vote overrides a delegation: take the voter's power back
+        // from the delegatee before counting it here.
+        // ---------------------------------------------------------------------
+        address previousDelegate = delegates[voter];
+        if (previousDelegate != address(0)) {
+            _removeDelegation(voter);
+            emit DelegateChanged(voter, previousDelegate, address(0));
+        }
+
+        // ---------------------------------------------------------------------
+        // Range‑check the ballot as `FHEPoll` does and keep the result, so
+        // that the ballot can be recounted when the power behind it changes.
+        // ---------------------------------------------------------------------
+        ebool isValid = FHE.le(vote, 1);
+        euint32 counted = FHE.select(isValid, vote, FHE.asEuint32(0));
+        bool isReplacement = _recordBallot(voter);
+        _isValid[voter] = isValid;
+        _counted[voter] = counted;
+        FHE.allowThis(isValid);
+        FHE.allowThis(counted);
+        _countBallot(voter);
+
+        // ---------------------------------------------------------------------
+        // Keep the ballot as submitted as a receipt that only the voter can
+        // decrypt, as `FHEPoll` does.
+        // ---------------------------------------------------------------------
+        _ballots[voter] = vote;
+        FHE.allowThis(vote);
+        FHE.allow(vote, voter);
+
+        if (isReplacement) {
+            emit VoteReplaced(voter);
+        } else {
+            emit VoteCast(voter);
+        }
+    }
+
+    /// @dev Implements both `delegate` overloads.
+    function _delegate(address delegatee, bytes memory eligibilityProof) private {
+        if (status() == PollStatus.Closed) revert PollAlreadyClosed();
+        if (address(votingPowerSource) != address(0) && status() == PollStatus.Pending) revert PollNotOpen();
+        if (delegatee == address(0) || delegatee == msg.sender) revert InvalidDelegate();
+        if (_hasBallot(msg.sender)) revert AlreadyVoted();
+        if (delegates[delegatee] != address(0) || delegatorCount[msg.sender] != 0) {
+            revert DelegationChain();
+        }
+        _requireEligible(msg.sender, eligibilityProof);
+
+        address previous = delegates[msg.sender];
+        if (previous != address(0)) {
+            _removeDelegation(msg.sender);
+        }
+
+        euint64 amount = _weightOf(msg.sender);
+        FHE.allowThis(amount);
+        _delegatedAmount[msg.sender] = amount;
+        delegates[msg.sender] = delegatee;
+        delegatorCount[delegatee] += 1;
+
+        euint64 delegated = FHE.add(_delegatedPower[delegatee], amount);
+        _delegatedPower[delegatee] = delegated;
+        FHE.allowThis(delegated);
+        if (_hasBallot(delegatee)) {
+            _countBallot(delegatee);
+        }
+
+        emit DelegateChanged(msg.sender, previous, delegatee);
+    }
+
+    /// @dev Withdraws `delegator`'s power from its delegatee and recounts the
+    /// delegatee's ballot if it has one.
+    function _removeDelegation(address delegator) private {
+        address delegatee = delegates[delegator];
+        delete delegates[delegator];
+        delegatorCount[delegatee] -= 1;
+
+        euint64 delegated = FHE.sub(_delegatedPower[delegatee], _delegatedAmount[delegator]);
+        _delegatedPower[delegatee] = delegated;
+        FHE.allowThis(delegated);
+
+        if (_hasBallot(delegatee)) {
+            _countBallot(delegatee);
+        }
+    }
+
+    /// @dev (Re)counts `voter`'s stored ballot with the voter's current own
+    /// and delegated power. For a valid ballot, 1 × weight goes to "yes" and
+    /// the remainder of the weight to "no", so exactly one side holds the full
+    /// weight; an out‑of‑range ballot participates with zero weight. The new
+    /// contribution is added before the old one is taken back, which keeps
+    /// the counters from wrapping below zero.
+    function _countBallot(address voter) private {
+        euint64 weight = FHE.add(_weightOf(voter), _delegatedPower[voter]);
+        euint64 participating = FHE.select(_isValid[voter], weight, FHE.asEuint64(0));
+        euint64 yes = FHE.mul(FHE.asEuint64(_counted[voter]), weight);
+        euint64 no = FHE.sub(participating, yes);
+
+        _yesWeight = FHE.add(_yesWeight, yes);
+        _noWeight = FHE.add(_noWeight, no);
+        if (FHE.isInitialized(_yesBallots[voter])) {
+            _yesWeight = FHE.sub(_yesWeight, _yesBallots[voter]);
+            _noWeight = FHE.sub(_noWeight, _noBallots[voter]);
+        }
+        FHE.allowThis(_yesWeight);
+        FHE.allowThis(_noWeight);
+
+        _yesBallots[voter] = yes;
+        _noBallots[voter] = no;
+        FHE.allowThis(yes);
+        FHE.allowThis(no);
+    }
+
+    /// @dev Returns the encrypted voting power of `voter`, or an encrypted
+    /// zero if none was issued. Power from `votingPowerSource` is read as of
+    /// `snapshotTime`, which is final once the poll has opened.
+    function _weightOf(address voter) private returns (euint64) {
+        if (address(votingPowerSource) != address(0)) {
+            return votingPowerSource.votingPowerAt(voter, snapshotTime);
+        }
+        euint64 power = _votingPower[voter];
+        return FHE.isInitialized(power) ? power : FHE.asEuint64(0);
+    }
+
+    /// @inheritdoc PollBase
+    function _hasBallot(address voter) internal view override returns (bool) {
+        return FHE.isInitialized(_counted[voter]);
+    }
+
+    /// @inheritdoc PollBase
+    function _grantTallyAccess(address account, bool makePublic) internal override {
+        if (!FHE.isInitialized(_yesWeight)) {
+            _yesWeight = FHE.asEuint64(0);
+            _noWeight = FHE.asEuint64(0);
+            FHE.allowThis(_yesWeight);
+            FHE.allowThis(_noWeight);
+        }
+        FHE.allow(_yesWeight, account);
+        FHE.allow(_noWeight, account);
+        if (makePublic) {
+            FHE.makePubliclyDecryptable(_yesWeight);
+            FHE.makePubliclyDecryptable(_noWeight);
+        }
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {euint64} from "@fhevm/solidity/lib/FHE.sol";
+
+/// @title Confidential Voting Power Source
+/// @author Your Name
+/// @notice Supplies encrypted voting power to `FHEWeightedPoll`, typically
+/// from a confidential token whose balances are `euint64` ciphertexts.
+/// @dev Power is read as of a timepoint that each poll fixes when it opens.
+/// A balance that moves to another address during the poll therefore still
+/// counts for its old holder only, and cannot be voted with twice.
+interface IVotingPowerSource {
+    /// @notice Returns the encrypted voting power `account` held at the end
+    /// of `timepoint`.
+    /// @dev Implementations must revert if `timepoint` is not yet in the past
+    /// (`timepoint >= block.timestamp`), since that power could still change,
+    /// and must otherwise answer the same amount for as long as they are
+    /// asked. They must grant the caller at least transient ACL access to the
+    /// returned handle (`FHE.allowTransient`), otherwise the poll cannot
+    /// compute on it. Accounts without power should yield an encrypted zero
+    /// rather than an uninitialized handle.
+    /// @param account The voter whose power is requested.
+    /// @param timepoint The timestamp the power is read at.
+    /// @return The encrypted voting power.
+    function votingPowerAt(address account, uint64 timepoint) external returns (euint64);
+}
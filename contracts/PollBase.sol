@@ -0,0 +1,572 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE} from "@fhevm/solidity/lib/FHE.sol";
+import {FheType} from "@fhevm/solidity/lib/FheType.sol";
+import {Impl, IFHEVMExecutor} from "@fhevm/solidity/lib/Impl.sol";
+import {SepoliaConfig, ZamaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {IEligibility} from "./eligibility/IEligibility.sol";
+
+/// @title Confidential Poll Base Contract
+/// @author Your Name
+/// @notice Shared plumbing for every confidential poll type: ownership, the
+/// voting window, voter eligibility, one live ballot per address, and the
+/// policy that decides who may decrypt the tally once voting is over. A
+/// public turnout counter and an optional minimum turnout keep the tally of
+/// a poll with too few voters from ever being decrypted, since it would give
+/// away individual ballots. Concrete polls implement
+/// the ballot format and the encrypted counters; this contract never touches
+/// ciphertexts itself except through `_grantTallyAccess`. Polls can be
+/// deployed directly through their constructor or as minimal‑proxy clones
+/// that are set up once through `_initializePoll`. Voters without ETH can
+/// sign an EIP‑712 `Ballot` that a relayer submits on their behalf. A poll
+/// can also name trustees before voting starts, in which case the tally is
+/// only revealed once enough of them have approved.
+abstract contract PollBase is SepoliaConfig, EIP712 {
+    // -------------------------------------------------------------------------
+    // Types
+    // -------------------------------------------------------------------------
+
+    /// @notice Lifecycle stage of the poll.
+    /// @dev `Pending` before `startTime`, `Open` while ballots are accepted and
+    /// `Closed` once `endTime` has passed or the owner has closed the poll.
+    enum PollStatus {
+        Pending,
+        Open,
+        Closed
+    }
+
+    /// @notice Who may decrypt the tally once the poll is closed.
+    /// @dev `TallyRoles` restricts access to accounts granted the tally role;
+    /// `Public` lets anyone obtain access and makes the tally publicly
+    /// decryptable. Under both policies nobody has access while voting is open.
+    enum DecryptionPolicy {
+        TallyRoles,
+        Public
+    }
+
+    // -------------------------------------------------------------------------
+    // Constants
+    // -------------------------------------------------------------------------
+
+    /// @notice EIP‑712 type hash of a ballot signed for submission by a
+    /// relayer.
+    /// @dev `handle` is the encrypted input handle; the ciphertext and its
+    /// proof are bound to it by the input verifier.
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(address voter,bytes32 handle,uint256 nonce,uint256 deadline)");
+
+    /// @notice Largest number of trustees a poll can name.
+    uint8 public constant MAX_TRUSTEES = 16;
+
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    /// @notice Emitted at deployment to announce the voting window.
+    /// @param startTime Timestamp from which ballots are accepted.
+    /// @param endTime Timestamp at which voting ends, or 0 if the poll stays
+    /// open until the owner closes it.
+    event PollOpened(uint64 startTime, uint64 endTime);
+
+    /// @notice Emitted when the poll is closed, either early by the owner or
+    /// by anyone finalizing it after `endTime`.
+    /// @param closedBy The account that closed the poll.
+    /// @param closedAt The timestamp at which voting stopped.
+    event PollClosed(address indexed closedBy, uint64 closedAt);
+
+    /// @notice Emitted when the owner changes the decryption policy.
+    /// @param policy The new policy.
+    event DecryptionPolicyUpdated(DecryptionPolicy policy);
+
+    /// @notice Emitted when the owner changes the minimum turnout.
+    /// @param minTurnout The new minimum number of voters.
+    event MinTurnoutUpdated(uint32 minTurnout);
+
+    /// @notice Emitted when a poll closes with fewer voters than required.
+    /// @param turnout The number of addresses that voted.
+    /// @param minTurnout The minimum number of voters the poll required.
+    event PollInvalidated(uint32 turnout, uint32 minTurnout);
+
+    /// @notice Emitted when the owner changes the eligibility strategy.
+    /// @param eligibility The new strategy, or the zero address to let every
+    /// address vote.
+    event EligibilityUpdated(address indexed eligibility);
+
+    /// @notice Emitted when the tally role is granted or revoked.
+    /// @param account The affected account.
+    /// @param enabled Whether `account` now holds the tally role.
+    event TallyRoleUpdated(address indexed account, bool enabled);
+
+    /// @notice Emitted when an account is allowed to decrypt the final tally.
+    /// @param account The account that received decryption access.
+    event TallyAccessGranted(address indexed account);
+
+    /// @notice Emitted when the trustees of the poll are named.
+    /// @param trustees The trustees.
+    /// @param threshold How many of them must approve before the tally may
+    /// be revealed.
+    event TrusteesRegistered(address[] trustees, uint8 threshold);
+
+    /// @notice Emitted when a trustee approves revealing the tally.
+    /// @param trustee The approving trustee.
+    /// @param approvals The number of approvals so far.
+    event RevealApproved(address indexed trustee, uint8 approvals);
+
+    /// @notice Emitted when a trustee withdraws their approval.
+    /// @param trustee The trustee.
+    /// @param approvals The number of approvals left.
+    event RevealApprovalRevoked(address indexed trustee, uint8 approvals);
+
+    /// @notice Emitted when an address casts its first ballot.
+    /// @param voter The address that voted.
+    event VoteCast(address indexed voter);
+
+    /// @notice Emitted when an address overwrites its previous ballot.
+    /// @param voter The address that re‑voted.
+    event VoteReplaced(address indexed voter);
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when a restricted function is called by someone other
+    /// than the owner.
+    error NotOwner();
+
+    /// @notice Thrown when a poll that has already been set up is initialized
+    /// again.
+    error AlreadyInitialized();
+
+    /// @notice Thrown when the end of the voting window is not after its start
+    /// or already lies in the past.
+    error InvalidSchedule();
+
+    /// @notice Thrown when the eligibility strategy rejects a voter.
+    error NotEligible();
+
+    /// @notice Thrown when a ballot is forwarded by anyone but the factory
+    /// that created the poll.
+    error NotFactory();
+
+    /// @notice Thrown when a signed ballot is submitted after its deadline.
+    error SignatureExpired();
+
+    /// @notice Thrown when a signed ballot was not signed by the voter for
+    /// this poll, its handle and the voter's current nonce.
+    error InvalidSignature();
+
+    /// @notice Thrown when a ballot is cast, or token‑based voting power
+    /// delegated, before `startTime`.
+    error PollNotOpen();
+
+    /// @notice Thrown when a ballot is cast, or the poll closed, after voting
+    /// has already ended.
+    error PollAlreadyClosed();
+
+    /// @notice Thrown when the tally is requested while voting is still
+    /// possible.
+    error PollNotClosed();
+
+    /// @notice Thrown when the tally of a poll with fewer voters than
+    /// `minTurnout` is to be decrypted or revealed.
+    error TurnoutTooLow();
+
+    /// @notice Thrown when a caller without the tally role asks for access to
+    /// the tally under the `TallyRoles` policy.
+    error NotTallyRole();
+
+    /// @notice Thrown when trustees are named with an empty or oversized
+    /// list, a zero or repeated address, or a threshold that is zero or
+    /// above their number.
+    error InvalidTrustees();
+
+    /// @notice Thrown when trustees are named a second time, or after the
+    /// first ballot was cast.
+    error TrusteesLocked();
+
+    /// @notice Thrown when an account that is not a trustee approves or
+    /// revokes.
+    error NotTrustee();
+
+    /// @notice Thrown when a trustee approves twice.
+    error AlreadyApproved();
+
+    /// @notice Thrown when a trustee revokes an approval they never gave.
+    error NotApproved();
+
+    /// @notice Thrown when an approval is revoked after the threshold was met.
+    error RevealAlreadyApproved();
+
+    /// @notice Thrown when the tally is to be decrypted or revealed before
+    /// enough trustees approved.
+    error RevealNotApproved();
+
+    /// @notice Thrown when the decryption policy is changed after the poll
+    /// has closed and access may already have been granted.
+    error PolicyLocked();
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice The account that administers the poll.
+    /// @dev Kept in storage rather than as an immutable so that clones, which
+    /// share the implementation's bytecode, can each have their own owner.
+    address public owner;
+
+    /// @notice Timestamp from which ballots are accepted.
+    uint64 public startTime;
+
+    /// @notice Timestamp at which voting ends, or 0 for no scheduled end.
+    uint64 public endTime;
+
+    /// @dev Set once the poll has been set up, by its constructor or by
+    /// `_initializePoll` on a clone.
+    bool private _initialized;
+
+    /// @dev Set once `close()` has been called.
+    bool private _closed;
+
+    /// @notice Who may decrypt the tally once the poll is closed.
+    DecryptionPolicy public decryptionPolicy;
+
+    /// @notice Number of addresses with a live ballot.
+    /// @dev Public because it reveals who took part, which `VoteCast` events
+    /// already do, but nothing about their choices.
+    uint32 public turnout;
+
+    /// @notice Number of voters below which the tally may not be decrypted or
+    /// revealed, or 0 for no minimum.
+    uint32 public minTurnout;
+
+    /// @notice Number of trustee approvals needed before the tally may be
+    /// decrypted or revealed, or 0 if the poll has no trustees.
+    uint8 public revealThreshold;
+
+    /// @notice Number of trustees who currently approve the reveal.
+    uint8 public revealApprovals;
+
+    /// @notice Number of trustees the poll named.
+    uint8 public trusteeCount;
+
+    /// @notice Whether an account is one of the poll's trustees.
+    mapping(address => bool) public isTrustee;
+
+    /// @notice Whether a trustee currently approves the reveal.
+    mapping(address => bool) public hasApprovedReveal;
+
+    /// @notice Strategy consulted before every ballot, or the zero address if
+    /// every address may vote.
+    IEligibility public eligibility;
+
+    /// @notice Accounts allowed to decrypt the tally under the `TallyRoles`
+    /// policy.
+    mapping(address => bool) public isTallyRole;
+
+    /// @notice The factory that created this clone and may forward ballots it
+    /// verified itself, or the zero address for a poll deployed directly.
+    /// @dev Set by `initialize`. A clone is only as trustworthy as the factory
+    /// recorded here, since it can cast ballots for any voter.
+    address public factory;
+
+    /// @notice Number of signed ballots used so far by each voter; a ballot
+    /// must be signed over the voter's current nonce.
+    mapping(address => uint256) public nonces;
+
+    // -------------------------------------------------------------------------
+    // Modifiers
+    // -------------------------------------------------------------------------
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    modifier onlyFactory() {
+        if (msg.sender != factory) revert NotFactory();
+        _;
+    }
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the poll with the deployer as owner and tally role,
+    /// under the `TallyRoles` decryption policy.
+    /// @param startTime_ Timestamp from which ballots are accepted; 0 or a
+    /// past timestamp opens the poll immediately.
+    /// @param endTime_ Timestamp at which voting ends; 0 keeps the poll open
+    /// until the owner calls `close()`.
+    constructor(uint64 startTime_, uint64 endTime_) EIP712("ConfidentialPoll", "1") {
+        _initializePoll(msg.sender, startTime_, endTime_);
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @notice Returns the current lifecycle stage of the poll.
+    /// @return The poll status derived from the clock and the closed flag.
+    function status() public view returns (PollStatus) {
+        if (_closed || (endTime != 0 && block.timestamp >= endTime)) {
+            return PollStatus.Closed;
+        }
+        if (block.timestamp < startTime) {
+            return PollStatus.Pending;
+        }
+        return PollStatus.Open;
+    }
+
+    /// @notice Closes the poll so that no further ballots are accepted.
+    /// @dev The owner may close the poll at any time, including before it
+    /// opens. Once `endTime` has passed anyone may call this to record the
+    /// closure on chain and emit `PollClosed`.
+    function close() external {
+        if (_closed) revert PollAlreadyClosed();
+        bool isPastEnd = endTime != 0 && block.timestamp >= endTime;
+        if (!isPastEnd && msg.sender != owner) revert NotOwner();
+
+        _closed = true;
+        emit PollClosed(msg.sender, isPastEnd ? endTime : uint64(block.timestamp));
+        if (isInvalid()) {
+            emit PollInvalidated(turnout, minTurnout);
+        }
+    }
+
+    /// @notice Returns whether the poll closed with fewer voters than
+    /// `minTurnout`, in which case its tally is never decrypted or revealed.
+    /// @return True once the poll is closed below its minimum turnout.
+    function isInvalid() public view returns (bool) {
+        return status() == PollStatus.Closed && turnout < minTurnout;
+    }
+
+    /// @notice Returns whether `voter` has a ballot counted in the tally.
+    /// @param voter The address to look up.
+    /// @return True once `voter` has called `castVote`.
+    function hasVoted(address voter) external view returns (bool) {
+        return _hasBallot(voter);
+    }
+
+    /// @notice Changes who may decrypt the tally once the poll is closed.
+    /// @dev Locked once the poll is closed, because ACL grants cannot be
+    /// withdrawn after they have been handed out.
+    /// @param policy The new decryption policy.
+    function setDecryptionPolicy(DecryptionPolicy policy) external onlyOwner {
+        if (status() == PollStatus.Closed) revert PolicyLocked();
+        decryptionPolicy = policy;
+        emit DecryptionPolicyUpdated(policy);
+    }
+
+    /// @notice Sets how many addresses must vote before the tally may be
+    /// decrypted or revealed.
+    /// @dev Locked once the poll is closed, so that a poll cannot be made
+    /// valid after the fact.
+    /// @param minTurnout_ The minimum number of voters, or 0 for no minimum.
+    function setMinTurnout(uint32 minTurnout_) external onlyOwner {
+        if (status() == PollStatus.Closed) revert PolicyLocked();
+        minTurnout = minTurnout_;
+        emit MinTurnoutUpdated(minTurnout_);
+    }
+
+    /// @notice Restricts who may vote, or lifts the restriction.
+    /// @dev Can be changed until the poll closes. Ballots already counted are
+    /// kept even if their voters are not eligible under the new strategy.
+    /// @param eligibility_ The strategy to consult, or the zero address to let
+    /// every address vote.
+    function setEligibility(IEligibility eligibility_) external onlyOwner {
+        if (status() == PollStatus.Closed) revert PollAlreadyClosed();
+        eligibility = eligibility_;
+        emit EligibilityUpdated(address(eligibility_));
+    }
+
+    /// @notice Grants or revokes the tally role.
+    /// @dev Revoking the role does not withdraw access that the account has
+    /// already obtained through `allowTallyDecryption`.
+    /// @param account The account to update.
+    /// @param enabled Whether `account` should hold the tally role.
+    function setTallyRole(address account, bool enabled) external onlyOwner {
+        isTallyRole[account] = enabled;
+        emit TallyRoleUpdated(account, enabled);
+    }
+
+    /// @notice Names the trustees who must approve before the tally can be
+    /// decrypted or revealed.
+    /// @dev Callable once, by the owner or by the factory in the transaction
+    /// that creates the poll, and only before the first ballot, so that
+    /// voters know who holds the reveal before they vote.
+    /// @param trustees_ The trustees, at most `MAX_TRUSTEES`.
+    /// @param threshold How many trustees must approve, between 1 and the
+    /// number of trustees.
+    function registerTrustees(address[] calldata trustees_, uint8 threshold) external {
+        if (msg.sender != owner && msg.sender != factory) revert NotOwner();
+        if (revealThreshold != 0 || turnout != 0 || status() == PollStatus.Closed) revert TrusteesLocked();
+        if (trustees_.length == 0 || trustees_.length > MAX_TRUSTEES) revert InvalidTrustees();
+        if (threshold == 0 || threshold > trustees_.length) revert InvalidTrustees();
+
+        for (uint256 i = 0; i < trustees_.length; i++) {
+            address trustee = trustees_[i];
+            if (trustee == address(0) || isTrustee[trustee]) revert InvalidTrustees();
+            isTrustee[trustee] = true;
+        }
+        trusteeCount = uint8(trustees_.length);
+        revealThreshold = threshold;
+        emit TrusteesRegistered(trustees_, threshold);
+    }
+
+    /// @notice Approves revealing the tally, as one of the trustees.
+    /// @dev Possible at any time, also while voting is open; the tally still
+    /// stays sealed until the poll closes.
+    function approveReveal() external {
+        if (!isTrustee[msg.sender]) revert NotTrustee();
+        if (hasApprovedReveal[msg.sender]) revert AlreadyApproved();
+
+        hasApprovedReveal[msg.sender] = true;
+        revealApprovals += 1;
+        emit RevealApproved(msg.sender, revealApprovals);
+    }
+
+    /// @notice Withdraws the caller's approval.
+    /// @dev Only until the threshold is met: from then on access to the
+    /// tally may already have been granted, and ACL grants cannot be undone.
+    function revokeRevealApproval() external {
+        if (!hasApprovedReveal[msg.sender]) revert NotApproved();
+        if (isRevealApproved()) revert RevealAlreadyApproved();
+
+        hasApprovedReveal[msg.sender] = false;
+        revealApprovals -= 1;
+        emit RevealApprovalRevoked(msg.sender, revealApprovals);
+    }
+
+    /// @notice Returns whether enough trustees approved revealing the tally.
+    /// @return True once `revealThreshold` trustees approved, or always if
+    /// the poll has no trustees.
+    function isRevealApproved() public view returns (bool) {
+        return revealApprovals >= revealThreshold;
+    }
+
+    /// @notice Allows the caller to decrypt the final tally off‑chain.
+    /// @dev Only possible once the poll is closed, when the tally no longer
+    /// changes and so cannot be compared against an earlier decryption, only
+    /// if at least `minTurnout` addresses voted, and only once enough
+    /// trustees approved. Under the `Public` policy the tally is also made
+    /// publicly decryptable.
+    function allowTallyDecryption() external {
+        bool isPublic = _authorizeTallyAccess();
+        _grantTallyAccess(msg.sender, isPublic);
+        emit TallyAccessGranted(msg.sender);
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------------------
+
+    /// @dev Sets up ownership and the voting window exactly once. Clones do not
+    /// run the `SepoliaConfig` constructor, so the fhEVM coprocessor addresses
+    /// are written to the clone's own storage here as well.
+    function _initializePoll(address owner_, uint64 startTime_, uint64 endTime_) internal {
+        if (_initialized) revert AlreadyInitialized();
+        if (endTime_ != 0 && (endTime_ <= startTime_ || endTime_ <= block.timestamp)) {
+            revert InvalidSchedule();
+        }
+        _initialized = true;
+        FHE.setCoprocessor(ZamaConfig.getSepoliaConfig());
+
+        owner = owner_;
+        startTime = startTime_;
+        endTime = endTime_;
+        isTallyRole[owner_] = true;
+        emit TallyRoleUpdated(owner_, true);
+        emit PollOpened(startTime_, endTime_);
+    }
+
+    /// @dev Reverts unless ballots are currently being accepted.
+    function _requireOpen() internal view {
+        PollStatus currentStatus = status();
+        if (currentStatus == PollStatus.Pending) revert PollNotOpen();
+        if (currentStatus == PollStatus.Closed) revert PollAlreadyClosed();
+    }
+
+    /// @dev Reverts unless the poll is closed, reached its minimum turnout
+    /// and, if it has trustees, enough of them approved.
+    function _requireRevealable() internal view {
+        if (status() != PollStatus.Closed) revert PollNotClosed();
+        if (turnout < minTurnout) revert TurnoutTooLow();
+        if (!isRevealApproved()) revert RevealNotApproved();
+    }
+
+    /// @dev Reverts unless the caller may now obtain access to the tally
+    /// under the decryption policy.
+    /// @return isPublic Whether the tally is also to be made publicly
+    /// decryptable.
+    function _authorizeTallyAccess() internal view returns (bool isPublic) {
+        _requireRevealable();
+        isPublic = decryptionPolicy == DecryptionPolicy.Public;
+        if (!isPublic && !isTallyRole[msg.sender]) revert NotTallyRole();
+    }
+
+    /// @dev Counts `voter` towards the turnout the first time they vote. Must
+    /// be called before the poll stores the new ballot.
+    /// @return isReplacement True if `voter` already had a ballot.
+    function _recordBallot(address voter) internal returns (bool isReplacement) {
+        isReplacement = _hasBallot(voter);
+        if (!isReplacement) {
+            turnout += 1;
+        }
+    }
+
+    /// @dev Reverts unless the eligibility strategy, if any, admits `voter`.
+    function _requireEligible(address voter, bytes memory eligibilityProof) internal view {
+        IEligibility strategy = eligibility;
+        if (address(strategy) != address(0) && !strategy.isEligible(voter, eligibilityProof)) {
+            revert NotEligible();
+        }
+    }
+
+    /// @dev Checks a ballot that `voter` signed for a relayer and uses up its
+    /// nonce, so that the same signature cannot be submitted twice.
+    function _useBallotSignature(
+        address voter,
+        bytes32 handle,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        if (block.timestamp > deadline) revert SignatureExpired();
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(BALLOT_TYPEHASH, voter, handle, nonces[voter], deadline))
+        );
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        if (error != ECDSA.RecoverError.NoError || signer != voter) revert InvalidSignature();
+        nonces[voter] += 1;
+    }
+
+    /// @dev Like `FHE.fromExternal`, but checks that the input was encrypted
+    /// by `voter` rather than by the caller. A relayer can therefore submit a
+    /// voter's ciphertext, but cannot submit one of its own in their name.
+    /// @return result The verified handle, usable by this contract.
+    function _fromExternalOf(
+        address voter,
+        bytes32 inputHandle,
+        bytes calldata inputProof,
+        FheType inputType
+    ) internal returns (bytes32 result) {
+        result = IFHEVMExecutor(Impl.getCoprocessorConfig().CoprocessorAddress).verifyCiphertext(
+            inputHandle,
+            voter,
+            inputProof,
+            inputType
+        );
+    }
+
+    /// @dev Grants `account` ACL access to every encrypted tally counter of the
+    /// poll, and makes them publicly decryptable when `makePublic` is set.
+    /// Called only after the checks in `allowTallyDecryption` have passed.
+    function _grantTallyAccess(address account, bool makePublic) internal virtual;
+
+    /// @dev Whether `voter` has a live ballot in the tally. Read from the
+    /// ballot each poll stores anyway, which spares first ballots a separate
+    /// storage write.
+    function _hasBallot(address voter) internal view virtual returns (bool);
+}
@@ -0,0 +1,380 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE, euint8, euint32, externalEuint8, externalEuint32} from "@fhevm/solidity/lib/FHE.sol";
+import {SepoliaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
+import {FHEPoll} from "./FHEPoll.sol";
+import {FHEMultiOptionPoll} from "./FHEMultiOptionPoll.sol";
+import {PollBase} from "./PollBase.sol";
+
+/// @title Confidential Poll Factory
+/// @author Your Name
+/// @notice Creates confidential polls as EIP‑1167 minimal‑proxy clones of a
+/// deployed `FHEPoll` or `FHEMultiOptionPoll` implementation, and keeps a
+/// registry of every poll it created together with its metadata. The caller
+/// of `createPoll` or `createMultiOptionPoll` becomes the owner of the new
+/// poll; the factory itself holds no rights over it. Either kind of poll can
+/// be created with trustees who must approve before its tally is revealed.
+/// @dev Each clone delegates to the implementation's code but keeps its own
+/// storage, ACL grants and ballots, so it behaves exactly like a poll deployed
+/// through the constructor. The implementations are ordinary polls owned by
+/// whoever deployed them; deployers should close them so that they cannot be
+/// mistaken for live polls.
+///
+/// A voter taking part in several of the factory's polls at once, such as the
+/// questions of a survey, can fill in one ballot sheet: all their ballots are
+/// encrypted in a single input for the factory and cast with `castVotes` in
+/// one transaction, with one proof.
+contract PollFactory is SepoliaConfig {
+    // -------------------------------------------------------------------------
+    // Types
+    // -------------------------------------------------------------------------
+
+    /// @notice The kind of poll a registry entry points to.
+    enum PollKind {
+        Binary,
+        MultiOption
+    }
+
+    /// @notice Human‑readable description of a poll.
+    /// @param title Short title shown in poll listings.
+    /// @param description Longer description of the question being asked.
+    /// @param optionLabels One label per option, in option index order. Binary
+    /// polls have exactly two labels, for a vote of 0 and a vote of 1.
+    /// @param contentHash Hash of any off‑chain content for the poll, such as
+    /// an IPFS document, or zero if there is none.
+    struct PollMetadata {
+        string title;
+        string description;
+        string[] optionLabels;
+        bytes32 contentHash;
+    }
+
+    /// @notice A registry entry for a poll created by this factory.
+    /// @param poll Address of the poll clone.
+    /// @param creator The account that created the poll and owns it.
+    /// @param kind Whether the poll is an `FHEPoll` or an `FHEMultiOptionPoll`.
+    /// @param createdAt Timestamp of the creation block.
+    /// @param metadata The metadata supplied at creation.
+    struct PollRecord {
+        address poll;
+        address creator;
+        PollKind kind;
+        uint64 createdAt;
+        PollMetadata metadata;
+    }
+
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    /// @notice Emitted when a new poll has been created and initialized.
+    /// @param poll Address of the poll clone.
+    /// @param creator The account that owns the new poll.
+    /// @param kind The kind of poll created.
+    /// @param pollId Index of the poll in the factory registry.
+    /// @param contentHash The poll's off‑chain content hash.
+    event PollCreated(
+        address indexed poll,
+        address indexed creator,
+        PollKind kind,
+        uint256 pollId,
+        bytes32 contentHash
+    );
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when an implementation address has no code.
+    error InvalidImplementation();
+
+    /// @notice Thrown when the number of option labels does not fit the kind
+    /// of poll being created.
+    error InvalidOptionLabels();
+
+    /// @notice Thrown when a ballot sheet is empty or does not have one
+    /// handle per poll.
+    error InvalidBallotSheet();
+
+    /// @notice Thrown when the poll title is empty.
+    error EmptyTitle();
+
+    /// @notice Thrown when an address is looked up that this factory did not
+    /// create.
+    error UnknownPoll();
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice The `FHEPoll` that binary polls are cloned from.
+    address public immutable binaryImplementation;
+
+    /// @notice The `FHEMultiOptionPoll` that multi‑option polls are cloned
+    /// from.
+    address public immutable multiOptionImplementation;
+
+    /// @dev Every poll created by this factory, in creation order.
+    PollRecord[] private _polls;
+
+    /// @dev Registry indexes of the polls created by each account.
+    mapping(address => uint256[]) private _pollIdsByCreator;
+
+    /// @dev Registry index of each poll plus one, so that zero means unknown.
+    mapping(address => uint256) private _pollIdPlusOne;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the factory with the implementations to clone.
+    /// @param binaryImplementation_ A deployed `FHEPoll`.
+    /// @param multiOptionImplementation_ A deployed `FHEMultiOptionPoll`.
+    constructor(address binaryImplementation_, address multiOptionImplementation_) {
+        if (binaryImplementation_.code.length == 0 || multiOptionImplementation_.code.length == 0) {
+            revert InvalidImplementation();
+        }
+        binaryImplementation = binaryImplementation_;
+        multiOptionImplementation = multiOptionImplementation_;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @notice Creates a yes/no poll owned by the caller.
+    /// @param startTime Timestamp from which ballots are accepted; 0 or a past
+    /// timestamp opens the poll immediately.
+    /// @param endTime Timestamp at which voting ends; 0 keeps the poll open
+    /// until the owner calls `close()`.
+    /// @param metadata Title, description, exactly two option labels and
+    /// content hash of the poll.
+    /// @return poll Address of the new poll.
+    function createPoll(
+        uint64 startTime,
+        uint64 endTime,
+        PollMetadata calldata metadata
+    ) external returns (address poll) {
+        poll = _createPoll(startTime, endTime, metadata);
+    }
+
+    /// @notice Creates a yes/no poll owned by the caller whose tally is only
+    /// revealed once enough trustees approved.
+    /// @dev See `PollBase.registerTrustees`.
+    /// @param startTime Timestamp from which ballots are accepted.
+    /// @param endTime Timestamp at which voting ends, or 0 for no scheduled end.
+    /// @param metadata Title, description, exactly two option labels and
+    /// content hash of the poll.
+    /// @param trustees The trustees of the poll.
+    /// @param threshold How many trustees must approve the reveal.
+    /// @return poll Address of the new poll.
+    function createPoll(
+        uint64 startTime,
+        uint64 endTime,
+        PollMetadata calldata metadata,
+        address[] calldata trustees,
+        uint8 threshold
+    ) external returns (address poll) {
+        poll = _createPoll(startTime, endTime, metadata);
+        PollBase(poll).registerTrustees(trustees, threshold);
+    }
+
+    /// @notice Creates a multi‑option poll owned by the caller, with one
+    /// option per label.
+    /// @param startTime Timestamp from which ballots are accepted; 0 or a past
+    /// timestamp opens the poll immediately.
+    /// @param endTime Timestamp at which voting ends; 0 keeps the poll open
+    /// until the owner calls `close()`.
+    /// @param metadata Title, description, between `MIN_OPTIONS` and
+    /// `MAX_OPTIONS` option labels and content hash of the poll.
+    /// @return poll Address of the new poll.
+    function createMultiOptionPoll(
+        uint64 startTime,
+        uint64 endTime,
+        PollMetadata calldata metadata
+    ) external returns (address poll) {
+        poll = _createMultiOptionPoll(startTime, endTime, metadata);
+    }
+
+    /// @notice Creates a multi‑option poll owned by the caller whose tally
+    /// is only revealed once enough trustees approved.
+    /// @dev See `PollBase.registerTrustees`.
+    /// @param startTime Timestamp from which ballots are accepted.
+    /// @param endTime Timestamp at which voting ends, or 0 for no scheduled end.
+    /// @param metadata Title, description, between `MIN_OPTIONS` and
+    /// `MAX_OPTIONS` option labels and content hash of the poll.
+    /// @param trustees The trustees of the poll.
+    /// @param threshold How many trustees must approve the reveal.
+    /// @return poll Address of the new poll.
+    function createMultiOptionPoll(
+        uint64 startTime,
+        uint64 endTime,
+        PollMetadata calldata metadata,
+        address[] calldata trustees,
+        uint8 threshold
+    ) external returns (address poll) {
+        poll = _createMultiOptionPoll(startTime, endTime, metadata);
+        PollBase(poll).registerTrustees(trustees, threshold);
+    }
+
+    /// @notice Casts one ballot in each of several polls created by this
+    /// factory, from a single encrypted input and proof.
+    /// @dev The input must be encrypted by the caller for this factory, with
+    /// one value per poll in order: a 0/1 vote (`add32`) for a yes/no poll,
+    /// an option index (`add8`) for a multi‑option poll. The factory verifies
+    /// each handle, grants the poll transient access to it and forwards it
+    /// through `castVoteFor`, so every poll still applies its own voting
+    /// window, eligibility strategy and ballot replacement. Strategies that
+    /// need evidence from the voter, such as a Merkle proof, receive none.
+    /// @param polls The polls to vote in, each created by this factory.
+    /// @param handles The encrypted ballot for each poll.
+    /// @param inputProof The proof covering every handle.
+    function castVotes(
+        address[] calldata polls,
+        bytes32[] calldata handles,
+        bytes calldata inputProof
+    ) external {
+        if (polls.length == 0 || polls.length != handles.length) revert InvalidBallotSheet();
+
+        for (uint256 i = 0; i < polls.length; i++) {
+            uint256 pollIdPlusOne = _pollIdPlusOne[polls[i]];
+            if (pollIdPlusOne == 0) revert UnknownPoll();
+
+            if (_polls[pollIdPlusOne - 1].kind == PollKind.Binary) {
+                euint32 vote = FHE.fromExternal(externalEuint32.wrap(handles[i]), inputProof);
+                FHE.allowTransient(vote, polls[i]);
+                FHEPoll(polls[i]).castVoteFor(msg.sender, vote);
+            } else {
+                euint8 choice = FHE.fromExternal(externalEuint8.wrap(handles[i]), inputProof);
+                FHE.allowTransient(choice, polls[i]);
+                FHEMultiOptionPoll(polls[i]).castVoteFor(msg.sender, choice);
+            }
+        }
+    }
+
+    /// @notice Returns the number of polls created by this factory.
+    function pollCount() external view returns (uint256) {
+        return _polls.length;
+    }
+
+    /// @notice Returns the number of polls created by `creator`.
+    /// @param creator The account to look up.
+    function pollCountByCreator(address creator) external view returns (uint256) {
+        return _pollIdsByCreator[creator].length;
+    }
+
+    /// @notice Returns whether `poll` was created by this factory.
+    /// @param poll The address to look up.
+    function isPoll(address poll) external view returns (bool) {
+        return _pollIdPlusOne[poll] != 0;
+    }
+
+    /// @notice Returns the registry entry of a poll created by this factory.
+    /// @param poll The poll address.
+    /// @return The poll's registry entry.
+    function getPoll(address poll) external view returns (PollRecord memory) {
+        uint256 pollIdPlusOne = _pollIdPlusOne[poll];
+        if (pollIdPlusOne == 0) revert UnknownPoll();
+        return _polls[pollIdPlusOne - 1];
+    }
+
+    /// @notice Returns a page of the registry in creation order.
+    /// @dev Returns fewer than `limit` entries at the end of the registry, and
+    /// an empty array once `offset` is past the end.
+    /// @param offset Index of the first entry to return.
+    /// @param limit Maximum number of entries to return.
+    /// @return page The requested registry entries.
+    function getPolls(uint256 offset, uint256 limit) external view returns (PollRecord[] memory page) {
+        uint256 total = _polls.length;
+        if (offset >= total) return new PollRecord[](0);
+        uint256 count = total - offset < limit ? total - offset : limit;
+
+        page = new PollRecord[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = _polls[offset + i];
+        }
+    }
+
+    /// @notice Returns a page of the polls created by `creator`, oldest first.
+    /// @dev Paging behaves as in `getPolls`, over the creator's own polls.
+    /// @param creator The account whose polls to list.
+    /// @param offset Index of the first of the creator's polls to return.
+    /// @param limit Maximum number of entries to return.
+    /// @return page The requested registry entries.
+    function getPollsByCreator(
+        address creator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (PollRecord[] memory page) {
+        uint256[] storage pollIds = _pollIdsByCreator[creator];
+        uint256 total = pollIds.length;
+        if (offset >= total) return new PollRecord[](0);
+        uint256 count = total - offset < limit ? total - offset : limit;
+
+        page = new PollRecord[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = _polls[pollIds[offset + i]];
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------------------
+
+    /// @dev Clones, initializes and registers a yes/no poll.
+    function _createPoll(
+        uint64 startTime,
+        uint64 endTime,
+        PollMetadata calldata metadata
+    ) private returns (address poll) {
+        _validateMetadata(metadata);
+        if (metadata.optionLabels.length != 2) revert InvalidOptionLabels();
+
+        poll = Clones.clone(binaryImplementation);
+        FHEPoll(poll).initialize(msg.sender, startTime, endTime);
+        _register(poll, PollKind.Binary, metadata);
+    }
+
+    /// @dev Clones, initializes and registers a multi‑option poll.
+    function _createMultiOptionPoll(
+        uint64 startTime,
+        uint64 endTime,
+        PollMetadata calldata metadata
+    ) private returns (address poll) {
+        _validateMetadata(metadata);
+        uint256 labelCount = metadata.optionLabels.length;
+        FHEMultiOptionPoll implementation = FHEMultiOptionPoll(multiOptionImplementation);
+        if (labelCount < implementation.MIN_OPTIONS() || labelCount > implementation.MAX_OPTIONS()) {
+            revert InvalidOptionLabels();
+        }
+
+        poll = Clones.clone(multiOptionImplementation);
+        FHEMultiOptionPoll(poll).initialize(msg.sender, startTime, endTime, uint8(labelCount));
+        _register(poll, PollKind.MultiOption, metadata);
+    }
+
+    /// @dev Checks the parts of the metadata shared by every kind of poll.
+    function _validateMetadata(PollMetadata calldata metadata) private pure {
+        if (bytes(metadata.title).length == 0) revert EmptyTitle();
+    }
+
+    /// @dev Appends a new poll to the registry and the creator index.
+    function _register(address poll, PollKind kind, PollMetadata calldata metadata) private {
+        uint256 pollId = _polls.length;
+        _polls.push(
+            PollRecord({
+                poll: poll,
+                creator: msg.sender,
+                kind: kind,
+                createdAt: uint64(block.timestamp),
+                metadata: metadata
+            })
+        );
+        _pollIdsByCreator[msg.sender].push(pollId);
+        _pollIdPlusOne[poll] = pollId + 1;
+
+        emit PollCreated(poll, msg.sender, kind, pollId, metadata.contentHash);
+    }
+}
@@ -0,0 +1,322 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHEPoll} from "./FHEPoll.sol";
+import {PollBase} from "./PollBase.sol";
+import {PollFactory} from "./PollFactory.sol";
+import {IEligibility} from "./eligibility/IEligibility.sol";
+
+/// @title Confidential Poll Governor
+/// @author Your Name
+/// @notice Runs on‑chain proposals whose fate is decided by a confidential
+/// yes/no poll. Each proposal carries a list of calls (target, value and
+/// calldata) and a quorum, and is voted on in its own `FHEPoll`, created
+/// through a `PollFactory` and owned by this governor. Only the voters its
+/// eligibility strategy admits may vote. Once the poll closes
+/// with at least the quorum of voters, anyone can ask the decryption oracle
+/// for the outcome through `requestOutcome`. If the motion passed,
+/// anyone can `queue` the proposal and, after the timelock, `execute` its
+/// calls from this contract. Proposals that fail or miss their quorum can
+/// never be executed.
+/// @dev Apart from setting the quorum and the eligibility strategy when a
+/// poll is created and requesting its outcome, the governor never uses the
+/// owner rights it holds over its polls, so nobody can close a poll early,
+/// change its pass threshold, quorum or electorate, or decrypt its tally. Calls are made with this contract as
+/// `msg.sender`, so the governor should own whatever its proposals act on,
+/// and any ETH they send must be held by the governor.
+contract PollGovernor {
+    // -------------------------------------------------------------------------
+    // Types
+    // -------------------------------------------------------------------------
+
+    /// @notice Where a proposal is in its lifecycle.
+    /// @dev `Counting` means voting is over but the outcome has not been
+    /// revealed yet. `Defeated` covers both a failed motion and a poll that
+    /// closed below its quorum.
+    enum ProposalState {
+        Active,
+        Counting,
+        Defeated,
+        Succeeded,
+        Queued,
+        Executed
+    }
+
+    /// @notice A proposal and the calls it makes if it passes.
+    /// @param poll The poll deciding the proposal.
+    /// @param proposer The account that created the proposal.
+    /// @param quorum Minimum number of voters for the outcome to count.
+    /// @param eta Timestamp from which the proposal may be executed, or 0 if
+    /// it has not been queued.
+    /// @param executed Whether the calls have been made.
+    /// @param targets The contract called by each action.
+    /// @param values The wei sent with each action.
+    /// @param calldatas The calldata of each action.
+    struct Proposal {
+        FHEPoll poll;
+        address proposer;
+        uint32 quorum;
+        uint64 eta;
+        bool executed;
+        address[] targets;
+        uint256[] values;
+        bytes[] calldatas;
+    }
+
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    /// @notice Emitted when a proposal and its poll have been created.
+    /// @dev The actions are available through `getProposal`, and the poll's
+    /// content hash in the factory registry commits to them.
+    /// @param proposalId Index of the proposal.
+    /// @param poll The poll deciding the proposal.
+    /// @param proposer The account that created the proposal.
+    /// @param quorum Minimum number of voters.
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed poll,
+        address indexed proposer,
+        uint32 quorum
+    );
+
+    /// @notice Emitted when a passed proposal has been queued.
+    /// @param proposalId Index of the proposal.
+    /// @param eta Timestamp from which it may be executed.
+    event ProposalQueued(uint256 indexed proposalId, uint64 eta);
+
+    /// @notice Emitted when the calls of a proposal have been made.
+    /// @param proposalId Index of the proposal.
+    event ProposalExecuted(uint256 indexed proposalId);
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when the factory address has no code.
+    error InvalidFactory();
+
+    /// @notice Thrown when the eligibility strategy address has no code.
+    error InvalidEligibility();
+
+    /// @notice Thrown when the voting period is zero.
+    error InvalidVotingPeriod();
+
+    /// @notice Thrown when a proposal has no actions, arrays of different
+    /// lengths, or a zero quorum.
+    error InvalidProposal();
+
+    /// @notice Thrown when a proposal index is out of range.
+    error UnknownProposal();
+
+    /// @notice Thrown when a proposal is queued or executed from the wrong
+    /// state.
+    /// @param state The proposal's current state.
+    error UnexpectedProposalState(ProposalState state);
+
+    /// @notice Thrown when a queued proposal is executed before its timelock
+    /// has elapsed.
+    /// @param eta Timestamp from which it may be executed.
+    error TimelockNotElapsed(uint64 eta);
+
+    /// @notice Thrown when one of a proposal's calls reverts.
+    /// @param index Index of the failing action.
+    /// @param reason The revert data of the call.
+    error ActionFailed(uint256 index, bytes reason);
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice The factory that creates the proposal polls.
+    PollFactory public immutable factory;
+
+    /// @notice The strategy deciding who may vote on proposals.
+    IEligibility public immutable eligibility;
+
+    /// @notice How long each proposal poll accepts ballots, in seconds.
+    uint64 public immutable votingPeriod;
+
+    /// @notice How long a passed proposal waits in the queue before it can
+    /// be executed, in seconds.
+    uint64 public immutable timelockDelay;
+
+    /// @dev Every proposal, in creation order.
+    Proposal[] private _proposals;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the governor.
+    /// @param factory_ The factory to create proposal polls with.
+    /// @param eligibility_ The strategy deciding who may vote on proposals.
+    /// Without one, any address could vote and meet the quorum.
+    /// @param votingPeriod_ How long each proposal poll is open.
+    /// @param timelockDelay_ How long a passed proposal waits before it can
+    /// be executed; may be 0.
+    constructor(PollFactory factory_, IEligibility eligibility_, uint64 votingPeriod_, uint64 timelockDelay_) {
+        if (address(factory_).code.length == 0) revert InvalidFactory();
+        if (address(eligibility_).code.length == 0) revert InvalidEligibility();
+        if (votingPeriod_ == 0) revert InvalidVotingPeriod();
+        factory = factory_;
+        eligibility = eligibility_;
+        votingPeriod = votingPeriod_;
+        timelockDelay = timelockDelay_;
+    }
+
+    /// @notice Accepts ETH for proposals to spend.
+    receive() external payable {}
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @notice Creates a proposal and opens its poll for `votingPeriod`.
+    /// @dev Eligible voters vote 1 for and 0 against, directly on the
+    /// returned poll.
+    /// The poll's content hash commits to the actions. The motion passes
+    /// with a simple majority of the valid ballots.
+    /// @param targets The contract called by each action.
+    /// @param values The wei sent with each action.
+    /// @param calldatas The calldata of each action.
+    /// @param title Short title of the proposal.
+    /// @param description What the proposal does and why.
+    /// @param quorum Minimum number of eligible voters, at least 1.
+    /// @return proposalId Index of the new proposal.
+    function propose(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        string calldata title,
+        string calldata description,
+        uint32 quorum
+    ) external returns (uint256 proposalId) {
+        if (targets.length == 0 || targets.length != values.length || targets.length != calldatas.length) {
+            revert InvalidProposal();
+        }
+        if (quorum == 0) revert InvalidProposal();
+
+        FHEPoll poll = _createPoll(targets, values, calldatas, title, description);
+        poll.setEligibility(eligibility);
+        poll.setMinTurnout(quorum);
+
+        proposalId = _proposals.length;
+        Proposal storage proposal = _proposals.push();
+        proposal.poll = poll;
+        proposal.proposer = msg.sender;
+        proposal.quorum = quorum;
+        proposal.targets = targets;
+        proposal.values = values;
+        for (uint256 i = 0; i < calldatas.length; i++) {
+            proposal.calldatas.push(calldatas[i]);
+        }
+
+        emit ProposalCreated(proposalId, address(poll), msg.sender, quorum);
+    }
+
+    /// @notice Asks the decryption oracle to reveal whether a proposal's
+    /// motion passed.
+    /// @dev Callable by anyone once the poll has closed with at least the
+    /// quorum of voters. The poll only accepts the request from a tally role,
+    /// which the governor holds as its owner. Only the outcome is revealed;
+    /// the counts stay sealed.
+    /// @param proposalId Index of the proposal.
+    /// @return requestId The oracle request identifier.
+    function requestOutcome(uint256 proposalId) external returns (uint256 requestId) {
+        return _proposal(proposalId).poll.requestOutcome();
+    }
+
+    /// @notice Starts the timelock of a proposal whose motion passed.
+    /// @dev Callable by anyone once the poll's outcome has been revealed.
+    /// @param proposalId Index of the proposal.
+    /// @return eta Timestamp from which the proposal may be executed.
+    function queue(uint256 proposalId) external returns (uint64 eta) {
+        ProposalState currentState = state(proposalId);
+        if (currentState != ProposalState.Succeeded) revert UnexpectedProposalState(currentState);
+
+        eta = uint64(block.timestamp) + timelockDelay;
+        _proposals[proposalId].eta = eta;
+        emit ProposalQueued(proposalId, eta);
+    }
+
+    /// @notice Makes the calls of a queued proposal, in order.
+    /// @dev Callable by anyone once the timelock has elapsed. Any ETH sent
+    /// along stays with the governor. If one call reverts, the whole
+    /// execution does and the proposal stays queued.
+    /// @param proposalId Index of the proposal.
+    function execute(uint256 proposalId) external payable {
+        ProposalState currentState = state(proposalId);
+        if (currentState != ProposalState.Queued) revert UnexpectedProposalState(currentState);
+        Proposal storage proposal = _proposals[proposalId];
+        if (block.timestamp < proposal.eta) revert TimelockNotElapsed(proposal.eta);
+
+        proposal.executed = true;
+        for (uint256 i = 0; i < proposal.targets.length; i++) {
+            (bool success, bytes memory reason) = proposal.targets[i].call{value: proposal.values[i]}(
+                proposal.calldatas[i]
+            );
+            if (!success) revert ActionFailed(i, reason);
+        }
+        emit ProposalExecuted(proposalId);
+    }
+
+    /// @notice Returns where a proposal is in its lifecycle.
+    /// @param proposalId Index of the proposal.
+    /// @return The proposal's state.
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        Proposal storage proposal = _proposal(proposalId);
+        if (proposal.executed) return ProposalState.Executed;
+        if (proposal.eta != 0) return ProposalState.Queued;
+
+        FHEPoll poll = proposal.poll;
+        if (poll.status() != PollBase.PollStatus.Closed) return ProposalState.Active;
+        if (poll.isInvalid()) return ProposalState.Defeated;
+        if (!poll.isOutcomeRevealed()) return ProposalState.Counting;
+        return poll.passed() ? ProposalState.Succeeded : ProposalState.Defeated;
+    }
+
+    /// @notice Returns the number of proposals created so far.
+    function proposalCount() external view returns (uint256) {
+        return _proposals.length;
+    }
+
+    /// @notice Returns a proposal together with its actions.
+    /// @param proposalId Index of the proposal.
+    /// @return The proposal.
+    function getProposal(uint256 proposalId) external view returns (Proposal memory) {
+        return _proposal(proposalId);
+    }
+
+    // -------------------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------------------
+
+    /// @dev Creates the proposal's poll through the factory, open from now
+    /// until the end of the voting period.
+    function _createPoll(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        string calldata title,
+        string calldata description
+    ) private returns (FHEPoll) {
+        string[] memory optionLabels = new string[](2);
+        optionLabels[0] = "Against";
+        optionLabels[1] = "For";
+        PollFactory.PollMetadata memory metadata = PollFactory.PollMetadata({
+            title: title,
+            description: description,
+            optionLabels: optionLabels,
+            contentHash: keccak256(abi.encode(targets, values, calldatas))
+        });
+        return FHEPoll(factory.createPoll(0, uint64(block.timestamp) + votingPeriod, metadata));
+    }
+
+    /// @dev Returns a proposal, reverting if it does not exist.
+    function _proposal(uint256 proposalId) private view returns (Proposal storage) {
+        if (proposalId >= _proposals.length) revert UnknownProposal();
+        return _proposals[proposalId];
+    }
+}
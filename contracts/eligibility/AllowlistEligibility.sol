@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IEligibility} from "./IEligibility.sol";
+
+/// @title Owner‑Managed Allowlist Eligibility
+/// @author Your Name
+/// @notice Admits exactly the addresses its owner has added. Suitable for
+/// small, changing electorates such as a team or a committee. One allowlist
+/// can be shared by several polls.
+contract AllowlistEligibility is IEligibility {
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    /// @notice Emitted when an address is added to or removed from the list.
+    /// @param account The affected address.
+    /// @param allowed Whether `account` is now allowed to vote.
+    event AllowlistUpdated(address indexed account, bool allowed);
+
+    // -------------------------------------------------------------------------
+    // Errors
+    // -------------------------------------------------------------------------
+
+    /// @notice Thrown when the list is changed by someone other than the owner.
+    error NotOwner();
+
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice The account that manages the list.
+    address public immutable owner;
+
+    /// @notice Whether an address is allowed to vote.
+    mapping(address => bool) public isAllowed;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes an empty allowlist managed by the deployer.
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @notice Adds addresses to or removes them from the list.
+    /// @param accounts The addresses to update.
+    /// @param allowed Whether `accounts` should be allowed to vote.
+    function setAllowed(address[] calldata accounts, bool allowed) external {
+        if (msg.sender != owner) revert NotOwner();
+        for (uint256 i = 0; i < accounts.length; i++) {
+            isAllowed[accounts[i]] = allowed;
+            emit AllowlistUpdated(accounts[i], allowed);
+        }
+    }
+
+    /// @inheritdoc IEligibility
+    function isEligible(address voter, bytes calldata) external view returns (bool) {
+        return isAllowed[voter];
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IEligibility} from "./IEligibility.sol";
+
+/// @title ERC‑20 Minimum Balance Eligibility
+/// @author Your Name
+/// @notice Admits addresses holding at least `minBalance` of an ERC‑20 token
+/// at the time they vote.
+/// @dev The balance is read live rather than from a snapshot, so tokens moved
+/// to another address after voting let that address vote as well. Pair this
+/// strategy with a token whose transfers are restricted during the poll when
+/// that matters.
+contract ERC20BalanceEligibility is IEligibility {
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice The token whose balance is checked.
+    IERC20 public immutable token;
+
+    /// @notice Smallest balance, in the token's base units, that allows voting.
+    uint256 public immutable minBalance;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the strategy.
+    /// @param token_ The token whose balance is checked.
+    /// @param minBalance_ Smallest balance that allows voting.
+    constructor(IERC20 token_, uint256 minBalance_) {
+        token = token_;
+        minBalance = minBalance_;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @inheritdoc IEligibility
+    function isEligible(address voter, bytes calldata) external view returns (bool) {
+        return token.balanceOf(voter) >= minBalance;
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IEligibility} from "./IEligibility.sol";
+
+/// @title ERC‑721 Ownership Eligibility
+/// @author Your Name
+/// @notice Admits addresses owning at least one token of an ERC‑721
+/// collection at the time they vote.
+/// @dev As with `ERC20BalanceEligibility`, ownership is read live, so a token
+/// passed on after voting lets its new owner vote too.
+contract ERC721OwnershipEligibility is IEligibility {
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice The collection whose holders may vote.
+    IERC721 public immutable collection;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the strategy.
+    /// @param collection_ The collection whose holders may vote.
+    constructor(IERC721 collection_) {
+        collection = collection_;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @inheritdoc IEligibility
+    function isEligible(address voter, bytes calldata) external view returns (bool) {
+        return collection.balanceOf(voter) > 0;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title Voter Eligibility Hook
+/// @author Your Name
+/// @notice Decides whether an address may cast a ballot in a poll. A poll
+/// consults its eligibility strategy on every call to `castVote`, including
+/// ballot replacements, and rejects the ballot if the strategy says no.
+interface IEligibility {
+    /// @notice Returns whether `voter` may cast a ballot.
+    /// @param voter The address casting the ballot.
+    /// @param proof Strategy‑specific evidence supplied by the voter, such as
+    /// an ABI‑encoded Merkle proof. Strategies that need none ignore it.
+    /// @return True if the ballot should be accepted.
+    function isEligible(address voter, bytes calldata proof) external view returns (bool);
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {IEligibility} from "./IEligibility.sol";
+
+/// @title Merkle‑Root Allowlist Eligibility
+/// @author Your Name
+/// @notice Admits the addresses committed to by a Merkle root, so that large
+/// electorates can be fixed on chain at the cost of a single word. Voters pass
+/// their Merkle proof, ABI‑encoded as `bytes32[]`, with their ballot.
+/// @dev Leaves are `keccak256(bytes.concat(keccak256(abi.encode(voter))))`
+/// and pairs are hashed in sorted order, matching `scripts/merkle.js` and
+/// OpenZeppelin's `StandardMerkleTree`. Hashing the leaf twice keeps a leaf
+/// from ever being confused with an inner node.
+contract MerkleEligibility is IEligibility {
+    // -------------------------------------------------------------------------
+    // Storage
+    // -------------------------------------------------------------------------
+
+    /// @notice Root of the Merkle tree of eligible addresses.
+    bytes32 public immutable merkleRoot;
+
+    // -------------------------------------------------------------------------
+    // Constructor
+    // -------------------------------------------------------------------------
+
+    /// @notice Initializes the strategy with a fixed electorate.
+    /// @param merkleRoot_ Root of the Merkle tree of eligible addresses.
+    constructor(bytes32 merkleRoot_) {
+        merkleRoot = merkleRoot_;
+    }
+
+    // -------------------------------------------------------------------------
+    // External API
+    // -------------------------------------------------------------------------
+
+    /// @inheritdoc IEligibility
+    function isEligible(address voter, bytes calldata proof) external view returns (bool) {
+        if (proof.length == 0) return false;
+        bytes32[] memory merkleProof = abi.decode(proof, (bytes32[]));
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(voter))));
+        return MerkleProof.verify(merkleProof, merkleRoot, leaf);
+    }
+}
@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE, euint64} from "@fhevm/solidity/lib/FHE.sol";
+import {SepoliaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+import {IVotingPowerSource} from "../IVotingPowerSource.sol";
+
+/// @title Mock Confidential Token
+/// @notice Token with encrypted balances that exposes their history as voting
+/// power. Minting and transfers take clear amounts for convenience. Do not
+/// deploy to a live network.
+contract MockConfidentialToken is SepoliaConfig, IVotingPowerSource {
+    /// @dev A balance and the timestamp from which it applies.
+    struct Checkpoint {
+        uint64 timepoint;
+        euint64 balance;
+    }
+
+    /// @notice Thrown when voting power is requested for a timepoint that is
+    /// not yet in the past.
+    error FutureLookup(uint64 timepoint);
+
+    mapping(address => Checkpoint[]) private _checkpoints;
+
+    /// @notice Mints `amount` tokens to `to`.
+    function mint(address to, uint64 amount) external {
+        _writeBalance(to, FHE.add(_balanceOf(to), FHE.asEuint64(amount)));
+    }
+
+    /// @notice Moves `amount` tokens from the caller to `to`, or nothing if
+    /// the caller holds fewer.
+    function transfer(address to, uint64 amount) external {
+        euint64 fromBalance = _balanceOf(msg.sender);
+        euint64 moved = FHE.select(FHE.ge(fromBalance, amount), FHE.asEuint64(amount), FHE.asEuint64(0));
+        _writeBalance(msg.sender, FHE.sub(fromBalance, moved));
+        _writeBalance(to, FHE.add(_balanceOf(to), moved));
+    }
+
+    /// @notice Returns the current encrypted balance of `account`.
+    function confidentialBalanceOf(address account) external view returns (euint64) {
+        return _balanceOf(account);
+    }
+
+    /// @inheritdoc IVotingPowerSource
+    function votingPowerAt(address account, uint64 timepoint) external returns (euint64) {
+        if (timepoint >= block.timestamp) revert FutureLookup(timepoint);
+
+        euint64 balance;
+        Checkpoint[] storage checkpoints = _checkpoints[account];
+        for (uint256 i = checkpoints.length; i > 0; i--) {
+            if (checkpoints[i - 1].timepoint <= timepoint) {
+                balance = checkpoints[i - 1].balance;
+                break;
+            }
+        }
+        if (!FHE.isInitialized(balance)) {
+            balance = FHE.asEuint64(0);
+        }
+        FHE.allowTransient(balance, msg.sender);
+        return balance;
+    }
+
+    /// @dev Returns the latest balance of `account`, uninitialized if none.
+    function _balanceOf(address account) private view returns (euint64) {
+        Checkpoint[] storage checkpoints = _checkpoints[account];
+        return checkpoints.length == 0 ? euint64.wrap(0) : checkpoints[checkpoints.length - 1].balance;
+    }
+
+    /// @dev Records `balance` as the balance of `account` from this block on.
+    function _writeBalance(address account, euint64 balance) private {
+        FHE.allowThis(balance);
+        FHE.allow(balance, account);
+
+        Checkpoint[] storage checkpoints = _checkpoints[account];
+        if (checkpoints.length != 0 && checkpoints[checkpoints.length - 1].timepoint == block.timestamp) {
+            checkpoints[checkpoints.length - 1].balance = balance;
+        } else {
+            checkpoints.push(Checkpoint({timepoint: uint64(block.timestamp), balance: balance}));
+        }
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title Mock ERC‑20 Token
+/// @notice Freely mintable token for tests. Do not deploy to a live network.
+contract MockERC20 is ERC20 {
+    constructor() ERC20("Mock Token", "MOCK") {}
+
+    /// @notice Mints `amount` tokens to `to`.
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
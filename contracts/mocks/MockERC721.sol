@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/// @title Mock ERC‑721 Collection
+/// @notice Freely mintable collection for tests. Do not deploy to a live
+/// network.
+contract MockERC721 is ERC721 {
+    constructor() ERC721("Mock Collection", "MOCKNFT") {}
+
+    /// @notice Mints token `tokenId` to `to`.
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
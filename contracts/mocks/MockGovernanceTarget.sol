@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title Mock Governance Target
+/// @notice Records the calls a governor makes to it, for tests. Do not
+/// deploy to a live network.
+contract MockGovernanceTarget {
+    /// @notice Emitted on every successful call to `store`.
+    event Stored(address indexed caller, uint256 value, uint256 paid);
+
+    /// @notice Thrown by `fail`.
+    error TargetFailed();
+
+    /// @notice The last stored value.
+    uint256 public value;
+
+    /// @notice The account that last called `store`.
+    address public lastCaller;
+
+    /// @notice Stores `value_` and records the caller and any ETH sent.
+    function store(uint256 value_) external payable {
+        value = value_;
+        lastCaller = msg.sender;
+        emit Stored(msg.sender, value_, msg.value);
+    }
+
+    /// @notice Always reverts.
+    function fail() external pure {
+        revert TargetFailed();
+    }
+}
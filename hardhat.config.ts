@@ -1,6 +1,7 @@
 import "@fhevm/hardhat-plugin";
 import "@nomicfoundation/hardhat-ethers";
 import type { HardhatUserConfig } from "hardhat/config";
+import "./tasks/poll";
 
 /**
  * Basic Hardhat configuration for compiling a confidential poll contract.
@@ -8,13 +9,17 @@ import type { HardhatUserConfig } from "hardhat/config";
  * This configuration imports the fhEVM plugin so that the Solidity compiler
  * understands the encrypted types provided by `@fhevm/solidity`. It also
  * includes the default `ethers` plugin for interacting with the compiled
- * artifacts in tests and scripts. Only the Solidity version is specified to
- * keep the config minimal; further customization (networks, gas reporting,
- * TypeChain) can be added as required for deployment or testing.
+ * artifacts in tests and scripts. The `poll:*` tasks in `tasks/poll.ts` drive
+ * the poll workflow from the command line. The optimizer keeps `FHEPoll`
+ * below the 24 KB contract size limit. Further customization (networks, gas
+ * reporting, TypeChain) can be added as required for deployment or testing.
  */
 const config: HardhatUserConfig = {
   solidity: {
     version: "0.8.24",
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
   },
 };
 
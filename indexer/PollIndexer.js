@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Poll Event Indexer
+ *
+ * Follows a JSON-RPC node and ingests the events of every confidential poll
+ * into a `JsonStore`. A poll is picked up from the `PollOpened` event it
+ * emits when it is deployed or initialized as a clone; `PollFactory`'s
+ * `PollCreated` adds its creator and kind. Any contract can emit a
+ * look-alike `PollCreated`, so it is only taken from the configured
+ * factories. Only addresses and timestamps are stored, never ciphertexts.
+ *
+ * Each sync first checks that the last indexed block is still canonical. If
+ * it is not, the store is rolled back to the newest recorded block that
+ * still is, and indexing resumes from there. A reorg that happens while a
+ * range is being fetched, detected by its logs or by the hash of its last
+ * block changing, ends the pass at the last stored range, so the next pass
+ * detects it and resumes from the checkpoint.
+ */
+
+const { ethers } = require("ethers");
+
+const POLL_EVENTS = new ethers.Interface([
+  "event PollOpened(uint64 startTime, uint64 endTime)",
+  "event VoteCast(address indexed voter)",
+  "event VoteReplaced(address indexed voter)",
+  "event PollClosed(address indexed closedBy, uint64 closedAt)",
+  "event PollInvalidated(uint32 turnout, uint32 minTurnout)",
+  "event TallyRevealed(uint256 indexed requestId, uint32 tally)",
+  "event NoisyTallyRevealed(uint256 indexed requestId, int256 noisyTally, uint32 noiseBound, uint32 noiseOffset)",
+  "event PollCreated(address indexed poll, address indexed creator, uint8 kind, uint256 pollId, bytes32 contentHash)",
+]);
+
+// Mirrors PollFactory.PollKind
+const FACTORY_POLL_KINDS = ["binary", "multi"];
+
+const TOPICS = POLL_EVENTS.fragments
+  .filter(fragment => fragment.type === "event")
+  .map(fragment => fragment.topicHash);
+
+/**
+ * Indexes poll events from a JSON-RPC node into a store
+ */
+class PollIndexer {
+  /**
+   * @param {Object} options - Indexer options
+   * @param {import("ethers").Provider} options.provider - The node to follow
+   * @param {import("./store").JsonStore} options.store - Where events go
+   * @param {number} [options.startBlock=0] - First block to index
+   * @param {number} [options.confirmations=0] - Blocks to stay behind the head
+   * @param {number} [options.batchSize=500] - Blocks per `eth_getLogs` call
+   * @param {number} [options.reorgDepth=64] - Recent blocks kept for reorg detection
+   * @param {string[]} [options.factories=[]] - Factories whose `PollCreated`
+   * events are trusted; those of any other contract are dropped
+   */
+  constructor({ provider, store, startBlock = 0, confirmations = 0, batchSize = 500, reorgDepth = 64, factories = [] }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.factories = new Set(factories.map(factory => ethers.getAddress(factory)));
+    this._timer = null;
+  }
+
+  /**
+   * Indexes every block up to the current head, minus the confirmations.
+   * Stops early if a range changes while it is being fetched.
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorged: boolean}>}
+   * - What this pass did; `toBlock` is the last block indexed
+   */
+  async sync() {
+    let reorged = await this._handleReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.store.checkpoint === null ? this.startBlock : this.store.checkpoint.blockNumber + 1;
+
+    let events = 0;
+    let toBlock = fromBlock - 1;
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const indexed = await this._indexRange(from, to);
+      // Leave the rest to the next pass, which rolls back from the checkpoint
+      if (indexed === null) {
+        reorged = true;
+        break;
+      }
+      events += indexed;
+      toBlock = to;
+    }
+    return { fromBlock, toBlock, events, reorged };
+  }
+
+  /**
+   * Keeps syncing at a fixed interval until `stop()` is called
+   * @param {number} [intervalMs=2000] - Delay between passes
+   * @param {function(Error): void} [onError] - Called when a pass fails; the
+   * next pass retries from the checkpoint
+   */
+  start(intervalMs = 2000, onError = error => console.error(error)) {
+    const pass = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        onError(error);
+      }
+      if (this._timer !== null) {
+        this._timer = setTimeout(pass, intervalMs);
+      }
+    };
+    this._timer = setTimeout(pass, 0);
+  }
+
+  /**
+   * Stops the loop started by `start()`
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Rolls the store back if the last indexed block is no longer canonical
+   * @returns {Promise<boolean>} - Whether a reorg was found
+   * @private
+   */
+  async _handleReorg() {
+    const checkpoint = this.store.checkpoint;
+    if (checkpoint === null || (await this._isCanonical(checkpoint.blockNumber, checkpoint.blockHash))) {
+      return false;
+    }
+
+    let ancestor = null;
+    for (const [blockNumber, blockHash] of this.store.recentBlocks()) {
+      if (await this._isCanonical(blockNumber, blockHash)) {
+        ancestor = { blockNumber, blockHash };
+        break;
+      }
+    }
+    this.store.rollback(ancestor);
+    return true;
+  }
+
+  /**
+   * Checks whether a block is still part of the chain
+   * @param {number} blockNumber - The block number
+   * @param {string} blockHash - The hash recorded for it
+   * @returns {Promise<boolean>} - True if the node's block has that hash
+   * @private
+   */
+  async _isCanonical(blockNumber, blockHash) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block !== null && block.hash === blockHash;
+  }
+
+  /**
+   * Fetches, decodes and stores the poll events of a block range
+   * @param {number} fromBlock - First block of the range
+   * @param {number} toBlock - Last block of the range
+   * @returns {Promise<number|null>} - The number of events stored, or null
+   * if the range changed while it was fetched and nothing was stored
+   * @private
+   */
+  async _indexRange(fromBlock, toBlock) {
+    // The logs belong to the chain that ends in `lastBlock` only if that
+    // block is still there once they have been fetched
+    const lastBlock = await this.provider.getBlock(toBlock);
+    const logs = await this.provider.getLogs({ fromBlock, toBlock, topics: [TOPICS] });
+    if (lastBlock === null || !(await this._isCanonical(toBlock, lastBlock.hash))) {
+      return null;
+    }
+
+    const blocks = new Map();
+    const events = [];
+    for (const log of logs) {
+      if (!blocks.has(log.blockNumber)) {
+        blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+      }
+      const block = blocks.get(log.blockNumber);
+      if (block === null || block.hash !== log.blockHash) {
+        return null;
+      }
+      const event = this._decode(log, block.timestamp);
+      if (event !== null) {
+        events.push(event);
+      }
+    }
+
+    const blockHashes = Object.fromEntries([...blocks].map(([number, block]) => [number, block.hash]));
+    this.store.append(events, { blockNumber: toBlock, blockHash: lastBlock.hash }, blockHashes, this.reorgDepth);
+    return events.length;
+  }
+
+  /**
+   * Turns a log into a stored event: addresses, numbers and timestamps only
+   * @param {import("ethers").Log} log - The raw log
+   * @param {number} timestamp - The timestamp of its block
+   * @returns {Object|null} - The stored event, or null for a `PollCreated`
+   * log from a contract that is not a configured factory
+   * @private
+   */
+  _decode(log, timestamp) {
+    const { name, args } = POLL_EVENTS.parseLog(log);
+    const event = {
+      name,
+      poll: log.address,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      timestamp,
+    };
+
+    switch (name) {
+      case "PollOpened":
+        return { ...event, startTime: Number(args.startTime), endTime: Number(args.endTime) };
+      case "VoteCast":
+      case "VoteReplaced":
+        return { ...event, voter: args.voter };
+      case "PollClosed":
+        return { ...event, closedBy: args.closedBy, closedAt: Number(args.closedAt) };
+      case "PollInvalidated":
+        return { ...event, turnout: Number(args.turnout), minTurnout: Number(args.minTurnout) };
+      case "TallyRevealed":
+        return { ...event, tally: Number(args.tally) };
+      case "NoisyTallyRevealed":
+        return { ...event, noisyTally: Number(args.noisyTally), noiseBound: Number(args.noiseBound) };
+      default: // PollCreated is emitted by the factory, about the clone
+        if (!this.factories.has(ethers.getAddress(log.address))) {
+          return null;
+        }
+        return { ...event, poll: args.poll, creator: args.creator, kind: FACTORY_POLL_KINDS[Number(args.kind)] };
+    }
+  }
+}
+
+module.exports = {
+  PollIndexer,
+  POLL_EVENTS,
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Poll Indexer Entry Point
+ *
+ * Usage: node indexer/index.js [--rpc http://127.0.0.1:8545] [--db indexer.json]
+ *                              [--port 3000] [--from-block 0] [--confirmations 0]
+ *                              [--factories 0x…,0x…]
+ *
+ * Follows the node, keeps the store in `--db` so that a restart resumes from
+ * the checkpoint, and serves the read API on `--port`. Creators and kinds are
+ * only recorded for polls created by the `--factories`.
+ */
+
+const { ethers } = require("ethers");
+
+const { JsonStore } = require("./store");
+const { PollIndexer, POLL_EVENTS } = require("./PollIndexer");
+const { createServer } = require("./server");
+
+/**
+ * Parses `--name value` pairs
+ * @param {string[]} argv - The command-line arguments
+ * @returns {Object} - The options, with defaults applied
+ * @throws {Error} - On an unknown option or a missing value
+ */
+function parseArgs(argv) {
+  const options = {
+    rpc: "http://127.0.0.1:8545", db: "indexer.json", port: 3000, fromBlock: 0, confirmations: 0, factories: "",
+  };
+  const names = {
+    "--rpc": "rpc",
+    "--db": "db",
+    "--port": "port",
+    "--from-block": "fromBlock",
+    "--confirmations": "confirmations",
+    "--factories": "factories",
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = names[argv[i]];
+    if (name === undefined || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${argv[i]}`);
+    }
+    options[name] = typeof options[name] === "number" ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const store = new JsonStore(options.db);
+  const indexer = new PollIndexer({
+    provider: new ethers.JsonRpcProvider(options.rpc),
+    store,
+    startBlock: options.fromBlock,
+    confirmations: options.confirmations,
+    factories: options.factories.split(",").filter(Boolean),
+  });
+
+  indexer.start();
+  createServer(store).listen(options.port, () => {
+    console.log(`Indexing ${options.rpc} into ${options.db}; API on http://localhost:${options.port}`);
+  });
+}
+
+module.exports = {
+  JsonStore,
+  PollIndexer,
+  POLL_EVENTS,
+  createServer,
+  parseArgs,
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Read API for the Poll Indexer
+ *
+ * Serves the indexed data as JSON over plain HTTP:
+ *   GET /status              – the checkpoint
+ *   GET /polls               – every poll with its turnout and timing
+ *   GET /polls/:addr         – one poll
+ *   GET /polls/:addr/voters  – who voted and when; never ciphertexts or choices
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} statusCode - The HTTP status
+ * @param {Object} body - The payload
+ */
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Resolves a request path to a payload
+ * @param {import("./store").JsonStore} store - The indexed data
+ * @param {string} pathname - The request path
+ * @returns {[number, Object]} - The HTTP status and the payload
+ */
+function route(store, pathname) {
+  const segments = pathname.split("/").filter(Boolean);
+
+  if (segments.length === 1 && segments[0] === "status") {
+    return [200, { checkpoint: store.checkpoint }];
+  }
+  if (segments[0] !== "polls" || segments.length > 3 || (segments.length === 3 && segments[2] !== "voters")) {
+    return [404, { error: `Unknown route ${pathname}` }];
+  }
+  if (segments.length === 1) {
+    return [200, store.listPolls()];
+  }
+
+  if (!ethers.isAddress(segments[1])) {
+    return [400, { error: `Invalid poll address ${segments[1]}` }];
+  }
+  const address = ethers.getAddress(segments[1]);
+  const payload = segments.length === 2 ? store.getPoll(address) : store.getVoters(address);
+  return payload === null ? [404, { error: `Unknown poll ${address}` }] : [200, payload];
+}
+
+/**
+ * Creates the HTTP server; call `listen(port)` on it to serve
+ * @param {import("./store").JsonStore} store - The indexed data
+ * @returns {http.Server} - The server
+ */
+function createServer(store) {
+  return http.createServer((request, response) => {
+    if (request.method !== "GET") {
+      sendJson(response, 405, { error: "Only GET is supported" });
+      return;
+    }
+    const [statusCode, body] = route(store, new URL(request.url, "http://localhost").pathname);
+    sendJson(response, statusCode, body);
+  });
+}
+
+module.exports = {
+  createServer,
+};
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Embedded Store for the Poll Indexer
+ *
+ * Keeps the indexed poll events, the checkpoint and the hashes of recently
+ * indexed blocks in memory, and persists them to a single JSON file that is
+ * replaced atomically. Poll and voter views are derived from the raw events
+ * on read, so that rolling back a reorg only means dropping events.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Store for indexed poll events
+ */
+class JsonStore {
+  /**
+   * @param {string|null} [filePath] - Where to persist the store; kept in
+   * memory only when omitted
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.state = JsonStore.emptyState();
+    if (filePath !== null && fs.existsSync(filePath)) {
+      this.state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+  }
+
+  /**
+   * The state of a store that has indexed nothing yet
+   * @returns {Object} - The empty state
+   */
+  static emptyState() {
+    return {
+      checkpoint: null, // { blockNumber, blockHash } of the last indexed block
+      blockHashes: {}, // block number -> hash, for recently indexed blocks
+      events: [],
+    };
+  }
+
+  /**
+   * The last indexed block
+   * @returns {{blockNumber: number, blockHash: string}|null} - The checkpoint
+   */
+  get checkpoint() {
+    return this.state.checkpoint;
+  }
+
+  /**
+   * The hashes of recently indexed blocks, newest first
+   * @returns {Array<[number, string]>} - Block number and hash pairs
+   */
+  recentBlocks() {
+    return Object.entries(this.state.blockHashes)
+      .map(([blockNumber, blockHash]) => [Number(blockNumber), blockHash])
+      .sort((a, b) => b[0] - a[0]);
+  }
+
+  /**
+   * Records a batch of events and advances the checkpoint
+   * @param {Object[]} events - The decoded events, in chain order
+   * @param {{blockNumber: number, blockHash: string}} checkpoint - The last block of the batch
+   * @param {Object<number, string>} blockHashes - Hashes of the blocks the batch touched
+   * @param {number} keepBlocks - How many recent block hashes to keep for reorg detection
+   */
+  append(events, checkpoint, blockHashes, keepBlocks) {
+    this.state.events.push(...events);
+    Object.assign(this.state.blockHashes, blockHashes, { [checkpoint.blockNumber]: checkpoint.blockHash });
+    for (const [blockNumber] of this.recentBlocks().slice(keepBlocks)) {
+      delete this.state.blockHashes[blockNumber];
+    }
+    this.state.checkpoint = checkpoint;
+    this.save();
+  }
+
+  /**
+   * Drops everything indexed after a block that is still canonical
+   * @param {{blockNumber: number, blockHash: string}|null} ancestor - The
+   * last block both chains share, or null to start over
+   */
+  rollback(ancestor) {
+    const keepUpTo = ancestor === null ? -1 : ancestor.blockNumber;
+    this.state.events = this.state.events.filter(event => event.blockNumber <= keepUpTo);
+    for (const [blockNumber] of this.recentBlocks()) {
+      if (blockNumber > keepUpTo) {
+        delete this.state.blockHashes[blockNumber];
+      }
+    }
+    this.state.checkpoint = ancestor;
+    this.save();
+  }
+
+  /**
+   * Writes the state to disk through a temporary file, so that a crash never
+   * leaves a half-written store behind
+   */
+  save() {
+    if (this.filePath === null) {
+      return;
+    }
+    const temporary = path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.tmp`);
+    fs.writeFileSync(temporary, JSON.stringify(this.state));
+    fs.renameSync(temporary, this.filePath);
+  }
+
+  /**
+   * Summarizes every indexed poll
+   * @returns {Object[]} - One summary per poll, in the order they opened
+   */
+  listPolls() {
+    const polls = new Map();
+    for (const event of this.state.events) {
+      if (event.name === "PollOpened") {
+        polls.set(event.poll, JsonStore._newPoll(event));
+      }
+      const poll = polls.get(event.poll);
+      if (poll !== undefined) {
+        JsonStore._applyEvent(poll, event);
+      }
+    }
+    return [...polls.values()].map(({ voters, ...summary }) => ({ ...summary, turnout: voters.size }));
+  }
+
+  /**
+   * Summarizes one poll
+   * @param {string} address - The checksummed poll address
+   * @returns {Object|null} - The summary, or null if the poll is unknown
+   */
+  getPoll(address) {
+    return this.listPolls().find(poll => poll.address === address) ?? null;
+  }
+
+  /**
+   * Lists who voted in a poll and when, never what they chose
+   * @param {string} address - The checksummed poll address
+   * @returns {Object[]|null} - One entry per voter, or null if the poll is unknown
+   */
+  getVoters(address) {
+    if (this.getPoll(address) === null) {
+      return null;
+    }
+
+    const voters = new Map();
+    for (const event of this.state.events) {
+      if (event.poll !== address || (event.name !== "VoteCast" && event.name !== "VoteReplaced")) {
+        continue;
+      }
+      const entry = voters.get(event.voter) ?? { voter: event.voter, firstVotedAt: event.timestamp, ballots: 0 };
+      entry.lastVotedAt = event.timestamp;
+      entry.ballots += 1;
+      voters.set(event.voter, entry);
+    }
+    return [...voters.values()];
+  }
+
+  /**
+   * Creates the summary of a poll from its PollOpened event
+   * @param {Object} event - The PollOpened event
+   * @returns {Object} - The summary
+   * @private
+   */
+  static _newPoll(event) {
+    return {
+      address: event.poll,
+      openedAt: event.timestamp,
+      openedInBlock: event.blockNumber,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      creator: null,
+      kind: null,
+      voters: new Set(),
+      ballots: 0,
+      replacements: 0,
+      firstVoteAt: null,
+      lastVoteAt: null,
+      closedAt: null,
+      closedBy: null,
+      invalid: false,
+      revealedTally: null,
+      noisyTally: null,
+      noiseBound: null,
+    };
+  }
+
+  /**
+   * Folds one event into a poll summary
+   * @param {Object} poll - The summary being built
+   * @param {Object} event - The event
+   * @private
+   */
+  static _applyEvent(poll, event) {
+    switch (event.name) {
+      case "PollCreated":
+        poll.creator = event.creator;
+        poll.kind = event.kind;
+        break;
+      case "VoteCast":
+      case "VoteReplaced":
+        poll.voters.add(event.voter);
+        poll.ballots += 1;
+        poll.replacements += event.name === "VoteReplaced" ? 1 : 0;
+        poll.firstVoteAt ??= event.timestamp;
+        poll.lastVoteAt = event.timestamp;
+        break;
+      case "PollClosed":
+        poll.closedAt = event.closedAt;
+        poll.closedBy = event.closedBy;
+        break;
+      case "PollInvalidated":
+        poll.invalid = true;
+        break;
+      case "TallyRevealed":
+        poll.revealedTally = event.tally;
+        break;
+      case "NoisyTallyRevealed":
+        poll.noisyTally = event.noisyTally;
+        poll.noiseBound = event.noiseBound;
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+module.exports = {
+  JsonStore,
+};
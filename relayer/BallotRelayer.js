@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Ballot Relayer
+ *
+ * Queues ballots that voters encrypted and signed with
+ * `PollClient.signVote`, and submits them in batches through
+ * `castVoteBySig`, paying the gas from the relayer's own account. Each
+ * ballot is checked off chain and simulated before it is sent, so that a
+ * forged, expired or replayed ballot costs the relayer nothing.
+ */
+
+const { ethers } = require("ethers");
+
+const { POLL_ABI, PollError, decodePollError, recoverBallotSigner } = require("../sdk");
+
+/**
+ * Queues signed ballots and submits them through `castVoteBySig`
+ */
+class BallotRelayer {
+  /**
+   * @param {Object} options - Relayer options
+   * @param {import("ethers").Signer} options.signer - The account that pays
+   * for the transactions
+   * @param {string[]} [options.polls] - Polls to relay for; every poll when
+   * omitted
+   * @param {number} [options.batchSize=20] - Ballots submitted per batch
+   */
+  constructor({ signer, polls, batchSize = 20 }) {
+    this.signer = signer;
+    this.polls = polls === undefined ? null : new Set(polls.map(poll => ethers.getAddress(poll)));
+    this.batchSize = batchSize;
+    this._queue = [];
+    this._ballots = new Map();
+    this._flushing = Promise.resolve();
+    this._timer = null;
+  }
+
+  /**
+   * Number of ballots waiting to be submitted
+   * @returns {number} - The queue length
+   */
+  get pending() {
+    return this._queue.length;
+  }
+
+  /**
+   * Checks a signed ballot and queues it
+   * @param {Object} ballot - A ballot from `PollClient.signVote`, possibly
+   * parsed from JSON
+   * @returns {Promise<string>} - The ballot id, for `getStatus`
+   * @throws {PollError} - If the ballot is malformed, for another poll,
+   * expired, not signed by its voter, or already used or queued
+   */
+  async enqueue(ballot) {
+    const normalized = normalizeBallot(ballot);
+    if (this.polls !== null && !this.polls.has(normalized.poll)) {
+      throw new PollError(`Not relaying for poll ${normalized.poll}`);
+    }
+
+    const id = `${normalized.poll}:${normalized.voter}:${normalized.nonce}`;
+    if (this._ballots.has(id) && this._ballots.get(id).status !== "failed") {
+      throw new PollError(`Ballot ${id} was already received`);
+    }
+
+    const provider = this.signer.provider;
+    const { chainId } = await provider.getNetwork();
+    if (recoverBallotSigner(normalized, chainId) !== normalized.voter) {
+      throw new PollError(`Ballot ${id} was not signed by its voter`);
+    }
+    const { timestamp } = await provider.getBlock("latest");
+    if (BigInt(timestamp) >= normalized.deadline) {
+      throw new PollError(`Ballot ${id} expired`);
+    }
+    const poll = new ethers.Contract(normalized.poll, POLL_ABI, provider);
+    if ((await poll.nonces(normalized.voter)) !== normalized.nonce) {
+      throw new PollError(`Ballot ${id} does not use the voter's current nonce`);
+    }
+
+    this._ballots.set(id, { status: "queued" });
+    this._queue.push({ id, ballot: normalized });
+    if (this._queue.length >= this.batchSize) {
+      // Failures are recorded per ballot
+      this.flush().catch(() => {});
+    }
+    return id;
+  }
+
+  /**
+   * Returns what became of a ballot
+   * @param {string} id - The id returned by `enqueue`
+   * @returns {{status: "queued"|"submitted"|"failed", transactionHash?: string, error?: string}|null}
+   * - The ballot status, or null for an unknown id
+   */
+  getStatus(id) {
+    return this._ballots.get(id) ?? null;
+  }
+
+  /**
+   * Submits every queued ballot, one batch at a time
+   * @returns {Promise<Object[]>} - The status of each ballot submitted
+   */
+  flush() {
+    const flushed = this._flushing.then(async () => {
+      const results = [];
+      while (this._queue.length > 0) {
+        results.push(...(await this._submitBatch(this._queue.splice(0, this.batchSize))));
+      }
+      return results;
+    });
+    this._flushing = flushed.catch(() => {});
+    return flushed;
+  }
+
+  /**
+   * Keeps flushing the queue at a fixed interval until `stop()` is called
+   * @param {number} [intervalMs=5000] - Delay between flushes
+   * @param {function(Error): void} [onError] - Called when a flush fails
+   */
+  start(intervalMs = 5000, onError = error => console.error(error)) {
+    this._timer = setInterval(() => this.flush().catch(onError), intervalMs);
+  }
+
+  /**
+   * Stops the loop started by `start()`; queued ballots stay queued
+   */
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Simulates and sends a batch back to back, then waits for all receipts
+   * @param {Array<{id: string, ballot: Object}>} batch - The ballots
+   * @returns {Promise<Object[]>} - The status of each ballot
+   * @private
+   */
+  async _submitBatch(batch) {
+    const sent = [];
+    for (const { id, ballot } of batch) {
+      const poll = new ethers.Contract(ballot.poll, POLL_ABI, this.signer);
+      const castVoteBySig = ballot.eligibilityProof === undefined
+        ? poll.getFunction("castVoteBySig(address,bytes32,bytes,uint256,bytes)")
+        : poll.getFunction("castVoteBySig(address,bytes32,bytes,bytes,uint256,bytes)");
+      const args = ballot.eligibilityProof === undefined
+        ? [ballot.voter, ballot.handle, ballot.inputProof, ballot.deadline, ballot.signature]
+        : [ballot.voter, ballot.handle, ballot.inputProof, ballot.eligibilityProof, ballot.deadline, ballot.signature];
+
+      try {
+        // Anything that would revert is dropped before it costs gas
+        await castVoteBySig.staticCall(...args);
+        sent.push({ id, poll, transaction: await castVoteBySig(...args) });
+      } catch (error) {
+        this._fail(id, decodePollError(error, poll.interface));
+      }
+    }
+
+    for (const { id, poll, transaction } of sent) {
+      try {
+        await transaction.wait();
+        this._ballots.set(id, { status: "submitted", transactionHash: transaction.hash });
+      } catch (error) {
+        this._fail(id, decodePollError(error, poll.interface));
+      }
+    }
+    return batch.map(({ id }) => ({ id, ...this._ballots.get(id) }));
+  }
+
+  /**
+   * Records why a ballot could not be submitted
+   * @param {string} id - The ballot id
+   * @param {Error} error - The decoded error
+   * @private
+   */
+  _fail(id, error) {
+    this._ballots.set(id, { status: "failed", error: error.reason ?? error.message });
+  }
+}
+
+/**
+ * Validates the fields of a signed ballot and normalizes their types
+ * @param {Object} ballot - The ballot as received
+ * @returns {Object} - The ballot with checksummed addresses and bigint numbers
+ * @throws {PollError} - If a field is missing or malformed
+ */
+function normalizeBallot(ballot) {
+  try {
+    const normalized = {
+      poll: ethers.getAddress(ballot.poll),
+      voter: ethers.getAddress(ballot.voter),
+      handle: ethers.hexlify(ethers.getBytes(ballot.handle)),
+      nonce: BigInt(ballot.nonce),
+      deadline: BigInt(ballot.deadline),
+      inputProof: ethers.hexlify(ethers.getBytes(ballot.inputProof)),
+      eligibilityProof: ballot.eligibilityProof === undefined || ballot.eligibilityProof === null
+        ? undefined
+        : ethers.hexlify(ethers.getBytes(ballot.eligibilityProof)),
+      signature: ethers.hexlify(ethers.getBytes(ballot.signature)),
+    };
+    if (ethers.dataLength(normalized.handle) !== 32) {
+      throw new Error("handle must be 32 bytes");
+    }
+    return normalized;
+  } catch (error) {
+    throw new PollError(`Malformed ballot: ${error.shortMessage ?? error.message}`, { cause: error });
+  }
+}
+
+module.exports = {
+  BallotRelayer,
+  normalizeBallot,
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Ballot Relayer Entry Point
+ *
+ * Usage: RELAYER_PRIVATE_KEY=0x… node relayer/index.js [--rpc http://127.0.0.1:8545]
+ *          [--port 3001] [--batch-size 20] [--interval 5000] [--polls 0xabc,0xdef]
+ *
+ * Accepts signed ballots over HTTP and submits them in batches from the
+ * account of `RELAYER_PRIVATE_KEY`, which pays the gas.
+ */
+
+const { ethers } = require("ethers");
+
+const { BallotRelayer, normalizeBallot } = require("./BallotRelayer");
+const { createServer } = require("./server");
+
+/**
+ * Parses `--name value` pairs
+ * @param {string[]} argv - The command-line arguments
+ * @returns {Object} - The options, with defaults applied
+ * @throws {Error} - On an unknown option or a missing value
+ */
+function parseArgs(argv) {
+  const options = { rpc: "http://127.0.0.1:8545", port: 3001, batchSize: 20, interval: 5000, polls: undefined };
+  const names = {
+    "--rpc": "rpc",
+    "--port": "port",
+    "--batch-size": "batchSize",
+    "--interval": "interval",
+    "--polls": "polls",
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = names[argv[i]];
+    if (name === undefined || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${argv[i]}`);
+    }
+    const value = argv[i + 1];
+    options[name] = name === "polls" ? value.split(",") : name === "rpc" ? value : Number(value);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (!process.env.RELAYER_PRIVATE_KEY) {
+      throw new Error("RELAYER_PRIVATE_KEY is not set");
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(options.rpc);
+  const signer = new ethers.NonceManager(new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider));
+  const relayer = new BallotRelayer({ signer, polls: options.polls, batchSize: options.batchSize });
+
+  relayer.start(options.interval);
+  createServer(relayer).listen(options.port, async () => {
+    console.log(`Relaying from ${await signer.getAddress()} via ${options.rpc}; API on http://localhost:${options.port}`);
+  });
+}
+
+module.exports = {
+  BallotRelayer,
+  normalizeBallot,
+  createServer,
+  parseArgs,
+};
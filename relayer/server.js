@@ -0,0 +1,84 @@
+/**
+ * @fileoverview HTTP API for the Ballot Relayer
+ *
+ *   POST /ballots      – queue a signed ballot; answers 202 with its id
+ *   GET  /ballots/:id  – what became of a ballot
+ *   GET  /status       – the relayer's address and queue length
+ */
+
+const http = require("http");
+
+// Signed ballots carry a proof of a few hundred bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} statusCode - The HTTP status
+ * @param {Object} body - The payload
+ */
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<Object>} - The parsed body
+ * @throws {Error} - If the body is too large or not JSON
+ */
+async function readJson(request) {
+  let body = "";
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      throw new Error("Request body too large");
+    }
+  }
+  return JSON.parse(body);
+}
+
+/**
+ * Creates the HTTP server; call `listen(port)` on it to serve
+ * @param {import("./BallotRelayer").BallotRelayer} relayer - The relayer
+ * @returns {http.Server} - The server
+ */
+function createServer(relayer) {
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const segments = pathname.split("/").filter(Boolean);
+
+    if (request.method === "POST" && pathname === "/ballots") {
+      try {
+        const id = await relayer.enqueue(await readJson(request));
+        sendJson(response, 202, { id });
+      } catch (error) {
+        sendJson(response, 400, { error: error.message });
+      }
+      return;
+    }
+    if (request.method !== "GET") {
+      sendJson(response, 405, { error: `${request.method} is not supported on ${pathname}` });
+      return;
+    }
+
+    if (pathname === "/status") {
+      try {
+        sendJson(response, 200, { relayer: await relayer.signer.getAddress(), pending: relayer.pending });
+      } catch (error) {
+        // The signer may need the node to answer, and the node may be down
+        sendJson(response, 500, { error: error.message });
+      }
+    } else if (segments.length === 2 && segments[0] === "ballots") {
+      const status = relayer.getStatus(decodeURIComponent(segments[1]));
+      sendJson(response, status === null ? 404 : 200, status ?? { error: `Unknown ballot ${segments[1]}` });
+    } else {
+      sendJson(response, 404, { error: `Unknown route ${pathname}` });
+    }
+  });
+}
+
+module.exports = {
+  createServer,
+};
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Merkle Allowlist Helpers
+ *
+ * Builds the Merkle tree that MerkleEligibility commits to from a list of
+ * voter addresses, usually read from a CSV file, and produces the proofs
+ * voters pass to `castVote`. Leaves and pair hashing match the contract and
+ * OpenZeppelin's StandardMerkleTree:
+ * `keccak256(keccak256(abi.encode(address)))` leaves, sorted pairs.
+ *
+ * Usage: node scripts/merkle.js voters.csv
+ * Prints the root and every voter's encoded proof as JSON.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Extracts voter addresses from CSV text
+ *
+ * The address is taken from the first column of each row. A header row,
+ * blank lines and duplicates are skipped; addresses are checksummed.
+ * @param {string} csvText - The CSV file contents
+ * @returns {string[]} - The unique checksummed addresses, in file order
+ * @throws {Error} - If a row other than the first holds no valid address
+ */
+function parseAddressCsv(csvText) {
+  const addresses = [];
+  const seen = new Set();
+
+  csvText.split(/\r?\n/).forEach((line, index) => {
+    const cell = line.split(",")[0].trim().replace(/^"|"$/g, "");
+    if (cell === "") {
+      return;
+    }
+    if (!ethers.isAddress(cell)) {
+      if (index === 0) {
+        return; // Header row
+      }
+      throw new Error(`Invalid address on line ${index + 1}: ${cell}`);
+    }
+
+    const address = ethers.getAddress(cell);
+    if (!seen.has(address)) {
+      seen.add(address);
+      addresses.push(address);
+    }
+  });
+
+  return addresses;
+}
+
+/**
+ * Computes the leaf hash of a voter address
+ * @param {string} address - The voter address
+ * @returns {string} - The leaf hash
+ */
+function hashLeaf(address) {
+  return ethers.keccak256(ethers.keccak256(abiCoder.encode(["address"], [address])));
+}
+
+/**
+ * Hashes two nodes in sorted order, as OpenZeppelin's MerkleProof expects
+ * @param {string} a - The first node
+ * @param {string} b - The second node
+ * @returns {string} - The parent node
+ */
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Merkle tree over a set of voter addresses
+ */
+class AddressMerkleTree {
+  /**
+   * @param {string[]} addresses - The eligible voter addresses
+   * @throws {Error} - If the list is empty
+   */
+  constructor(addresses) {
+    if (addresses.length === 0) {
+      throw new Error("Cannot build a Merkle tree without addresses");
+    }
+
+    this.addresses = addresses.map(address => ethers.getAddress(address));
+    this.leafIndex = new Map(this.addresses.map((address, index) => [address, index]));
+    this.layers = [this.addresses.map(hashLeaf)];
+
+    while (this.layers[this.layers.length - 1].length > 1) {
+      const layer = this.layers[this.layers.length - 1];
+      const parents = [];
+      for (let i = 0; i < layer.length; i += 2) {
+        // An unpaired node moves up a level unchanged
+        parents.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+      }
+      this.layers.push(parents);
+    }
+  }
+
+  /**
+   * Builds a tree from CSV text
+   * @param {string} csvText - The CSV file contents
+   * @returns {AddressMerkleTree} - The tree
+   */
+  static fromCsv(csvText) {
+    return new AddressMerkleTree(parseAddressCsv(csvText));
+  }
+
+  /**
+   * Builds a tree from a CSV file
+   * @param {string} path - Path to the CSV file
+   * @returns {AddressMerkleTree} - The tree
+   */
+  static fromCsvFile(path) {
+    return AddressMerkleTree.fromCsv(fs.readFileSync(path, "utf8"));
+  }
+
+  /**
+   * The root to deploy MerkleEligibility with
+   * @returns {string} - The Merkle root
+   */
+  get root() {
+    return this.layers[this.layers.length - 1][0];
+  }
+
+  /**
+   * Checks whether an address is in the tree
+   * @param {string} address - The voter address
+   * @returns {boolean} - True if the address is eligible
+   */
+  has(address) {
+    return this.leafIndex.has(ethers.getAddress(address));
+  }
+
+  /**
+   * Computes the sibling path from a voter's leaf to the root
+   * @param {string} address - The voter address
+   * @returns {string[]} - The proof nodes, leaf level first
+   * @throws {Error} - If the address is not in the tree
+   */
+  getProof(address) {
+    const checksummed = ethers.getAddress(address);
+    if (!this.leafIndex.has(checksummed)) {
+      throw new Error(`Address ${checksummed} is not in the Merkle tree`);
+    }
+
+    const proof = [];
+    let index = this.leafIndex.get(checksummed);
+    for (const layer of this.layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  /**
+   * Encodes a voter's proof as the `eligibilityProof` argument of castVote
+   * @param {string} address - The voter address
+   * @returns {string} - The ABI-encoded bytes32[] proof
+   */
+  encodeProof(address) {
+    return abiCoder.encode(["bytes32[]"], [this.getProof(address)]);
+  }
+}
+
+if (require.main === module) {
+  const [csvPath] = process.argv.slice(2);
+  if (!csvPath) {
+    console.error("Usage: node scripts/merkle.js <voters.csv>");
+    process.exit(1);
+  }
+
+  const tree = AddressMerkleTree.fromCsvFile(csvPath);
+  const proofs = Object.fromEntries(
+    tree.addresses.map(address => [address, tree.encodeProof(address)])
+  );
+  console.log(JSON.stringify({ root: tree.root, proofs }, null, 2));
+}
+
+module.exports = {
+  AddressMerkleTree,
+  parseAddressCsv,
+  hashLeaf,
+  hashPair,
+};
@@ -0,0 +1,432 @@
+/**
+ * @fileoverview Client for Confidential Polls
+ *
+ * Wraps the encrypt → castVote → grant access → user-decrypt sequence behind
+ * one class that works with binary (`FHEPoll`), multi-option
+ * (`FHEMultiOptionPoll`), weighted (`FHEWeightedPoll`) and rating
+ * (`FHERatingPoll`) polls. Ballots can
+ * also be signed for a relayer to submit (see relayer/). Encryption
+ * goes through a pluggable backend (see backends.js), and every revert is
+ * raised as a typed `PollRevertError`.
+ */
+
+const { ethers } = require("ethers");
+
+const { POLL_ABI } = require("./abi");
+const { BALLOT_TYPES, ballotDomain } = require("./ballots");
+const { PollError, InvalidChoiceError, decodePollError } = require("./errors");
+
+// Width of the encrypted ballot and of the tally counters per poll kind
+const BALLOT_BITS = { binary: 32, multi: 8, weighted: 32, rating: 8 };
+const TALLY_BITS = { binary: 32, multi: 32, weighted: 64, rating: 32 };
+// Index of `RevealScope.OutcomeOnly` in FHEPoll
+const OUTCOME_ONLY = 1n;
+
+/**
+ * Client bound to one deployed poll and the account that votes through it
+ */
+class PollClient {
+  /**
+   * @param {string} address - The poll address
+   * @param {import("ethers").ContractRunner} runner - The signer that votes,
+   * or a provider for read-only use
+   * @param {Object} options - Client options
+   * @param {Object} options.backend - The encryption backend
+   * @param {"binary"|"multi"|"weighted"|"rating"} [options.kind] - The poll kind;
+   * detected from the contract when omitted
+   * @throws {PollError} - If no backend is given
+   */
+  constructor(address, runner, { backend, kind } = {}) {
+    if (!backend) {
+      throw new PollError("An encryption backend is required");
+    }
+    if (kind !== undefined && !(kind in BALLOT_BITS)) {
+      throw new PollError(`Unknown poll kind ${kind}`);
+    }
+
+    this.address = ethers.getAddress(address);
+    this.contract = new ethers.Contract(this.address, POLL_ABI, runner);
+    this.backend = backend;
+    this._kind = kind ?? null;
+    // Choice this client last encrypted for each voter, for `verifyMyBallot`
+    this._intended = new Map();
+  }
+
+  /**
+   * Creates a client and detects the poll kind right away
+   * @param {string} address - The poll address
+   * @param {import("ethers").ContractRunner} runner - The voting signer
+   * @param {Object} options - See the constructor
+   * @returns {Promise<PollClient>} - The client
+   */
+  static async connect(address, runner, options) {
+    const client = new PollClient(address, runner, options);
+    await client.getKind();
+    return client;
+  }
+
+  /**
+   * Returns the poll kind, detecting it from the getters the contract exposes
+   * @returns {Promise<"binary"|"multi"|"weighted"|"rating">} - The poll kind
+   * @throws {PollError} - If the address holds no confidential poll
+   */
+  async getKind() {
+    if (this._kind !== null) {
+      return this._kind;
+    }
+
+    const probes = [["multi", "optionCount"], ["weighted", "votingPowerSource"], ["rating", "minRating"]];
+    for (const [kind, getter] of probes) {
+      try {
+        await this.contract.getFunction(getter).staticCall();
+        return (this._kind = kind);
+      } catch {
+        // Not this kind of poll
+      }
+    }
+    try {
+      await this.contract.status();
+    } catch (error) {
+      throw new PollError(`${this.address} is not a confidential poll`, { cause: error });
+    }
+    return (this._kind = "binary");
+  }
+
+  /**
+   * Returns the number of valid choices: 2 for yes/no polls, the number of
+   * options of a multi-option poll, or the number of ratings of a rating poll
+   * @returns {Promise<number>} - The number of choices
+   */
+  async getChoiceCount() {
+    const kind = await this.getKind();
+    if (kind === "multi") {
+      return Number(await this.contract.optionCount());
+    }
+    if (kind === "rating") {
+      const { minRating, maxRating } = await this.getRatingRange();
+      return maxRating - minRating + 1;
+    }
+    return 2;
+  }
+
+  /**
+   * Returns the lowest and highest rating of a rating poll
+   * @returns {Promise<{minRating: number, maxRating: number}>} - The range
+   * @throws {PollError} - If the poll is not a rating poll
+   */
+  async getRatingRange() {
+    await this._requireKind("rating");
+    return { minRating: Number(await this.contract.minRating()), maxRating: Number(await this.contract.maxRating()) };
+  }
+
+  /**
+   * Encrypts a choice for the client's signer and casts it
+   * @param {number} choice - 0 or 1 ("no"/"yes"), an option index or a rating
+   * @param {Object} [options] - Vote options
+   * @param {string} [options.eligibilityProof] - Evidence for the poll's
+   * eligibility strategy, such as an encoded Merkle proof
+   * @returns {Promise<{replaced: boolean, receipt: Object}>} - Whether an
+   * earlier ballot was replaced, and the transaction receipt
+   * @throws {InvalidChoiceError} - If the choice is out of range
+   * @throws {PollRevertError} - If the poll rejects the ballot
+   */
+  async vote(choice, { eligibilityProof } = {}) {
+    const kind = await this.getKind();
+    await this._checkChoice(choice);
+
+    const voter = await this._signer().getAddress();
+    const { handle, inputProof } = await this.backend.encrypt(this.address, voter, choice, BALLOT_BITS[kind]);
+
+    const receipt = await this._send(() => (eligibilityProof === undefined
+      ? this.contract.getFunction("castVote(bytes32,bytes)")(handle, inputProof)
+      : this.contract.getFunction("castVote(bytes32,bytes,bytes)")(handle, inputProof, eligibilityProof)));
+    const replaced = receipt.logs.some(log => this.contract.interface.parseLog(log)?.name === "VoteReplaced");
+    this._intended.set(voter, choice);
+    return { replaced, receipt };
+  }
+
+  /**
+   * Encrypts a choice for the client's signer and signs it as an EIP-712
+   * `Ballot`, for a relayer to submit with `castVoteBySig`
+   * @param {number} choice - 0 or 1 ("no"/"yes"), an option index or a rating
+   * @param {Object} [options] - Signing options
+   * @param {number} [options.deadline] - Timestamp after which the ballot is
+   * refused; defaults to one hour after the latest block
+   * @param {bigint|string} [options.nonce] - The nonce to sign over; defaults to the
+   * voter's current nonce, so a second ballot signed before the first is
+   * submitted needs the next one
+   * @param {string} [options.eligibilityProof] - Evidence for the poll's
+   * eligibility strategy; passed along, not signed
+   * @returns {Promise<SignedBallot>} - The signed ballot, ready to be sent
+   * to a relayer as JSON
+   * @throws {InvalidChoiceError} - If the choice is out of range
+   */
+  async signVote(choice, { deadline, nonce, eligibilityProof } = {}) {
+    const kind = await this.getKind();
+    await this._checkChoice(choice);
+
+    const signer = this._signer();
+    const voter = await signer.getAddress();
+    const { handle, inputProof } = await this.backend.encrypt(this.address, voter, choice, BALLOT_BITS[kind]);
+    const { chainId } = await signer.provider.getNetwork();
+
+    // Numbers as decimal strings, so that the ballot survives JSON
+    const ballot = {
+      voter,
+      handle,
+      nonce: String(nonce ?? (await this.contract.nonces(voter))),
+      deadline: String(deadline ?? (await signer.provider.getBlock("latest")).timestamp + 3600),
+    };
+    const signature = await signer.signTypedData(ballotDomain(this.address, chainId), BALLOT_TYPES, ballot);
+    this._intended.set(voter, choice);
+    return { poll: this.address, ...ballot, inputProof, eligibilityProof, signature };
+  }
+
+  /**
+   * Returns the handles of the encrypted counters, indexed by choice: the
+   * "no" and "yes" counts (or weights), one count per option, or the
+   * histogram of a rating poll from its lowest rating up
+   * @returns {Promise<string[]>} - The encrypted handles
+   */
+  async getEncryptedTally() {
+    const kind = await this.getKind();
+    if (kind === "rating") {
+      const { minRating, maxRating } = await this.getRatingRange();
+      const handles = [];
+      for (let rating = minRating; rating <= maxRating; rating++) {
+        handles.push(await this.contract.getHistogram(rating));
+      }
+      return handles;
+    }
+    if (kind === "multi") {
+      const handles = [];
+      for (let optionId = 0; optionId < (await this.getChoiceCount()); optionId++) {
+        handles.push(await this.contract.getTally(optionId));
+      }
+      return handles;
+    }
+    if (kind === "weighted") {
+      return [await this.contract.getNoWeight(), await this.contract.getYesWeight()];
+    }
+    return [await this.contract.getNoCount(), await this.contract.getSum()];
+  }
+
+  /**
+   * Obtains access to the final tally for `signer` and decrypts it
+   *
+   * A binary poll with noise only shares its noisy yes count, so the "no"
+   * count is `null` and the yes count is the noisy count less
+   * `noiseOffset()`, an estimate that may even be negative.
+   * @param {import("ethers").Signer} [signer] - The decrypting account;
+   * defaults to the client's signer
+   * @param {Object} [options] - Decryption options
+   * @param {boolean} [options.requestAccess=true] - Whether to call
+   * `allowTallyDecryption()` first; skip it if access was already granted
+   * @returns {Promise<Array<bigint|null>>} - The clear counts, indexed by
+   * choice, or `null` for a count the poll withholds
+   * @throws {PollError} - If the poll only reveals its outcome; see
+   * `decryptOutcome`
+   * @throws {PollRevertError} - If access is refused, for instance while the
+   * poll is open or below its minimum turnout
+   */
+  async decryptTally(signer = this._signer(), { requestAccess = true } = {}) {
+    const kind = await this.getKind();
+    if (kind === "binary" && (await this.contract.revealScope()) === OUTCOME_ONLY) {
+      throw new PollError(`${this.address} keeps its counts hidden and only reveals its outcome; use decryptOutcome()`);
+    }
+    if (requestAccess) {
+      await this._send(() => this.contract.connect(signer).allowTallyDecryption());
+    }
+
+    if (kind === "binary") {
+      const noiseBound = await this.contract.noiseBound();
+      if (noiseBound !== 0n) {
+        const noisySum = await this._decryptShared(await this.contract.getNoisySum(), 32, signer, "noisy tally");
+        return [null, noisySum - (await this.contract.noiseOffset())];
+      }
+    }
+
+    const bits = TALLY_BITS[kind];
+    const counts = [];
+    for (const handle of await this.getEncryptedTally()) {
+      // A counter nobody has voted into yet has no ciphertext
+      counts.push(handle === ethers.ZeroHash ? 0n : await this.backend.decrypt(handle, bits, this.address, signer));
+    }
+    return counts;
+  }
+
+  /**
+   * Obtains access to the outcome of a closed binary poll for `signer` and
+   * decrypts it. Unlike the counts, the outcome is shared whatever the
+   * poll's reveal scope and noise
+   * @param {import("ethers").Signer} [signer] - The decrypting account;
+   * defaults to the client's signer
+   * @param {Object} [options] - Decryption options
+   * @param {boolean} [options.requestAccess=true] - Whether to call
+   * `allowTallyDecryption()` first; skip it if access was already granted
+   * @returns {Promise<boolean>} - Whether the motion passed
+   * @throws {PollError} - If the poll is not a binary poll
+   * @throws {PollRevertError} - If access is refused
+   */
+  async decryptOutcome(signer = this._signer(), { requestAccess = true } = {}) {
+    await this._requireKind("binary");
+    if (requestAccess) {
+      await this._send(() => this.contract.connect(signer).allowTallyDecryption());
+    }
+    return (await this._decryptShared(await this.contract.getOutcome(), 1, signer, "outcome")) !== 0n;
+  }
+
+  /**
+   * Obtains access to every statistic of a closed rating poll for `signer`
+   * and decrypts them; the mean is `sum` divided by the poll's turnout
+   * @param {import("ethers").Signer} [signer] - The decrypting account;
+   * defaults to the client's signer
+   * @param {Object} [options] - Decryption options
+   * @param {boolean} [options.requestAccess=true] - Whether to call
+   * `allowTallyDecryption()` first; skip it if access was already granted
+   * @returns {Promise<RatingStatistics>} - The sum, lowest and highest
+   * rating, and the histogram from the lowest rating up
+   * @throws {PollError} - If the poll is not a rating poll
+   * @throws {PollRevertError} - If access is refused
+   */
+  async decryptStatistics(signer = this._signer(), { requestAccess = true } = {}) {
+    await this._requireKind("rating");
+    const histogram = await this.decryptTally(signer, { requestAccess });
+    const decrypt = async (handle, bits) => this.backend.decrypt(handle, bits, this.address, signer);
+    return {
+      sum: await decrypt(await this.contract.getSum(), 32),
+      min: await decrypt(await this.contract.getMin(), 8),
+      max: await decrypt(await this.contract.getMax(), 8),
+      histogram,
+    };
+  }
+
+  /**
+   * Decrypts the signer's ballot receipt and compares it with the choice
+   * they meant to cast
+   * @param {import("ethers").Signer} [signer] - The voter; defaults to the
+   * client's signer. Only the voter can decrypt their own receipt
+   * @param {Object} [options] - Verification options
+   * @param {number} [options.expected] - The intended choice; defaults to
+   * the choice this client last cast or signed for the voter
+   * @returns {Promise<BallotReceipt>} - The recorded choice, or `null` if the
+   * voter has no ballot, and whether it matches
+   * @throws {PollError} - If the intended choice is neither given nor known
+   */
+  async verifyMyBallot(signer = this._signer(), { expected } = {}) {
+    const voter = await signer.getAddress();
+    const intended = expected ?? this._intended.get(voter);
+    if (intended === undefined) {
+      throw new PollError(`No choice of ${voter} is known to this client; pass options.expected`);
+    }
+
+    const handle = await this.contract.connect(signer).myBallot();
+    const recorded = handle === ethers.ZeroHash
+      ? null
+      : Number(await this.backend.decrypt(handle, BALLOT_BITS[await this.getKind()], this.address, signer));
+    return { voter, recorded, expected: intended, matches: recorded === intended };
+  }
+
+  /**
+   * Subscribes to ballots cast in the poll
+   * @param {function({voter: string, replaced: boolean, blockNumber: number, transactionHash: string}): void} callback
+   * - Called once per ballot
+   * @returns {function(): Promise<void>} - Removes the subscription
+   */
+  onVote(callback) {
+    const listeners = ["VoteCast", "VoteReplaced"].map(eventName => {
+      const listener = (voter, payload) => callback({
+        voter,
+        replaced: eventName === "VoteReplaced",
+        blockNumber: payload.log.blockNumber,
+        transactionHash: payload.log.transactionHash,
+      });
+      return [eventName, listener];
+    });
+
+    const subscribed = Promise.all(listeners.map(([eventName, listener]) => this.contract.on(eventName, listener)));
+    return async () => {
+      await subscribed;
+      await Promise.all(listeners.map(([eventName, listener]) => this.contract.off(eventName, listener)));
+    };
+  }
+
+  /**
+   * Rejects a choice outside the poll's range before it is encrypted, since
+   * the poll would silently count it as zero or clamp it
+   * @param {number} choice - The choice
+   * @returns {Promise<void>}
+   * @throws {InvalidChoiceError} - If the choice is out of range
+   * @private
+   */
+  async _checkChoice(choice) {
+    const choiceCount = await this.getChoiceCount();
+    const firstChoice = (await this.getKind()) === "rating" ? (await this.getRatingRange()).minRating : 0;
+    if (!Number.isInteger(choice) || choice < firstChoice || choice >= firstChoice + choiceCount) {
+      throw new InvalidChoiceError(choice, choiceCount, firstChoice);
+    }
+  }
+
+  /**
+   * Decrypts a value that the poll only computes when it is first shared
+   * @param {string} handle - The encrypted handle
+   * @param {number} bits - The encrypted width
+   * @param {import("ethers").Signer} signer - The decrypting account
+   * @param {string} what - The value, for the error message
+   * @returns {Promise<bigint>} - The clear value
+   * @throws {PollError} - If the value has not been computed yet
+   * @private
+   */
+  async _decryptShared(handle, bits, signer, what) {
+    if (handle === ethers.ZeroHash) {
+      throw new PollError(`The ${what} of ${this.address} has not been shared yet; decrypt with requestAccess`);
+    }
+    return this.backend.decrypt(handle, bits, this.address, signer);
+  }
+
+  /**
+   * Throws unless the poll is of the given kind
+   * @param {string} kind - The required kind
+   * @returns {Promise<void>}
+   * @throws {PollError} - If the poll is of another kind
+   * @private
+   */
+  async _requireKind(kind) {
+    const actual = await this.getKind();
+    if (actual !== kind) {
+      throw new PollError(`${this.address} is a ${actual} poll, not a ${kind} poll`);
+    }
+  }
+
+  /**
+   * Returns the signer the client was created with
+   * @returns {import("ethers").Signer} - The signer
+   * @throws {PollError} - If the client is read-only
+   * @private
+   */
+  _signer() {
+    const runner = this.contract.runner;
+    if (typeof runner?.getAddress !== "function") {
+      throw new PollError("A signer is required to send transactions");
+    }
+    return runner;
+  }
+
+  /**
+   * Sends a transaction and waits for it, decoding any revert
+   * @param {function(): Promise<Object>} sendTransaction - Sends the transaction
+   * @returns {Promise<Object>} - The receipt
+   * @private
+   */
+  async _send(sendTransaction) {
+    try {
+      return await (await sendTransaction()).wait();
+    } catch (error) {
+      throw decodePollError(error, this.contract.interface);
+    }
+  }
+}
+
+module.exports = {
+  PollClient,
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Poll ABI Used by the SDK
+ *
+ * Human-readable fragments of the functions and events `PollClient` calls,
+ * and every custom error that `FHEPoll`, `FHEMultiOptionPoll`,
+ * `FHEWeightedPoll` and `FHERatingPoll` can revert with, so that reverts
+ * can be decoded without the compiled artifacts. The tests check the error
+ * list against the artifacts.
+ */
+
+const POLL_ABI = [
+  // Voting
+  "function castVote(bytes32 voteEuint, bytes voteProof)",
+  "function castVote(bytes32 voteEuint, bytes voteProof, bytes eligibilityProof)",
+  "function hasVoted(address voter) view returns (bool)",
+  "function myBallot() view returns (bytes32)",
+
+  // Relayed voting
+  "function castVoteBySig(address voter, bytes32 voteEuint, bytes voteProof, uint256 deadline, bytes signature)",
+  "function castVoteBySig(address voter, bytes32 voteEuint, bytes voteProof, bytes eligibilityProof, uint256 deadline, bytes signature)",
+  "function nonces(address voter) view returns (uint256)",
+
+  // Lifecycle and tally access
+  "function status() view returns (uint8)",
+  "function allowTallyDecryption()",
+
+  // Encrypted counters of each poll kind
+  "function getSum() view returns (bytes32)",
+  "function getNoCount() view returns (bytes32)",
+  "function optionCount() view returns (uint8)",
+  "function getTally(uint8 optionId) view returns (bytes32)",
+  "function votingPowerSource() view returns (address)",
+  "function getYesWeight() view returns (bytes32)",
+  "function getNoWeight() view returns (bytes32)",
+  "function minRating() view returns (uint8)",
+  "function maxRating() view returns (uint8)",
+  "function getMin() view returns (bytes32)",
+  "function getMax() view returns (bytes32)",
+  "function getHistogram(uint8 rating) view returns (bytes32)",
+
+  // What a binary poll reveals
+  "function getOutcome() view returns (bytes32)",
+  "function revealScope() view returns (uint8)",
+  "function noiseBound() view returns (uint32)",
+  "function noiseOffset() view returns (uint32)",
+  "function getNoisySum() view returns (bytes32)",
+
+  "event VoteCast(address indexed voter)",
+  "event VoteReplaced(address indexed voter)",
+
+  // PollBase
+  "error NotOwner()",
+  "error AlreadyInitialized()",
+  "error InvalidSchedule()",
+  "error NotEligible()",
+  "error PollNotOpen()",
+  "error PollAlreadyClosed()",
+  "error PollNotClosed()",
+  "error TurnoutTooLow()",
+  "error NotTallyRole()",
+  "error PolicyLocked()",
+  "error NotFactory()",
+  "error SignatureExpired()",
+  "error InvalidSignature()",
+  "error InvalidTrustees()",
+  "error TrusteesLocked()",
+  "error NotTrustee()",
+  "error AlreadyApproved()",
+  "error NotApproved()",
+  "error RevealAlreadyApproved()",
+  "error RevealNotApproved()",
+
+  // FHEPoll
+  "error TallyAlreadyRequested()",
+  "error InvalidTallyRequest()",
+  "error TallyNotRevealed()",
+  "error TallyHidden()",
+  "error InvalidThreshold()",
+  "error InvalidNoiseBound()",
+  "error NoiseDisabled()",
+  "error OutcomeAlreadyRequested()",
+  "error InvalidOutcomeRequest()",
+  "error OutcomeNotRevealed()",
+  "error InvalidRecountRange()",
+  "error RecountAlreadyCompleted()",
+  "error InvalidRecountRequest()",
+  "error RecountNotRevealed()",
+
+  // FHEMultiOptionPoll
+  "error InvalidOption()",
+  "error InvalidOptionCount()",
+
+  // FHEWeightedPoll
+  "error VotingPowerFromSource()",
+  "error InvalidDelegate()",
+  "error DelegationChain()",
+  "error AlreadyVoted()",
+  "error NotDelegated()",
+
+  // FHERatingPoll
+  "error InvalidRatingRange()",
+  "error InvalidRating()",
+
+  // OpenZeppelin EIP712
+  "error InvalidShortString()",
+  "error StringTooLong(string str)",
+
+  // fhEVM decryption oracle
+  "error InvalidKMSSignatures()",
+  "error HandlesAlreadySavedForRequestID()",
+  "error NoHandleFoundForRequestID()",
+];
+
+module.exports = {
+  POLL_ABI,
+};
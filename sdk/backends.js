@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Encryption Backends for the Poll SDK
+ *
+ * `PollClient` never talks to the fhEVM directly: it asks a backend to
+ * encrypt ballots and to user-decrypt handles. `HardhatFhevmBackend` wraps
+ * the Hardhat plugin's mock (`hre.fhevm`) for tests and local nodes;
+ * `RelayerSdkBackend` wraps an instance created with `@zama-fhe/relayer-sdk`
+ * for live networks. Any object with the same two methods can be used.
+ */
+
+// Mirrors the FhevmType values of @fhevm/mock-utils
+const FHEVM_TYPE_BY_BITS = { 8: 2, 32: 4, 64: 5 };
+
+/**
+ * Encrypts one value with a relayer-style instance
+ * @param {Object} instance - Anything with `createEncryptedInput`
+ * @param {string} contractAddress - The contract the input is bound to
+ * @param {string} userAddress - The account that will submit the input
+ * @param {number|bigint} value - The clear value
+ * @param {number} bits - The encrypted width: 8, 32 or 64
+ * @returns {Promise<{handle: string, inputProof: string}>} - The handle and its proof
+ * @private
+ */
+async function encryptWith(instance, contractAddress, userAddress, value, bits) {
+  const input = instance.createEncryptedInput(contractAddress, userAddress);
+  if (bits === 8) {
+    input.add8(value);
+  } else if (bits === 64) {
+    input.add64(value);
+  } else {
+    input.add32(value);
+  }
+  const encrypted = await input.encrypt();
+  return { handle: toHex(encrypted.handles[0]), inputProof: toHex(encrypted.inputProof) };
+}
+
+/**
+ * Normalizes a handle or proof to a 0x-prefixed hex string
+ * @param {string|Uint8Array} bytes - The raw bytes
+ * @returns {string} - The hex string
+ * @private
+ */
+function toHex(bytes) {
+  return typeof bytes === "string" ? bytes : `0x${Buffer.from(bytes).toString("hex")}`;
+}
+
+/**
+ * Backend for the Hardhat fhEVM plugin's mock
+ */
+class HardhatFhevmBackend {
+  /**
+   * @param {Object} fhevm - The plugin's runtime, `hre.fhevm`
+   */
+  constructor(fhevm) {
+    this.fhevm = fhevm;
+  }
+
+  /**
+   * Encrypts a value for a contract and user
+   * @param {string} contractAddress - The contract the input is bound to
+   * @param {string} userAddress - The account that will submit the input
+   * @param {number|bigint} value - The clear value
+   * @param {number} bits - The encrypted width: 8, 32 or 64
+   * @returns {Promise<{handle: string, inputProof: string}>} - The handle and its proof
+   */
+  encrypt(contractAddress, userAddress, value, bits) {
+    return encryptWith(this.fhevm, contractAddress, userAddress, value, bits);
+  }
+
+  /**
+   * User-decrypts a handle the signer has ACL access to
+   * @param {string} handle - The encrypted handle
+   * @param {number} bits - The encrypted width: 8, 32 or 64, or 1 for an
+   * encrypted boolean
+   * @param {string} contractAddress - The contract holding the handle
+   * @param {import("ethers").Signer} signer - The decrypting account
+   * @returns {Promise<bigint>} - The clear value; 1n or 0n for a boolean
+   */
+  async decrypt(handle, bits, contractAddress, signer) {
+    if (bits === 1) {
+      return BigInt(await this.fhevm.userDecryptEbool(handle, contractAddress, signer));
+    }
+    return this.fhevm.userDecryptEuint(FHEVM_TYPE_BY_BITS[bits], handle, contractAddress, signer);
+  }
+}
+
+/**
+ * Backend for an `FhevmInstance` from `@zama-fhe/relayer-sdk`
+ *
+ * User decryption follows the relayer flow: a keypair is generated once per
+ * backend, and the signer signs an EIP-712 request for each decryption.
+ */
+class RelayerSdkBackend {
+  /**
+   * @param {Object} instance - The instance returned by `createInstance`
+   * @param {Object} [options] - Backend options
+   * @param {number} [options.durationDays=1] - Validity of each decryption request
+   */
+  constructor(instance, { durationDays = 1 } = {}) {
+    this.instance = instance;
+    this.durationDays = durationDays;
+    this._keypair = null;
+  }
+
+  /**
+   * Encrypts a value for a contract and user
+   * @param {string} contractAddress - The contract the input is bound to
+   * @param {string} userAddress - The account that will submit the input
+   * @param {number|bigint} value - The clear value
+   * @param {number} bits - The encrypted width: 8, 32 or 64
+   * @returns {Promise<{handle: string, inputProof: string}>} - The handle and its proof
+   */
+  encrypt(contractAddress, userAddress, value, bits) {
+    return encryptWith(this.instance, contractAddress, userAddress, value, bits);
+  }
+
+  /**
+   * User-decrypts a handle the signer has ACL access to
+   * @param {string} handle - The encrypted handle
+   * @param {number} bits - The encrypted width, unused by the relayer
+   * @param {string} contractAddress - The contract holding the handle
+   * @param {import("ethers").Signer} signer - The decrypting account
+   * @returns {Promise<bigint>} - The clear value; 1n or 0n for a boolean
+   */
+  async decrypt(handle, bits, contractAddress, signer) {
+    this._keypair ??= this.instance.generateKeypair();
+    const { publicKey, privateKey } = this._keypair;
+    const startTimestamp = Math.floor(Date.now() / 1000);
+
+    const eip712 = this.instance.createEIP712(publicKey, [contractAddress], startTimestamp, this.durationDays);
+    const signature = await signer.signTypedData(
+      eip712.domain,
+      { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+      eip712.message
+    );
+
+    const results = await this.instance.userDecrypt(
+      [{ handle, contractAddress }],
+      privateKey,
+      publicKey,
+      signature.replace("0x", ""),
+      [contractAddress],
+      await signer.getAddress(),
+      startTimestamp,
+      this.durationDays
+    );
+    return BigInt(results[handle]);
+  }
+}
+
+module.exports = {
+  HardhatFhevmBackend,
+  RelayerSdkBackend,
+};
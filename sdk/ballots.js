@@ -0,0 +1,59 @@
+/**
+ * @fileoverview EIP-712 Signed Ballots
+ *
+ * A voter without ETH encrypts their choice, signs a `Ballot` over the input
+ * handle, and hands the result to a relayer, which submits it with
+ * `castVoteBySig`. The typed data here must match `PollBase.BALLOT_TYPEHASH`
+ * and the domain set in the `PollBase` constructor.
+ */
+
+const { ethers } = require("ethers");
+
+const BALLOT_DOMAIN_NAME = "ConfidentialPoll";
+const BALLOT_DOMAIN_VERSION = "1";
+
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "voter", type: "address" },
+    { name: "handle", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Returns the EIP-712 domain of a poll
+ * @param {string} pollAddress - The poll address
+ * @param {bigint|number} chainId - The chain the poll lives on
+ * @returns {Object} - The typed-data domain
+ */
+function ballotDomain(pollAddress, chainId) {
+  return {
+    name: BALLOT_DOMAIN_NAME,
+    version: BALLOT_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: ethers.getAddress(pollAddress),
+  };
+}
+
+/**
+ * Recovers the account that signed a ballot
+ * @param {Object} ballot - A signed ballot, as returned by `PollClient.signVote`
+ * @param {bigint|number} chainId - The chain the poll lives on
+ * @returns {string} - The checksummed signer address
+ */
+function recoverBallotSigner(ballot, chainId) {
+  const { poll, voter, handle, nonce, deadline, signature } = ballot;
+  return ethers.verifyTypedData(
+    ballotDomain(poll, chainId),
+    BALLOT_TYPES,
+    { voter, handle, nonce, deadline },
+    signature
+  );
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  ballotDomain,
+  recoverBallotSigner,
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Typed Errors Raised by the Poll SDK
+ *
+ * Every failure surfaced by `PollClient` is a `PollError`. Contract reverts
+ * are decoded into a `PollRevertError` that names the poll's custom error,
+ * and invalid ballots are caught before encryption as `InvalidChoiceError`.
+ */
+
+/**
+ * Explanations of the custom errors a voter or operator is likely to hit
+ */
+const REVERT_REASONS = {
+  NotOwner: "only the poll owner may do this",
+  NotEligible: "the eligibility strategy does not admit this voter",
+  PollNotOpen: "voting has not started yet",
+  PollAlreadyClosed: "voting has ended",
+  PollNotClosed: "the poll is still open",
+  TurnoutTooLow: "too few addresses voted for the tally to be released",
+  NotTallyRole: "the account does not hold the tally role",
+  PolicyLocked: "the setting can no longer change once the poll is closed",
+  TallyHidden: "the poll only reveals whether the motion passed",
+  RevealNotApproved: "too few trustees have approved revealing the tally",
+  AlreadyVoted: "the account has already voted",
+  SignatureExpired: "the signed ballot is past its deadline",
+  InvalidSignature: "the ballot was not signed by the voter, or its nonce was already used",
+};
+
+/**
+ * Base class of every error raised by the SDK
+ */
+class PollError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [options] - Standard error options, such as `cause`
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "PollError";
+  }
+}
+
+/**
+ * Raised when a poll transaction or call reverts with one of the poll's
+ * custom errors
+ */
+class PollRevertError extends PollError {
+  /**
+   * @param {string} reason - The custom error name, such as "NotEligible"
+   * @param {Array} args - The decoded error arguments
+   * @param {Error} cause - The original provider error
+   */
+  constructor(reason, args, cause) {
+    const explanation = REVERT_REASONS[reason];
+    super(`Poll reverted with ${reason}${explanation ? `: ${explanation}` : ""}`, { cause });
+    this.name = "PollRevertError";
+    this.reason = reason;
+    this.args = args;
+  }
+}
+
+/**
+ * Raised before encryption when a ballot is outside the poll's choices
+ */
+class InvalidChoiceError extends PollError {
+  /**
+   * @param {number} choice - The rejected choice
+   * @param {number} choiceCount - The number of valid choices
+   * @param {number} [firstChoice=0] - The lowest valid choice, such as the
+   * lowest rating of a rating poll
+   */
+  constructor(choice, choiceCount, firstChoice = 0) {
+    super(`Invalid choice ${choice}, expecting ${firstChoice} to ${firstChoice + choiceCount - 1}`);
+    this.name = "InvalidChoiceError";
+    this.choice = choice;
+    this.choiceCount = choiceCount;
+    this.firstChoice = firstChoice;
+  }
+}
+
+/**
+ * Extracts the revert data from an ethers or Hardhat provider error
+ * @param {Error} error - The caught error
+ * @returns {string|null} - The hex revert data, if any
+ * @private
+ */
+function revertData(error) {
+  for (const candidate of [error?.data, error?.data?.data, error?.error?.data, error?.info?.error?.data]) {
+    if (typeof candidate === "string" && candidate.startsWith("0x") && candidate.length >= 10) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts an error thrown by a poll call into a `PollRevertError` when its
+ * revert data matches one of the poll's custom errors
+ * @param {Error} error - The caught error
+ * @param {import("ethers").Interface} pollInterface - The poll ABI
+ * @returns {Error} - The decoded error, or the original one
+ */
+function decodePollError(error, pollInterface) {
+  if (error instanceof PollError) {
+    return error;
+  }
+  const data = revertData(error);
+  const parsed = data === null ? null : pollInterface.parseError(data);
+  return parsed === null ? error : new PollRevertError(parsed.name, [...parsed.args], error);
+}
+
+module.exports = {
+  PollError,
+  PollRevertError,
+  InvalidChoiceError,
+  decodePollError,
+};
@@ -0,0 +1,147 @@
+import type { Contract, ContractRunner, ContractTransactionReceipt, Interface, Signer } from "ethers";
+
+/** The poll contracts the SDK can drive. */
+export type PollKind = "binary" | "multi" | "weighted" | "rating";
+
+/** Width of an encrypted value, in bits; 1 is a boolean, which is only ever decrypted. */
+export type EncryptedBits = 1 | 8 | 32 | 64;
+
+/** An encrypted input ready to be passed to a contract. */
+export interface EncryptedValue {
+  handle: string;
+  inputProof: string;
+}
+
+/**
+ * Encrypts ballots and user-decrypts handles on behalf of `PollClient`.
+ */
+export interface EncryptionBackend {
+  encrypt(contractAddress: string, userAddress: string, value: number | bigint, bits: EncryptedBits): Promise<EncryptedValue>;
+  decrypt(handle: string, bits: EncryptedBits, contractAddress: string, signer: Signer): Promise<bigint>;
+}
+
+/** Backend for the Hardhat fhEVM plugin's mock, `hre.fhevm`. */
+export declare class HardhatFhevmBackend implements EncryptionBackend {
+  constructor(fhevm: unknown);
+  encrypt(contractAddress: string, userAddress: string, value: number | bigint, bits: EncryptedBits): Promise<EncryptedValue>;
+  decrypt(handle: string, bits: EncryptedBits, contractAddress: string, signer: Signer): Promise<bigint>;
+}
+
+/** Backend for an `FhevmInstance` created with `@zama-fhe/relayer-sdk`. */
+export declare class RelayerSdkBackend implements EncryptionBackend {
+  constructor(instance: unknown, options?: { durationDays?: number });
+  encrypt(contractAddress: string, userAddress: string, value: number | bigint, bits: EncryptedBits): Promise<EncryptedValue>;
+  decrypt(handle: string, bits: EncryptedBits, contractAddress: string, signer: Signer): Promise<bigint>;
+}
+
+/** A ballot observed through `PollClient.onVote`. */
+export interface VoteEvent {
+  voter: string;
+  replaced: boolean;
+  blockNumber: number;
+  transactionHash: string;
+}
+
+/** An encrypted ballot signed by its voter, for a relayer to submit. */
+export interface SignedBallot {
+  poll: string;
+  voter: string;
+  handle: string;
+  /** Decimal string. */
+  nonce: string;
+  /** Unix timestamp, as a decimal string. */
+  deadline: string;
+  inputProof: string;
+  eligibilityProof?: string;
+  signature: string;
+}
+
+/** A voter's decrypted ballot receipt, compared with the choice they meant to cast. */
+export interface BallotReceipt {
+  voter: string;
+  /** The choice the poll holds for the voter, or null if they have not voted. */
+  recorded: number | null;
+  expected: number;
+  matches: boolean;
+}
+
+/** The decrypted statistics of a rating poll. */
+export interface RatingStatistics {
+  sum: bigint;
+  /** Lowest and highest rating cast; 0 if nobody voted. */
+  min: bigint;
+  max: bigint;
+  /** One count per rating, from the lowest rating up. */
+  histogram: bigint[];
+}
+
+export interface PollClientOptions {
+  backend: EncryptionBackend;
+  kind?: PollKind;
+}
+
+/** Client bound to one deployed poll and the account that votes through it. */
+export declare class PollClient {
+  constructor(address: string, runner: ContractRunner, options: PollClientOptions);
+  static connect(address: string, runner: ContractRunner, options: PollClientOptions): Promise<PollClient>;
+
+  readonly address: string;
+  readonly contract: Contract;
+  readonly backend: EncryptionBackend;
+
+  getKind(): Promise<PollKind>;
+  getChoiceCount(): Promise<number>;
+  getRatingRange(): Promise<{ minRating: number; maxRating: number }>;
+  vote(choice: number, options?: { eligibilityProof?: string }): Promise<{ replaced: boolean; receipt: ContractTransactionReceipt }>;
+  signVote(
+    choice: number,
+    options?: { deadline?: number; nonce?: bigint | string; eligibilityProof?: string }
+  ): Promise<SignedBallot>;
+  /** Encrypted counters indexed by choice: ["no", "yes"], one per option, or one per rating. */
+  getEncryptedTally(): Promise<string[]>;
+  /**
+   * Clear counts indexed by choice, after obtaining access for `signer`. Under noise, a binary
+   * poll yields `[null, noisyYes]`; a binary poll that only reveals its outcome is refused.
+   */
+  decryptTally(signer?: Signer, options?: { requestAccess?: boolean }): Promise<Array<bigint | null>>;
+  /** Whether a closed binary poll passed, after obtaining access for `signer`. */
+  decryptOutcome(signer?: Signer, options?: { requestAccess?: boolean }): Promise<boolean>;
+  /** Sum, extremes and histogram of a closed rating poll, after obtaining access for `signer`. */
+  decryptStatistics(signer?: Signer, options?: { requestAccess?: boolean }): Promise<RatingStatistics>;
+  /** Decrypts the voter's own ballot and compares it with `expected` or the choice last cast through this client. */
+  verifyMyBallot(signer?: Signer, options?: { expected?: number }): Promise<BallotReceipt>;
+  onVote(callback: (event: VoteEvent) => void): () => Promise<void>;
+}
+
+/** Base class of every error raised by the SDK. */
+export declare class PollError extends Error {
+  constructor(message: string, options?: { cause?: unknown });
+}
+
+/** A poll call reverted with one of the poll's custom errors. */
+export declare class PollRevertError extends PollError {
+  constructor(reason: string, args: unknown[], cause: unknown);
+  /** The custom error name, such as "NotEligible". */
+  readonly reason: string;
+  readonly args: unknown[];
+}
+
+/** A ballot was outside the poll's choices and was not sent. */
+export declare class InvalidChoiceError extends PollError {
+  constructor(choice: number, choiceCount: number, firstChoice?: number);
+  readonly choice: number;
+  readonly choiceCount: number;
+  readonly firstChoice: number;
+}
+
+export declare function decodePollError(error: unknown, pollInterface: Interface): Error;
+
+export declare const POLL_ABI: string[];
+
+/** EIP-712 types of a signed ballot. */
+export declare const BALLOT_TYPES: Record<string, Array<{ name: string; type: string }>>;
+export declare function ballotDomain(
+  pollAddress: string,
+  chainId: bigint | number
+): { name: string; version: string; chainId: bigint | number; verifyingContract: string };
+export declare function recoverBallotSigner(ballot: SignedBallot, chainId: bigint | number): string;
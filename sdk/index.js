@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Poll SDK Entry Point
+ *
+ * Usage:
+ *   const { PollClient, HardhatFhevmBackend } = require("fhe-poll-project");
+ *   const client = await PollClient.connect(pollAddress, signer, {
+ *     backend: new HardhatFhevmBackend(hre.fhevm),
+ *   });
+ *   await client.vote(1);
+ */
+
+const { PollClient } = require("./PollClient");
+const { HardhatFhevmBackend, RelayerSdkBackend } = require("./backends");
+const { PollError, PollRevertError, InvalidChoiceError, decodePollError } = require("./errors");
+const { POLL_ABI } = require("./abi");
+const { BALLOT_TYPES, ballotDomain, recoverBallotSigner } = require("./ballots");
+
+module.exports = {
+  PollClient,
+  HardhatFhevmBackend,
+  RelayerSdkBackend,
+  PollError,
+  PollRevertError,
+  InvalidChoiceError,
+  decodePollError,
+  POLL_ABI,
+  BALLOT_TYPES,
+  ballotDomain,
+  recoverBallotSigner,
+};
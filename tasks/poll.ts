@@ -0,0 +1,497 @@
+import { FhevmType, type FhevmTypeEuint } from "@fhevm/hardhat-plugin";
+import type { Contract, ContractTransactionResponse, Signer } from "ethers";
+import { task, types } from "hardhat/config";
+import { HardhatPluginError } from "hardhat/plugins";
+import type { HardhatRuntimeEnvironment } from "hardhat/types";
+
+/**
+ * Hardhat tasks that drive a confidential poll from the command line.
+ *
+ * `poll:deploy`, `poll:vote`, `poll:status`, `poll:close` and `poll:tally`
+ * cover the whole workflow on a local node, so that nobody has to write a
+ * script to run a poll, and `poll:recount` checks a disputed yes/no result
+ * against the stored ballots. Each task prints human-readable lines, or a single
+ * JSON document when `--json` is passed, and returns the same result object
+ * to callers of `hre.run`. Failures, including contract reverts decoded to
+ * their custom error, end the process with exit code 1; in JSON mode an
+ * `{ "error": ... }` document is printed to stdout first.
+ *
+ * Example: npx hardhat --network localhost poll:vote --poll 0x… --choice 1 --signer 2
+ */
+
+const PLUGIN_NAME = "poll";
+
+// Mirror the PollBase and FHEPoll enums
+const POLL_STATUS = ["Pending", "Open", "Closed"];
+const DECRYPTION_POLICY = ["TallyRoles", "Public"];
+const REVEAL_SCOPE = ["Tally", "OutcomeOnly"];
+
+/** The poll contracts the tasks know how to drive. */
+type PollKind = "binary" | "multi" | "weighted" | "rating";
+
+const CONTRACT_NAMES: Record<PollKind, string> = {
+  binary: "FHEPoll",
+  multi: "FHEMultiOptionPoll",
+  weighted: "FHEWeightedPoll",
+  rating: "FHERatingPoll",
+};
+
+/** A deployed poll together with the contract type it was detected as. */
+interface LoadedPoll {
+  kind: PollKind;
+  address: string;
+  contract: Contract;
+}
+
+/** Arguments shared by every poll task. */
+interface CommonArgs {
+  json: boolean;
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates an error that Hardhat reports without a stack trace.
+ * @param message - The message shown to the user
+ * @param parent - The underlying error, if any
+ */
+function pollError(message: string, parent?: unknown): HardhatPluginError {
+  return new HardhatPluginError(PLUGIN_NAME, message, parent instanceof Error ? parent : undefined);
+}
+
+/**
+ * Turns a failure into a one-line message, naming the custom error of a
+ * contract revert when the poll's ABI knows it.
+ * @param error - The caught error
+ * @param contract - The contract whose ABI decodes revert data
+ */
+function describeError(error: unknown, contract?: Contract): string {
+  if (HardhatPluginError.isHardhatPluginError(error)) {
+    return error.message;
+  }
+
+  const failure = error as { data?: unknown; message?: string };
+  const data = typeof failure.data === "string"
+    ? failure.data
+    : (failure.data as { data?: unknown } | undefined)?.data;
+  if (contract !== undefined && typeof data === "string" && data.length >= 10) {
+    const parsed = contract.interface.parseError(data);
+    if (parsed !== null) {
+      return `Transaction reverted with ${parsed.name}`;
+    }
+  }
+  return failure.message ?? String(error);
+}
+
+/**
+ * Serializes a task result, writing bigints as decimal strings.
+ * @param value - The result to print
+ */
+function toJson(value: unknown): string {
+  return JSON.stringify(value, (_key, field) => (typeof field === "bigint" ? field.toString() : field), 2);
+}
+
+/**
+ * Runs a task action and prints its result, or reports its failure.
+ * @param args - The parsed task arguments
+ * @param action - Produces the result and the human-readable lines; it
+ * registers the poll contract so that reverts can be decoded
+ * @returns The result object
+ */
+async function runPollTask<T>(
+  { json }: CommonArgs,
+  action: (setContract: (contract: Contract) => void) => Promise<{ result: T; lines: string[] }>,
+): Promise<T> {
+  let contract: Contract | undefined;
+  try {
+    const { result, lines } = await action(c => { contract = c; });
+    console.log(json ? toJson(result) : lines.join("\n"));
+    return result;
+  } catch (error) {
+    const message = describeError(error, contract);
+    if (json) {
+      console.log(toJson({ error: message }));
+    }
+    throw HardhatPluginError.isHardhatPluginError(error) ? error : pollError(message, error);
+  }
+}
+
+/**
+ * Resolves a signer by its account index.
+ * @param hre - The Hardhat runtime environment
+ * @param index - The account index
+ */
+async function getSigner(hre: HardhatRuntimeEnvironment, index: number): Promise<Signer & { address: string }> {
+  const signers = await hre.ethers.getSigners();
+  if (!Number.isInteger(index) || index < 0 || index >= signers.length) {
+    throw pollError(`Invalid signer index ${index}, expecting 0 to ${signers.length - 1}`);
+  }
+  return signers[index];
+}
+
+/**
+ * Attaches to a deployed poll and detects whether it is a binary,
+ * multi-option, weighted or rating poll from the getters it exposes.
+ * @param hre - The Hardhat runtime environment
+ * @param address - The poll address
+ * @param signer - The account that sends transactions to the poll
+ */
+async function loadPoll(hre: HardhatRuntimeEnvironment, address: string, signer?: Signer): Promise<LoadedPoll> {
+  if (!hre.ethers.isAddress(address)) {
+    throw pollError(`Invalid poll address ${address}`);
+  }
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    throw pollError(`No contract deployed at ${address}`);
+  }
+
+  const probes: [PollKind, string][] = [
+    ["multi", "optionCount"],
+    ["weighted", "votingPowerSource"],
+    ["rating", "minRating"],
+  ];
+  for (const [kind, getter] of probes) {
+    const candidate = await hre.ethers.getContractAt(CONTRACT_NAMES[kind], address, signer);
+    try {
+      await candidate.getFunction(getter).staticCall();
+      return { kind, address, contract: candidate };
+    } catch {
+      // Not this kind of poll
+    }
+  }
+
+  const contract = await hre.ethers.getContractAt(CONTRACT_NAMES.binary, address, signer);
+  try {
+    await contract.status();
+  } catch (error) {
+    throw pollError(`${address} is not a confidential poll`, error);
+  }
+  return { kind: "binary", address, contract };
+}
+
+/**
+ * Sends a transaction and waits for it to be mined.
+ * @param pending - The transaction promise
+ */
+async function send(pending: Promise<ContractTransactionResponse>) {
+  const receipt = await (await pending).wait();
+  if (receipt === null) {
+    throw pollError("Transaction was not mined");
+  }
+  return receipt;
+}
+
+/**
+ * Adds the `--json` flag shared by every task.
+ * @param definition - The task definition
+ */
+function withJson<T extends { addFlag(name: string, description?: string): T }>(definition: T): T {
+  return definition.addFlag("json", "Print the result as JSON");
+}
+
+// -----------------------------------------------------------------------------
+// Tasks
+// -----------------------------------------------------------------------------
+
+withJson(
+  task("poll:deploy", "Deploys a confidential poll")
+    .addOptionalParam("options", "Number of options; deploys a multi-option poll when set", undefined, types.int)
+    .addOptionalParam("start", "Timestamp from which ballots are accepted (0 opens now)", 0, types.int)
+    .addOptionalParam("end", "Timestamp at which voting ends (0 for none)", 0, types.int)
+    .addOptionalParam("signer", "Index of the account that deploys and owns the poll", 0, types.int),
+).setAction(async (args: CommonArgs & { options?: number; start: number; end: number; signer: number }, hre) =>
+  runPollTask(args, async () => {
+    const owner = await getSigner(hre, args.signer);
+    const kind: PollKind = args.options === undefined ? "binary" : "multi";
+    const factory = await hre.ethers.getContractFactory(CONTRACT_NAMES[kind], owner);
+    const constructorArgs = kind === "multi" ? [args.start, args.end, args.options] : [args.start, args.end];
+
+    const poll = await factory.deploy(...constructorArgs);
+    await poll.waitForDeployment();
+    const address = await poll.getAddress();
+
+    const result = { poll: address, kind, owner: owner.address, startTime: args.start, endTime: args.end };
+    return {
+      result,
+      lines: [
+        `Deployed ${CONTRACT_NAMES[kind]} at ${address}`,
+        `Owner: ${owner.address}`,
+        ...(kind === "multi" ? [`Options: ${args.options}`] : []),
+      ],
+    };
+  }),
+);
+
+withJson(
+  task("poll:vote", "Encrypts a ballot and casts it")
+    .addParam("poll", "Address of the poll")
+    .addParam(
+      "choice",
+      "The vote: 0 or 1, the option index of a multi-option poll or the rating of a rating poll",
+      undefined,
+      types.int,
+    )
+    .addOptionalParam("signer", "Index of the voting account", 0, types.int)
+    .addOptionalParam("eligibilityProof", "Hex-encoded evidence for the poll's eligibility strategy"),
+).setAction(
+  async (args: CommonArgs & { poll: string; choice: number; signer: number; eligibilityProof?: string }, hre) =>
+    runPollTask(args, async setContract => {
+      await hre.fhevm.initializeCLIApi();
+      const voter = await getSigner(hre, args.signer);
+      const { kind, address, contract } = await loadPoll(hre, args.poll, voter);
+      setContract(contract);
+
+      // Out-of-range ballots are silently counted as zero or clamped on
+      // chain, so catch typos before they are encrypted
+      let [firstChoice, lastChoice] = [0, 1];
+      if (kind === "multi") {
+        lastChoice = Number(await contract.optionCount()) - 1;
+      } else if (kind === "rating") {
+        [firstChoice, lastChoice] = [Number(await contract.minRating()), Number(await contract.maxRating())];
+      }
+      if (!Number.isInteger(args.choice) || args.choice < firstChoice || args.choice > lastChoice) {
+        throw pollError(`Invalid choice ${args.choice}, expecting ${firstChoice} to ${lastChoice}`);
+      }
+
+      const input = hre.fhevm.createEncryptedInput(address, voter.address);
+      if (kind === "multi" || kind === "rating") {
+        input.add8(args.choice);
+      } else {
+        input.add32(args.choice);
+      }
+      const encrypted = await input.encrypt();
+
+      const receipt = await send(
+        args.eligibilityProof === undefined
+          ? contract.getFunction("castVote(bytes32,bytes)")(encrypted.handles[0], encrypted.inputProof)
+          : contract.getFunction("castVote(bytes32,bytes,bytes)")(
+            encrypted.handles[0], encrypted.inputProof, args.eligibilityProof,
+          ),
+      );
+      const replaced = receipt.logs.some(log => contract.interface.parseLog(log)?.name === "VoteReplaced");
+
+      // The choice itself is left out so that it does not end up in logs
+      const result = { poll: address, voter: voter.address, replaced, transactionHash: receipt.hash };
+      return {
+        result,
+        lines: [`${replaced ? "Replaced the ballot" : "Cast a ballot"} of ${voter.address} in ${address}`],
+      };
+    }),
+);
+
+withJson(
+  task("poll:status", "Shows the lifecycle and turnout of a poll")
+    .addParam("poll", "Address of the poll"),
+).setAction(async (args: CommonArgs & { poll: string }, hre) =>
+  runPollTask(args, async setContract => {
+    const { kind, address, contract } = await loadPoll(hre, args.poll);
+    setContract(contract);
+
+    const result: Record<string, unknown> = {
+      poll: address,
+      kind,
+      owner: await contract.owner(),
+      status: POLL_STATUS[Number(await contract.status())],
+      startTime: await contract.startTime(),
+      endTime: await contract.endTime(),
+      turnout: await contract.turnout(),
+      minTurnout: await contract.minTurnout(),
+      invalid: await contract.isInvalid(),
+      decryptionPolicy: DECRYPTION_POLICY[Number(await contract.decryptionPolicy())],
+      revealThreshold: await contract.revealThreshold(),
+    };
+    if (result.revealThreshold !== 0n) {
+      result.trustees = await contract.trusteeCount();
+      result.revealApprovals = await contract.revealApprovals();
+    }
+    if (kind === "multi") {
+      result.options = await contract.optionCount();
+    }
+    if (kind === "rating") {
+      result.minRating = await contract.minRating();
+      result.maxRating = await contract.maxRating();
+    }
+    if (kind === "binary") {
+      result.revealScope = REVEAL_SCOPE[Number(await contract.revealScope())];
+      result.passThresholdBps = await contract.passThresholdBps();
+      result.noiseBound = await contract.noiseBound();
+      result.tallyRevealed = await contract.isTallyRevealed();
+      result.outcomeRevealed = await contract.isOutcomeRevealed();
+      result.recountRevealed = await contract.isRecountRevealed();
+    }
+
+    const lines = [
+      `${CONTRACT_NAMES[kind]} at ${address}`,
+      `Status: ${result.status}${result.invalid ? " (invalid: turnout below minimum)" : ""}`,
+      `Voting window: ${result.startTime === 0n ? "from deployment" : `from ${result.startTime}`}`
+        + ` ${result.endTime === 0n ? "until the owner closes it" : `until ${result.endTime}`}`,
+      `Turnout: ${result.turnout}${result.minTurnout === 0n ? "" : ` (minimum ${result.minTurnout})`}`,
+      `Decryption policy: ${result.decryptionPolicy}`,
+    ];
+    if (result.revealThreshold !== 0n) {
+      lines.push(
+        `Reveal approvals: ${result.revealApprovals} of ${result.revealThreshold} needed`
+          + ` (${result.trustees} trustees)`,
+      );
+    }
+    if (kind === "multi") {
+      lines.push(`Options: ${result.options}`);
+    }
+    if (kind === "rating") {
+      lines.push(`Ratings: ${result.minRating} to ${result.maxRating}`);
+    }
+    if (kind === "binary") {
+      lines.push(`Reveal scope: ${result.revealScope}, pass threshold ${result.passThresholdBps} bps`);
+      if (result.tallyRevealed) {
+        lines.push(`Revealed tally: ${await contract.revealedTally()}`);
+      }
+      if (result.outcomeRevealed) {
+        lines.push(`Revealed outcome: ${(await contract.passed()) ? "passed" : "failed"}`);
+      }
+      if (result.recountRevealed) {
+        lines.push(`Recount: ${(await contract.recountMatches()) ? "matches" : "DOES NOT match"} the tally`);
+      }
+    }
+    return { result, lines };
+  }),
+);
+
+withJson(
+  task("poll:close", "Closes a poll")
+    .addParam("poll", "Address of the poll")
+    .addOptionalParam("signer", "Index of the closing account; only the owner may close early", 0, types.int),
+).setAction(async (args: CommonArgs & { poll: string; signer: number }, hre) =>
+  runPollTask(args, async setContract => {
+    const account = await getSigner(hre, args.signer);
+    const { address, contract } = await loadPoll(hre, args.poll, account);
+    setContract(contract);
+
+    const receipt = await send(contract.close());
+    const invalid: boolean = await contract.isInvalid();
+
+    const result = { poll: address, closedBy: account.address, invalid, transactionHash: receipt.hash };
+    return {
+      result,
+      lines: [
+        `Closed ${address}`,
+        ...(invalid ? ["Turnout is below the minimum: the poll is invalid and its tally stays sealed"] : []),
+      ],
+    };
+  }),
+);
+
+withJson(
+  task("poll:tally", "Obtains access to a closed poll's tally and decrypts it")
+    .addParam("poll", "Address of the poll")
+    .addOptionalParam("signer", "Index of an account allowed to decrypt the tally", 0, types.int),
+).setAction(async (args: CommonArgs & { poll: string; signer: number }, hre) =>
+  runPollTask(args, async setContract => {
+    await hre.fhevm.initializeCLIApi();
+    const account = await getSigner(hre, args.signer);
+    const { kind, address, contract } = await loadPoll(hre, args.poll, account);
+    setContract(contract);
+
+    await send(contract.allowTallyDecryption());
+    const decrypt = async (type: FhevmTypeEuint, handle: string) =>
+      hre.fhevm.userDecryptEuint(type, handle, address, account);
+
+    const result: Record<string, unknown> = { poll: address, kind };
+    const lines = [`Tally of ${address}`];
+
+    if (kind === "multi") {
+      const tallies: bigint[] = [];
+      for (let optionId = 0; optionId < Number(await contract.optionCount()); optionId++) {
+        tallies.push(await decrypt(FhevmType.euint32, await contract.getTally(optionId)));
+        lines.push(`Option ${optionId}: ${tallies[optionId]}`);
+      }
+      result.tallies = tallies;
+    } else if (kind === "rating") {
+      const minRating = Number(await contract.minRating());
+      const histogram: bigint[] = [];
+      for (let rating = minRating; rating <= Number(await contract.maxRating()); rating++) {
+        histogram.push(await decrypt(FhevmType.euint32, await contract.getHistogram(rating)));
+        lines.push(`Rating ${rating}: ${histogram[rating - minRating]}`);
+      }
+      result.histogram = histogram;
+      result.sum = await decrypt(FhevmType.euint32, await contract.getSum());
+      result.min = await decrypt(FhevmType.euint8, await contract.getMin());
+      result.max = await decrypt(FhevmType.euint8, await contract.getMax());
+      lines.push(`Sum: ${result.sum}`, `Lowest: ${result.min}`, `Highest: ${result.max}`);
+    } else if (kind === "weighted") {
+      result.yesWeight = await decrypt(FhevmType.euint64, await contract.getYesWeight());
+      result.noWeight = await decrypt(FhevmType.euint64, await contract.getNoWeight());
+      lines.push(`Yes weight: ${result.yesWeight}`, `No weight: ${result.noWeight}`);
+    } else {
+      result.passed = await hre.fhevm.userDecryptEbool(await contract.getOutcome(), address, account);
+      lines.push(`Outcome: ${result.passed ? "passed" : "failed"}`);
+
+      // Only the counts the reveal scope and noise setting shared can be decrypted
+      const noiseBound = await contract.noiseBound();
+      if (Number(await contract.revealScope()) === REVEAL_SCOPE.indexOf("OutcomeOnly")) {
+        lines.push("Counts are hidden: the poll only reveals its outcome");
+      } else if (noiseBound !== 0n) {
+        const noisy = await decrypt(FhevmType.euint32, await contract.getNoisySum());
+        result.noisyYes = noisy - (await contract.noiseOffset());
+        result.noiseBound = noiseBound;
+        lines.push(`Yes (with noise of bound ${noiseBound}): ${result.noisyYes}`);
+      } else {
+        result.yes = await decrypt(FhevmType.euint32, await contract.getSum());
+        result.no = await decrypt(FhevmType.euint32, await contract.getNoCount());
+        lines.push(`Yes: ${result.yes}`, `No: ${result.no}`);
+      }
+    }
+    return { result, lines };
+  }),
+);
+
+withJson(
+  task("poll:recount", "Recounts a closed yes/no poll's stored ballots and reveals whether they match the tally")
+    .addParam("poll", "Address of the poll")
+    .addOptionalParam("batch", "Log entries recounted per transaction", undefined, types.int)
+    .addOptionalParam("signer", "Index of the account that sends the recount transactions", 0, types.int),
+).setAction(async (args: CommonArgs & { poll: string; batch?: number; signer: number }, hre) =>
+  runPollTask(args, async setContract => {
+    await hre.fhevm.initializeCLIApi();
+    const account = await getSigner(hre, args.signer);
+    const { kind, address, contract } = await loadPoll(hre, args.poll, account);
+    setContract(contract);
+    if (kind !== "binary") {
+      throw pollError(`Only yes/no polls keep a ballot log to recount; ${address} is a ${kind} poll`);
+    }
+
+    const maxBatch = Number(await contract.MAX_RECOUNT_BATCH());
+    const batch = args.batch ?? maxBatch;
+    if (!Number.isInteger(batch) || batch < 1 || batch > maxBatch) {
+      throw pollError(`Invalid batch size ${batch}, expecting 1 to ${maxBatch}`);
+    }
+
+    // Picks up where an interrupted run left off, and sends nothing once
+    // the recount is complete
+    const ballotCount = Number(await contract.ballotCount());
+    let transactions = 0;
+    while (!(await contract.isRecountComplete())) {
+      const from = Number(await contract.recountProgress());
+      await send(contract.recount(from, Math.min(from + batch, ballotCount)));
+      transactions += 1;
+    }
+
+    // A live oracle answers by itself; the mock one only when asked to
+    if (hre.fhevm.isMock) {
+      await hre.fhevm.awaitDecryptionOracle();
+    }
+    const revealed: boolean = await contract.isRecountRevealed();
+    const matches: boolean | null = revealed ? await contract.recountMatches() : null;
+
+    const result = { poll: address, ballotCount, transactions, revealed, matches };
+    return {
+      result,
+      lines: [
+        `Recounted ${ballotCount} logged ballots of ${address} in ${transactions} transactions`,
+        revealed
+          ? `The recount ${matches ? "matches" : "DOES NOT match"} the tally`
+          : "The oracle has not revealed the result yet; run the task again to read it",
+      ],
+    };
+  }),
+);
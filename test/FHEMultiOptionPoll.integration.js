@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Integration Tests for FHEMultiOptionPoll Contract
+ *
+ * Covers multi-option polls: encrypted option indices spread across one
+ * encrypted counter per option, invalid indices, ballot replacement, and
+ * the shared lifecycle and decryption policy inherited from PollBase.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+
+describe("FHEMultiOptionPoll Integration Tests", function () {
+  const OPTION_COUNT = 4;
+  const MAX_GAS_PER_VOTE = 2000000;
+
+  let contract;
+  let contractAddress;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+  let voter4;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3, voter4] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("FHEMultiOptionPoll");
+    contract = await Factory.deploy(0, 0, OPTION_COUNT);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Encrypts an option index for the given voter and submits it
+   * @param {Object} voter - The voter signer
+   * @param {number} optionIndex - The chosen option index
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function castChoice(voter, optionIndex) {
+    const encryptedChoice = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withChoice(optionIndex)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedChoice.handle, encryptedChoice.proof),
+      voter.address
+    );
+  }
+
+  /**
+   * Closes the poll, obtains tally access for the owner and asserts every
+   * option counter
+   * @param {bigint[]} expectedTallies - The expected count for each option
+   * @param {string} context - Additional context for error reporting
+   * @returns {Promise<void>}
+   */
+  async function assertTallies(expectedTallies, context) {
+    await (await contract.connect(owner).close()).wait();
+    await (await contract.connect(owner).allowTallyDecryption()).wait();
+
+    for (let optionId = 0; optionId < expectedTallies.length; optionId++) {
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.getTally(optionId),
+        contractAddress,
+        owner,
+        expectedTallies[optionId],
+        `${context}, option ${optionId}`
+      );
+    }
+  }
+
+  describe("Deployment", function () {
+    it("should record the option count", async function () {
+      expect(await contract.optionCount()).to.equal(BigInt(OPTION_COUNT));
+    });
+
+    it("should reject fewer than two or more than sixteen options", async function () {
+      const Factory = await ethers.getContractFactory("FHEMultiOptionPoll");
+
+      for (const optionCount of [0, 1, 17]) {
+        await FHEPollAssertions.assertVoteReverts(
+          Factory.deploy(0, 0, optionCount).then(c => c.deploymentTransaction()),
+          "InvalidOptionCount",
+          `${optionCount} options`
+        );
+      }
+    });
+
+    it("should reject tally lookups for options that do not exist", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.getTally(OPTION_COUNT),
+        "InvalidOption",
+        "option out of range"
+      );
+    });
+  });
+
+  describe("Tallying", function () {
+    it("should count each choice towards its own option only", async function () {
+      await castChoice(voter1, 0);
+      await castChoice(voter2, 2);
+      await castChoice(voter3, 2);
+      await castChoice(voter4, 3);
+
+      await assertTallies([1n, 0n, 2n, 1n], "mixed choices");
+    });
+
+    it("should ignore out-of-range option indices", async function () {
+      await castChoice(voter1, 1);
+      await castChoice(voter2, OPTION_COUNT);
+      await castChoice(voter3, 255);
+
+      await assertTallies([0n, 1n, 0n, 0n], "invalid indices");
+    });
+
+    it("should report zero for every option of a poll without ballots", async function () {
+      await assertTallies([0n, 0n, 0n, 0n], "empty poll");
+    });
+
+    it("should move a replaced ballot to the new option", async function () {
+      await castChoice(voter1, 0);
+      await castChoice(voter2, 0);
+      const receipt = await castChoice(voter1, 3);
+
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "VoteReplaced", [voter1.address]);
+      expect(await contract.hasVoted(voter1.address)).to.equal(true);
+      await assertTallies([1n, 0n, 0n, 1n], "replacement");
+    });
+
+    it("should withdraw a ballot replaced by an invalid index", async function () {
+      await castChoice(voter1, 2);
+      await castChoice(voter1, 99);
+
+      await assertTallies([0n, 0n, 0n, 0n], "replacement by invalid index");
+    });
+
+    it("should keep vote gas within bounds", async function () {
+      const receipt = await castChoice(voter1, 1);
+      FHEPollAssertions.assertGasUsage(receipt, MAX_GAS_PER_VOTE, "multi-option vote");
+    });
+  });
+
+  describe("Confidentiality", function () {
+    it("should not let voters decrypt any counter", async function () {
+      await castChoice(voter1, 1);
+
+      for (let optionId = 0; optionId < OPTION_COUNT; optionId++) {
+        await FHEPollAssertions.assertCannotDecrypt(
+          await contract.getTally(optionId), contractAddress, voter1
+        );
+      }
+    });
+
+    it("should refuse tally access while the poll is open", async function () {
+      await castChoice(voter1, 1);
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).allowTallyDecryption(),
+        "PollNotClosed",
+        "tally access during voting"
+      );
+    });
+
+    it("should refuse ballots after the poll is closed", async function () {
+      await (await contract.connect(owner).close()).wait();
+
+      const encryptedChoice = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withChoice(1)
+        .build();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).castVote(encryptedChoice.handle, encryptedChoice.proof),
+        "PollAlreadyClosed",
+        "vote after close"
+      );
+    });
+  });
+});
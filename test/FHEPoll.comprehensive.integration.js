@@ -57,9 +57,9 @@ describe("FHEPoll Comprehensive Integration Tests", function () {
     signers = await ethers.getSigners();
     [deployer, voter1, voter2, voter3, voter4, voter5, unauthorizedVoter] = signers;
 
-    // Deploy fresh contract instance for each test
+    // Deploy fresh contract instance for each test, open with no scheduled end
     const Factory = await ethers.getContractFactory("FHEPoll");
-    contract = await Factory.deploy();
+    contract = await Factory.deploy(0, 0);
     await contract.waitForDeployment();
     contractAddress = await contract.getAddress();
   });
@@ -148,8 +148,7 @@ describe("FHEPoll Comprehensive Integration Tests", function () {
     });
 
     it("should handle multiple votes from same address", async function () {
-      // Current implementation allows duplicate voting
-      // This test documents the current behavior
+      // A second ballot from the same address replaces the first one
       const encryptedVote1 = await new EncryptedVoteBuilder()
         .forContract(contractAddress)
         .byVoter(voter1.address)
@@ -168,15 +167,213 @@ describe("FHEPoll Comprehensive Integration Tests", function () {
         voter1.address
       );
 
-      // Second vote should also succeed (current implementation allows this)
+      // Second vote should also succeed, overwriting the first
       await FHEPollAssertions.assertVoteSucceeds(
         contract.connect(voter1).castVote(encryptedVote2.handle, encryptedVote2.proof),
         voter1.address
       );
 
-      // Final sum should be 1 (first vote) + 0 (second vote) = 1
-      await FHEPollAssertions.assertEncryptedSum(
-        contract, contractAddress, voter1, 1n, "duplicate voting scenario"
+      // Final sum should be 0: the YES ballot was replaced by a NO ballot
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 0n, "duplicate voting scenario"
+      );
+    });
+  });
+
+  /**
+   * Test Suite 2b: One Ballot Per Address
+   * Tests that re-voting replaces the previous ballot instead of adding to it
+   */
+  describe("One Ballot Per Address", function () {
+    async function castVote(voter, value) {
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter.address)
+        .withRawValue(value)
+        .build();
+
+      return FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+        voter.address
+      );
+    }
+
+    it("should report whether an address has voted", async function () {
+      expect(await contract.hasVoted(voter1.address)).to.equal(false);
+      await castVote(voter1, 1);
+      expect(await contract.hasVoted(voter1.address)).to.equal(true);
+      expect(await contract.hasVoted(voter2.address)).to.equal(false);
+    });
+
+    it("should emit VoteCast for the first ballot and VoteReplaced afterwards", async function () {
+      const firstReceipt = await castVote(voter1, 1);
+      FHEPollAssertions.assertEventEmitted(firstReceipt, contract, "VoteCast", [voter1.address]);
+      FHEPollAssertions.assertEventNotEmitted(firstReceipt, contract, "VoteReplaced");
+
+      const secondReceipt = await castVote(voter1, 0);
+      FHEPollAssertions.assertEventEmitted(secondReceipt, contract, "VoteReplaced", [voter1.address]);
+      FHEPollAssertions.assertEventNotEmitted(secondReceipt, contract, "VoteCast");
+    });
+
+    it("should not let one signer vote YES repeatedly", async function () {
+      for (let i = 0; i < 4; i++) {
+        await castVote(voter1, 1);
+      }
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 1n, "repeated YES ballots"
+      );
+    });
+
+    it("should switch a NO ballot to YES", async function () {
+      await castVote(voter1, 0);
+      await castVote(voter1, 1);
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 1n, "NO replaced by YES"
+      );
+    });
+
+    it("should leave other voters' ballots untouched", async function () {
+      await castVote(voter1, 1);
+      await castVote(voter2, 1);
+      await castVote(voter3, 0);
+      await castVote(voter1, 0);
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 1n, "replacement among several voters"
+      );
+    });
+
+    it("should replace a valid ballot with an out-of-range one as zero", async function () {
+      await castVote(voter1, 1);
+      await castVote(voter1, 9);
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 0n, "valid ballot replaced by invalid one"
+      );
+    });
+  });
+
+  /**
+   * Test Suite 2c: Ballot Range Enforcement
+   * Tests that out-of-range ballots are neutralised on-chain
+   */
+  describe("Ballot Range Enforcement", function () {
+    it("should not let a crafted add32(5) ballot move the tally", async function () {
+      const honestVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withVote(1)
+        .build();
+
+      const maliciousVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter2.address)
+        .withRawValue(5)
+        .build();
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter1).castVote(honestVote.handle, honestVote.proof),
+        voter1.address
+      );
+      await FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter2).castVote(maliciousVote.handle, maliciousVote.proof),
+        voter2.address
+      );
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 1n, "out-of-range ballot counted as zero"
+      );
+    });
+
+    it("should not let a large ballot overflow or skew the tally", async function () {
+      const maliciousVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withRawValue(1000000)
+        .build();
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter1).castVote(maliciousVote.handle, maliciousVote.proof),
+        voter1.address
+      );
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 0n, "large ballot counted as zero"
+      );
+    });
+
+    it("should count rejected ballots for the auditor", async function () {
+      const votes = [
+        { voter: voter1, value: 1 },
+        { voter: voter2, value: 5 },
+        { voter: voter3, value: 0 },
+        { voter: voter4, value: 2 }
+      ];
+
+      for (const { voter, value } of votes) {
+        const encryptedVote = await new EncryptedVoteBuilder()
+          .forContract(contractAddress)
+          .byVoter(voter.address)
+          .withRawValue(value)
+          .build();
+
+        await FHEPollAssertions.assertVoteSucceeds(
+          contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+          voter.address
+        );
+      }
+
+      // The deployer is the default auditor
+      expect(await contract.auditor()).to.equal(deployer.address);
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.getRejectedCount(), contractAddress, deployer, 2n, "rejected ballot count"
+      );
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, 1n, "only valid ballots are tallied"
+      );
+    });
+
+    it("should keep the rejected counter private from voters", async function () {
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withRawValue(7)
+        .build();
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter1).castVote(encryptedVote.handle, encryptedVote.proof),
+        voter1.address
+      );
+
+      await FHEPollAssertions.assertCannotDecrypt(
+        await contract.getRejectedCount(), contractAddress, voter1
+      );
+    });
+
+    it("should let the owner hand the auditor role to another account", async function () {
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withRawValue(3)
+        .build();
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter1).castVote(encryptedVote.handle, encryptedVote.proof),
+        voter1.address
+      );
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).setAuditor(voter1.address),
+        null,
+        "non-owner cannot change the auditor"
+      );
+
+      await (await contract.connect(deployer).setAuditor(voter5.address)).wait();
+      expect(await contract.auditor()).to.equal(voter5.address);
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.getRejectedCount(), contractAddress, voter5, 1n, "new auditor"
       );
     });
   });
@@ -237,9 +434,132 @@ describe("FHEPoll Comprehensive Integration Tests", function () {
         );
       }
 
-      // Only the last voter should be able to decrypt (permission model)
+      // No voter can decrypt the running tally, not even the last one
+      for (const voter of voters) {
+        await FHEPollAssertions.assertVoterCannotDecrypt(contract, contractAddress, voter);
+      }
+
       const expectedSum = votes.reduce((sum, vote) => sum + vote, 0);
-      await FHEPollAssertions.assertVoterCanDecrypt(contract, contractAddress, voter3, BigInt(expectedSum));
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, BigInt(expectedSum), "tally after close"
+      );
+    });
+
+    it("should not let consecutive voters decrypt the tally mid-poll", async function () {
+      // Previously each voter could decrypt the sum right after voting, so
+      // voter2 could subtract voter1's decryption to learn voter2's ballot
+      for (const [voter, value] of [[voter1, 1], [voter2, 0]]) {
+        const encryptedVote = await new EncryptedVoteBuilder()
+          .forContract(contractAddress)
+          .byVoter(voter.address)
+          .withVote(value)
+          .build();
+
+        await FHEPollAssertions.assertVoteSucceeds(
+          contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+          voter.address
+        );
+        await FHEPollAssertions.assertVoterCannotDecrypt(contract, contractAddress, voter);
+      }
+    });
+  });
+
+  /**
+   * Test Suite 3b: Decryption Policy
+   * Tests who may decrypt the tally once the poll is closed
+   */
+  describe("Decryption Policy", function () {
+    // Mirrors the FHEPoll.DecryptionPolicy enum
+    const DecryptionPolicy = { TallyRoles: 0n, Public: 1n };
+
+    beforeEach(async function () {
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withVote(1)
+        .build();
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter1).castVote(encryptedVote.handle, encryptedVote.proof),
+        voter1.address
+      );
+    });
+
+    it("should default to tally roles only, with the owner as tally role", async function () {
+      expect(await contract.decryptionPolicy()).to.equal(DecryptionPolicy.TallyRoles);
+      expect(await contract.isTallyRole(deployer.address)).to.equal(true);
+      expect(await contract.isTallyRole(voter1.address)).to.equal(false);
+    });
+
+    it("should refuse tally access while the poll is open, even to tally roles", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(deployer).allowTallyDecryption(),
+        "PollNotClosed",
+        "tally access during voting"
+      );
+    });
+
+    it("should refuse tally access to voters without the tally role", async function () {
+      await (await contract.connect(deployer).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).allowTallyDecryption(),
+        "NotTallyRole",
+        "voter asks for tally access"
+      );
+      await FHEPollAssertions.assertVoterCannotDecrypt(contract, contractAddress, voter1);
+    });
+
+    it("should let the owner designate additional tally roles", async function () {
+      const receipt = await (await contract.connect(deployer).setTallyRole(voter5.address, true)).wait();
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "TallyRoleUpdated", [voter5.address, true]);
+      await (await contract.connect(deployer).close()).wait();
+
+      const accessReceipt = await (await contract.connect(voter5).allowTallyDecryption()).wait();
+      FHEPollAssertions.assertEventEmitted(accessReceipt, contract, "TallyAccessGranted", [voter5.address]);
+      await FHEPollAssertions.assertVoterCanDecrypt(contract, contractAddress, voter5, 1n);
+    });
+
+    it("should not let a non-owner manage tally roles or the policy", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).setTallyRole(voter1.address, true),
+        "NotOwner",
+        "non-owner grants tally role"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).setDecryptionPolicy(DecryptionPolicy.Public),
+        "NotOwner",
+        "non-owner changes policy"
+      );
+    });
+
+    it("should let everyone decrypt once closed under the public policy", async function () {
+      await (await contract.connect(deployer).setDecryptionPolicy(DecryptionPolicy.Public)).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter2).allowTallyDecryption(),
+        "PollNotClosed",
+        "public tally access during voting"
+      );
+
+      await (await contract.connect(deployer).close()).wait();
+      for (const account of [voter1, voter2, unauthorizedVoter]) {
+        await (await contract.connect(account).allowTallyDecryption()).wait();
+      }
+
+      await FHEPollAssertions.assertMultipleVotersCanDecrypt(
+        contract, contractAddress, [voter1, voter2, unauthorizedVoter], 1n
+      );
+      expect(await hre.fhevm.publicDecryptEuint(FhevmType.euint32, await contract.getSum())).to.equal(1n);
+    });
+
+    it("should lock the policy once the poll is closed", async function () {
+      await (await contract.connect(deployer).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(deployer).setDecryptionPolicy(DecryptionPolicy.Public),
+        "PolicyLocked",
+        "policy change after close"
+      );
     });
   });
 
@@ -358,8 +678,8 @@ describe("FHEPoll Comprehensive Integration Tests", function () {
       await Promise.all(votePromises);
 
       // Verify final sum
-      await FHEPollAssertions.assertEncryptedSum(
-        contract, contractAddress, voter3, BigInt(expectedSum), "concurrent voting"
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, BigInt(expectedSum), "concurrent voting"
       );
     });
 
@@ -385,10 +705,8 @@ describe("FHEPoll Comprehensive Integration Tests", function () {
 
       // Verify final state consistency
       const expectedSum = rapidVotes.reduce((sum, { vote }) => sum + vote, 0);
-      const lastVoter = rapidVotes[rapidVotes.length - 1].voter;
-      
-      await FHEPollAssertions.assertEncryptedSum(
-        contract, contractAddress, lastVoter, BigInt(expectedSum), "rapid voting consistency"
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, deployer, BigInt(expectedSum), "rapid voting consistency"
       );
     });
   });
@@ -417,11 +735,10 @@ describe("FHEPoll Comprehensive Integration Tests", function () {
     }
 
     // Verify final sum
-    const lastVoter = scenario.voters[scenario.voters.length - 1];
-    await FHEPollAssertions.assertEncryptedSum(
+    await FHEPollAssertions.assertFinalTally(
       contract, 
       contractAddress, 
-      lastVoter, 
+      deployer, 
       BigInt(scenario.expectedSum), 
       scenario.description
     );
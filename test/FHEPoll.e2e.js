@@ -2,6 +2,7 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const hre = require("hardhat");
 const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { PollClient, HardhatFhevmBackend } = require("../sdk");
 
 /*
  * End‑to‑end test simulating a complete voting session.  This test
@@ -15,25 +16,20 @@ describe("FHEPoll end‑to‑end", function () {
     // Deploy a fresh poll contract.  A deployment per test ensures
     // isolated state and avoids cross‑test contamination.
     const Factory = await ethers.getContractFactory("FHEPoll");
-    const poll = await Factory.deploy();
+    // Start and end time of 0 open the poll immediately with no scheduled end.
+    const poll = await Factory.deploy(0, 0);
     // In Ethers v6 the `deployed` helper has been removed.  Wait for
     // deployment explicitly to ensure the contract is mined.
     await poll.waitForDeployment();
 
-    // Helper function to cast a vote on behalf of a signer.  Encapsulates
-    // the encryption workflow and transaction sending in one place,
-    // improving readability and ensuring DRY code.
+    // Helper function to cast a vote on behalf of a signer.  The SDK's
+    // PollClient encrypts the ballot and passes the handle together with its
+    // `inputProof`, so no test has to repeat that sequence.
     async function castVoteFor(signer, value) {
-      const contractAddress = await poll.getAddress();
-      const input = hre.fhevm.createEncryptedInput(contractAddress, signer.address);
-      input.add32(value);
-      const encrypted = await input.encrypt();
-      // Pass the correct `inputProof` property instead of `.proof`, which is undefined in fhEVM v0.9.  See
-      // https://docs.zama.ai/protocol/solidity-guides/smart-contract/inputs for details on the returned object.
-      const tx = await poll
-        .connect(signer)
-        .castVote(encrypted.handles[0], encrypted.inputProof);
-      await tx.wait();
+      const client = new PollClient(await poll.getAddress(), signer, {
+        backend: new HardhatFhevmBackend(hre.fhevm),
+      });
+      await client.vote(value);
     }
 
     // Alice votes YES (1), Bob votes NO (0), Carol votes YES (1).
@@ -41,16 +37,21 @@ describe("FHEPoll end‑to‑end", function () {
     await castVoteFor(bob, 0);
     await castVoteFor(carol, 1);
 
+    // Voters cannot decrypt the running tally, so the deployer closes the
+    // poll and, holding the tally role, obtains decryption access.
+    await (await poll.connect(deployer).close()).wait();
+    await (await poll.connect(deployer).allowTallyDecryption()).wait();
+
     // Fetch the encrypted result from the chain.
     const encryptedSum = await poll.getSum();
 
-    // Decrypt using the last voter (carol) who has permission on the latest handle.
+    // Decrypt using the deployer, who now has permission on the final handle.
     const contractAddress = await poll.getAddress();
     const clearSum = await hre.fhevm.userDecryptEuint(
       FhevmType.euint32,
       encryptedSum,
       contractAddress,
-      carol,
+      deployer,
     );
 
     // The poll should reflect two YES votes and one NO vote, resulting in a
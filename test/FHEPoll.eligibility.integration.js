@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Eligibility Integration Tests for Confidential Polls
+ *
+ * Covers the IEligibility hook consulted by castVote and the built-in
+ * strategies: owner-managed allowlist, Merkle-root allowlist, minimum ERC-20
+ * balance and ERC-721 ownership. Token-gated strategies run against mock
+ * tokens. Also covers the Merkle tree helpers in scripts/merkle.js.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { AddressMerkleTree, parseAddressCsv } = require("../scripts/merkle");
+
+describe("FHEPoll Eligibility Integration Tests", function () {
+  // Signature of the castVote overload that takes an eligibility proof
+  const CAST_VOTE_WITH_PROOF = "castVote(bytes32,bytes,bytes)";
+
+  let contract;
+  let contractAddress;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+  let outsider;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3, outsider] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Deploys a contract and waits for it
+   * @param {string} name - The contract name
+   * @param {Array} args - Constructor arguments
+   * @returns {Promise<Object>} - The deployed contract
+   */
+  async function deploy(name, args = []) {
+    const deployed = await (await ethers.getContractFactory(name)).deploy(...args);
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  /**
+   * Installs an eligibility strategy on the poll
+   * @param {Object} strategy - The deployed strategy
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function useStrategy(strategy) {
+    return (await contract.connect(owner).setEligibility(await strategy.getAddress())).wait();
+  }
+
+  /**
+   * Encrypts a ballot for the given voter and submits it, with an
+   * eligibility proof when one is given
+   * @param {Object} voter - The voter signer
+   * @param {number} value - The vote value (0 or 1)
+   * @param {string} [eligibilityProof] - Encoded evidence for the strategy
+   * @returns {Promise} - The pending transaction
+   */
+  async function sendVote(voter, value, eligibilityProof) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withVote(value)
+      .build();
+
+    return eligibilityProof === undefined
+      ? contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof)
+      : contract.connect(voter)[CAST_VOTE_WITH_PROOF](
+        encryptedVote.handle, encryptedVote.proof, eligibilityProof
+      );
+  }
+
+  describe("Eligibility Hook", function () {
+    it("should let every address vote when no strategy is set", async function () {
+      expect(await contract.eligibility()).to.equal(ethers.ZeroAddress);
+      await FHEPollAssertions.assertVoteSucceeds(sendVote(outsider, 1), outsider.address);
+    });
+
+    it("should only let the owner change the strategy", async function () {
+      const allowlist = await deploy("AllowlistEligibility");
+      const allowlistAddress = await allowlist.getAddress();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).setEligibility(allowlistAddress),
+        "NotOwner",
+        "non-owner strategy change"
+      );
+
+      const receipt = await useStrategy(allowlist);
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "EligibilityUpdated", [allowlistAddress]);
+      expect(await contract.eligibility()).to.equal(allowlistAddress);
+    });
+
+    it("should not change the strategy once the poll is closed", async function () {
+      const allowlist = await deploy("AllowlistEligibility");
+      await (await contract.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).setEligibility(await allowlist.getAddress()),
+        "PollAlreadyClosed",
+        "strategy change after close"
+      );
+    });
+
+    it("should lift the restriction when the strategy is cleared", async function () {
+      await useStrategy(await deploy("AllowlistEligibility"));
+      await FHEPollAssertions.assertVoteReverts(sendVote(outsider, 1), "NotEligible", "restricted");
+
+      await (await contract.connect(owner).setEligibility(ethers.ZeroAddress)).wait();
+      await FHEPollAssertions.assertVoteSucceeds(sendVote(outsider, 1), outsider.address);
+    });
+  });
+
+  describe("Allowlist Strategy", function () {
+    let allowlist;
+
+    beforeEach(async function () {
+      allowlist = await deploy("AllowlistEligibility");
+      await (await allowlist.connect(owner).setAllowed([voter1.address, voter2.address], true)).wait();
+      await useStrategy(allowlist);
+    });
+
+    it("should only count ballots from listed addresses", async function () {
+      await FHEPollAssertions.assertVoteSucceeds(sendVote(voter1, 1), voter1.address);
+      await FHEPollAssertions.assertVoteSucceeds(sendVote(voter2, 1), voter2.address);
+      await FHEPollAssertions.assertVoteReverts(sendVote(outsider, 1), "NotEligible", "unlisted voter");
+
+      expect(await contract.hasVoted(outsider.address)).to.equal(false);
+      await FHEPollAssertions.assertFinalTally(contract, contractAddress, owner, 2n, "allowlisted poll");
+    });
+
+    it("should only let the allowlist owner edit it", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        allowlist.connect(voter1).setAllowed([outsider.address], true),
+        "NotOwner",
+        "non-owner allowlist edit"
+      );
+    });
+
+    it("should block ballot replacement after an address is removed", async function () {
+      await FHEPollAssertions.assertVoteSucceeds(sendVote(voter1, 1), voter1.address);
+      await (await allowlist.connect(owner).setAllowed([voter1.address], false)).wait();
+
+      await FHEPollAssertions.assertVoteReverts(sendVote(voter1, 0), "NotEligible", "removed voter");
+      await FHEPollAssertions.assertFinalTally(contract, contractAddress, owner, 1n, "kept ballot");
+    });
+
+    it("should gate multi-option polls through the same hook", async function () {
+      const poll = await deploy("FHEMultiOptionPoll", [0, 0, 3]);
+      const pollAddress = await poll.getAddress();
+      await (await poll.connect(owner).setEligibility(await allowlist.getAddress())).wait();
+
+      const choiceFor = voter => new EncryptedVoteBuilder()
+        .forContract(pollAddress).byVoter(voter.address).withChoice(1).build();
+      const allowedChoice = await choiceFor(voter1);
+      const outsiderChoice = await choiceFor(outsider);
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        poll.connect(voter1).castVote(allowedChoice.handle, allowedChoice.proof),
+        voter1.address
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        poll.connect(outsider).castVote(outsiderChoice.handle, outsiderChoice.proof),
+        "NotEligible",
+        "unlisted multi-option voter"
+      );
+    });
+  });
+
+  describe("Merkle Strategy", function () {
+    let tree;
+
+    beforeEach(async function () {
+      tree = AddressMerkleTree.fromCsv(
+        `address,name\n${voter1.address},Alice\n${voter2.address},Bob\n${voter3.address},Carol\n`
+      );
+      await useStrategy(await deploy("MerkleEligibility", [tree.root]));
+    });
+
+    it("should accept ballots carrying a valid proof", async function () {
+      for (const voter of [voter1, voter2, voter3]) {
+        await FHEPollAssertions.assertVoteSucceeds(
+          sendVote(voter, 1, tree.encodeProof(voter.address)),
+          voter.address
+        );
+      }
+
+      await FHEPollAssertions.assertFinalTally(contract, contractAddress, owner, 3n, "Merkle poll");
+    });
+
+    it("should reject ballots without a proof", async function () {
+      await FHEPollAssertions.assertVoteReverts(sendVote(voter1, 1), "NotEligible", "missing proof");
+      await FHEPollAssertions.assertVoteReverts(
+        sendVote(voter1, 1, "0x1234"),
+        null,
+        "malformed proof"
+      );
+    });
+
+    it("should reject a proof borrowed from another voter", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        sendVote(outsider, 1, tree.encodeProof(voter1.address)),
+        "NotEligible",
+        "borrowed proof"
+      );
+    });
+  });
+
+  describe("Token-Gated Strategies", function () {
+    it("should require the minimum ERC-20 balance", async function () {
+      const token = await deploy("MockERC20");
+      const minBalance = ethers.parseEther("100");
+      await useStrategy(await deploy("ERC20BalanceEligibility", [await token.getAddress(), minBalance]));
+
+      await (await token.mint(voter1.address, minBalance)).wait();
+      await (await token.mint(voter2.address, minBalance - 1n)).wait();
+
+      await FHEPollAssertions.assertVoteSucceeds(sendVote(voter1, 1), voter1.address);
+      await FHEPollAssertions.assertVoteReverts(sendVote(voter2, 1), "NotEligible", "balance below minimum");
+      await FHEPollAssertions.assertVoteReverts(sendVote(outsider, 1), "NotEligible", "no balance");
+    });
+
+    it("should require owning at least one ERC-721 token", async function () {
+      const collection = await deploy("MockERC721");
+      await useStrategy(await deploy("ERC721OwnershipEligibility", [await collection.getAddress()]));
+
+      await FHEPollAssertions.assertVoteReverts(sendVote(voter1, 1), "NotEligible", "no token yet");
+
+      await (await collection.mint(voter1.address, 1)).wait();
+      await FHEPollAssertions.assertVoteSucceeds(sendVote(voter1, 1), voter1.address);
+    });
+  });
+
+  describe("Merkle Helpers", function () {
+    it("should skip headers, blank lines and duplicates when parsing CSV", function () {
+      const addresses = parseAddressCsv(
+        `wallet\n\n${voter1.address.toLowerCase()}\n"${voter2.address}",extra\n${voter1.address}\n`
+      );
+
+      expect(addresses).to.deep.equal([voter1.address, voter2.address]);
+    });
+
+    it("should reject rows without a valid address", function () {
+      expect(() => parseAddressCsv(`${voter1.address}\nnot-an-address\n`))
+        .to.throw("Invalid address on line 2");
+    });
+
+    it("should produce proofs that the strategy accepts for every tree size", async function () {
+      const signers = await ethers.getSigners();
+
+      for (const size of [1, 2, 5, 8]) {
+        const voters = signers.slice(0, size).map(s => s.address);
+        const sizedTree = new AddressMerkleTree(voters);
+        const strategy = await deploy("MerkleEligibility", [sizedTree.root]);
+
+        for (const voter of voters) {
+          expect(await strategy.isEligible(voter, sizedTree.encodeProof(voter)),
+            `${size}-leaf tree, ${voter}`).to.equal(true);
+        }
+        expect(sizedTree.has(signers[size].address)).to.equal(false);
+        expect(() => sizedTree.getProof(signers[size].address)).to.throw("not in the Merkle tree");
+      }
+    });
+  });
+});
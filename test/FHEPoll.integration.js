@@ -35,9 +35,9 @@ describe("FHEPoll Core Integration Tests", function () {
     // Retrieve test accounts from Hardhat
     [owner, voter1, voter2] = await ethers.getSigners();
 
-    // Deploy fresh contract instance for each test
+    // Deploy fresh contract instance for each test, open with no scheduled end
     const Factory = await ethers.getContractFactory("FHEPoll");
-    contract = await Factory.deploy();
+    contract = await Factory.deploy(0, 0);
     await contract.waitForDeployment();
     contractAddress = await contract.getAddress();
   });
@@ -71,11 +71,11 @@ describe("FHEPoll Core Integration Tests", function () {
       voter2.address
     );
 
-    // Verify final aggregated sum
-    await FHEPollAssertions.assertEncryptedSum(
+    // Close the poll and verify the final aggregated sum as the owner
+    await FHEPollAssertions.assertFinalTally(
       contract, 
       contractAddress, 
-      voter2, // Last voter has permission
+      owner, // The owner holds the tally role
       1n, // Expected sum: 1 YES + 0 NO = 1
       "basic vote aggregation"
     );
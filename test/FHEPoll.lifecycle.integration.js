@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Lifecycle Integration Tests for FHEPoll Contract
+ *
+ * Covers the voting window: scheduled opening and closing, early closing by
+ * the owner, and the events emitted at each state transition. Time is moved
+ * forward with Hardhat's time-travel RPC methods.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { ChainTime } = require("./helpers/ChainTime");
+
+describe("FHEPoll Lifecycle Integration Tests", function () {
+  // Mirrors the FHEPoll.PollStatus enum
+  const PollStatus = { Pending: 0n, Open: 1n, Closed: 2n };
+  const ONE_HOUR = 3600;
+  const ONE_DAY = 24 * ONE_HOUR;
+
+  let Factory;
+  let owner;
+  let voter1;
+  let voter2;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2] = await ethers.getSigners();
+    Factory = await ethers.getContractFactory("FHEPoll");
+  });
+
+  /**
+   * Deploys a poll with the given voting window
+   * @param {number} startTime - Opening timestamp (0 opens immediately)
+   * @param {number} endTime - Closing timestamp (0 for no scheduled end)
+   * @returns {Promise<Object>} - The deployed contract and its address
+   */
+  async function deployPoll(startTime, endTime) {
+    const contract = await Factory.deploy(startTime, endTime);
+    await contract.waitForDeployment();
+    return { contract, contractAddress: await contract.getAddress() };
+  }
+
+  /**
+   * Encrypts a ballot for the given voter and submits it
+   * @param {Object} contract - The poll contract
+   * @param {string} contractAddress - The poll address
+   * @param {Object} voter - The voter signer
+   * @param {number} value - The vote value (0 or 1)
+   * @returns {Promise} - The pending transaction
+   */
+  async function sendVote(contract, contractAddress, voter, value) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withVote(value)
+      .build();
+
+    return contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof);
+  }
+
+  describe("Scheduling", function () {
+    it("should emit PollOpened with the voting window at deployment", async function () {
+      const now = await ChainTime.latest();
+      const { contract } = await deployPoll(now + ONE_HOUR, now + ONE_DAY);
+
+      const receipt = await contract.deploymentTransaction().wait();
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "PollOpened", [BigInt(now + ONE_HOUR), BigInt(now + ONE_DAY)]
+      );
+      expect(await contract.startTime()).to.equal(BigInt(now + ONE_HOUR));
+      expect(await contract.endTime()).to.equal(BigInt(now + ONE_DAY));
+    });
+
+    it("should reject an end time that is not after the start time", async function () {
+      const now = await ChainTime.latest();
+
+      await FHEPollAssertions.assertVoteReverts(
+        Factory.deploy(now + ONE_DAY, now + ONE_HOUR).then(c => c.deploymentTransaction()),
+        "InvalidSchedule",
+        "end before start"
+      );
+    });
+
+    it("should reject an end time in the past", async function () {
+      const now = await ChainTime.latest();
+
+      await FHEPollAssertions.assertVoteReverts(
+        Factory.deploy(0, now - ONE_HOUR).then(c => c.deploymentTransaction()),
+        "InvalidSchedule",
+        "end in the past"
+      );
+    });
+  });
+
+  describe("State Transitions", function () {
+    it("should move from Pending to Open to Closed as time passes", async function () {
+      const now = await ChainTime.latest();
+      const { contract, contractAddress } = await deployPoll(now + ONE_HOUR, now + ONE_DAY);
+
+      expect(await contract.status()).to.equal(PollStatus.Pending);
+      await FHEPollAssertions.assertVoteReverts(
+        sendVote(contract, contractAddress, voter1, 1),
+        "PollNotOpen",
+        "vote before start"
+      );
+
+      await ChainTime.increaseTo(now + ONE_HOUR);
+      expect(await contract.status()).to.equal(PollStatus.Open);
+      await FHEPollAssertions.assertVoteSucceeds(
+        sendVote(contract, contractAddress, voter1, 1),
+        voter1.address
+      );
+
+      await ChainTime.increaseTo(now + ONE_DAY);
+      expect(await contract.status()).to.equal(PollStatus.Closed);
+      await FHEPollAssertions.assertVoteReverts(
+        sendVote(contract, contractAddress, voter2, 1),
+        "PollAlreadyClosed",
+        "vote after end"
+      );
+    });
+
+    it("should stay open indefinitely without a scheduled end", async function () {
+      const { contract, contractAddress } = await deployPoll(0, 0);
+
+      expect(await contract.status()).to.equal(PollStatus.Open);
+      await ChainTime.increase(365 * ONE_DAY);
+      expect(await contract.status()).to.equal(PollStatus.Open);
+      await FHEPollAssertions.assertVoteSucceeds(
+        sendVote(contract, contractAddress, voter1, 1),
+        voter1.address
+      );
+    });
+
+    it("should keep the tally cast during the window after closing", async function () {
+      const now = await ChainTime.latest();
+      const { contract, contractAddress } = await deployPoll(0, now + ONE_HOUR);
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        sendVote(contract, contractAddress, voter1, 1),
+        voter1.address
+      );
+      await ChainTime.increaseTo(now + ONE_HOUR);
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, owner, 1n, "tally after close"
+      );
+    });
+  });
+
+  describe("Closing", function () {
+    it("should let the owner close an open poll early", async function () {
+      const now = await ChainTime.latest();
+      const { contract, contractAddress } = await deployPoll(0, now + ONE_DAY);
+
+      const receipt = await (await contract.connect(owner).close()).wait();
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "PollClosed", [owner.address, BigInt(block.timestamp)]
+      );
+      expect(await contract.status()).to.equal(PollStatus.Closed);
+      await FHEPollAssertions.assertVoteReverts(
+        sendVote(contract, contractAddress, voter1, 1),
+        "PollAlreadyClosed",
+        "vote after early close"
+      );
+    });
+
+    it("should let the owner close a poll before it opens", async function () {
+      const now = await ChainTime.latest();
+      const { contract, contractAddress } = await deployPoll(now + ONE_HOUR, now + ONE_DAY);
+
+      await (await contract.connect(owner).close()).wait();
+      await ChainTime.increaseTo(now + ONE_HOUR);
+
+      expect(await contract.status()).to.equal(PollStatus.Closed);
+      await FHEPollAssertions.assertVoteReverts(
+        sendVote(contract, contractAddress, voter1, 1),
+        "PollAlreadyClosed",
+        "vote after cancellation"
+      );
+    });
+
+    it("should not let a non-owner close the poll before the end time", async function () {
+      const now = await ChainTime.latest();
+      const { contract } = await deployPoll(0, now + ONE_DAY);
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).close(),
+        "NotOwner",
+        "non-owner early close"
+      );
+      expect(await contract.status()).to.equal(PollStatus.Open);
+    });
+
+    it("should let anyone record the closure after the end time", async function () {
+      const now = await ChainTime.latest();
+      const { contract } = await deployPoll(0, now + ONE_HOUR);
+
+      await ChainTime.increaseTo(now + 2 * ONE_HOUR);
+      const receipt = await (await contract.connect(voter1).close()).wait();
+
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "PollClosed", [voter1.address, BigInt(now + ONE_HOUR)]
+      );
+    });
+
+    it("should not close the same poll twice", async function () {
+      const { contract } = await deployPoll(0, 0);
+
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).close(),
+        "PollAlreadyClosed",
+        "second close"
+      );
+    });
+  });
+});
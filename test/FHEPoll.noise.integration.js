@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Noise Integration Tests for FHEPoll Contract
+ *
+ * Covers the differentially private tally release: the owner-set noise
+ * bound, the noisy yes count that replaces the exact counts once the poll is
+ * closed, and its oracle reveal with the noise parameters. The statistical
+ * tests repeat the release over many mock polls and check the spread and
+ * the mean of the noise.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+
+describe("FHEPoll Noise Integration Tests", function () {
+  const NOISE_BOUND = 8;
+  const NOISE_OFFSET = NOISE_BOUND - 1;
+  const RUNS = 40;
+
+  let Factory;
+  let owner;
+  let voter1;
+  let voter2;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2] = await ethers.getSigners();
+    Factory = await ethers.getContractFactory("FHEPoll");
+  });
+
+  /**
+   * Deploys a poll, enables noise and casts one ballot per value
+   * @param {number[]} values - The ballot values, one voter each
+   * @param {number} [bound] - The noise bound
+   * @returns {Promise<Object>} - The closed contract and its address
+   */
+  async function closedNoisyPoll(values, bound = NOISE_BOUND) {
+    const contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    const contractAddress = await contract.getAddress();
+    await (await contract.connect(owner).setNoiseBound(bound)).wait();
+
+    const voters = [voter1, voter2];
+    for (const [index, value] of values.entries()) {
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voters[index].address)
+        .withVote(value)
+        .build();
+      await (await contract.connect(voters[index]).castVote(encryptedVote.handle, encryptedVote.proof)).wait();
+    }
+
+    await (await contract.connect(owner).close()).wait();
+    return { contract, contractAddress };
+  }
+
+  /**
+   * Obtains tally access as the owner and decrypts the noisy count
+   * @param {Object} contract - The closed poll
+   * @param {string} contractAddress - The poll address
+   * @returns {Promise<number>} - The centered noisy yes count
+   */
+  async function decryptNoisyTally(contract, contractAddress) {
+    await (await contract.connect(owner).allowTallyDecryption()).wait();
+    const raw = await hre.fhevm.userDecryptEuint(
+      FhevmType.euint32, await contract.getNoisySum(), contractAddress, owner
+    );
+    return Number(raw) - NOISE_OFFSET;
+  }
+
+  describe("Configuration", function () {
+    it("should release the exact tally by default", async function () {
+      const contract = await Factory.deploy(0, 0);
+      await contract.waitForDeployment();
+
+      expect(await contract.noiseBound()).to.equal(0n);
+      expect(await contract.noiseOffset()).to.equal(0n);
+    });
+
+    it("should accept power-of-two bounds and publish the offset", async function () {
+      const contract = await Factory.deploy(0, 0);
+      await contract.waitForDeployment();
+
+      const receipt = await (await contract.connect(owner).setNoiseBound(NOISE_BOUND)).wait();
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "NoiseBoundUpdated", [BigInt(NOISE_BOUND)]);
+      expect(await contract.noiseOffset()).to.equal(BigInt(NOISE_OFFSET));
+    });
+
+    it("should reject bounds that are not powers of two or too large", async function () {
+      const contract = await Factory.deploy(0, 0);
+      await contract.waitForDeployment();
+
+      for (const bound of [1, 6, 2 ** 17]) {
+        await FHEPollAssertions.assertVoteReverts(
+          contract.connect(owner).setNoiseBound(bound), "InvalidNoiseBound", `bound ${bound}`
+        );
+      }
+    });
+
+    it("should only let the owner change the bound before closing", async function () {
+      const contract = await Factory.deploy(0, 0);
+      await contract.waitForDeployment();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).setNoiseBound(NOISE_BOUND), "NotOwner", "non-owner bound change"
+      );
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).setNoiseBound(0), "PolicyLocked", "noise disabled after close"
+      );
+    });
+  });
+
+  describe("Noisy Release", function () {
+    it("should share only the noisy count", async function () {
+      const { contract, contractAddress } = await closedNoisyPoll([1, 0]);
+      await decryptNoisyTally(contract, contractAddress);
+
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getSum(), contractAddress, owner);
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getNoCount(), contractAddress, owner);
+    });
+
+    it("should draw the noise only once", async function () {
+      const { contract, contractAddress } = await closedNoisyPoll([1]);
+      const first = await decryptNoisyTally(contract, contractAddress);
+      const handle = await contract.getNoisySum();
+
+      const second = await decryptNoisyTally(contract, contractAddress);
+      expect(await contract.getNoisySum()).to.equal(handle);
+      expect(second).to.equal(first);
+    });
+
+    it("should publish the centered noisy tally through the oracle", async function () {
+      const { contract } = await closedNoisyPoll([1, 1]);
+      await (await contract.requestTally()).wait();
+      await hre.fhevm.awaitDecryptionOracle();
+
+      const raw = await contract.revealedTally();
+      const noisyTally = await contract.revealedNoisyTally();
+      expect(noisyTally).to.equal(raw - BigInt(NOISE_OFFSET));
+      expect(noisyTally >= 2n - BigInt(NOISE_OFFSET) && noisyTally <= 2n + BigInt(NOISE_OFFSET),
+        `noisy tally ${noisyTally}`).to.equal(true);
+
+      const [revealed] = await contract.queryFilter(contract.filters.NoisyTallyRevealed());
+      expect(revealed.args.noisyTally).to.equal(noisyTally);
+      expect(revealed.args.noiseBound).to.equal(BigInt(NOISE_BOUND));
+      expect(revealed.args.noiseOffset).to.equal(BigInt(NOISE_OFFSET));
+    });
+
+    it("should not offer a noisy tally when noise is disabled", async function () {
+      const contract = await Factory.deploy(0, 0);
+      await contract.waitForDeployment();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.revealedNoisyTally(), "NoiseDisabled", "noisy tally without noise"
+      );
+    });
+  });
+
+  describe("Statistical Bounds", function () {
+    it("should keep the noise within the bound and centered on the tally", async function () {
+      this.timeout(300000);
+
+      const samples = [];
+      for (let run = 0; run < RUNS; run++) {
+        const { contract, contractAddress } = await closedNoisyPoll([1]);
+        samples.push(await decryptNoisyTally(contract, contractAddress));
+      }
+
+      // Every sample lies within offset of the true count of 1
+      for (const sample of samples) {
+        expect(sample).to.be.within(1 - NOISE_OFFSET, 1 + NOISE_OFFSET);
+      }
+
+      // The noise has variance 2 * (bound² - 1) / 12 = 10.5, so the mean of
+      // 40 samples has a standard deviation of about 0.51; allow 4 of those.
+      const mean = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+      expect(Math.abs(mean - 1), `mean ${mean} of ${samples}`).to.be.below(2.05);
+
+      // The noise must actually vary between polls
+      expect(new Set(samples).size, `samples ${samples}`).to.be.greaterThan(3);
+    });
+  });
+});
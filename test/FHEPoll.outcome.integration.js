@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Outcome Integration Tests for FHEPoll Contract
+ *
+ * Covers the pass/fail outcome: the encrypted "no" counter, the basis-point
+ * pass threshold, the homomorphic comparison into an ebool, and the
+ * OutcomeOnly reveal scope under which only that boolean can be decrypted
+ * or published while the counts stay private.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+
+describe("FHEPoll Outcome Integration Tests", function () {
+  // Mirrors the FHEPoll.RevealScope enum
+  const RevealScope = { Tally: 0n, OutcomeOnly: 1n };
+  const TWO_THIRDS_BPS = 6666;
+
+  let contract;
+  let contractAddress;
+  let owner;
+  let voters;
+
+  beforeEach(async function () {
+    let signers;
+    [owner, ...signers] = await ethers.getSigners();
+    voters = signers.slice(0, 5);
+
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Encrypts and casts one ballot per value, each from a different voter
+   * @param {number[]} values - The raw ballot values
+   * @returns {Promise<void>}
+   */
+  async function castBallots(values) {
+    for (const [index, value] of values.entries()) {
+      const voter = voters[index];
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter.address)
+        .withRawValue(value)
+        .build();
+
+      await FHEPollAssertions.assertVoteSucceeds(
+        contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+        voter.address
+      );
+    }
+  }
+
+  /**
+   * Closes the poll and publishes the outcome through the mock oracle
+   * @returns {Promise<boolean>} - Whether the motion passed
+   */
+  async function revealOutcome() {
+    await (await contract.connect(owner).close()).wait();
+    await (await contract.requestOutcome()).wait();
+    await hre.fhevm.awaitDecryptionOracle();
+
+    expect(await contract.isOutcomeRevealed()).to.equal(true);
+    return contract.passed();
+  }
+
+  describe("Threshold", function () {
+    it("should default to a simple majority", async function () {
+      expect(await contract.passThresholdBps()).to.equal(5000n);
+      expect(await contract.revealScope()).to.equal(RevealScope.Tally);
+    });
+
+    it("should pass with more than half of the valid ballots", async function () {
+      await castBallots([1, 1, 0]);
+      expect(await revealOutcome()).to.equal(true);
+    });
+
+    it("should fail on a tie", async function () {
+      await castBallots([1, 0]);
+      expect(await revealOutcome()).to.equal(false);
+    });
+
+    it("should fail a poll without ballots", async function () {
+      expect(await revealOutcome()).to.equal(false);
+    });
+
+    it("should leave invalid ballots out of the share", async function () {
+      await castBallots([1, 0, 7, 42, 1]);
+      expect(await revealOutcome()).to.equal(true);
+    });
+
+    it("should require a supermajority when configured", async function () {
+      const receipt = await (await contract.connect(owner).setPassThreshold(TWO_THIRDS_BPS)).wait();
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "PassThresholdUpdated", [BigInt(TWO_THIRDS_BPS)]
+      );
+
+      await castBallots([1, 1, 0]);
+      expect(await revealOutcome()).to.equal(true);
+    });
+
+    it("should fail just below a supermajority", async function () {
+      await (await contract.connect(owner).setPassThreshold(7000)).wait();
+
+      await castBallots([1, 1, 0]);
+      expect(await revealOutcome()).to.equal(false);
+    });
+
+    it("should follow replaced ballots", async function () {
+      await castBallots([1, 1, 0]);
+      const voter = voters[0];
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter.address)
+        .withVote(0)
+        .build();
+      await (await contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof)).wait();
+
+      expect(await revealOutcome()).to.equal(false);
+    });
+
+    it("should reject thresholds of 100 % or more", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).setPassThreshold(10000),
+        "InvalidThreshold",
+        "threshold of 100 %"
+      );
+    });
+
+    it("should only let the owner change the threshold before closing", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voters[0]).setPassThreshold(TWO_THIRDS_BPS),
+        "NotOwner",
+        "non-owner threshold change"
+      );
+
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).setPassThreshold(TWO_THIRDS_BPS),
+        "PolicyLocked",
+        "threshold change after close"
+      );
+    });
+  });
+
+  describe("Reveal Scope", function () {
+    it("should let tally roles decrypt the outcome and both counts by default", async function () {
+      await castBallots([1, 0, 0, 5]);
+      await (await contract.connect(owner).close()).wait();
+      await (await contract.connect(owner).allowTallyDecryption()).wait();
+
+      expect(await hre.fhevm.userDecryptEbool(await contract.getOutcome(), contractAddress, owner))
+        .to.equal(false);
+      await FHEPollAssertions.assertEncryptedSum(contract, contractAddress, owner, 1n, "yes count");
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.getNoCount(), contractAddress, owner, 2n, "no count"
+      );
+    });
+
+    it("should share only the outcome under OutcomeOnly", async function () {
+      const receipt = await (await contract.connect(owner).setRevealScope(RevealScope.OutcomeOnly)).wait();
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "RevealScopeUpdated", [RevealScope.OutcomeOnly]
+      );
+
+      await castBallots([1, 1, 0]);
+      await (await contract.connect(owner).close()).wait();
+      await (await contract.connect(owner).allowTallyDecryption()).wait();
+
+      expect(await hre.fhevm.userDecryptEbool(await contract.getOutcome(), contractAddress, owner))
+        .to.equal(true);
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getSum(), contractAddress, owner);
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getNoCount(), contractAddress, owner);
+    });
+
+    it("should refuse to publish the tally under OutcomeOnly", async function () {
+      await (await contract.connect(owner).setRevealScope(RevealScope.OutcomeOnly)).wait();
+      await castBallots([1]);
+      await (await contract.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.requestTally(),
+        "TallyHidden",
+        "tally request under OutcomeOnly"
+      );
+    });
+
+    it("should publish the outcome through the oracle under OutcomeOnly", async function () {
+      await (await contract.connect(owner).setRevealScope(RevealScope.OutcomeOnly)).wait();
+      await castBallots([1, 0, 1]);
+
+      expect(await revealOutcome()).to.equal(true);
+      const [revealed] = await contract.queryFilter(contract.filters.OutcomeRevealed());
+      expect(revealed.args.passed).to.equal(true);
+    });
+
+    it("should lock the reveal scope once the poll is closed", async function () {
+      await (await contract.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).setRevealScope(RevealScope.OutcomeOnly),
+        "PolicyLocked",
+        "scope change after close"
+      );
+    });
+  });
+
+  describe("Oracle Reveal", function () {
+    it("should refuse to request the outcome while the poll is open or twice", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.requestOutcome(), "PollNotClosed", "outcome requested during voting"
+      );
+
+      await (await contract.connect(owner).close()).wait();
+      await (await contract.requestOutcome()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.requestOutcome(), "OutcomeAlreadyRequested", "second outcome request"
+      );
+    });
+
+    it("should refuse to read the outcome before it is revealed", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.passed(), "OutcomeNotRevealed", "outcome read before reveal"
+      );
+    });
+
+    it("should reject a forged outcome callback", async function () {
+      await castBallots([0]);
+      await (await contract.connect(owner).close()).wait();
+      const receipt = await (await contract.requestOutcome()).wait();
+      const requested = FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "OutcomeRequested", [0n]
+      );
+
+      const forgedOutcome = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [true]);
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voters[0]).revealOutcome(requested.args.requestId, forgedOutcome, "0x"),
+        null,
+        "callback without KMS signatures"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voters[0]).revealOutcome(99, forgedOutcome, "0x"),
+        "InvalidOutcomeRequest",
+        "callback for an unknown request"
+      );
+      expect(await contract.isOutcomeRevealed()).to.equal(false);
+    });
+  });
+});
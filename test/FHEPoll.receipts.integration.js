@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Integration Tests for Ballot Receipts
+ *
+ * Every poll keeps each voter's current ballot and lets only that voter
+ * decrypt it through `myBallot()`. These tests check the receipts of
+ * binary, multi-option and weighted polls, of relayed and ballot-sheet
+ * ballots, that replacements update them, and that no other account — other
+ * voters, the owner, the auditor or a tally role after the poll has closed —
+ * can decrypt them. They also cover `PollClient.verifyMyBallot`.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { PollClient, HardhatFhevmBackend, PollError } = require("../sdk");
+
+describe("Ballot Receipt Integration Tests", function () {
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+  let backend;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    backend = new HardhatFhevmBackend(hre.fhevm);
+  });
+
+  /**
+   * Deploys a poll contract
+   * @param {string} name - The contract name
+   * @param {Array} args - Constructor arguments
+   * @returns {Promise<Object>} - The deployed contract
+   */
+  async function deploy(name, args) {
+    const deployed = await (await ethers.getContractFactory(name)).deploy(...args);
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  /**
+   * Casts an encrypted ballot built by the caller
+   * @param {Object} poll - The poll contract
+   * @param {Object} voter - The voting signer
+   * @param {function(EncryptedVoteBuilder): EncryptedVoteBuilder} withValue - Sets the ballot value
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function castWith(poll, voter, withValue) {
+    const encryptedVote = await withValue(
+      new EncryptedVoteBuilder().forContract(await poll.getAddress()).byVoter(voter.address)
+    ).build();
+    return FHEPollAssertions.assertVoteSucceeds(
+      poll.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  describe("Binary Polls", function () {
+    let poll;
+    let pollAddress;
+
+    beforeEach(async function () {
+      poll = await deploy("FHEPoll", [0, 0]);
+      pollAddress = await poll.getAddress();
+    });
+
+    it("should let each voter decrypt the ballot they cast", async function () {
+      await castWith(poll, voter1, builder => builder.withVote(1));
+      await castWith(poll, voter2, builder => builder.withVote(0));
+
+      await FHEPollAssertions.assertDecryptsTo(
+        await poll.connect(voter1).myBallot(), pollAddress, voter1, 1n, "voter1 receipt"
+      );
+      await FHEPollAssertions.assertDecryptsTo(
+        await poll.connect(voter2).myBallot(), pollAddress, voter2, 0n, "voter2 receipt"
+      );
+    });
+
+    it("should keep every receipt from everyone but its voter", async function () {
+      await castWith(poll, voter1, builder => builder.withVote(1));
+      await castWith(poll, voter2, builder => builder.withVote(1));
+      const receipt = await poll.connect(voter1).myBallot();
+
+      // The owner is also the auditor and a tally role
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, voter2);
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, owner);
+
+      // Access to the tally does not extend to individual ballots
+      await (await poll.connect(owner).close()).wait();
+      await (await poll.connect(owner).allowTallyDecryption()).wait();
+      await FHEPollAssertions.assertDecryptsTo(await poll.getSum(), pollAddress, owner, 2n, "tally");
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, owner);
+    });
+
+    it("should return no receipt to an address that has not voted", async function () {
+      await castWith(poll, voter1, builder => builder.withVote(1));
+
+      expect(await poll.connect(voter2).myBallot()).to.equal(ethers.ZeroHash);
+      expect(await poll.hasVoted(voter2.address)).to.equal(false);
+      expect(await poll.hasVoted(voter1.address)).to.equal(true);
+    });
+
+    it("should replace the receipt along with the ballot", async function () {
+      await castWith(poll, voter1, builder => builder.withVote(1));
+      const first = await poll.connect(voter1).myBallot();
+      await castWith(poll, voter1, builder => builder.withVote(0));
+
+      const second = await poll.connect(voter1).myBallot();
+      expect(second).to.not.equal(first);
+      await FHEPollAssertions.assertDecryptsTo(second, pollAddress, voter1, 0n, "replaced receipt");
+      expect(await poll.turnout()).to.equal(1n);
+    });
+
+    it("should show out-of-range ballots as submitted", async function () {
+      await castWith(poll, voter1, builder => builder.withRawValue(7));
+
+      await FHEPollAssertions.assertDecryptsTo(
+        await poll.connect(voter1).myBallot(), pollAddress, voter1, 7n, "rejected ballot"
+      );
+    });
+
+    it("should give the voter, not the relayer, the receipt of a relayed ballot", async function () {
+      const client = new PollClient(pollAddress, voter1, { backend, kind: "binary" });
+      const ballot = await client.signVote(1);
+      await (await poll.connect(voter3).castVoteBySig(
+        ballot.voter, ballot.handle, ballot.inputProof, ballot.deadline, ballot.signature
+      )).wait();
+
+      const receipt = await poll.connect(voter1).myBallot();
+      await FHEPollAssertions.assertDecryptsTo(receipt, pollAddress, voter1, 1n, "relayed receipt");
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, voter3);
+      expect(await poll.connect(voter3).myBallot()).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("Other Poll Kinds", function () {
+    it("should keep option indices as receipts in multi-option polls", async function () {
+      const poll = await deploy("FHEMultiOptionPoll", [0, 0, 3]);
+      const pollAddress = await poll.getAddress();
+      await castWith(poll, voter1, builder => builder.withChoice(2));
+      await castWith(poll, voter2, builder => builder.withChoice(0));
+
+      const receipt = await poll.connect(voter1).myBallot();
+      await FHEPollAssertions.assertDecryptsTo(receipt, pollAddress, voter1, 2n, "multi receipt", FhevmType.euint8);
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, voter2, FhevmType.euint8);
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, owner, FhevmType.euint8);
+    });
+
+    it("should keep the ballot, not its weight, as the receipt in weighted polls", async function () {
+      const poll = await deploy("FHEWeightedPoll", [0, 0, ethers.ZeroAddress]);
+      const pollAddress = await poll.getAddress();
+      const weight = await new EncryptedVoteBuilder()
+        .forContract(pollAddress)
+        .byVoter(owner.address)
+        .withWeight(40)
+        .build();
+      await (await poll.connect(owner).setVotingPower(voter1.address, weight.handle, weight.proof)).wait();
+
+      await castWith(poll, voter1, builder => builder.withVote(1));
+
+      const receipt = await poll.connect(voter1).myBallot();
+      await FHEPollAssertions.assertDecryptsTo(receipt, pollAddress, voter1, 1n, "weighted receipt");
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, owner);
+      expect(await poll.hasVoted(voter1.address)).to.equal(true);
+    });
+
+    it("should give receipts for ballots cast through a ballot sheet", async function () {
+      const binary = await deploy("FHEPoll", [0, 0]);
+      const multi = await deploy("FHEMultiOptionPoll", [0, 0, 2]);
+      const factory = await deploy("PollFactory", [await binary.getAddress(), await multi.getAddress()]);
+      const metadata = labels => ({ title: "Survey", description: "", optionLabels: labels, contentHash: ethers.ZeroHash });
+      await (await factory.createPoll(0, 0, metadata(["No", "Yes"]))).wait();
+      await (await factory.createMultiOptionPoll(0, 0, metadata(["Tea", "Coffee", "Water"]))).wait();
+      const [yesNo, options] = (await factory.getPolls(0, 2)).map(entry => entry.poll);
+
+      const input = await hre.fhevm
+        .createEncryptedInput(await factory.getAddress(), voter1.address)
+        .add32(1)
+        .add8(2)
+        .encrypt();
+      await (await factory.connect(voter1).castVotes([yesNo, options], input.handles, input.inputProof)).wait();
+
+      const yesNoPoll = binary.attach(yesNo);
+      const optionsPoll = multi.attach(options);
+      await FHEPollAssertions.assertDecryptsTo(
+        await yesNoPoll.connect(voter1).myBallot(), yesNo, voter1, 1n, "sheet yes/no receipt"
+      );
+      await FHEPollAssertions.assertDecryptsTo(
+        await optionsPoll.connect(voter1).myBallot(), options, voter1, 2n, "sheet option receipt", FhevmType.euint8
+      );
+      await FHEPollAssertions.assertCannotDecrypt(await yesNoPoll.connect(voter1).myBallot(), yesNo, owner);
+    });
+  });
+
+  describe("Verifying Through the SDK", function () {
+    let poll;
+    let pollAddress;
+
+    /**
+     * Awaits a promise that must reject and returns the rejection
+     * @param {Promise} promise - The promise
+     * @returns {Promise<Error>} - The error
+     */
+    async function rejectionOf(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      throw new Error("Expected the promise to reject");
+    }
+
+    beforeEach(async function () {
+      poll = await deploy("FHEMultiOptionPoll", [0, 0, 4]);
+      pollAddress = await poll.getAddress();
+    });
+
+    it("should confirm the choice the client cast", async function () {
+      const client = await PollClient.connect(pollAddress, voter1, { backend });
+      await client.vote(3);
+
+      expect(await client.verifyMyBallot()).to.deep.equal({
+        voter: voter1.address,
+        recorded: 3,
+        expected: 3,
+        matches: true,
+      });
+    });
+
+    it("should report a receipt that differs from the intended choice", async function () {
+      const client = await PollClient.connect(pollAddress, voter1, { backend });
+      await client.vote(1);
+      await client.vote(2); // Say, from another device
+
+      const result = await client.verifyMyBallot(voter1, { expected: 1 });
+      expect(result.recorded).to.equal(2);
+      expect(result.matches).to.equal(false);
+    });
+
+    it("should report a missing ballot and require a known intended choice", async function () {
+      const client = await PollClient.connect(pollAddress, voter2, { backend });
+      const error = await rejectionOf(client.verifyMyBallot());
+      expect(error).to.be.instanceOf(PollError);
+      expect(error.message).to.include("pass options.expected");
+
+      const result = await client.verifyMyBallot(voter2, { expected: 0 });
+      expect(result.recorded).to.equal(null);
+      expect(result.matches).to.equal(false);
+    });
+
+    it("should not decrypt another voter's receipt", async function () {
+      await (await PollClient.connect(pollAddress, voter1, { backend })).vote(1);
+
+      // A client signed by voter2 can only read voter2's (missing) receipt
+      const client = await PollClient.connect(pollAddress, voter2, { backend });
+      expect((await client.verifyMyBallot(voter2, { expected: 1 })).recorded).to.equal(null);
+
+      const receipt = await poll.connect(voter1).myBallot();
+      await FHEPollAssertions.assertCannotDecrypt(receipt, pollAddress, voter2, FhevmType.euint8);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Recount Integration Tests for FHEPoll Contract
+ *
+ * Covers the append-only ballot log and the encrypted recount: rebuilding
+ * the yes and no counts from the live ballots in gas-bounded chunks after
+ * the poll closes, skipping replaced ballots, and having the mock oracle
+ * publish whether the recount matches the tally. Also checks that a full
+ * batch stays within the per-transaction HCU limits, and that chunks
+ * cannot be skipped or counted twice.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { loadHcuSchedule, measureHcu } = require("../benchmark");
+
+describe("FHEPoll Recount Integration Tests", function () {
+  let contract;
+  let contractAddress;
+  let owner;
+  let voters;
+
+  beforeEach(async function () {
+    let signers;
+    [owner, ...signers] = await ethers.getSigners();
+    voters = signers.slice(0, 5);
+
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Encrypts and casts a raw ballot value
+   * @param {Object} voter - The voting signer
+   * @param {number} value - The raw ballot value
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function castBallot(voter, value) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withRawValue(value)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  /**
+   * Recounts the whole log in chunks and waits for the oracle's answer
+   * @param {number} batch - Log entries per call
+   * @returns {Promise<Object[]>} - The receipt of every recount call
+   */
+  async function recountAll(batch) {
+    const ballotCount = Number(await contract.ballotCount());
+    const receipts = [];
+    do {
+      const from = Number(await contract.recountProgress());
+      receipts.push(await (await contract.recount(from, Math.min(from + batch, ballotCount))).wait());
+    } while (!(await contract.isRecountComplete()));
+
+    await hre.fhevm.awaitDecryptionOracle();
+    return receipts;
+  }
+
+  describe("Ballot Log", function () {
+    it("should append every ballot, replaced ones included", async function () {
+      await castBallot(voters[0], 1);
+      await castBallot(voters[1], 0);
+      await castBallot(voters[0], 0);
+
+      expect(await contract.ballotCount()).to.equal(3n);
+      expect(await contract.turnout()).to.equal(2n);
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.connect(voters[0]).myBallot(), contractAddress, voters[0], 0n, "replaced ballot"
+      );
+    });
+  });
+
+  describe("Recounting", function () {
+    it("should match a tally built from replaced and rejected ballots", async function () {
+      await castBallot(voters[0], 1);
+      await castBallot(voters[1], 0);
+      await castBallot(voters[2], 7);
+      await castBallot(voters[0], 0);
+      await castBallot(voters[3], 1);
+      await castBallot(voters[1], 1);
+      await (await contract.connect(owner).close()).wait();
+
+      const receipts = await recountAll(2);
+
+      expect(receipts).to.have.length(3);
+      FHEPollAssertions.assertEventEmitted(receipts[0], contract, "RecountProgressed", [2n, 6n]);
+      FHEPollAssertions.assertEventNotEmitted(receipts[0], contract, "RecountRequested");
+      FHEPollAssertions.assertEventEmitted(receipts[2], contract, "RecountProgressed", [6n, 6n]);
+      FHEPollAssertions.assertEventEmitted(receipts[2], contract, "RecountRequested", [0n]);
+      expect(await contract.isRecountRevealed()).to.equal(true);
+      expect(await contract.recountMatches()).to.equal(true);
+    });
+
+    it("should match the empty tally of a poll without ballots", async function () {
+      await (await contract.connect(owner).close()).wait();
+
+      await (await contract.connect(voters[0]).recount(0, 0)).wait();
+      await hre.fhevm.awaitDecryptionOracle();
+
+      expect(await contract.recountMatches()).to.equal(true);
+    });
+
+    it("should recount a full batch within the HCU limits", async function () {
+      const batch = Number(await contract.MAX_RECOUNT_BATCH());
+      for (let i = 0; i <= batch; i++) {
+        const voter = new ethers.Wallet(ethers.id(`recount-voter-${i}`), ethers.provider);
+        await hre.network.provider.send("hardhat_setBalance", [voter.address, ethers.toQuantity(ethers.WeiPerEther)]);
+        await castBallot(voter, i % 3 === 0 ? 0 : 1);
+      }
+      await (await contract.connect(owner).close()).wait();
+
+      const receipts = await recountAll(batch);
+
+      expect(receipts).to.have.length(2);
+      expect(await contract.recountMatches()).to.equal(true);
+
+      // The first call recounted a full batch of live ballots
+      const schedule = loadHcuSchedule();
+      const { hcu, depth } = measureHcu(receipts[0], schedule);
+      expect(hcu).to.be.below(schedule.limits.transaction);
+      expect(depth).to.be.below(schedule.limits.depth);
+    });
+
+    it("should keep the recount from leaking anything but the comparison", async function () {
+      await castBallot(voters[0], 1);
+      await (await contract.connect(owner).close()).wait();
+      await recountAll(1);
+
+      // The tally stays sealed until someone is granted access to it
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getSum(), contractAddress, owner);
+    });
+  });
+
+  describe("Access Control", function () {
+    it("should only recount a closed poll", async function () {
+      await castBallot(voters[0], 1);
+
+      await FHEPollAssertions.assertVoteReverts(contract.recount(0, 1), "PollNotClosed", "open poll");
+    });
+
+    it("should refuse ranges that skip, repeat or overrun the log", async function () {
+      for (const voter of voters.slice(0, 3)) {
+        await castBallot(voter, 1);
+      }
+      await (await contract.connect(owner).close()).wait();
+      const batch = await contract.MAX_RECOUNT_BATCH();
+
+      await FHEPollAssertions.assertVoteReverts(contract.recount(1, 2), "InvalidRecountRange", "skipped entry");
+      await FHEPollAssertions.assertVoteReverts(contract.recount(0, 4), "InvalidRecountRange", "past the log");
+      await FHEPollAssertions.assertVoteReverts(contract.recount(0, batch + 1n), "InvalidRecountRange", "batch");
+
+      await (await contract.recount(0, 2)).wait();
+      await FHEPollAssertions.assertVoteReverts(contract.recount(0, 2), "InvalidRecountRange", "repeated chunk");
+      await FHEPollAssertions.assertVoteReverts(contract.recountMatches(), "RecountNotRevealed", "incomplete");
+
+      await (await contract.recount(2, 3)).wait();
+      await FHEPollAssertions.assertVoteReverts(contract.recount(3, 3), "RecountAlreadyCompleted", "complete");
+    });
+
+    it("should reject a forged callback", async function () {
+      await castBallot(voters[0], 1);
+      await (await contract.connect(owner).close()).wait();
+      const forged = ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [false]);
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.revealRecount(0, forged, "0x"),
+        "InvalidRecountRequest",
+        "callback before the recount completed"
+      );
+
+      await (await contract.recount(0, 1)).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.revealRecount(0, forged, "0x"),
+        null,
+        "callback without KMS signatures"
+      );
+      expect(await contract.isRecountRevealed()).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Relayed Voting Integration Tests for Confidential Polls
+ *
+ * Covers gasless voting: ballots that voters encrypt and sign as EIP-712
+ * `Ballot`s and that a relayer submits through `castVoteBySig`. Checks that
+ * the input is bound to the voter rather than the relayer, that replayed,
+ * expired and forged signatures are refused, and that the reference
+ * `BallotRelayer` queues, screens and submits ballots in batches.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { ChainTime } = require("./helpers/ChainTime");
+const {
+  PollClient,
+  HardhatFhevmBackend,
+  PollError,
+  BALLOT_TYPES,
+  ballotDomain,
+  recoverBallotSigner,
+} = require("../sdk");
+const { BallotRelayer, createServer } = require("../relayer");
+
+describe("FHEPoll Relayed Voting Integration Tests", function () {
+  let contract;
+  let contractAddress;
+  let owner;
+  let relayer;
+  let voter1;
+  let voter2;
+  let backend;
+  let chainId;
+
+  beforeEach(async function () {
+    [owner, relayer, voter1, voter2] = await ethers.getSigners();
+    backend = new HardhatFhevmBackend(hre.fhevm);
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Creates a voter account that holds no ETH
+   * @returns {import("ethers").Wallet} - The voter
+   */
+  function walletWithoutEth() {
+    return ethers.Wallet.createRandom().connect(ethers.provider);
+  }
+
+  /**
+   * Encrypts and signs a ballot through the SDK
+   * @param {import("ethers").Signer} voter - The voter
+   * @param {number} choice - 0 or 1
+   * @param {Object} [options] - Passed to `PollClient.signVote`
+   * @returns {Promise<Object>} - The signed ballot
+   */
+  async function signBallot(voter, choice, options) {
+    const client = new PollClient(contractAddress, voter, { backend, kind: "binary" });
+    return client.signVote(choice, options);
+  }
+
+  /**
+   * Submits a signed ballot from the relayer account
+   * @param {Object} ballot - The signed ballot
+   * @returns {Promise<Object>} - The transaction promise
+   */
+  function relay(ballot) {
+    return contract.connect(relayer)["castVoteBySig(address,bytes32,bytes,uint256,bytes)"](
+      ballot.voter,
+      ballot.handle,
+      ballot.inputProof,
+      ballot.deadline,
+      ballot.signature
+    );
+  }
+
+  describe("castVoteBySig", function () {
+    it("should count a ballot from a voter without ETH", async function () {
+      const voter = walletWithoutEth();
+      const ballot = await signBallot(voter, 1);
+      expect(recoverBallotSigner(ballot, chainId)).to.equal(voter.address);
+
+      const receipt = await FHEPollAssertions.assertVoteSucceeds(relay(ballot), voter.address);
+      expect(receipt.from).to.equal(relayer.address);
+      expect(await ethers.provider.getBalance(voter.address)).to.equal(0n);
+      expect(await contract.hasVoted(voter.address)).to.equal(true);
+      expect(await contract.hasVoted(relayer.address)).to.equal(false);
+      expect(await contract.nonces(voter.address)).to.equal(1n);
+
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertFinalTally(contract, contractAddress, owner, 1n);
+    });
+
+    it("should replace a voter's earlier ballot like castVote does", async function () {
+      const direct = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withVote(1)
+        .build();
+      await (await contract.connect(voter1).castVote(direct.handle, direct.proof)).wait();
+
+      const receipt = await (await relay(await signBallot(voter1, 0))).wait();
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "VoteReplaced", [voter1.address]);
+      expect(await contract.turnout()).to.equal(1n);
+
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertFinalTally(contract, contractAddress, owner, 0n);
+    });
+
+    it("should refuse a replayed signature", async function () {
+      const ballot = await signBallot(voter1, 1);
+      await (await relay(ballot)).wait();
+
+      await FHEPollAssertions.assertVoteReverts(relay(ballot), "InvalidSignature", "same nonce twice");
+      expect(await contract.turnout()).to.equal(1n);
+    });
+
+    it("should refuse a signature past its deadline", async function () {
+      const deadline = (await ChainTime.latest()) + 60;
+      const ballot = await signBallot(voter1, 1, { deadline });
+
+      await ChainTime.increaseTo(deadline + 1);
+      await FHEPollAssertions.assertVoteReverts(relay(ballot), "SignatureExpired");
+      expect(await contract.nonces(voter1.address)).to.equal(0n);
+    });
+
+    it("should refuse a ballot signed by someone other than the voter", async function () {
+      const ballot = await signBallot(voter1, 1);
+      const forged = await signBallot(voter2, 1);
+
+      await FHEPollAssertions.assertVoteReverts(
+        relay({ ...ballot, signature: forged.signature }), "InvalidSignature", "signed by another account"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        relay({ ...forged, voter: voter1.address }), "InvalidSignature", "claimed for another voter"
+      );
+    });
+
+    it("should refuse a ballot whose handle or domain was changed", async function () {
+      const ballot = await signBallot(voter1, 1);
+      const other = await signBallot(voter1, 0);
+
+      await FHEPollAssertions.assertVoteReverts(
+        relay({ ...ballot, handle: other.handle, inputProof: other.inputProof }), "InvalidSignature"
+      );
+
+      const otherPoll = await (await ethers.getContractFactory("FHEPoll")).deploy(0, 0);
+      await FHEPollAssertions.assertVoteReverts(
+        otherPoll.connect(relayer)["castVoteBySig(address,bytes32,bytes,uint256,bytes)"](
+          ballot.voter, ballot.handle, ballot.inputProof, ballot.deadline, ballot.signature
+        ),
+        "InvalidSignature",
+        "signed for another poll"
+      );
+    });
+
+    it("should refuse a ciphertext the relayer encrypted in the voter's name", async function () {
+      const relayerInput = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(relayer.address)
+        .withVote(1)
+        .build();
+      const ballot = await signBallot(voter1, 1);
+
+      // Even a signature over the relayer's handle does not pass the input check
+      const signature = await voter1.signTypedData(ballotDomain(contractAddress, chainId), BALLOT_TYPES, {
+        voter: voter1.address,
+        handle: relayerInput.handle,
+        nonce: 0,
+        deadline: ballot.deadline,
+      });
+
+      // The coprocessor attested the input for the relayer, not for voter1
+      await FHEPollAssertions.assertVoteReverts(
+        relay({ ...ballot, handle: ethers.hexlify(relayerInput.handle), inputProof: relayerInput.proof, signature }),
+        "InvalidSigner(address)"
+      );
+      expect(await contract.hasVoted(voter1.address)).to.equal(false);
+    });
+
+    it("should apply the eligibility strategy to the voter, not the relayer", async function () {
+      const allowlist = await (await ethers.getContractFactory("AllowlistEligibility")).deploy();
+      await (await allowlist.setAllowed([voter1.address], true)).wait();
+      await (await contract.connect(owner).setEligibility(await allowlist.getAddress())).wait();
+
+      await FHEPollAssertions.assertVoteSucceeds(relay(await signBallot(voter1, 1)), voter1.address);
+      await FHEPollAssertions.assertVoteReverts(relay(await signBallot(voter2, 1)), "NotEligible");
+    });
+
+    it("should accept relayed ballots in multi-option polls", async function () {
+      const poll = await (await ethers.getContractFactory("FHEMultiOptionPoll")).deploy(0, 0, 3);
+      const pollAddress = await poll.getAddress();
+      const voter = walletWithoutEth();
+
+      const ballot = await new PollClient(pollAddress, voter, { backend }).signVote(2);
+      await (await poll.connect(relayer)["castVoteBySig(address,bytes32,bytes,uint256,bytes)"](
+        ballot.voter, ballot.handle, ballot.inputProof, ballot.deadline, ballot.signature
+      )).wait();
+      await (await poll.connect(owner).close()).wait();
+
+      const counts = await PollClient.connect(pollAddress, owner, { backend }).then(client => client.decryptTally());
+      expect(counts).to.deep.equal([0n, 0n, 1n]);
+    });
+  });
+
+  describe("BallotRelayer", function () {
+    let service;
+
+    beforeEach(function () {
+      service = new BallotRelayer({ signer: relayer, polls: [contractAddress], batchSize: 10 });
+    });
+
+    it("should submit queued ballots in one batch", async function () {
+      const voters = [walletWithoutEth(), walletWithoutEth(), walletWithoutEth()];
+      const ids = [];
+      for (const [index, voter] of voters.entries()) {
+        // Ballots arrive as JSON from the voters' clients
+        ids.push(await service.enqueue(JSON.parse(JSON.stringify(await signBallot(voter, index % 2)))));
+      }
+      expect(service.pending).to.equal(3);
+
+      const results = await service.flush();
+      expect(results.map(result => result.status)).to.deep.equal(["submitted", "submitted", "submitted"]);
+      expect(service.pending).to.equal(0);
+      expect(service.getStatus(ids[0]).transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await contract.turnout()).to.equal(3n);
+
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertFinalTally(contract, contractAddress, owner, 1n);
+    });
+
+    it("should flush on its own once a batch is full", async function () {
+      const small = new BallotRelayer({ signer: relayer, batchSize: 2 });
+      await small.enqueue(await signBallot(voter1, 1));
+      const id = await small.enqueue(await signBallot(voter2, 1));
+
+      await small.flush();
+      expect(small.getStatus(id).status).to.equal("submitted");
+      expect(await contract.turnout()).to.equal(2n);
+    });
+
+    it("should screen out forged, expired, replayed and foreign ballots", async function () {
+      const ballot = await signBallot(voter1, 1);
+      const forged = { ...ballot, signature: (await signBallot(voter2, 1)).signature };
+      const expired = await signBallot(voter2, 1, { deadline: (await ChainTime.latest()) - 1 });
+
+      /**
+       * Returns the message of the error an enqueue is rejected with
+       * @param {Object} candidate - The ballot
+       * @returns {Promise<string>} - The message
+       */
+      async function rejection(candidate) {
+        try {
+          await service.enqueue(candidate);
+        } catch (error) {
+          expect(error).to.be.instanceOf(PollError);
+          return error.message;
+        }
+        throw new Error("Expected the ballot to be refused");
+      }
+
+      expect(await rejection(forged)).to.include("not signed by its voter");
+      expect(await rejection(expired)).to.include("expired");
+      expect(await rejection({ ...ballot, handle: "0x1234" })).to.include("Malformed ballot");
+      expect(await rejection({ ...ballot, poll: voter2.address })).to.include("Not relaying");
+
+      await service.enqueue(ballot);
+      expect(await rejection(ballot)).to.include("already received");
+      await service.flush();
+      expect(await rejection(ballot)).to.include("already received");
+
+      const early = await signBallot(voter1, 0, { nonce: 2 });
+      expect(await rejection(early)).to.include("current nonce");
+      expect(service.pending).to.equal(0);
+    });
+
+    it("should record ballots the poll would reject without sending them", async function () {
+      const id = await service.enqueue(await signBallot(voter1, 1));
+      await (await contract.connect(owner).close()).wait();
+      const relayerNonce = await ethers.provider.getTransactionCount(relayer.address);
+
+      const [result] = await service.flush();
+      expect(result).to.deep.equal({ id, status: "failed", error: "PollAlreadyClosed" });
+      expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(relayerNonce);
+    });
+
+    it("should accept ballots over HTTP", async function () {
+      const server = createServer(service);
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const post = body => fetch(`${baseUrl}/ballots`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+        });
+
+        const accepted = await post(JSON.stringify(await signBallot(voter1, 1)));
+        expect(accepted.status).to.equal(202);
+        const { id } = await accepted.json();
+
+        expect((await post("not json")).status).to.equal(400);
+        expect(await (await fetch(`${baseUrl}/status`)).json()).to.deep.equal({
+          relayer: relayer.address,
+          pending: 1,
+        });
+
+        await service.flush();
+        const status = await (await fetch(`${baseUrl}/ballots/${encodeURIComponent(id)}`)).json();
+        expect(status.status).to.equal("submitted");
+        expect((await fetch(`${baseUrl}/ballots/unknown`)).status).to.equal(404);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it("should answer a failing status lookup with a JSON error", async function () {
+      const unreachable = {
+        getAddress: async () => {
+          throw new Error("connection refused");
+        },
+      };
+      const server = createServer(new BallotRelayer({ signer: unreachable, polls: [contractAddress] }));
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/status`);
+        expect(response.status).to.equal(500);
+        expect(await response.json()).to.deep.equal({ error: "connection refused" });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
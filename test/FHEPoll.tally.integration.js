@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Public Tally Integration Tests for FHEPoll Contract
+ *
+ * Covers the on-chain reveal of the final tally: requesting decryption from
+ * the fhEVM decryption oracle after the poll closes, and the verified
+ * callback that publishes the clear result. The Hardhat plugin's mock
+ * oracle fulfils requests when `hre.fhevm.awaitDecryptionOracle()` is called.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { ChainTime } = require("./helpers/ChainTime");
+
+describe("FHEPoll Public Tally Integration Tests", function () {
+  let contract;
+  let contractAddress;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  async function castVote(voter, value) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withVote(value)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  async function closeAndRequestTally() {
+    await (await contract.connect(owner).close()).wait();
+    return (await contract.requestTally()).wait();
+  }
+
+  it("should publish the final tally through the decryption oracle", async function () {
+    await castVote(voter1, 1);
+    await castVote(voter2, 0);
+    await castVote(voter3, 1);
+
+    const requestReceipt = await closeAndRequestTally();
+    const requested = FHEPollAssertions.assertEventEmitted(
+      requestReceipt, contract, "TallyRequested", [0n]
+    );
+    expect(await contract.isTallyRevealed()).to.equal(false);
+
+    await hre.fhevm.awaitDecryptionOracle();
+
+    expect(await contract.isTallyRevealed()).to.equal(true);
+    expect(await contract.revealedTally()).to.equal(2n);
+
+    const [revealed] = await contract.queryFilter(contract.filters.TallyRevealed());
+    expect(revealed.args.requestId).to.equal(requested.args.requestId);
+    expect(revealed.args.tally).to.equal(2n);
+  });
+
+  it("should reveal a zero tally for a poll without ballots", async function () {
+    await closeAndRequestTally();
+    await hre.fhevm.awaitDecryptionOracle();
+
+    expect(await contract.revealedTally()).to.equal(0n);
+  });
+
+  it("should let a tally role request the tally once the end time has passed", async function () {
+    const now = await ChainTime.latest();
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, now + 3600);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    await castVote(voter1, 1);
+    await ChainTime.increaseTo(now + 3600);
+
+    await FHEPollAssertions.assertVoteReverts(
+      contract.connect(voter2).requestTally(),
+      "NotTallyRole",
+      "voter without the tally role"
+    );
+    await (await contract.connect(owner).setTallyRole(voter2.address, true)).wait();
+    await (await contract.connect(voter2).requestTally()).wait();
+    await hre.fhevm.awaitDecryptionOracle();
+
+    expect(await contract.revealedTally()).to.equal(1n);
+  });
+
+  it("should let anyone request the tally and outcome under the public policy", async function () {
+    await castVote(voter1, 1);
+    await (await contract.connect(owner).setDecryptionPolicy(1)).wait();
+    await (await contract.connect(owner).close()).wait();
+
+    await (await contract.connect(voter2).requestTally()).wait();
+    await (await contract.connect(voter2).requestOutcome()).wait();
+    await hre.fhevm.awaitDecryptionOracle();
+
+    expect(await contract.revealedTally()).to.equal(1n);
+    expect(await contract.passed()).to.equal(true);
+  });
+
+  it("should refuse to request the tally while the poll is open", async function () {
+    await castVote(voter1, 1);
+
+    await FHEPollAssertions.assertVoteReverts(
+      contract.requestTally(),
+      "PollNotClosed",
+      "tally requested during voting"
+    );
+  });
+
+  it("should refuse a second tally request", async function () {
+    await castVote(voter1, 1);
+    await closeAndRequestTally();
+
+    await FHEPollAssertions.assertVoteReverts(
+      contract.requestTally(),
+      "TallyAlreadyRequested",
+      "second tally request"
+    );
+  });
+
+  it("should refuse to read the clear tally before it is revealed", async function () {
+    await castVote(voter1, 1);
+    await closeAndRequestTally();
+
+    await FHEPollAssertions.assertVoteReverts(
+      contract.revealedTally(),
+      "TallyNotRevealed",
+      "clear tally read before the oracle answered"
+    );
+  });
+
+  it("should reject a forged callback", async function () {
+    await castVote(voter1, 1);
+    const receipt = await closeAndRequestTally();
+    const requested = FHEPollAssertions.assertEventEmitted(
+      receipt, contract, "TallyRequested", [0n]
+    );
+
+    const forgedTally = ethers.AbiCoder.defaultAbiCoder().encode(["uint32"], [1000]);
+    await FHEPollAssertions.assertVoteReverts(
+      contract.connect(voter1).revealTally(requested.args.requestId, forgedTally, "0x"),
+      null,
+      "callback without KMS signatures"
+    );
+    expect(await contract.isTallyRevealed()).to.equal(false);
+  });
+
+  it("should reject a callback for an unknown request", async function () {
+    const forgedTally = ethers.AbiCoder.defaultAbiCoder().encode(["uint32"], [1000]);
+
+    await FHEPollAssertions.assertVoteReverts(
+      contract.connect(voter1).revealTally(42, forgedTally, "0x"),
+      "InvalidTallyRequest",
+      "callback before any request"
+    );
+  });
+});
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Trustee Approval Integration Tests
+ *
+ * A poll can name up to `MAX_TRUSTEES` trustees before voting starts, of
+ * whom a threshold must approve before the tally is revealed. These tests
+ * cover registering trustees directly and through the factory, approving
+ * and revoking, and that neither the ACL grant nor the oracle can reveal
+ * anything before the threshold is met and the poll is closed.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+
+describe("Trustee Approval Integration Tests", function () {
+  let contract;
+  let contractAddress;
+  let owner;
+  let trustee1;
+  let trustee2;
+  let trustee3;
+  let voter1;
+  let voter2;
+
+  beforeEach(async function () {
+    [owner, trustee1, trustee2, trustee3, voter1, voter2] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Encrypts and casts a yes/no ballot
+   * @param {Object} voter - The voting signer
+   * @param {number} vote - 0 or 1
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function castVote(voter, vote) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withVote(vote)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  /**
+   * Names trustee1 to trustee3 as the poll's trustees, two of whom must approve
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function registerTwoOfThree() {
+    const trustees = [trustee1.address, trustee2.address, trustee3.address];
+    return (await contract.connect(owner).registerTrustees(trustees, 2)).wait();
+  }
+
+  describe("Registration", function () {
+    it("should name the trustees and their threshold", async function () {
+      const receipt = await registerTwoOfThree();
+
+      const event = FHEPollAssertions.assertEventEmitted(receipt, contract, "TrusteesRegistered", [
+        [trustee1.address, trustee2.address, trustee3.address],
+        2n,
+      ]);
+      expect(event.args.threshold).to.equal(2n);
+      expect(await contract.revealThreshold()).to.equal(2n);
+      expect(await contract.trusteeCount()).to.equal(3n);
+      expect(await contract.revealApprovals()).to.equal(0n);
+      expect(await contract.isTrustee(trustee2.address)).to.equal(true);
+      expect(await contract.isTrustee(voter1.address)).to.equal(false);
+      expect(await contract.isRevealApproved()).to.equal(false);
+    });
+
+    it("should treat a poll without trustees as approved", async function () {
+      expect(await contract.revealThreshold()).to.equal(0n);
+      expect(await contract.isRevealApproved()).to.equal(true);
+    });
+
+    it("should only let the owner name trustees", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).registerTrustees([trustee1.address], 1),
+        "NotOwner",
+        "non-owner"
+      );
+    });
+
+    it("should refuse invalid trustee lists and thresholds", async function () {
+      const max = Number(await contract.MAX_TRUSTEES());
+      const tooMany = Array.from({ length: max + 1 }, () => ethers.Wallet.createRandom().address);
+      const cases = [
+        [[], 1, "no trustees"],
+        [tooMany, 1, "too many trustees"],
+        [[trustee1.address, trustee2.address], 0, "zero threshold"],
+        [[trustee1.address, trustee2.address], 3, "threshold above the count"],
+        [[trustee1.address, ethers.ZeroAddress], 1, "zero address"],
+        [[trustee1.address, trustee2.address, trustee1.address], 2, "duplicate trustee"],
+      ];
+
+      for (const [trustees, threshold, context] of cases) {
+        await FHEPollAssertions.assertVoteReverts(
+          contract.connect(owner).registerTrustees(trustees, threshold),
+          "InvalidTrustees",
+          context
+        );
+      }
+      expect(await contract.revealThreshold()).to.equal(0n);
+    });
+
+    it("should refuse to name trustees a second time", async function () {
+      await registerTwoOfThree();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).registerTrustees([voter1.address], 1),
+        "TrusteesLocked",
+        "second registration"
+      );
+    });
+
+    it("should refuse to name trustees after the first ballot", async function () {
+      await castVote(voter1, 1);
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).registerTrustees([trustee1.address], 1),
+        "TrusteesLocked",
+        "after the first ballot"
+      );
+    });
+
+    it("should refuse to name trustees for a closed poll", async function () {
+      await (await contract.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).registerTrustees([trustee1.address], 1),
+        "TrusteesLocked",
+        "closed poll"
+      );
+    });
+  });
+
+  describe("Approving and Revoking", function () {
+    beforeEach(async function () {
+      await registerTwoOfThree();
+    });
+
+    it("should count approvals and emit an event for each", async function () {
+      const first = await (await contract.connect(trustee1).approveReveal()).wait();
+      FHEPollAssertions.assertEventEmitted(first, contract, "RevealApproved", [trustee1.address, 1n]);
+      expect(await contract.isRevealApproved()).to.equal(false);
+
+      const second = await (await contract.connect(trustee3).approveReveal()).wait();
+      FHEPollAssertions.assertEventEmitted(second, contract, "RevealApproved", [trustee3.address, 2n]);
+      expect(await contract.hasApprovedReveal(trustee3.address)).to.equal(true);
+      expect(await contract.hasApprovedReveal(trustee2.address)).to.equal(false);
+      expect(await contract.isRevealApproved()).to.equal(true);
+    });
+
+    it("should only accept one approval per trustee", async function () {
+      await FHEPollAssertions.assertVoteReverts(contract.connect(voter1).approveReveal(), "NotTrustee", "outsider");
+
+      await (await contract.connect(trustee1).approveReveal()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(trustee1).approveReveal(),
+        "AlreadyApproved",
+        "second approval"
+      );
+      expect(await contract.revealApprovals()).to.equal(1n);
+    });
+
+    it("should let a trustee revoke before the threshold is met", async function () {
+      await (await contract.connect(trustee1).approveReveal()).wait();
+      const receipt = await (await contract.connect(trustee1).revokeRevealApproval()).wait();
+
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "RevealApprovalRevoked", [trustee1.address, 0n]);
+      expect(await contract.revealApprovals()).to.equal(0n);
+      expect(await contract.hasApprovedReveal(trustee1.address)).to.equal(false);
+
+      // Revoking does not use up the trustee's approval
+      await (await contract.connect(trustee1).approveReveal()).wait();
+      expect(await contract.revealApprovals()).to.equal(1n);
+    });
+
+    it("should refuse revocations without an approval or after the threshold", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(trustee2).revokeRevealApproval(),
+        "NotApproved",
+        "never approved"
+      );
+
+      await (await contract.connect(trustee1).approveReveal()).wait();
+      await (await contract.connect(trustee2).approveReveal()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(trustee1).revokeRevealApproval(),
+        "RevealAlreadyApproved",
+        "threshold met"
+      );
+      expect(await contract.revealApprovals()).to.equal(2n);
+    });
+  });
+
+  describe("Revealing", function () {
+    beforeEach(async function () {
+      await registerTwoOfThree();
+      await castVote(voter1, 1);
+      await castVote(voter2, 1);
+    });
+
+    it("should withhold tally access until the threshold is met", async function () {
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).allowTallyDecryption(),
+        "RevealNotApproved",
+        "no approvals"
+      );
+
+      await (await contract.connect(trustee1).approveReveal()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).allowTallyDecryption(),
+        "RevealNotApproved",
+        "one approval"
+      );
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getSum(), contractAddress, owner);
+
+      await (await contract.connect(trustee2).approveReveal()).wait();
+      await (await contract.connect(owner).allowTallyDecryption()).wait();
+      await FHEPollAssertions.assertDecryptsTo(await contract.getSum(), contractAddress, owner, 2n, "approved tally");
+    });
+
+    it("should keep the tally sealed while voting is open, even once approved", async function () {
+      await (await contract.connect(trustee1).approveReveal()).wait();
+      await (await contract.connect(trustee2).approveReveal()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).allowTallyDecryption(),
+        "PollNotClosed",
+        "open poll"
+      );
+      await FHEPollAssertions.assertVoteReverts(contract.requestTally(), "PollNotClosed", "open poll");
+    });
+
+    it("should only send the tally and outcome to the oracle once approved", async function () {
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(contract.requestTally(), "RevealNotApproved", "tally");
+      await FHEPollAssertions.assertVoteReverts(contract.requestOutcome(), "RevealNotApproved", "outcome");
+
+      await (await contract.connect(trustee2).approveReveal()).wait();
+      await (await contract.connect(trustee3).approveReveal()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).requestTally(), "NotTallyRole", "voter, tally"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).requestOutcome(), "NotTallyRole", "voter, outcome"
+      );
+      await (await contract.connect(owner).requestTally()).wait();
+      await (await contract.connect(owner).requestOutcome()).wait();
+      await hre.fhevm.awaitDecryptionOracle();
+
+      expect(await contract.revealedTally()).to.equal(2n);
+      expect(await contract.passed()).to.equal(true);
+    });
+  });
+
+  describe("Factory Polls", function () {
+    let factory;
+
+    beforeEach(async function () {
+      const binary = await (await ethers.getContractFactory("FHEPoll")).deploy(0, 0);
+      const multi = await (await ethers.getContractFactory("FHEMultiOptionPoll")).deploy(0, 0, 2);
+      factory = await (await ethers.getContractFactory("PollFactory")).deploy(
+        await binary.getAddress(),
+        await multi.getAddress()
+      );
+      await factory.waitForDeployment();
+    });
+
+    /**
+     * Builds poll metadata with the given option labels
+     * @param {string[]} optionLabels - The option labels
+     * @returns {Object} - Metadata matching the PollFactory.PollMetadata struct
+     */
+    function metadata(optionLabels) {
+      return { title: "Budget", description: "", optionLabels, contentHash: ethers.ZeroHash };
+    }
+
+    it("should name the trustees of a yes/no poll as it is created", async function () {
+      const trustees = [trustee1.address, trustee2.address];
+      await (await factory.connect(owner).createPoll(0, 0, metadata(["No", "Yes"]), trustees, 2)).wait();
+      const [{ poll }] = await factory.getPolls(0, 1);
+      const created = await ethers.getContractAt("FHEPoll", poll);
+
+      expect(await created.owner()).to.equal(owner.address);
+      expect(await created.revealThreshold()).to.equal(2n);
+      expect(await created.isTrustee(trustee2.address)).to.equal(true);
+      await FHEPollAssertions.assertVoteReverts(
+        created.connect(owner).registerTrustees([voter1.address], 1),
+        "TrusteesLocked",
+        "owner after creation"
+      );
+    });
+
+    it("should gate the option tallies of a multi-option poll", async function () {
+      const trustees = [trustee1.address, trustee2.address, trustee3.address];
+      await (await factory.connect(owner).createMultiOptionPoll(0, 0, metadata(["Parks", "Roads"]), trustees, 1)).wait();
+      const [{ poll }] = await factory.getPolls(0, 1);
+      const created = await ethers.getContractAt("FHEMultiOptionPoll", poll);
+
+      const input = await hre.fhevm.createEncryptedInput(poll, voter1.address).add8(1).encrypt();
+      await (await created.connect(voter1).castVote(input.handles[0], input.inputProof)).wait();
+      await (await created.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        created.connect(owner).allowTallyDecryption(),
+        "RevealNotApproved",
+        "multi-option poll"
+      );
+      await (await created.connect(trustee3).approveReveal()).wait();
+      await (await created.connect(owner).allowTallyDecryption()).wait();
+      await FHEPollAssertions.assertDecryptsTo(
+        await created.getTally(1), poll, owner, 1n, "option tally"
+      );
+    });
+
+    it("should not create a poll with invalid trustees", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(owner).createPoll(0, 0, metadata(["No", "Yes"]), [trustee1.address], 2),
+        "InvalidTrustees",
+        "threshold above the count"
+      );
+      expect(await factory.pollCount()).to.equal(0n);
+    });
+  });
+});
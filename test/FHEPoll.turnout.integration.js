@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Turnout Integration Tests for Confidential Polls
+ *
+ * Covers the k-anonymity guard: the public turnout counter, the owner-set
+ * minimum turnout, and the refusal to decrypt or reveal the tally of a poll
+ * that closed below it, which is marked invalid instead.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { ChainTime } = require("./helpers/ChainTime");
+
+describe("FHEPoll Turnout Integration Tests", function () {
+  const MIN_TURNOUT = 3;
+
+  let contract;
+  let contractAddress;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+
+    const Factory = await ethers.getContractFactory("FHEPoll");
+    contract = await Factory.deploy(0, 0);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Encrypts a ballot for the given voter and submits it
+   * @param {Object} voter - The voter signer
+   * @param {number} value - The vote value (0 or 1)
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function vote(voter, value) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withVote(value)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  describe("Turnout Counter", function () {
+    it("should start without a minimum", async function () {
+      expect(await contract.minTurnout()).to.equal(0n);
+      expect(await contract.isInvalid()).to.equal(false);
+    });
+
+    it("should count each address once", async function () {
+      expect(await contract.turnout()).to.equal(0n);
+
+      await vote(voter1, 1);
+      await vote(voter2, 0);
+      await vote(voter1, 0);
+
+      expect(await contract.turnout()).to.equal(2n);
+    });
+
+    it("should count voters in multi-option polls", async function () {
+      const poll = await (await ethers.getContractFactory("FHEMultiOptionPoll")).deploy(0, 0, 3);
+      await poll.waitForDeployment();
+      const pollAddress = await poll.getAddress();
+
+      for (const voter of [voter1, voter1, voter2]) {
+        const choice = await new EncryptedVoteBuilder()
+          .forContract(pollAddress).byVoter(voter.address).withChoice(2).build();
+        await (await poll.connect(voter).castVote(choice.handle, choice.proof)).wait();
+      }
+
+      expect(await poll.turnout()).to.equal(2n);
+    });
+  });
+
+  describe("Minimum Turnout", function () {
+    beforeEach(async function () {
+      const receipt = await (await contract.connect(owner).setMinTurnout(MIN_TURNOUT)).wait();
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "MinTurnoutUpdated", [BigInt(MIN_TURNOUT)]);
+    });
+
+    it("should only let the owner change the minimum before closing", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).setMinTurnout(1),
+        "NotOwner",
+        "non-owner minimum change"
+      );
+
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).setMinTurnout(0),
+        "PolicyLocked",
+        "minimum lowered after close"
+      );
+    });
+
+    it("should mark a poll closed below the minimum as invalid", async function () {
+      await vote(voter1, 1);
+      await vote(voter2, 0);
+      expect(await contract.isInvalid()).to.equal(false);
+
+      const receipt = await (await contract.connect(owner).close()).wait();
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "PollInvalidated", [2n, BigInt(MIN_TURNOUT)]);
+      expect(await contract.isInvalid()).to.equal(true);
+    });
+
+    it("should refuse every way of exposing an under-quorum tally", async function () {
+      await vote(voter1, 1);
+      await vote(voter2, 0);
+      await (await contract.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).allowTallyDecryption(), "TurnoutTooLow", "tally access"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.requestTally(), "TurnoutTooLow", "tally reveal"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.requestOutcome(), "TurnoutTooLow", "outcome reveal"
+      );
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getSum(), contractAddress, owner);
+    });
+
+    it("should refuse public access under the Public policy", async function () {
+      await (await contract.connect(owner).setDecryptionPolicy(1)).wait();
+      await vote(voter1, 1);
+      await (await contract.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter2).allowTallyDecryption(), "TurnoutTooLow", "public tally access"
+      );
+    });
+
+    it("should mark a poll that ends on schedule below the minimum as invalid", async function () {
+      const now = await ChainTime.latest();
+      const Factory = await ethers.getContractFactory("FHEPoll");
+      const scheduled = await Factory.deploy(0, now + 3600);
+      await scheduled.waitForDeployment();
+      await (await scheduled.connect(owner).setMinTurnout(MIN_TURNOUT)).wait();
+
+      await ChainTime.increaseTo(now + 3600);
+      expect(await scheduled.isInvalid()).to.equal(true);
+    });
+
+    it("should release the tally once the minimum is reached", async function () {
+      await vote(voter1, 1);
+      await vote(voter2, 0);
+      await vote(voter3, 1);
+      const receipt = await (await contract.connect(owner).close()).wait();
+
+      expect(receipt.logs.some(log => contract.interface.parseLog(log)?.name === "PollInvalidated"))
+        .to.equal(false);
+      expect(await contract.isInvalid()).to.equal(false);
+      await FHEPollAssertions.assertFinalTally(contract, contractAddress, owner, 2n, "quorate poll");
+    });
+
+    it("should not count a replaced ballot towards the minimum", async function () {
+      await vote(voter1, 1);
+      await vote(voter2, 1);
+      await vote(voter2, 0);
+      await (await contract.connect(owner).close()).wait();
+
+      expect(await contract.isInvalid()).to.equal(true);
+    });
+
+    it("should guard weighted polls through the same check", async function () {
+      const source = await (await ethers.getContractFactory("MockConfidentialToken")).deploy();
+      await source.waitForDeployment();
+      const poll = await (await ethers.getContractFactory("FHEWeightedPoll"))
+        .deploy(0, 0, await source.getAddress());
+      await poll.waitForDeployment();
+      await (await poll.connect(owner).setMinTurnout(1)).wait();
+      await (await poll.connect(owner).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        poll.connect(owner).allowTallyDecryption(), "TurnoutTooLow", "empty weighted poll"
+      );
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Integration Tests for FHERatingPoll Contract
+ *
+ * Covers "rate 1–10" polls: clamping encrypted ratings into the poll's
+ * range, the encrypted sum, histogram and lowest and highest rating, ballot
+ * replacement, and decrypting every statistic together or one at a time
+ * under the poll's decryption policy. Also checks that the costliest ballot
+ * and the derivation of the lowest and highest rating stay within the HCU
+ * limits.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { loadHcuSchedule, measureHcu } = require("../benchmark");
+const { BALLOT_TYPES, ballotDomain } = require("../sdk");
+
+describe("FHERatingPoll Integration Tests", function () {
+  // Mirrors the FHERatingPoll.Statistic enum
+  const Statistic = { Sum: 0, Min: 1, Max: 2, Histogram: 3 };
+
+  let Factory;
+  let contract;
+  let contractAddress;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    Factory = await ethers.getContractFactory("FHERatingPoll");
+    contract = await Factory.deploy(0, 0, 1, 10);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  /**
+   * Encrypts and casts a rating
+   * @param {Object} voter - The voting signer
+   * @param {number} rating - The rating, possibly out of range
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function rate(voter, rating) {
+    const encryptedRating = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withRating(rating)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedRating.handle, encryptedRating.proof),
+      voter.address
+    );
+  }
+
+  /**
+   * Closes the poll and decrypts every statistic as the owner
+   * @returns {Promise<{sum: bigint, min: bigint, max: bigint, histogram: bigint[]}>}
+   */
+  async function closeAndDecrypt() {
+    await (await contract.connect(owner).close()).wait();
+    await (await contract.connect(owner).allowTallyDecryption()).wait();
+    return decryptStatistics(owner);
+  }
+
+  /**
+   * Decrypts every statistic as the given signer
+   * @param {Object} signer - A signer with access to every statistic
+   * @returns {Promise<{sum: bigint, min: bigint, max: bigint, histogram: bigint[]}>}
+   */
+  async function decryptStatistics(signer) {
+    const decrypt = async (handle, type) => hre.fhevm.userDecryptEuint(type, handle, contractAddress, signer);
+    const histogram = [];
+    for (let rating = 1; rating <= 10; rating++) {
+      histogram.push(await decrypt(await contract.getHistogram(rating), FhevmType.euint32));
+    }
+    return {
+      sum: await decrypt(await contract.getSum(), FhevmType.euint32),
+      min: await decrypt(await contract.getMin(), FhevmType.euint8),
+      max: await decrypt(await contract.getMax(), FhevmType.euint8),
+      histogram,
+    };
+  }
+
+  describe("Deployment", function () {
+    it("should store the rating range and one bucket per rating", async function () {
+      expect(await contract.minRating()).to.equal(1n);
+      expect(await contract.maxRating()).to.equal(10n);
+      expect(await contract.bucketCount()).to.equal(10n);
+    });
+
+    it("should refuse empty, inverted and oversized ranges", async function () {
+      const maxBuckets = Number(await contract.MAX_BUCKETS());
+      for (const [minRating, maxRating, context] of [
+        [5, 5, "single rating"],
+        [10, 1, "inverted"],
+        [0, maxBuckets, "too many buckets"],
+      ]) {
+        await FHEPollAssertions.assertVoteReverts(
+          Factory.deploy(0, 0, minRating, maxRating),
+          "InvalidRatingRange",
+          context
+        );
+      }
+
+      const widest = await Factory.deploy(0, 0, 0, maxBuckets - 1);
+      expect(await widest.bucketCount()).to.equal(BigInt(maxBuckets));
+    });
+  });
+
+  describe("Counting Ratings", function () {
+    it("should keep the sum, histogram and extremes of the ratings", async function () {
+      await rate(voter1, 3);
+      await rate(voter2, 7);
+      await rate(voter3, 10);
+
+      const statistics = await closeAndDecrypt();
+
+      expect(statistics.sum).to.equal(20n);
+      expect(Number(statistics.sum) / Number(await contract.turnout())).to.be.closeTo(6.67, 0.01);
+      expect(statistics.min).to.equal(3n);
+      expect(statistics.max).to.equal(10n);
+      expect(statistics.histogram).to.deep.equal([0n, 0n, 1n, 0n, 0n, 0n, 1n, 0n, 0n, 1n]);
+    });
+
+    it("should clamp out-of-range ratings to the nearest bound", async function () {
+      await rate(voter1, 0);
+      await rate(voter2, 200);
+
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.connect(voter1).myBallot(), contractAddress, voter1, 1n, "clamped up", FhevmType.euint8
+      );
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.connect(voter2).myBallot(), contractAddress, voter2, 10n, "clamped down", FhevmType.euint8
+      );
+
+      const statistics = await closeAndDecrypt();
+      expect(statistics.sum).to.equal(11n);
+      expect(statistics.histogram[0]).to.equal(1n);
+      expect(statistics.histogram[9]).to.equal(1n);
+    });
+
+    it("should take a replaced rating out of every statistic", async function () {
+      await rate(voter1, 10);
+      await rate(voter2, 4);
+      const receipt = await rate(voter1, 6);
+
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "VoteReplaced", [voter1.address]);
+      expect(await contract.turnout()).to.equal(2n);
+
+      const statistics = await closeAndDecrypt();
+      expect(statistics.sum).to.equal(10n);
+      expect(statistics.max).to.equal(6n);
+      expect(statistics.min).to.equal(4n);
+      expect(statistics.histogram[9]).to.equal(0n);
+    });
+
+    it("should count a rating signed by the voter and submitted by a relayer", async function () {
+      const encryptedRating = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter1.address)
+        .withRating(8)
+        .build();
+      const { chainId } = await ethers.provider.getNetwork();
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const signature = await voter1.signTypedData(ballotDomain(contractAddress, chainId), BALLOT_TYPES, {
+        voter: voter1.address,
+        handle: encryptedRating.handle,
+        nonce: 0,
+        deadline,
+      });
+
+      await (await contract.connect(voter3)["castVoteBySig(address,bytes32,bytes,uint256,bytes)"](
+        voter1.address, encryptedRating.handle, encryptedRating.proof, deadline, signature
+      )).wait();
+
+      expect(await contract.hasVoted(voter1.address)).to.equal(true);
+      expect(await contract.hasVoted(voter3.address)).to.equal(false);
+      expect((await closeAndDecrypt()).sum).to.equal(8n);
+    });
+
+    it("should reveal zeros for a poll without ballots", async function () {
+      const statistics = await closeAndDecrypt();
+
+      expect(statistics).to.deep.equal({ sum: 0n, min: 0n, max: 0n, histogram: Array(10).fill(0n) });
+    });
+
+    it("should reject histogram lookups outside the range", async function () {
+      await FHEPollAssertions.assertVoteReverts(contract.getHistogram(0), "InvalidRating", "below the range");
+      await FHEPollAssertions.assertVoteReverts(contract.getHistogram(11), "InvalidRating", "above the range");
+    });
+  });
+
+  describe("Decrypting Statistics", function () {
+    beforeEach(async function () {
+      await rate(voter1, 2);
+      await rate(voter2, 9);
+    });
+
+    it("should grant access to one statistic at a time", async function () {
+      await (await contract.connect(owner).close()).wait();
+      const receipt = await (await contract.connect(owner).allowStatisticDecryption(Statistic.Sum)).wait();
+
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "StatisticAccessGranted", [
+        owner.address, BigInt(Statistic.Sum),
+      ]);
+      FHEPollAssertions.assertEventNotEmitted(receipt, contract, "TallyAccessGranted");
+      await FHEPollAssertions.assertDecryptsTo(await contract.getSum(), contractAddress, owner, 11n, "sum");
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getHistogram(2), contractAddress, owner);
+
+      await (await contract.connect(owner).allowStatisticDecryption(Statistic.Max)).wait();
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.getMax(), contractAddress, owner, 9n, "max", FhevmType.euint8
+      );
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getMin(), contractAddress, owner, FhevmType.euint8);
+    });
+
+    it("should apply the decryption policy and reveal checks to each statistic", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).allowStatisticDecryption(Statistic.Sum),
+        "PollNotClosed",
+        "open poll"
+      );
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).allowStatisticDecryption(Statistic.Histogram),
+        "NotTallyRole",
+        "voter under the TallyRoles policy"
+      );
+
+      const publicPoll = await Factory.deploy(0, 0, 1, 10);
+      await publicPoll.waitForDeployment();
+      await (await publicPoll.connect(owner).setDecryptionPolicy(1)).wait();
+      await (await publicPoll.connect(owner).setMinTurnout(1)).wait();
+      await (await publicPoll.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        publicPoll.connect(voter1).allowStatisticDecryption(Statistic.Min),
+        "TurnoutTooLow",
+        "below the minimum turnout"
+      );
+    });
+
+    it("should let anyone decrypt a statistic under the public policy", async function () {
+      await (await contract.connect(owner).setDecryptionPolicy(1)).wait();
+      await (await contract.connect(owner).close()).wait();
+
+      await (await contract.connect(voter3).allowStatisticDecryption(Statistic.Min)).wait();
+
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.getMin(), contractAddress, voter3, 2n, "public min", FhevmType.euint8
+      );
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getSum(), contractAddress, voter3);
+    });
+
+    it("should keep every statistic sealed from voters", async function () {
+      await (await contract.connect(owner).close()).wait();
+      await (await contract.connect(owner).allowTallyDecryption()).wait();
+
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getSum(), contractAddress, voter1);
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getMax(), contractAddress, voter1, FhevmType.euint8);
+      await FHEPollAssertions.assertCannotDecrypt(await contract.getHistogram(9), contractAddress, voter2);
+    });
+  });
+
+  describe("HCU Limits", function () {
+    it("should replace a rating and derive the extremes of the widest range within the limits", async function () {
+      const maxBuckets = Number(await contract.MAX_BUCKETS());
+      contract = await Factory.deploy(0, 0, 0, maxBuckets - 1);
+      await contract.waitForDeployment();
+      contractAddress = await contract.getAddress();
+      const schedule = loadHcuSchedule();
+
+      await rate(voter1, 3);
+      const replacement = await rate(voter1, 12);
+      await (await contract.connect(owner).close()).wait();
+      const reveal = await (await contract.connect(owner).allowTallyDecryption()).wait();
+
+      for (const receipt of [replacement, reveal]) {
+        const { hcu, depth } = measureHcu(receipt, schedule);
+        expect(hcu).to.be.below(schedule.limits.transaction);
+        expect(depth).to.be.below(schedule.limits.depth);
+      }
+      await FHEPollAssertions.assertDecryptsTo(
+        await contract.getMin(), contractAddress, owner, 12n, "min", FhevmType.euint8
+      );
+    });
+  });
+});
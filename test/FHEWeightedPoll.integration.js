@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Integration Tests for FHEWeightedPoll Contract
+ *
+ * Covers weighted yes/no polls: encrypted voting power issued by the owner
+ * or read from a confidential token as it stood when the poll opened,
+ * ballots multiplied by that power, the
+ * widened euint64 counters, ballot replacement, delegation of voting power,
+ * and confidentiality of both the choice and the weight.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+
+describe("FHEWeightedPoll Integration Tests", function () {
+  // Larger than a uint32 tally could hold
+  const LARGE_WEIGHT = 5000000000n;
+
+  let contract;
+  let contractAddress;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+  let voter4;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3, voter4] = await ethers.getSigners();
+    ({ contract, contractAddress } = await deployPoll(ethers.ZeroAddress));
+  });
+
+  /**
+   * Deploys a weighted poll that opens immediately
+   * @param {string} votingPowerSource - Source address, or zero for owner-issued power
+   * @returns {Promise<Object>} - The deployed contract and its address
+   */
+  async function deployPoll(votingPowerSource) {
+    const Factory = await ethers.getContractFactory("FHEWeightedPoll");
+    const deployed = await Factory.deploy(0, 0, votingPowerSource);
+    await deployed.waitForDeployment();
+    return { contract: deployed, contractAddress: await deployed.getAddress() };
+  }
+
+  /**
+   * Issues encrypted voting power to a voter as the owner
+   * @param {Object} voter - The voter signer
+   * @param {bigint} weight - The voting power
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function issuePower(voter, weight) {
+    const encryptedWeight = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(owner.address)
+      .withWeight(weight)
+      .build();
+
+    return (await contract.connect(owner)
+      .setVotingPower(voter.address, encryptedWeight.handle, encryptedWeight.proof)).wait();
+  }
+
+  /**
+   * Encrypts a ballot for the given voter and submits it
+   * @param {Object} voter - The voter signer
+   * @param {number} value - The ballot value
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function castVote(voter, value) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(contractAddress)
+      .byVoter(voter.address)
+      .withRawValue(value)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  /**
+   * Closes the poll, obtains tally access for the owner and asserts both
+   * weight counters
+   * @param {bigint} expectedYes - The expected "yes" weight
+   * @param {bigint} expectedNo - The expected "no" weight
+   * @param {string} context - Additional context for error reporting
+   * @returns {Promise<void>}
+   */
+  async function assertWeights(expectedYes, expectedNo, context) {
+    await (await contract.connect(owner).close()).wait();
+    await (await contract.connect(owner).allowTallyDecryption()).wait();
+
+    await FHEPollAssertions.assertDecryptsTo(
+      await contract.getYesWeight(), contractAddress, owner, expectedYes,
+      `${context}, yes`, FhevmType.euint64
+    );
+    await FHEPollAssertions.assertDecryptsTo(
+      await contract.getNoWeight(), contractAddress, owner, expectedNo,
+      `${context}, no`, FhevmType.euint64
+    );
+  }
+
+  describe("Owner-Issued Voting Power", function () {
+    it("should count each ballot with the voter's weight", async function () {
+      await issuePower(voter1, 10n);
+      await issuePower(voter2, 25n);
+      await issuePower(voter3, 7n);
+
+      await castVote(voter1, 1);
+      await castVote(voter2, 0);
+      await castVote(voter3, 1);
+
+      await assertWeights(17n, 25n, "mixed weights");
+    });
+
+    it("should add weights beyond the uint32 range", async function () {
+      await issuePower(voter1, LARGE_WEIGHT);
+      await issuePower(voter2, LARGE_WEIGHT);
+
+      await castVote(voter1, 1);
+      await castVote(voter2, 1);
+
+      await assertWeights(2n * LARGE_WEIGHT, 0n, "large weights");
+    });
+
+    it("should count voters without power and invalid ballots with zero weight", async function () {
+      await issuePower(voter1, 10n);
+      await issuePower(voter2, 30n);
+
+      await castVote(voter1, 1);
+      await castVote(voter2, 7);
+      await castVote(voter3, 1);
+
+      await assertWeights(10n, 0n, "zero-weight ballots");
+    });
+
+    it("should move the full weight when a ballot is replaced", async function () {
+      await issuePower(voter1, 40n);
+      await castVote(voter1, 1);
+      const receipt = await castVote(voter1, 0);
+
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "VoteReplaced", [voter1.address]);
+      await assertWeights(0n, 40n, "replacement");
+    });
+
+    it("should replace a ballot correctly after the voter's power changed", async function () {
+      await issuePower(voter1, 40n);
+      await castVote(voter1, 1);
+      await issuePower(voter1, 15n);
+      await castVote(voter1, 1);
+
+      await assertWeights(15n, 0n, "changed power");
+    });
+
+    it("should let voters decrypt their own power only", async function () {
+      const receipt = await issuePower(voter1, 12n);
+      FHEPollAssertions.assertEventEmitted(receipt, contract, "VotingPowerIssued", [voter1.address]);
+
+      const power = await contract.getVotingPower(voter1.address);
+      await FHEPollAssertions.assertDecryptsTo(
+        power, contractAddress, voter1, 12n, "own power", FhevmType.euint64
+      );
+      await FHEPollAssertions.assertCannotDecrypt(power, contractAddress, voter2, FhevmType.euint64);
+    });
+
+    it("should only let the owner issue power, and only before closing", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).setVotingPower(voter1.address, ethers.ZeroHash, "0x"),
+        "NotOwner",
+        "voter issuing power"
+      );
+
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        issuePower(voter1, 1n),
+        "PollAlreadyClosed",
+        "power issued after close"
+      );
+    });
+  });
+
+  describe("Confidential Token Voting Power", function () {
+    let token;
+
+    beforeEach(async function () {
+      token = await (await ethers.getContractFactory("MockConfidentialToken")).deploy();
+      await token.waitForDeployment();
+      await (await token.mint(voter1.address, 300)).wait();
+      await (await token.mint(voter2.address, 120)).wait();
+      ({ contract, contractAddress } = await deployPoll(await token.getAddress()));
+    });
+
+    it("should weight ballots by the voter's token balance", async function () {
+      await castVote(voter1, 0);
+      await castVote(voter2, 1);
+      await castVote(voter3, 1);
+
+      await assertWeights(120n, 300n, "token weights");
+    });
+
+    it("should read balances as they stood before the poll opened", async function () {
+      const block = await ethers.provider.getBlock(await ethers.provider.getBlockNumber());
+      expect(await contract.snapshotTime()).to.equal(BigInt(block.timestamp - 1));
+
+      await castVote(voter1, 1);
+      await (await token.connect(voter1).transfer(voter3.address, 300)).wait();
+      await (await token.mint(voter4.address, 50)).wait();
+      await castVote(voter3, 1);
+      await castVote(voter4, 1);
+      await castVote(voter1, 1);
+
+      await assertWeights(300n, 0n, "moved and newly minted tokens");
+    });
+
+    it("should only report power for timepoints in the past", async function () {
+      const latest = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await FHEPollAssertions.assertVoteReverts(
+        token.votingPowerAt(voter1.address, latest + 1),
+        "FutureLookup(uint64)",
+        "timepoint of the next block"
+      );
+    });
+
+    it("should refuse owner-issued power when a source is set", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(owner).setVotingPower(voter1.address, ethers.ZeroHash, "0x"),
+        "VotingPowerFromSource",
+        "issuing power to a token-weighted poll"
+      );
+    });
+  });
+
+  describe("Delegation", function () {
+    /**
+     * Delegates a voter's power and returns the receipt
+     * @param {Object} delegator - The delegating signer
+     * @param {Object} delegatee - The signer receiving the power
+     * @returns {Promise<Object>} - The transaction receipt
+     */
+    async function delegate(delegator, delegatee) {
+      return (await contract.connect(delegator).delegate(delegatee.address)).wait();
+    }
+
+    beforeEach(async function () {
+      await issuePower(voter1, 10n);
+      await issuePower(voter2, 5n);
+      await issuePower(voter3, 3n);
+    });
+
+    it("should add delegated power to the delegatee's ballot", async function () {
+      const receipt = await delegate(voter1, voter2);
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "DelegateChanged", [voter1.address, ethers.ZeroAddress, voter2.address]
+      );
+      expect(await contract.delegates(voter1.address)).to.equal(voter2.address);
+      expect(await contract.delegatorCount(voter2.address)).to.equal(1n);
+
+      await castVote(voter2, 1);
+      await castVote(voter3, 0);
+
+      await assertWeights(15n, 3n, "delegated power");
+    });
+
+    it("should recount a ballot cast before the delegation arrived", async function () {
+      await castVote(voter2, 0);
+      await delegate(voter1, voter2);
+      await delegate(voter3, voter2);
+
+      await assertWeights(0n, 18n, "late delegations");
+    });
+
+    it("should keep delegated power when the delegatee replaces their ballot", async function () {
+      await delegate(voter1, voter2);
+      await castVote(voter2, 1);
+      await castVote(voter2, 0);
+
+      await assertWeights(0n, 15n, "delegatee replacement");
+    });
+
+    it("should not count delegated power if the delegatee never votes", async function () {
+      await delegate(voter1, voter2);
+      await castVote(voter3, 1);
+
+      await assertWeights(3n, 0n, "silent delegatee");
+    });
+
+    it("should take power back on undelegate", async function () {
+      await delegate(voter1, voter2);
+      await delegate(voter3, voter2);
+      await castVote(voter2, 1);
+
+      const receipt = await (await contract.connect(voter1).undelegate()).wait();
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "DelegateChanged", [voter1.address, voter2.address, ethers.ZeroAddress]
+      );
+      expect(await contract.delegates(voter1.address)).to.equal(ethers.ZeroAddress);
+      expect(await contract.delegatorCount(voter2.address)).to.equal(1n);
+
+      await assertWeights(8n, 0n, "after undelegate");
+    });
+
+    it("should move power when re-delegating", async function () {
+      await delegate(voter1, voter2);
+      const receipt = await delegate(voter1, voter3);
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "DelegateChanged", [voter1.address, voter2.address, voter3.address]
+      );
+
+      await castVote(voter2, 1);
+      await castVote(voter3, 0);
+
+      expect(await contract.delegatorCount(voter2.address)).to.equal(0n);
+      await assertWeights(5n, 13n, "re-delegation");
+    });
+
+    it("should let a direct vote override the delegation", async function () {
+      await delegate(voter1, voter2);
+      await castVote(voter2, 1);
+
+      const receipt = await castVote(voter1, 0);
+      FHEPollAssertions.assertEventEmitted(
+        receipt, contract, "DelegateChanged", [voter1.address, voter2.address, ethers.ZeroAddress]
+      );
+      expect(await contract.delegates(voter1.address)).to.equal(ethers.ZeroAddress);
+
+      await assertWeights(5n, 10n, "direct vote override");
+    });
+
+    it("should not let a voter delegate after voting", async function () {
+      await castVote(voter1, 1);
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).delegate(voter2.address),
+        "AlreadyVoted",
+        "delegation after voting"
+      );
+    });
+
+    it("should reject delegation to oneself or to nobody", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).delegate(voter1.address), "InvalidDelegate", "self-delegation"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).delegate(ethers.ZeroAddress), "InvalidDelegate", "zero delegatee"
+      );
+    });
+
+    it("should prevent delegation chains and loops", async function () {
+      await delegate(voter1, voter2);
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter2).delegate(voter3.address),
+        "DelegationChain",
+        "delegatee delegating onwards"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter2).delegate(voter1.address),
+        "DelegationChain",
+        "two-party loop"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter3).delegate(voter1.address),
+        "DelegationChain",
+        "delegating to a delegator"
+      );
+    });
+
+    it("should refuse to undelegate without a delegation or after closing", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).undelegate(), "NotDelegated", "nothing to undelegate"
+      );
+
+      await delegate(voter1, voter2);
+      await (await contract.connect(owner).close()).wait();
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).undelegate(), "PollAlreadyClosed", "undelegate after close"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter3).delegate(voter2.address), "PollAlreadyClosed", "delegate after close"
+      );
+    });
+
+    it("should check the delegator's eligibility", async function () {
+      const allowlist = await (await ethers.getContractFactory("AllowlistEligibility")).deploy();
+      await allowlist.waitForDeployment();
+      await (await allowlist.setAllowed([voter2.address], true)).wait();
+      await (await contract.connect(owner).setEligibility(await allowlist.getAddress())).wait();
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).delegate(voter2.address), "NotEligible", "ineligible delegator"
+      );
+    });
+
+    it("should not let the delegatee decrypt the delegated power", async function () {
+      await delegate(voter1, voter2);
+
+      await FHEPollAssertions.assertCannotDecrypt(
+        await contract.getDelegatedPower(voter2.address), contractAddress, voter2, FhevmType.euint64
+      );
+    });
+
+    it("should delegate token-based power", async function () {
+      const token = await (await ethers.getContractFactory("MockConfidentialToken")).deploy();
+      await token.waitForDeployment();
+      await (await token.mint(voter1.address, 300)).wait();
+      await (await token.mint(voter4.address, 20)).wait();
+      ({ contract, contractAddress } = await deployPoll(await token.getAddress()));
+
+      await delegate(voter1, voter4);
+      await castVote(voter4, 1);
+
+      await assertWeights(320n, 0n, "delegated token power");
+    });
+
+    it("should only delegate token-based power once the snapshot is final", async function () {
+      const token = await (await ethers.getContractFactory("MockConfidentialToken")).deploy();
+      await token.waitForDeployment();
+      const startTime = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const poll = await (await ethers.getContractFactory("FHEWeightedPoll"))
+        .deploy(startTime, 0, await token.getAddress());
+      await poll.waitForDeployment();
+
+      expect(await poll.snapshotTime()).to.equal(BigInt(startTime - 1));
+      await FHEPollAssertions.assertVoteReverts(
+        poll.connect(voter1).delegate(voter2.address),
+        "PollNotOpen",
+        "delegation before the poll opens"
+      );
+    });
+  });
+
+  describe("Confidentiality", function () {
+    it("should not let voters decrypt the weight counters", async function () {
+      await issuePower(voter1, 10n);
+      await castVote(voter1, 1);
+
+      await FHEPollAssertions.assertCannotDecrypt(
+        await contract.getYesWeight(), contractAddress, voter1, FhevmType.euint64
+      );
+      await FHEPollAssertions.assertCannotDecrypt(
+        await contract.getNoWeight(), contractAddress, voter1, FhevmType.euint64
+      );
+    });
+
+    it("should report zero weights for a poll without ballots", async function () {
+      await assertWeights(0n, 0n, "empty poll");
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Integration Tests for the Poll Cost Benchmark
+ *
+ * Checks the HCU bookkeeping against the installed `HCULimit` contract and
+ * hand-built executor events, measures a small run of the binary scenario
+ * on the mock fhEVM, and exercises the baseline comparison and Markdown
+ * report that `npm run benchmark` relies on to catch cost regressions.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const fs = require("fs");
+
+const { FHE_EVENTS, parseHcuLimit } = require("../benchmark/hcu");
+const {
+  compareToBaseline,
+  loadHcuSchedule,
+  measureHcu,
+  parseEnv,
+  renderMarkdown,
+  runBenchmark,
+} = require("../benchmark");
+
+describe("Poll Benchmark Integration Tests", function () {
+  const schedule = loadHcuSchedule();
+
+  /**
+   * Builds a ciphertext handle of the given type
+   * @param {number} id - Distinguishes handles of the same type
+   * @param {string} type - An `FheType` name
+   * @returns {string} - The 32-byte handle
+   */
+  function handle(id, type) {
+    const bytes = new Uint8Array(32);
+    bytes[0] = id;
+    bytes[30] = schedule.types.indexOf(type);
+    return ethers.hexlify(bytes);
+  }
+
+  /**
+   * Wraps executor events in a receipt-like object
+   * @param {Array<[string, Array]>} events - Event names and arguments
+   * @returns {{logs: Array<Object>}} - What `measureHcu` reads
+   */
+  function receiptOf(events) {
+    return {
+      logs: events.map(([name, args]) => FHE_EVENTS.encodeEventLog(name, [ethers.ZeroAddress, ...args])),
+    };
+  }
+
+  describe("HCU Schedule", function () {
+    it("should read the prices and limits of the installed HCULimit contract", function () {
+      expect(schedule.prices.FheAdd.nonScalar.Uint32).to.equal(125000);
+      expect(schedule.prices.FheAdd.scalar.Uint32).to.equal(95000);
+      expect(schedule.prices.FheEq.scalar.Bool).to.be.a("number");
+      expect(schedule.prices.FheIfThenElse.nonScalar.Uint64).to.equal(55000);
+      expect(schedule.limits).to.deep.equal({ transaction: 20000000, depth: 5000000 });
+      expect(schedule.types.slice(0, 3)).to.deep.equal(["Bool", "Uint4", "Uint8"]);
+    });
+
+    it("should add up operations and follow the deepest dependency chain", function () {
+      const { prices } = schedule;
+      const zero = handle(1, "Uint32");
+      const stored = handle(2, "Uint32"); // From an earlier transaction
+      const sum = handle(3, "Uint32");
+      const isLow = handle(4, "Bool");
+      const picked = handle(5, "Uint32");
+
+      const measured = measureHcu(receiptOf([
+        ["TrivialEncrypt", [0, 4, zero]],
+        ["FheAdd", [zero, stored, "0x00", sum]],
+        ["FheLe", [stored, ethers.toBeHex(1, 32), "0x01", isLow]],
+        ["FheIfThenElse", [isLow, sum, stored, picked]],
+      ]), schedule);
+
+      const trivial = prices.TrivialEncrypt.nonScalar.Uint32;
+      const add = prices.FheAdd.nonScalar.Uint32;
+      const le = prices.FheLe.scalar.Uint32;
+      const select = prices.FheIfThenElse.nonScalar.Uint32;
+      expect(measured.hcu).to.equal(trivial + add + le + select);
+      expect(measured.depth).to.equal(select + Math.max(le, trivial + add));
+      expect(measured.operations).to.deep.equal({
+        "TrivialEncrypt(euint32)": { count: 1, hcu: trivial },
+        "FheAdd(euint32)": { count: 1, hcu: add },
+        "FheLe(euint32, scalar)": { count: 1, hcu: le },
+        "FheIfThenElse(euint32)": { count: 1, hcu: select },
+      });
+    });
+
+    it("should refuse operations the schedule has no price for", function () {
+      const receipt = receiptOf([["FheDiv", [handle(1, "Bool"), ethers.toBeHex(2, 32), "0x01", handle(2, "Bool")]]]);
+      expect(() => measureHcu(receipt, schedule)).to.throw("No HCU price for FheDiv on Bool");
+    });
+
+    it("should refuse an HCULimit source with a price it cannot read", function () {
+      const source = fs.readFileSync(require.resolve("@fhevm/core-contracts/contracts/HCULimit.sol"), "utf8");
+      expect(() => parseHcuLimit(source)).not.to.throw();
+
+      const unpriced = source.replace("opHCU = 125000;", "opHCU = BASE_HCU;");
+      expect(() => parseHcuLimit(unpriced)).to.throw("No HCU price for Uint32 in checkHCUForFheAdd");
+
+      const withoutRand = source.replace("function checkHCUForFheRand(", "function checkHCUForFheRandom(");
+      expect(() => parseHcuLimit(withoutRand)).to.throw("No HCU prices found for FheRand");
+    });
+  });
+
+  describe("Measuring Ballots", function () {
+    it("should record the gas and HCU of every ballot in a scenario", async function () {
+      const report = await runBenchmark(hre, { voters: 2, scenarios: ["binary"] });
+
+      expect(report.voters).to.equal(2);
+      expect(report.scenarios.map(scenario => scenario.name)).to.deep.equal(["binary"]);
+      const [binary] = report.scenarios;
+      expect(binary.ballots).to.have.length(2);
+
+      // The first ballot starts the counters at its own parts; the second adds to them
+      const { prices } = schedule;
+      const split =
+        prices.FheLe.scalar.Uint32 +
+        prices.Cast.nonScalar.Uint32 +
+        prices.FheBitAnd.nonScalar.Uint32 +
+        prices.FheSub.nonScalar.Uint32 +
+        prices.FheBitXor.scalar.Uint32;
+      expect(binary.ballots[0].hcu).to.equal(split);
+      expect(binary.ballots[1].hcu).to.equal(split + 3 * prices.FheAdd.nonScalar.Uint32);
+      expect(binary.hcu.max).to.equal(binary.ballots[1].hcu);
+      expect(binary.operations["FheAdd(euint32)"].count).to.equal(3);
+      expect(binary.operations).to.not.have.property("TrivialEncrypt(euint32)");
+      expect(binary.hcuDepth).to.be.within(1, binary.hcu.max);
+      expect(binary.gas.max).to.be.below(500000);
+      expect(binary.gas.mean).to.be.within(binary.gas.min, binary.gas.max);
+    });
+  });
+
+  describe("Baseline Comparison", function () {
+    const baseline = {
+      generatedAt: "2026-01-01T00:00:00.000Z",
+      voters: 3,
+      hcuLimits: schedule.limits,
+      scenarios: [
+        { name: "binary", description: "Yes/no", gas: { min: 400000, mean: 420000, max: 480000 }, hcu: { min: 600000, mean: 600000, max: 600000 }, hcuDepth: 300000, operations: {} },
+        { name: "weighted", description: "Weighted", gas: { min: 500000, mean: 500000, max: 500000 }, hcu: { min: 1000000, mean: 1000000, max: 1000000 }, hcuDepth: 800000, operations: {} },
+      ],
+    };
+
+    /**
+     * Copies the baseline with the binary scenario's costs scaled
+     * @param {number} gasFactor - Multiplies the gas metrics
+     * @param {number} hcuFactor - Multiplies the HCU metrics
+     * @returns {Object} - A report
+     */
+    function scaled(gasFactor, hcuFactor) {
+      const report = structuredClone(baseline);
+      const [binary] = report.scenarios;
+      binary.gas = { min: 400000, mean: 420000 * gasFactor, max: 480000 * gasFactor };
+      binary.hcu.max *= hcuFactor;
+      binary.hcuDepth *= hcuFactor;
+      return report;
+    }
+
+    it("should pass growth within the threshold and flag growth beyond it", function () {
+      const within = compareToBaseline(scaled(1.04, 1), baseline, 5);
+      expect(within.passed).to.equal(true);
+      expect(within.rows).to.have.length(8);
+
+      const beyond = compareToBaseline(scaled(0.9, 1.1), baseline, 5);
+      expect(beyond.passed).to.equal(false);
+      expect(beyond.rows.filter(row => row.regressed).map(row => `${row.scenario} ${row.metric}`)).to.deep.equal([
+        "binary hcu.max",
+        "binary hcuDepth",
+      ]);
+      expect(beyond.rows.find(row => row.metric === "gas.max").change).to.be.closeTo(-10, 1e-9);
+    });
+
+    it("should list added and missing scenarios and refuse a different voter count", function () {
+      const report = structuredClone(baseline);
+      report.scenarios[1] = { ...report.scenarios[1], name: "ballot-sheet" };
+
+      const comparison = compareToBaseline(report, baseline, 5);
+      expect(comparison.added).to.deep.equal(["ballot-sheet"]);
+      expect(comparison.missing).to.deep.equal(["weighted"]);
+      expect(comparison.passed).to.equal(true);
+
+      expect(() => compareToBaseline({ ...report, voters: 5 }, baseline, 5)).to.throw("measured with 3 voters");
+    });
+
+    it("should render the summary, the comparison and the operations as Markdown", function () {
+      const report = scaled(1, 1.1);
+      report.scenarios[0].operations = { "FheAdd(euint32)": { count: 3, hcu: 375000 } };
+      const markdown = renderMarkdown(report, compareToBaseline(report, baseline, 5));
+
+      expect(markdown).to.include("| binary | 400,000 / 420,000 / 480,000 | 600,000 / 660,000 | 330,000 |");
+      expect(markdown).to.include("FAILED: no metric may grow by more than 5%.");
+      expect(markdown).to.include("| binary | hcu.max | 600,000 | 660,000 | +10.00% **regressed** |");
+      expect(markdown).to.include("| binary | gas.max | 480,000 | 480,000 | 0.00% |");
+      expect(markdown).to.include("| FheAdd(euint32) | 3 | 375,000 |");
+      expect(renderMarkdown(report)).to.not.include("Baseline Comparison");
+    });
+
+    it("should read its options from the environment", function () {
+      expect(parseEnv({})).to.deep.equal({
+        voters: 5,
+        thresholdPercent: 5,
+        scenarios: ["binary", "binary-replacement", "binary-relayed", "multi-option", "weighted", "ballot-sheet"],
+        updateBaseline: false,
+      });
+      expect(parseEnv({ BENCHMARK_VOTERS: "8", BENCHMARK_THRESHOLD: "2.5", BENCHMARK_SCENARIOS: "weighted, binary" }))
+        .to.include({ voters: 8, thresholdPercent: 2.5 });
+      expect(() => parseEnv({ BENCHMARK_VOTERS: "0" })).to.throw("BENCHMARK_VOTERS");
+      expect(() => parseEnv({ BENCHMARK_SCENARIOS: "quadratic" })).to.throw("Unknown scenario quadratic");
+    });
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Integration Tests for the PollClient SDK
+ *
+ * Drives binary, multi-option, weighted and rating polls through `PollClient` with
+ * both encryption backends (the relayer flow runs against the mock, which
+ * implements the relayer SDK's instance API), and checks the typed errors,
+ * the vote subscription and that the SDK's ABI knows every custom error of
+ * the compiled polls.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const {
+  PollClient,
+  HardhatFhevmBackend,
+  RelayerSdkBackend,
+  PollError,
+  PollRevertError,
+  InvalidChoiceError,
+  POLL_ABI,
+} = require("../sdk");
+
+describe("PollClient SDK Integration Tests", function () {
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+  let backend;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    backend = new HardhatFhevmBackend(hre.fhevm);
+  });
+
+  /**
+   * Deploys a poll contract
+   * @param {string} name - The contract name
+   * @param {Array} args - Constructor arguments
+   * @returns {Promise<Object>} - The deployed contract
+   */
+  async function deploy(name, args) {
+    const deployed = await (await ethers.getContractFactory(name)).deploy(...args);
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  /**
+   * Casts one ballot per voter through separate clients
+   * @param {string} pollAddress - The poll address
+   * @param {Array<[Object, number]>} ballots - Voter and choice pairs
+   * @returns {Promise<void>}
+   */
+  async function castAll(pollAddress, ballots) {
+    for (const [voter, choice] of ballots) {
+      const client = await PollClient.connect(pollAddress, voter, { backend });
+      await client.vote(choice);
+    }
+  }
+
+  describe("Binary Polls", function () {
+    let poll;
+    let pollAddress;
+
+    beforeEach(async function () {
+      poll = await deploy("FHEPoll", [0, 0]);
+      pollAddress = await poll.getAddress();
+    });
+
+    it("should vote and decrypt the tally indexed by choice", async function () {
+      await castAll(pollAddress, [[voter1, 1], [voter2, 0], [voter3, 1]]);
+      await (await poll.connect(owner).close()).wait();
+
+      const ownerClient = await PollClient.connect(pollAddress, owner, { backend });
+      expect(await ownerClient.getKind()).to.equal("binary");
+      expect(await ownerClient.decryptTally()).to.deep.equal([1n, 2n]);
+    });
+
+    it("should decrypt the outcome whatever the poll reveals", async function () {
+      await castAll(pollAddress, [[voter1, 1], [voter2, 0], [voter3, 1]]);
+      await (await poll.connect(owner).close()).wait();
+
+      const ownerClient = await PollClient.connect(pollAddress, owner, { backend });
+      expect(await ownerClient.decryptOutcome()).to.equal(true);
+    });
+
+    it("should return the noisy yes count and withhold the no count under noise", async function () {
+      const bound = 4;
+      await (await poll.connect(owner).setNoiseBound(bound)).wait();
+      await castAll(pollAddress, [[voter1, 1], [voter2, 0], [voter3, 1]]);
+      await (await poll.connect(owner).close()).wait();
+
+      const ownerClient = await PollClient.connect(pollAddress, owner, { backend });
+      const [no, noisyYes] = await ownerClient.decryptTally();
+      expect(no).to.equal(null);
+      expect(Number(noisyYes)).to.be.within(2 - (bound - 1), 2 + (bound - 1));
+
+      const noisySum = await backend.decrypt(await poll.getNoisySum(), 32, pollAddress, owner);
+      expect(noisyYes).to.equal(noisySum - BigInt(bound - 1));
+      expect(await ownerClient.decryptOutcome(owner, { requestAccess: false })).to.equal(true);
+    });
+
+    it("should refuse to decrypt the counts of a poll that only reveals its outcome", async function () {
+      await (await poll.connect(owner).setRevealScope(1)).wait();
+      await castAll(pollAddress, [[voter1, 0], [voter2, 0], [voter3, 1]]);
+      await (await poll.connect(owner).close()).wait();
+
+      const ownerClient = await PollClient.connect(pollAddress, owner, { backend });
+      const error = await ownerClient.decryptTally().then(() => null, rejection => rejection);
+      expect(error).to.be.instanceOf(PollError);
+      expect(error).not.to.be.instanceOf(PollRevertError);
+      expect(error.message).to.include("only reveals its outcome; use decryptOutcome()");
+
+      expect(await ownerClient.decryptOutcome()).to.equal(false);
+      expect(await ownerClient.decryptOutcome(owner, { requestAccess: false })).to.equal(false);
+    });
+
+    it("should report replaced ballots", async function () {
+      const client = await PollClient.connect(pollAddress, voter1, { backend });
+
+      expect((await client.vote(1)).replaced).to.equal(false);
+      expect((await client.vote(0)).replaced).to.equal(true);
+    });
+
+    it("should return the encrypted counters without decrypting them", async function () {
+      await castAll(pollAddress, [[voter1, 1]]);
+      const client = new PollClient(pollAddress, voter1, { backend });
+
+      const [noHandle, yesHandle] = await client.getEncryptedTally();
+      expect(yesHandle).to.equal(await poll.getSum());
+      expect(noHandle).to.equal(await poll.getNoCount());
+    });
+
+    it("should decrypt through the relayer backend", async function () {
+      await castAll(pollAddress, [[voter1, 1], [voter2, 1]]);
+      await (await poll.connect(owner).close()).wait();
+
+      const client = new PollClient(pollAddress, owner, { backend: new RelayerSdkBackend(hre.fhevm) });
+      expect(await client.decryptTally()).to.deep.equal([0n, 2n]);
+    });
+
+    it("should encrypt through the relayer backend", async function () {
+      const relayerBackend = new RelayerSdkBackend(hre.fhevm);
+      const client = new PollClient(pollAddress, voter1, { backend: relayerBackend });
+      await client.vote(1);
+      await (await poll.connect(owner).close()).wait();
+
+      expect(await new PollClient(pollAddress, owner, { backend }).decryptTally()).to.deep.equal([0n, 1n]);
+    });
+
+    it("should notify subscribers of each ballot", async function () {
+      const watcher = new PollClient(pollAddress, ethers.provider, { backend, kind: "binary" });
+      const seen = [];
+      const unsubscribe = watcher.onVote(event => seen.push(event));
+
+      await castAll(pollAddress, [[voter1, 1], [voter1, 0]]);
+      for (let attempt = 0; attempt < 50 && seen.length < 2; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      await unsubscribe();
+
+      expect(seen.map(event => [event.voter, event.replaced])).to.deep.equal([
+        [voter1.address, false],
+        [voter1.address, true],
+      ]);
+      expect(seen[0].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+  });
+
+  describe("Other Poll Kinds", function () {
+    it("should vote in and tally a multi-option poll", async function () {
+      const poll = await deploy("FHEMultiOptionPoll", [0, 0, 3]);
+      const pollAddress = await poll.getAddress();
+
+      await castAll(pollAddress, [[voter1, 2], [voter2, 0], [voter3, 2]]);
+      await (await poll.connect(owner).close()).wait();
+
+      const client = await PollClient.connect(pollAddress, owner, { backend });
+      expect(await client.getKind()).to.equal("multi");
+      expect(await client.getChoiceCount()).to.equal(3);
+      expect(await client.decryptTally()).to.deep.equal([1n, 0n, 2n]);
+    });
+
+    it("should tally the weights of a weighted poll", async function () {
+      const token = await deploy("MockConfidentialToken", []);
+      await (await token.mint(voter1.address, 40)).wait();
+      await (await token.mint(voter2.address, 15)).wait();
+      const poll = await deploy("FHEWeightedPoll", [0, 0, await token.getAddress()]);
+      const pollAddress = await poll.getAddress();
+
+      await castAll(pollAddress, [[voter1, 1], [voter2, 0]]);
+      await (await poll.connect(owner).close()).wait();
+
+      const client = await PollClient.connect(pollAddress, owner, { backend });
+      expect(await client.getKind()).to.equal("weighted");
+      expect(await client.decryptTally()).to.deep.equal([15n, 40n]);
+    });
+
+    it("should rate in and decrypt the statistics of a rating poll", async function () {
+      const poll = await deploy("FHERatingPoll", [0, 0, 1, 5]);
+      const pollAddress = await poll.getAddress();
+      await castAll(pollAddress, [[voter2, 5]]);
+
+      const voterClient = await PollClient.connect(pollAddress, voter1, { backend });
+      await voterClient.vote(2);
+      expect((await voterClient.verifyMyBallot()).matches).to.equal(true);
+      for (const rating of [0, 6]) {
+        let error = null;
+        await voterClient.vote(rating).catch(caught => { error = caught; });
+        expect(error).to.be.instanceOf(InvalidChoiceError);
+        expect(error.message).to.include("expecting 1 to 5");
+      }
+      await (await poll.connect(owner).close()).wait();
+
+      const client = await PollClient.connect(pollAddress, owner, { backend });
+      expect(await client.getKind()).to.equal("rating");
+      expect(await client.getChoiceCount()).to.equal(5);
+      expect(await client.decryptStatistics()).to.deep.equal({
+        sum: 7n,
+        min: 2n,
+        max: 5n,
+        histogram: [0n, 1n, 0n, 0n, 1n],
+      });
+    });
+  });
+
+  describe("Typed Errors", function () {
+    let poll;
+    let pollAddress;
+
+    beforeEach(async function () {
+      poll = await deploy("FHEPoll", [0, 0]);
+      pollAddress = await poll.getAddress();
+    });
+
+    /**
+     * Awaits a promise that must reject and returns the rejection
+     * @param {Promise} promise - The promise
+     * @returns {Promise<Error>} - The error
+     */
+    async function rejectionOf(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      throw new Error("Expected the promise to reject");
+    }
+
+    it("should reject out-of-range choices before encrypting them", async function () {
+      const client = await PollClient.connect(pollAddress, voter1, { backend });
+
+      const error = await rejectionOf(client.vote(2));
+      expect(error).to.be.instanceOf(InvalidChoiceError);
+      expect(error).to.be.instanceOf(PollError);
+      expect(error.choiceCount).to.equal(2);
+      expect(await poll.hasVoted(voter1.address)).to.equal(false);
+    });
+
+    it("should refuse to decrypt an outcome that has not been shared", async function () {
+      await (await poll.connect(owner).close()).wait();
+      const client = await PollClient.connect(pollAddress, owner, { backend });
+
+      const error = await rejectionOf(client.decryptOutcome(owner, { requestAccess: false }));
+      expect(error).to.be.instanceOf(PollError);
+      expect(error.message).to.include("has not been shared yet");
+    });
+
+    it("should only decrypt rating statistics of rating polls", async function () {
+      const client = await PollClient.connect(pollAddress, owner, { backend });
+
+      const error = await rejectionOf(client.decryptStatistics());
+      expect(error).to.be.instanceOf(PollError);
+      expect(error.message).to.include("is a binary poll, not a rating poll");
+    });
+
+    it("should decode reverts into the poll's custom error", async function () {
+      await (await poll.connect(owner).close()).wait();
+      const client = await PollClient.connect(pollAddress, voter1, { backend });
+
+      const voteError = await rejectionOf(client.vote(1));
+      expect(voteError).to.be.instanceOf(PollRevertError);
+      expect(voteError.reason).to.equal("PollAlreadyClosed");
+      expect(voteError.message).to.include("voting has ended");
+
+      const tallyError = await rejectionOf(client.decryptTally());
+      expect(tallyError.reason).to.equal("NotTallyRole");
+    });
+
+    it("should decode reverts raised by eligibility strategies", async function () {
+      const allowlist = await deploy("AllowlistEligibility", []);
+      await (await poll.connect(owner).setEligibility(await allowlist.getAddress())).wait();
+      const client = await PollClient.connect(pollAddress, voter1, { backend });
+
+      const error = await rejectionOf(client.vote(1, { eligibilityProof: "0x" }));
+      expect(error.reason).to.equal("NotEligible");
+    });
+
+    it("should refuse addresses without a poll and read-only voting", async function () {
+      const noPoll = await rejectionOf(PollClient.connect(voter2.address, voter1, { backend }));
+      expect(noPoll).to.be.instanceOf(PollError);
+      expect(noPoll.message).to.include("is not a confidential poll");
+
+      const readOnly = new PollClient(pollAddress, ethers.provider, { backend });
+      expect((await rejectionOf(readOnly.vote(1))).message).to.include("signer is required");
+      expect(() => new PollClient(pollAddress, voter1, {})).to.throw(PollError, "backend is required");
+    });
+
+    it("should know every custom error of the compiled polls", async function () {
+      const sdkInterface = new ethers.Interface(POLL_ABI);
+
+      for (const name of ["FHEPoll", "FHEMultiOptionPoll", "FHEWeightedPoll", "FHERatingPoll"]) {
+        const { abi } = await hre.artifacts.readArtifact(name);
+        for (const fragment of abi.filter(entry => entry.type === "error")) {
+          expect(sdkInterface.getError(fragment.name), `${name}.${fragment.name}`).to.not.equal(null);
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,511 @@
+/**
+ * @fileoverview Integration Tests for PollFactory Contract
+ *
+ * Covers poll creation through minimal-proxy clones: initialization of each
+ * clone for its creator, the metadata registry and its paginated views, and
+ * that cloned polls keep the voting and tally behaviour of directly deployed
+ * FHEPoll and FHEMultiOptionPoll contracts, and ballot sheets that vote in
+ * several of the factory's polls with one input proof.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+
+describe("PollFactory Integration Tests", function () {
+  // Mirrors the PollFactory.PollKind enum
+  const PollKind = { Binary: 0n, MultiOption: 1n };
+
+  let factory;
+  let binaryImplementation;
+  let multiOptionImplementation;
+  let deployer;
+  let creator1;
+  let creator2;
+  let voter1;
+  let voter2;
+
+  beforeEach(async function () {
+    [deployer, creator1, creator2, voter1, voter2] = await ethers.getSigners();
+
+    binaryImplementation = await (await ethers.getContractFactory("FHEPoll")).deploy(0, 0);
+    await binaryImplementation.waitForDeployment();
+    multiOptionImplementation = await (await ethers.getContractFactory("FHEMultiOptionPoll"))
+      .deploy(0, 0, 2);
+    await multiOptionImplementation.waitForDeployment();
+
+    factory = await (await ethers.getContractFactory("PollFactory")).deploy(
+      await binaryImplementation.getAddress(),
+      await multiOptionImplementation.getAddress()
+    );
+    await factory.waitForDeployment();
+  });
+
+  /**
+   * Builds poll metadata with sensible defaults
+   * @param {Object} overrides - Fields to replace in the default metadata
+   * @returns {Object} - Metadata matching the PollFactory.PollMetadata struct
+   */
+  function metadata(overrides = {}) {
+    return {
+      title: "Adopt the new logo?",
+      description: "Vote 1 to adopt the proposed logo, 0 to keep the current one.",
+      optionLabels: ["No", "Yes"],
+      contentHash: ethers.id("ipfs://poll-content"),
+      ...overrides,
+    };
+  }
+
+  /**
+   * Finds the PollCreated event in a factory transaction receipt
+   * @param {Object} receipt - The transaction receipt
+   * @returns {Object} - The parsed PollCreated event
+   */
+  function findPollCreated(receipt) {
+    const created = receipt.logs
+      .filter(log => log.address === factory.target)
+      .map(log => factory.interface.parseLog(log))
+      .find(event => event.name === "PollCreated");
+
+    expect(created, "Expected a PollCreated event").to.not.be.undefined;
+    return created;
+  }
+
+  /**
+   * Creates a poll through the factory and returns it attached to its ABI
+   * @param {Object} creator - The signer creating the poll
+   * @param {string} method - "createPoll" or "createMultiOptionPoll"
+   * @param {Object} pollMetadata - The poll metadata
+   * @returns {Promise<Object>} - The poll contract, its address and the receipt
+   */
+  async function createPoll(creator, method, pollMetadata) {
+    const receipt = await (await factory.connect(creator)[method](0, 0, pollMetadata)).wait();
+    const created = findPollCreated(receipt);
+    const contractName = method === "createPoll" ? "FHEPoll" : "FHEMultiOptionPoll";
+    const contract = await ethers.getContractAt(contractName, created.args.poll);
+
+    return { contract, contractAddress: created.args.poll, receipt };
+  }
+
+  /**
+   * Encrypts a ballot for the given voter and submits it
+   * @param {Object} contract - The poll contract
+   * @param {string} contractAddress - The poll address
+   * @param {Object} voter - The voter signer
+   * @param {Function} withBallot - Sets the ballot on the builder
+   * @returns {Promise<Object>} - The transaction receipt
+   */
+  async function castBallot(contract, contractAddress, voter, withBallot) {
+    const encryptedVote = await withBallot(
+      new EncryptedVoteBuilder().forContract(contractAddress).byVoter(voter.address)
+    ).build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  describe("Deployment", function () {
+    it("should record both implementations", async function () {
+      expect(await factory.binaryImplementation()).to.equal(await binaryImplementation.getAddress());
+      expect(await factory.multiOptionImplementation())
+        .to.equal(await multiOptionImplementation.getAddress());
+      expect(await factory.pollCount()).to.equal(0n);
+    });
+
+    it("should reject implementations without code", async function () {
+      const Factory = await ethers.getContractFactory("PollFactory");
+
+      await FHEPollAssertions.assertVoteReverts(
+        Factory.deploy(voter1.address, await multiOptionImplementation.getAddress())
+          .then(c => c.deploymentTransaction()),
+        "InvalidImplementation",
+        "externally owned implementation"
+      );
+    });
+  });
+
+  describe("Poll Creation", function () {
+    it("should make the caller the owner and tally role of the clone", async function () {
+      const { contract, contractAddress, receipt } =
+        await createPoll(creator1, "createPoll", metadata());
+
+      expect(contractAddress).to.not.equal(await binaryImplementation.getAddress());
+      expect(await contract.owner()).to.equal(creator1.address);
+      expect(await contract.auditor()).to.equal(creator1.address);
+      expect(await contract.isTallyRole(creator1.address)).to.equal(true);
+      expect(await contract.isTallyRole(await factory.getAddress())).to.equal(false);
+      FHEPollAssertions.assertEventEmitted(
+        receipt, factory, "PollCreated",
+        [contractAddress, creator1.address, PollKind.Binary, 0n, metadata().contentHash]
+      );
+    });
+
+    it("should pass the voting window through to the clone", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const startTime = latest.timestamp + 3600;
+      const endTime = latest.timestamp + 7200;
+
+      const receipt = await (await factory.connect(creator1)
+        .createPoll(startTime, endTime, metadata())).wait();
+      const created = findPollCreated(receipt);
+      const contract = await ethers.getContractAt("FHEPoll", created.args.poll);
+
+      expect(await contract.startTime()).to.equal(BigInt(startTime));
+      expect(await contract.endTime()).to.equal(BigInt(endTime));
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(creator1).createPoll(endTime, startTime, metadata()),
+        "InvalidSchedule",
+        "end before start"
+      );
+    });
+
+    it("should size multi-option clones from their option labels", async function () {
+      const { contract } = await createPoll(
+        creator1, "createMultiOptionPoll", metadata({ optionLabels: ["Red", "Green", "Blue"] })
+      );
+
+      expect(await contract.optionCount()).to.equal(3n);
+      expect(await contract.owner()).to.equal(creator1.address);
+    });
+
+    it("should reject option labels that do not fit the poll kind", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(creator1).createPoll(0, 0, metadata({ optionLabels: ["A", "B", "C"] })),
+        "InvalidOptionLabels",
+        "binary poll with three labels"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(creator1).createMultiOptionPoll(0, 0, metadata({ optionLabels: ["Only"] })),
+        "InvalidOptionLabels",
+        "multi-option poll with one label"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(creator1).createMultiOptionPoll(
+          0, 0, metadata({ optionLabels: Array.from({ length: 17 }, (_, i) => `Option ${i}`) })
+        ),
+        "InvalidOptionLabels",
+        "multi-option poll with seventeen labels"
+      );
+    });
+
+    it("should reject an empty title", async function () {
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(creator1).createPoll(0, 0, metadata({ title: "" })),
+        "EmptyTitle",
+        "untitled poll"
+      );
+    });
+
+    it("should not let anyone initialize a clone or implementation twice", async function () {
+      const { contract } = await createPoll(creator1, "createPoll", metadata());
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).initialize(voter1.address, 0, 0),
+        "AlreadyInitialized",
+        "clone re-initialization"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        binaryImplementation.connect(voter1).initialize(voter1.address, 0, 0),
+        "AlreadyInitialized",
+        "implementation initialization"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        multiOptionImplementation.connect(voter1).initialize(voter1.address, 0, 0, 4),
+        "AlreadyInitialized",
+        "multi-option implementation initialization"
+      );
+    });
+
+    it("should cost less gas than deploying a poll directly", async function () {
+      const { receipt } = await createPoll(creator1, "createPoll", metadata());
+      const directReceipt = await binaryImplementation.deploymentTransaction().wait();
+
+      expect(receipt.gasUsed < directReceipt.gasUsed,
+        `Clone creation used ${receipt.gasUsed} gas, direct deployment ${directReceipt.gasUsed}`
+      ).to.be.true;
+    });
+  });
+
+  describe("Registry", function () {
+    beforeEach(async function () {
+      await createPoll(creator1, "createPoll", metadata({ title: "Poll 0" }));
+      await createPoll(creator2, "createPoll", metadata({ title: "Poll 1" }));
+      await createPoll(
+        creator1, "createMultiOptionPoll",
+        metadata({ title: "Poll 2", optionLabels: ["A", "B", "C", "D"] })
+      );
+      await createPoll(creator1, "createPoll", metadata({ title: "Poll 3" }));
+    });
+
+    it("should store the metadata of each poll", async function () {
+      const [record] = await factory.getPolls(2, 1);
+
+      expect(record.creator).to.equal(creator1.address);
+      expect(record.kind).to.equal(PollKind.MultiOption);
+      expect(record.metadata.title).to.equal("Poll 2");
+      expect(record.metadata.description).to.equal(metadata().description);
+      expect([...record.metadata.optionLabels]).to.deep.equal(["A", "B", "C", "D"]);
+      expect(record.metadata.contentHash).to.equal(metadata().contentHash);
+      expect(record.createdAt > 0n).to.be.true;
+
+      const byAddress = await factory.getPoll(record.poll);
+      expect(byAddress.metadata.title).to.equal("Poll 2");
+      expect(await factory.isPoll(record.poll)).to.equal(true);
+    });
+
+    it("should page through all polls in creation order", async function () {
+      expect(await factory.pollCount()).to.equal(4n);
+
+      const firstPage = await factory.getPolls(0, 3);
+      const secondPage = await factory.getPolls(3, 3);
+      const pastEnd = await factory.getPolls(4, 3);
+
+      expect(firstPage.map(r => r.metadata.title)).to.deep.equal(["Poll 0", "Poll 1", "Poll 2"]);
+      expect(secondPage.map(r => r.metadata.title)).to.deep.equal(["Poll 3"]);
+      expect(pastEnd.length).to.equal(0);
+    });
+
+    it("should index polls by creator", async function () {
+      expect(await factory.pollCountByCreator(creator1.address)).to.equal(3n);
+      expect(await factory.pollCountByCreator(creator2.address)).to.equal(1n);
+      expect(await factory.pollCountByCreator(voter1.address)).to.equal(0n);
+
+      const page = await factory.getPollsByCreator(creator1.address, 1, 5);
+      expect(page.map(r => r.metadata.title)).to.deep.equal(["Poll 2", "Poll 3"]);
+      expect((await factory.getPollsByCreator(creator2.address, 1, 5)).length).to.equal(0);
+    });
+
+    it("should not know polls it did not create", async function () {
+      const implementationAddress = await binaryImplementation.getAddress();
+
+      expect(await factory.isPoll(implementationAddress)).to.equal(false);
+      await FHEPollAssertions.assertVoteReverts(
+        factory.getPoll(implementationAddress),
+        "UnknownPoll",
+        "implementation lookup"
+      );
+    });
+  });
+
+  describe("Cloned Poll Behaviour", function () {
+    it("should tally a cloned binary poll like a directly deployed one", async function () {
+      const { contract, contractAddress } = await createPoll(creator1, "createPoll", metadata());
+
+      await castBallot(contract, contractAddress, voter1, b => b.withVote(1));
+      await castBallot(contract, contractAddress, voter2, b => b.withVote(1));
+      await castBallot(contract, contractAddress, voter1, b => b.withVote(0));
+
+      await FHEPollAssertions.assertFinalTally(
+        contract, contractAddress, creator1, 1n, "cloned binary poll"
+      );
+    });
+
+    it("should keep ballots and tallies separate between clones", async function () {
+      const first = await createPoll(creator1, "createPoll", metadata());
+      const second = await createPoll(creator2, "createPoll", metadata());
+
+      await castBallot(first.contract, first.contractAddress, voter1, b => b.withVote(1));
+      expect(await second.contract.hasVoted(voter1.address)).to.equal(false);
+
+      await FHEPollAssertions.assertFinalTally(
+        first.contract, first.contractAddress, creator1, 1n, "first clone"
+      );
+      await FHEPollAssertions.assertFinalTally(
+        second.contract, second.contractAddress, creator2, 0n, "second clone"
+      );
+    });
+
+    it("should only let the creator administer a clone", async function () {
+      const { contract } = await createPoll(creator1, "createPoll", metadata());
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(deployer).close(),
+        "NotOwner",
+        "factory deployer closing a clone"
+      );
+    });
+
+    it("should tally a cloned multi-option poll", async function () {
+      const { contract, contractAddress } = await createPoll(
+        creator1, "createMultiOptionPoll", metadata({ optionLabels: ["A", "B", "C"] })
+      );
+
+      await castBallot(contract, contractAddress, voter1, b => b.withChoice(2));
+      await castBallot(contract, contractAddress, voter2, b => b.withChoice(2));
+
+      await (await contract.connect(creator1).close()).wait();
+      await (await contract.connect(creator1).allowTallyDecryption()).wait();
+      for (const [optionId, expected] of [0n, 0n, 2n].entries()) {
+        await FHEPollAssertions.assertDecryptsTo(
+          await contract.getTally(optionId), contractAddress, creator1, expected,
+          `cloned multi-option poll, option ${optionId}`
+        );
+      }
+    });
+  });
+
+  describe("Ballot Sheets", function () {
+    let survey;
+
+    beforeEach(async function () {
+      survey = [
+        await createPoll(creator1, "createPoll", metadata({ title: "Question 1" })),
+        await createPoll(creator1, "createPoll", metadata({ title: "Question 2" })),
+        await createPoll(
+          creator1, "createMultiOptionPoll", metadata({ title: "Question 3", optionLabels: ["A", "B", "C"] })
+        ),
+      ];
+    });
+
+    /**
+     * Encrypts a whole ballot sheet for the factory in one input
+     * @param {Object} voter - The voter signer
+     * @param {number[]} ballots - One vote or option index per survey poll
+     * @returns {Promise<{handles: string[], inputProof: string}>} - The input
+     */
+    async function encryptSheet(voter, ballots) {
+      const input = hre.fhevm.createEncryptedInput(factory.target, voter.address);
+      ballots.forEach((ballot, index) => (index < 2 ? input.add32(ballot) : input.add8(ballot)));
+      const { handles, inputProof } = await input.encrypt();
+      return { handles: handles.map(handle => ethers.hexlify(handle)), inputProof };
+    }
+
+    /**
+     * Fills in and submits a ballot sheet covering the whole survey
+     * @param {Object} voter - The voter signer
+     * @param {number[]} ballots - One vote or option index per survey poll
+     * @returns {Promise<Object>} - The transaction promise
+     */
+    async function castSheet(voter, ballots) {
+      const { handles, inputProof } = await encryptSheet(voter, ballots);
+      return factory.connect(voter).castVotes(survey.map(poll => poll.contractAddress), handles, inputProof);
+    }
+
+    /**
+     * Closes every survey poll and checks its decrypted tally
+     * @param {Array<bigint|bigint[]>} expected - The yes count of each binary
+     * poll, or the option counts of the multi-option poll
+     * @returns {Promise<void>}
+     */
+    async function assertSurveyTallies(expected) {
+      for (const [index, { contract, contractAddress }] of survey.entries()) {
+        if (index < 2) {
+          await FHEPollAssertions.assertFinalTally(contract, contractAddress, creator1, expected[index]);
+          continue;
+        }
+        await (await contract.connect(creator1).close()).wait();
+        await (await contract.connect(creator1).allowTallyDecryption()).wait();
+        for (const [optionId, count] of expected[index].entries()) {
+          await FHEPollAssertions.assertDecryptsTo(
+            await contract.getTally(optionId), contractAddress, creator1, count, `option ${optionId}`
+          );
+        }
+      }
+    }
+
+    /**
+     * Lists the polls and voters of the ballot events in a receipt
+     * @param {Object} receipt - The ballot sheet transaction receipt
+     * @param {string} eventName - "VoteCast" or "VoteReplaced"
+     * @returns {Array<[string, string]>} - Poll address and voter pairs
+     */
+    function votersByPoll(receipt, eventName) {
+      const { interface: pollInterface } = survey[0].contract;
+      return receipt.logs
+        .map(log => [log.address, pollInterface.parseLog(log)])
+        .filter(([, event]) => event?.name === eventName)
+        .map(([address, event]) => [address, event.args.voter]);
+    }
+
+    it("should cast one ballot in each poll in a single transaction", async function () {
+      const receipt = await (await castSheet(voter1, [1, 0, 2])).wait();
+      await (await castSheet(voter2, [1, 1, 0])).wait();
+
+      expect(votersByPoll(receipt, "VoteCast")).to.deep.equal(
+        survey.map(({ contractAddress }) => [contractAddress, voter1.address])
+      );
+      for (const { contract } of survey) {
+        expect(await contract.hasVoted(voter1.address)).to.equal(true);
+        expect(await contract.hasVoted(factory.target)).to.equal(false);
+      }
+      await assertSurveyTallies([2n, 1n, [1n, 0n, 1n]]);
+    });
+
+    it("should replace the ballots of an earlier sheet or single vote", async function () {
+      await castBallot(survey[0].contract, survey[0].contractAddress, voter1, b => b.withVote(1));
+      await (await castSheet(voter1, [0, 1, 1])).wait();
+      const receipt = await (await castSheet(voter1, [0, 1, 2])).wait();
+
+      expect(votersByPoll(receipt, "VoteReplaced")).to.have.lengthOf(3);
+      expect(await survey[2].contract.turnout()).to.equal(1n);
+      await assertSurveyTallies([0n, 1n, [0n, 0n, 1n]]);
+    });
+
+    it("should use less gas than one castVote per poll", async function () {
+      let separateGas = 0n;
+      for (const [index, { contract, contractAddress }] of survey.entries()) {
+        const receipt = await castBallot(
+          contract, contractAddress, voter1, b => (index < 2 ? b.withVote(1) : b.withChoice(1))
+        );
+        separateGas += receipt.gasUsed;
+      }
+      const sheetGas = (await (await castSheet(voter2, [1, 1, 1])).wait()).gasUsed;
+
+      // At least the base cost of the transactions that were saved
+      expect(separateGas - sheetGas >= 2n * 21000n,
+        `Ballot sheet used ${sheetGas} gas, ${survey.length} castVote calls ${separateGas}`
+      ).to.be.true;
+    });
+
+    it("should refuse sheets that do not match their polls", async function () {
+      const { handles, inputProof } = await encryptSheet(voter1, [1, 0, 2]);
+      const polls = survey.map(poll => poll.contractAddress);
+
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(voter1).castVotes(polls.slice(0, 2), handles, inputProof), "InvalidBallotSheet"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(voter1).castVotes([], [], inputProof), "InvalidBallotSheet"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(voter1).castVotes([polls[0], binaryImplementation.target, polls[2]], handles, inputProof),
+        "UnknownPoll"
+      );
+    });
+
+    it("should bind the sheet to the voter who encrypted it", async function () {
+      const { handles, inputProof } = await encryptSheet(voter1, [1, 0, 2]);
+
+      await FHEPollAssertions.assertVoteReverts(
+        factory.connect(voter2).castVotes(survey.map(poll => poll.contractAddress), handles, inputProof),
+        "InvalidSigner(address)",
+        "another account submitting the sheet"
+      );
+    });
+
+    it("should apply each poll's voting window as a whole", async function () {
+      await (await survey[1].contract.connect(creator1).close()).wait();
+
+      await FHEPollAssertions.assertVoteReverts(castSheet(voter1, [1, 0, 2]), "PollAlreadyClosed");
+      expect(await survey[0].contract.hasVoted(voter1.address)).to.equal(false);
+    });
+
+    it("should only accept forwarded ballots from the poll's factory", async function () {
+      const [{ contract }] = survey;
+      expect(await contract.factory()).to.equal(factory.target);
+      expect(await binaryImplementation.factory()).to.equal(ethers.ZeroAddress);
+
+      await FHEPollAssertions.assertVoteReverts(
+        contract.connect(voter1).castVoteFor(voter1.address, ethers.ZeroHash), "NotFactory"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        binaryImplementation.connect(voter1).castVoteFor(voter1.address, ethers.ZeroHash), "NotFactory"
+      );
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Integration Tests for PollGovernor Contract
+ *
+ * Covers proposals decided by confidential polls: creating a proposal and
+ * its factory poll, revealing the outcome through the decryption oracle,
+ * queueing a passed proposal behind the timelock and executing its calls
+ * against a mock target. Only voters admitted by the governor's eligibility
+ * strategy may vote, and failed and under-quorum proposals must never become
+ * executable.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { ChainTime } = require("./helpers/ChainTime");
+
+describe("PollGovernor Integration Tests", function () {
+  // Mirrors the PollGovernor.ProposalState enum
+  const ProposalState = { Active: 0n, Counting: 1n, Defeated: 2n, Succeeded: 3n, Queued: 4n, Executed: 5n };
+  const VOTING_PERIOD = 24 * 60 * 60;
+  const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+  let factory;
+  let allowlist;
+  let governor;
+  let governorAddress;
+  let target;
+  let targetAddress;
+  let proposer;
+  let voter1;
+  let voter2;
+  let voter3;
+  let outsider;
+
+  beforeEach(async function () {
+    [proposer, voter1, voter2, voter3, outsider] = await ethers.getSigners();
+
+    const binary = await (await ethers.getContractFactory("FHEPoll")).deploy(0, 0);
+    const multi = await (await ethers.getContractFactory("FHEMultiOptionPoll")).deploy(0, 0, 2);
+    factory = await (await ethers.getContractFactory("PollFactory")).deploy(
+      await binary.getAddress(),
+      await multi.getAddress()
+    );
+    await factory.waitForDeployment();
+
+    allowlist = await (await ethers.getContractFactory("AllowlistEligibility")).deploy();
+    await allowlist.waitForDeployment();
+    await (await allowlist.setAllowed([voter1.address, voter2.address, voter3.address], true)).wait();
+
+    governor = await (await ethers.getContractFactory("PollGovernor")).deploy(
+      await factory.getAddress(),
+      await allowlist.getAddress(),
+      VOTING_PERIOD,
+      TIMELOCK_DELAY
+    );
+    await governor.waitForDeployment();
+    governorAddress = await governor.getAddress();
+
+    target = await (await ethers.getContractFactory("MockGovernanceTarget")).deploy();
+    await target.waitForDeployment();
+    targetAddress = await target.getAddress();
+  });
+
+  /**
+   * Proposes a single call to the mock target
+   * @param {Object} options - Proposal options
+   * @param {string} [options.method] - The target function, "store" or "fail"
+   * @param {Array} [options.args] - Its arguments
+   * @param {bigint} [options.value] - Wei sent with the call
+   * @param {number} [options.quorum] - Minimum number of voters
+   * @returns {Promise<Object>} - The proposal id, its poll and the receipt
+   */
+  async function propose({ method = "store", args = [42], value = 0n, quorum = 2 } = {}) {
+    const calldata = target.interface.encodeFunctionData(method, args);
+    const receipt = await (await governor.connect(proposer).propose(
+      [targetAddress], [value], [calldata], "Set the value", "Stores 42 in the target.", quorum
+    )).wait();
+    const proposalId = (await governor.proposalCount()) - 1n;
+    const { poll } = await governor.getProposal(proposalId);
+
+    return { proposalId, poll: await ethers.getContractAt("FHEPoll", poll), receipt };
+  }
+
+  /**
+   * Casts yes/no ballots in a proposal's poll
+   * @param {Object} poll - The proposal's poll
+   * @param {Array<[Object, number]>} ballots - Voters and their votes
+   * @returns {Promise<void>}
+   */
+  async function vote(poll, ballots) {
+    const pollAddress = await poll.getAddress();
+    for (const [voter, value] of ballots) {
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(pollAddress)
+        .byVoter(voter.address)
+        .withVote(value)
+        .build();
+      await FHEPollAssertions.assertVoteSucceeds(
+        poll.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+        voter.address
+      );
+    }
+  }
+
+  /**
+   * Moves past the end of a poll and has the oracle reveal its outcome,
+   * requested through the governor by an account without any role
+   * @param {Object} poll - The proposal's poll
+   * @param {bigint} proposalId - The proposal it decides
+   * @returns {Promise<void>}
+   */
+  async function revealOutcome(poll, proposalId) {
+    await ChainTime.increaseTo(Number(await poll.endTime()));
+    await (await governor.connect(voter3).requestOutcome(proposalId)).wait();
+    await hre.fhevm.awaitDecryptionOracle();
+  }
+
+  describe("Deployment", function () {
+    it("should reject a factory or strategy without code and an empty voting period", async function () {
+      const Governor = await ethers.getContractFactory("PollGovernor");
+      const allowlistAddress = await allowlist.getAddress();
+
+      await FHEPollAssertions.assertVoteReverts(
+        Governor.deploy(voter1.address, allowlistAddress, VOTING_PERIOD, 0),
+        "InvalidFactory",
+        "factory without code"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        Governor.deploy(await factory.getAddress(), ethers.ZeroAddress, VOTING_PERIOD, 0),
+        "InvalidEligibility",
+        "no eligibility strategy"
+      );
+      await FHEPollAssertions.assertVoteReverts(
+        Governor.deploy(await factory.getAddress(), allowlistAddress, 0, 0),
+        "InvalidVotingPeriod",
+        "zero voting period"
+      );
+    });
+  });
+
+  describe("Proposing", function () {
+    it("should open a factory poll owned by the governor for the voting period", async function () {
+      const { proposalId, poll, receipt } = await propose({ quorum: 3 });
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+      expect(proposalId).to.equal(0n);
+      FHEPollAssertions.assertEventEmitted(receipt, governor, "ProposalCreated", [
+        0n, await poll.getAddress(), proposer.address, 3n,
+      ]);
+      expect(await poll.owner()).to.equal(governorAddress);
+      expect(await poll.endTime()).to.equal(BigInt(block.timestamp + VOTING_PERIOD));
+      expect(await poll.minTurnout()).to.equal(3n);
+      expect(await poll.eligibility()).to.equal(await allowlist.getAddress());
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Active);
+    });
+
+    it("should record the actions and commit to them in the poll registry", async function () {
+      const calldata = target.interface.encodeFunctionData("store", [7]);
+      const { proposalId, poll } = await propose({ args: [7], value: 5n });
+
+      const proposal = await governor.getProposal(proposalId);
+      expect(proposal.proposer).to.equal(proposer.address);
+      expect(proposal.quorum).to.equal(2n);
+      expect(proposal.eta).to.equal(0n);
+      // `values` is shadowed by a method of ethers' Result, so read by position
+      const [, , , , , targets, values, calldatas] = proposal;
+      expect([...targets]).to.deep.equal([targetAddress]);
+      expect([...values]).to.deep.equal([5n]);
+      expect([...calldatas]).to.deep.equal([calldata]);
+
+      const record = await factory.getPoll(await poll.getAddress());
+      expect(record.creator).to.equal(governorAddress);
+      expect(record.metadata.title).to.equal("Set the value");
+      expect([...record.metadata.optionLabels]).to.deep.equal(["Against", "For"]);
+      expect(record.metadata.contentHash).to.equal(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]", "uint256[]", "bytes[]"], [[targetAddress], [5n], [calldata]]
+      )));
+    });
+
+    it("should refuse proposals without actions, with mismatched actions or without a quorum", async function () {
+      const calldata = target.interface.encodeFunctionData("store", [1]);
+      const cases = [
+        [[], [], [], 1, "no actions"],
+        [[targetAddress], [0n, 0n], [calldata], 1, "mismatched values"],
+        [[targetAddress], [0n], [], 1, "mismatched calldata"],
+        [[targetAddress], [0n], [calldata], 0, "zero quorum"],
+      ];
+
+      for (const [targets, values, calldatas, quorum, context] of cases) {
+        await FHEPollAssertions.assertVoteReverts(
+          governor.propose(targets, values, calldatas, "Title", "", quorum),
+          "InvalidProposal",
+          context
+        );
+      }
+      expect(await governor.proposalCount()).to.equal(0n);
+    });
+
+    it("should only let eligible addresses vote", async function () {
+      const { poll } = await propose();
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(await poll.getAddress())
+        .byVoter(outsider.address)
+        .withVote(1)
+        .build();
+
+      await FHEPollAssertions.assertVoteReverts(
+        poll.connect(outsider).castVote(encryptedVote.handle, encryptedVote.proof),
+        "NotEligible",
+        "address outside the allowlist"
+      );
+      await vote(poll, [[voter1, 1]]);
+      expect(await poll.turnout()).to.equal(1n);
+      await FHEPollAssertions.assertVoteReverts(
+        poll.connect(proposer).setEligibility(ethers.ZeroAddress),
+        "NotOwner",
+        "lifting the restriction"
+      );
+    });
+
+    it("should not let anyone end the vote early", async function () {
+      const { poll } = await propose();
+
+      await FHEPollAssertions.assertVoteReverts(poll.connect(proposer).close(), "NotOwner", "proposer");
+      await FHEPollAssertions.assertVoteReverts(poll.connect(voter1).requestOutcome(), "PollNotClosed", "open poll");
+    });
+  });
+
+  describe("Executing", function () {
+    it("should execute a passed proposal after the timelock", async function () {
+      const { proposalId, poll } = await propose();
+      await vote(poll, [[voter1, 1], [voter2, 1], [voter3, 0]]);
+      await ChainTime.increaseTo(Number(await poll.endTime()));
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Counting);
+
+      await revealOutcome(poll, proposalId);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Succeeded);
+      await FHEPollAssertions.assertVoteReverts(
+        governor.execute(proposalId),
+        "UnexpectedProposalState(uint8)",
+        "execute before queueing"
+      );
+
+      const queued = await (await governor.connect(voter1).queue(proposalId)).wait();
+      const eta = BigInt((await ethers.provider.getBlock(queued.blockNumber)).timestamp + TIMELOCK_DELAY);
+      FHEPollAssertions.assertEventEmitted(queued, governor, "ProposalQueued", [proposalId, eta]);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Queued);
+      await FHEPollAssertions.assertVoteReverts(
+        governor.execute(proposalId),
+        "TimelockNotElapsed(uint64)",
+        "execute during the timelock"
+      );
+
+      await ChainTime.increaseTo(Number(eta));
+      const executed = await (await governor.connect(voter2).execute(proposalId)).wait();
+      FHEPollAssertions.assertEventEmitted(executed, governor, "ProposalExecuted", [proposalId]);
+      expect(await target.value()).to.equal(42n);
+      expect(await target.lastCaller()).to.equal(governorAddress);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Executed);
+      await FHEPollAssertions.assertVoteReverts(
+        governor.execute(proposalId),
+        "UnexpectedProposalState(uint8)",
+        "second execution"
+      );
+    });
+
+    it("should send ETH held by the governor along with the calls", async function () {
+      await (await proposer.sendTransaction({ to: governorAddress, value: ethers.parseEther("1") })).wait();
+      const { proposalId, poll } = await propose({ value: ethers.parseEther("0.25") });
+      await vote(poll, [[voter1, 1], [voter2, 1]]);
+      await revealOutcome(poll, proposalId);
+      await (await governor.queue(proposalId)).wait();
+      await ChainTime.increase(TIMELOCK_DELAY);
+
+      await (await governor.execute(proposalId)).wait();
+
+      expect(await ethers.provider.getBalance(targetAddress)).to.equal(ethers.parseEther("0.25"));
+      expect(await ethers.provider.getBalance(governorAddress)).to.equal(ethers.parseEther("0.75"));
+    });
+
+    it("should revert the whole execution when an action fails", async function () {
+      const { proposalId, poll } = await propose({ method: "fail", args: [] });
+      await vote(poll, [[voter1, 1], [voter2, 1]]);
+      await revealOutcome(poll, proposalId);
+      await (await governor.queue(proposalId)).wait();
+      await ChainTime.increase(TIMELOCK_DELAY);
+
+      let revertError = null;
+      try {
+        await (await governor.execute(proposalId)).wait();
+      } catch (error) {
+        revertError = error;
+      }
+      const decoded = governor.interface.parseError(revertError.data);
+      expect(decoded.name).to.equal("ActionFailed");
+      expect(decoded.args.index).to.equal(0n);
+      expect(decoded.args.reason).to.equal(target.interface.getError("TargetFailed").selector);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Queued);
+    });
+  });
+
+  describe("Defeated Proposals", function () {
+    it("should never execute a proposal whose motion failed", async function () {
+      const { proposalId, poll } = await propose();
+      await vote(poll, [[voter1, 0], [voter2, 1], [voter3, 0]]);
+      await revealOutcome(poll, proposalId);
+
+      expect(await poll.passed()).to.equal(false);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Defeated);
+      await FHEPollAssertions.assertVoteReverts(governor.queue(proposalId), "UnexpectedProposalState(uint8)", "queue");
+      await FHEPollAssertions.assertVoteReverts(governor.execute(proposalId), "UnexpectedProposalState(uint8)", "execute");
+    });
+
+    it("should defeat a proposal that closes below its quorum", async function () {
+      const { proposalId, poll } = await propose({ quorum: 3 });
+      await vote(poll, [[voter1, 1], [voter2, 1]]);
+      await ChainTime.increaseTo(Number(await poll.endTime()));
+
+      expect(await poll.isInvalid()).to.equal(true);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Defeated);
+      await FHEPollAssertions.assertVoteReverts(poll.requestOutcome(), "TurnoutTooLow", "outcome");
+      await FHEPollAssertions.assertVoteReverts(governor.queue(proposalId), "UnexpectedProposalState(uint8)", "queue");
+    });
+
+    it("should only queue once the outcome has been revealed", async function () {
+      const { proposalId, poll } = await propose();
+      await vote(poll, [[voter1, 1], [voter2, 1]]);
+
+      await FHEPollAssertions.assertVoteReverts(governor.queue(proposalId), "UnexpectedProposalState(uint8)", "active");
+      await ChainTime.increaseTo(Number(await poll.endTime()));
+      await FHEPollAssertions.assertVoteReverts(governor.queue(proposalId), "UnexpectedProposalState(uint8)", "counting");
+      await FHEPollAssertions.assertVoteReverts(
+        poll.connect(voter3).requestOutcome(),
+        "NotTallyRole",
+        "outcome requested from the poll directly"
+      );
+    });
+
+    it("should reject unknown proposals", async function () {
+      await FHEPollAssertions.assertVoteReverts(governor.state(0), "UnknownProposal", "state");
+      await FHEPollAssertions.assertVoteReverts(governor.queue(0), "UnknownProposal", "queue");
+      await FHEPollAssertions.assertVoteReverts(governor.requestOutcome(0), "UnknownProposal", "requestOutcome");
+      await FHEPollAssertions.assertVoteReverts(governor.getProposal(0), "UnknownProposal", "getProposal");
+    });
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Integration Tests for the Poll Indexer
+ *
+ * Runs the indexer against the in-process Hardhat node: ingesting the events
+ * of directly deployed and factory-created polls, rolling back a reorg
+ * simulated with `evm_snapshot`/`evm_revert`, resuming from the checkpoint
+ * of a persisted store, and serving the read API without ever exposing
+ * ciphertexts.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { EncryptedVoteBuilder } = require("./helpers/TestDataBuilder");
+const { FHEPollAssertions } = require("./helpers/TestAssertions");
+const { JsonStore, PollIndexer, createServer } = require("../indexer");
+
+describe("Poll Indexer Integration Tests", function () {
+  let poll;
+  let pollAddress;
+  let store;
+  let indexer;
+  let startBlock;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+
+    // Skip the blocks mined by earlier test files
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    poll = await (await ethers.getContractFactory("FHEPoll")).deploy(0, 0);
+    await poll.waitForDeployment();
+    pollAddress = await poll.getAddress();
+
+    store = new JsonStore();
+    indexer = new PollIndexer({ provider: ethers.provider, store, startBlock });
+  });
+
+  async function castVote(voter, value) {
+    const encryptedVote = await new EncryptedVoteBuilder()
+      .forContract(pollAddress)
+      .byVoter(voter.address)
+      .withVote(value)
+      .build();
+
+    return FHEPollAssertions.assertVoteSucceeds(
+      poll.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
+      voter.address
+    );
+  }
+
+  /**
+   * Lists the names of the indexed events
+   * @param {JsonStore} indexed - The store
+   * @returns {string[]} - Event names in chain order
+   */
+  function eventNames(indexed) {
+    return indexed.state.events.map(event => event.name);
+  }
+
+  describe("Ingesting Events", function () {
+    it("should summarize a poll's ballots, closing and turnout", async function () {
+      await castVote(voter1, 1);
+      await castVote(voter2, 0);
+      await castVote(voter1, 0);
+      await (await poll.connect(owner).close()).wait();
+
+      const result = await indexer.sync();
+      expect(result.events).to.equal(5);
+      expect(result.reorged).to.equal(false);
+
+      const summary = store.getPoll(pollAddress);
+      expect(summary.turnout).to.equal(2);
+      expect(summary.ballots).to.equal(3);
+      expect(summary.replacements).to.equal(1);
+      expect(summary.closedBy).to.equal(owner.address);
+      expect(summary.invalid).to.equal(false);
+      expect(summary.lastVoteAt).to.be.at.least(summary.firstVoteAt);
+    });
+
+    it("should index only new blocks on later passes", async function () {
+      await castVote(voter1, 1);
+      await indexer.sync();
+
+      await castVote(voter2, 1);
+      const result = await indexer.sync();
+
+      expect(result.events).to.equal(1);
+      expect(eventNames(store)).to.deep.equal(["PollOpened", "VoteCast", "VoteCast"]);
+      expect(store.checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("should stay behind the head by the configured confirmations", async function () {
+      await castVote(voter1, 1);
+      const confirmed = new PollIndexer({ provider: ethers.provider, store, startBlock, confirmations: 1 });
+
+      await confirmed.sync();
+      expect(eventNames(store)).to.deep.equal(["PollOpened"]);
+
+      await ethers.provider.send("evm_mine", []);
+      await confirmed.sync();
+      expect(eventNames(store)).to.deep.equal(["PollOpened", "VoteCast"]);
+    });
+
+    /**
+     * Deploys a factory and has voter3 create a multi-option poll through it
+     * @returns {Promise<{factory: Object, clone: string}>} - The factory and its poll
+     */
+    async function createFactoryPoll() {
+      const multiImplementation = await (await ethers.getContractFactory("FHEMultiOptionPoll")).deploy(0, 0, 2);
+      const factory = await (await ethers.getContractFactory("PollFactory")).deploy(
+        pollAddress,
+        await multiImplementation.getAddress()
+      );
+      await (await factory.connect(voter3).createMultiOptionPoll(0, 0, {
+        title: "Lunch",
+        description: "Pick one",
+        optionLabels: ["Pizza", "Salad", "Soup"],
+        contentHash: ethers.ZeroHash,
+      })).wait();
+      const [{ poll: clone }] = await factory.getPolls(0, 1);
+      return { factory, clone };
+    }
+
+    it("should record the creator and kind of factory polls", async function () {
+      const { factory, clone } = await createFactoryPoll();
+
+      await new PollIndexer({ provider: ethers.provider, store, startBlock, factories: [await factory.getAddress()] })
+        .sync();
+
+      const summary = store.getPoll(clone);
+      expect(summary.creator).to.equal(voter3.address);
+      expect(summary.kind).to.equal("multi");
+      expect(store.listPolls().map(entry => entry.address)).to.include.members([pollAddress, clone]);
+    });
+
+    it("should drop PollCreated events from contracts that are not configured factories", async function () {
+      const { clone } = await createFactoryPoll();
+
+      await indexer.sync();
+
+      expect(eventNames(store)).to.not.include("PollCreated");
+      expect(store.getPoll(clone).creator).to.equal(null);
+      expect(store.getPoll(clone).kind).to.equal(null);
+    });
+
+    it("should ignore look-alike events from contracts that never opened a poll", async function () {
+      await castVote(voter1, 1);
+      await indexer.sync();
+
+      store.append([{ ...store.state.events[1], poll: voter2.address }], store.checkpoint, {}, 64);
+
+      expect(store.listPolls().map(entry => entry.address)).to.deep.equal([pollAddress]);
+      expect(store.getVoters(voter2.address)).to.equal(null);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("should roll back events from blocks that left the chain", async function () {
+      await castVote(voter1, 1);
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      await castVote(voter2, 1);
+      await indexer.sync();
+      expect(store.getPoll(pollAddress).turnout).to.equal(2);
+
+      // Replace the voter2 block with a longer fork where voter3 votes instead
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await ethers.provider.send("evm_mine", []);
+      await castVote(voter3, 0);
+
+      const result = await indexer.sync();
+      expect(result.reorged).to.equal(true);
+      expect(store.getVoters(pollAddress).map(entry => entry.voter)).to.deep.equal([
+        voter1.address,
+        voter3.address,
+      ]);
+
+      const head = await ethers.provider.getBlock("latest");
+      expect(store.checkpoint).to.deep.equal({ blockNumber: head.number, blockHash: head.hash });
+    });
+
+    it("should stop a pass at a range that changes while it is fetched", async function () {
+      await castVote(voter1, 1);
+      const forked = await castVote(voter2, 1);
+      await castVote(voter3, 0);
+
+      // The node reports another hash for voter2's block than its logs carry
+      let forking = true;
+      const provider = new Proxy(ethers.provider, {
+        get(target, property) {
+          if (property === "getBlock") {
+            return async blockNumber => {
+              const block = await target.getBlock(blockNumber);
+              return forking && blockNumber === forked.blockNumber ? { ...block, hash: ethers.ZeroHash } : block;
+            };
+          }
+          const value = target[property];
+          return typeof value === "function" ? value.bind(target) : value;
+        },
+      });
+      const batched = new PollIndexer({ provider, store, startBlock, batchSize: 1 });
+
+      const interrupted = await batched.sync();
+      expect(interrupted.reorged).to.equal(true);
+      expect(interrupted.toBlock).to.equal(forked.blockNumber - 1);
+      expect(store.checkpoint.blockNumber).to.equal(forked.blockNumber - 1);
+      expect(eventNames(store)).to.deep.equal(["PollOpened", "VoteCast"]);
+
+      forking = false;
+      const resumed = await batched.sync();
+      expect(resumed.fromBlock).to.equal(forked.blockNumber);
+      expect(store.getVoters(pollAddress).map(entry => entry.voter)).to.deep.equal([
+        voter1.address,
+        voter2.address,
+        voter3.address,
+      ]);
+    });
+
+    it("should stop a pass when the last block of a range without logs changes", async function () {
+      await castVote(voter1, 1);
+      await ethers.provider.send("evm_mine", []);
+      const forkedNumber = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine", []);
+
+      // The empty block is replaced between the two reads of its hash
+      let reads = 0;
+      const provider = new Proxy(ethers.provider, {
+        get(target, property) {
+          if (property === "getBlock") {
+            return async blockNumber => {
+              const block = await target.getBlock(blockNumber);
+              return blockNumber === forkedNumber && reads++ === 0 ? { ...block, hash: ethers.ZeroHash } : block;
+            };
+          }
+          const value = target[property];
+          return typeof value === "function" ? value.bind(target) : value;
+        },
+      });
+      const batched = new PollIndexer({ provider, store, startBlock, batchSize: 1 });
+
+      const interrupted = await batched.sync();
+      expect(interrupted.reorged).to.equal(true);
+      expect(interrupted.toBlock).to.equal(forkedNumber - 1);
+      expect(store.checkpoint.blockNumber).to.equal(forkedNumber - 1);
+
+      await batched.sync();
+      const head = await ethers.provider.getBlock("latest");
+      expect(store.checkpoint).to.deep.equal({ blockNumber: head.number, blockHash: head.hash });
+    });
+
+    it("should start over when no recorded block survived the reorg", async function () {
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await castVote(voter1, 1);
+
+      const shallow = new PollIndexer({ provider: ethers.provider, store, startBlock, reorgDepth: 1 });
+      await shallow.sync();
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await castVote(voter2, 1);
+
+      expect((await shallow.sync()).reorged).to.equal(true);
+      expect(store.getVoters(pollAddress).map(entry => entry.voter)).to.deep.equal([voter2.address]);
+      expect(eventNames(store)).to.deep.equal(["PollOpened", "VoteCast"]);
+    });
+  });
+
+  describe("Resuming", function () {
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "poll-indexer-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("should resume from the persisted checkpoint without duplicating events", async function () {
+      const file = path.join(directory, "index.json");
+      await castVote(voter1, 1);
+      await new PollIndexer({ provider: ethers.provider, store: new JsonStore(file), startBlock }).sync();
+      const checkpoint = new JsonStore(file).checkpoint;
+
+      await castVote(voter2, 0);
+      const reopened = new JsonStore(file);
+      expect(eventNames(reopened)).to.deep.equal(["PollOpened", "VoteCast"]);
+
+      const result = await new PollIndexer({ provider: ethers.provider, store: reopened, startBlock }).sync();
+      expect(result.fromBlock).to.equal(checkpoint.blockNumber + 1);
+      expect(eventNames(new JsonStore(file))).to.deep.equal(["PollOpened", "VoteCast", "VoteCast"]);
+      expect(fs.readdirSync(directory)).to.deep.equal(["index.json"]);
+    });
+  });
+
+  describe("Read API", function () {
+    let server;
+    let baseUrl;
+
+    beforeEach(async function () {
+      await castVote(voter1, 1);
+      await castVote(voter2, 0);
+      await castVote(voter2, 1);
+      await indexer.sync();
+
+      server = createServer(store);
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    async function get(route, init) {
+      const response = await fetch(`${baseUrl}${route}`, init);
+      return { status: response.status, body: await response.json() };
+    }
+
+    it("should list and describe polls", async function () {
+      const list = await get("/polls");
+      expect(list.status).to.equal(200);
+      expect(list.body.map(entry => entry.address)).to.deep.equal([pollAddress]);
+
+      const single = await get(`/polls/${pollAddress.toLowerCase()}`);
+      expect(single.status).to.equal(200);
+      expect(single.body).to.deep.equal(list.body[0]);
+      expect(single.body.turnout).to.equal(2);
+
+      const status = await get("/status");
+      expect(status.body.checkpoint).to.deep.equal(store.checkpoint);
+    });
+
+    it("should list voters with timestamps and never ciphertexts", async function () {
+      const { status, body } = await get(`/polls/${pollAddress}/voters`);
+      expect(status).to.equal(200);
+
+      expect(body.map(entry => [entry.voter, entry.ballots])).to.deep.equal([
+        [voter1.address, 1],
+        [voter2.address, 2],
+      ]);
+      for (const entry of body) {
+        expect(Object.keys(entry).sort()).to.deep.equal(["ballots", "firstVotedAt", "lastVotedAt", "voter"]);
+      }
+
+      // Handles of the encrypted sum and counters are 32-byte values
+      const handle = (await poll.connect(owner).getSum()).slice(2);
+      expect(JSON.stringify(body)).to.not.include(handle);
+      expect(JSON.stringify(body)).to.not.match(/0x[0-9a-fA-F]{64}/);
+    });
+
+    it("should answer unknown polls, bad addresses and routes with JSON errors", async function () {
+      expect((await get(`/polls/${voter3.address}`)).status).to.equal(404);
+      expect((await get(`/polls/${voter3.address}/voters`)).status).to.equal(404);
+      expect((await get("/polls/not-an-address")).status).to.equal(400);
+
+      const unknown = await get("/ballots");
+      expect(unknown.status).to.equal(404);
+      expect(unknown.body.error).to.include("/ballots");
+
+      expect((await get("/polls", { method: "POST" })).status).to.equal(405);
+    });
+  });
+});
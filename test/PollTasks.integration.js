@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Integration Tests for the Poll Hardhat Tasks
+ *
+ * Runs the `poll:*` tasks in-process through `hre.run` against the mock
+ * fhEVM: deploying, voting, inspecting, closing, decrypting the tally and
+ * recounting the stored ballots, with both human-readable and `--json`
+ * output, and the error reports that make the CLI exit with a non-zero code.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+
+describe("Poll Tasks Integration Tests", function () {
+  let owner;
+  let voter1;
+  let voter2;
+
+  beforeEach(async function () {
+    [owner, voter1, voter2] = await ethers.getSigners();
+  });
+
+  /**
+   * Runs a task while capturing what it prints
+   * @param {string} name - The task name
+   * @param {Object} args - The task arguments
+   * @returns {Promise<Object>} - The task result, the printed output and any error
+   */
+  async function runTask(name, args = {}) {
+    const printed = [];
+    const originalLog = console.log;
+    console.log = (...values) => printed.push(values.join(" "));
+    try {
+      const result = await hre.run(name, args);
+      return { result, output: printed.join("\n"), error: null };
+    } catch (error) {
+      return { result: null, output: printed.join("\n"), error };
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  /**
+   * Deploys a poll through the task and returns its address
+   * @param {Object} args - Extra poll:deploy arguments
+   * @returns {Promise<string>} - The poll address
+   */
+  async function deployPoll(args = {}) {
+    const { result, error } = await runTask("poll:deploy", { json: true, ...args });
+    expect(error).to.equal(null);
+    return result.poll;
+  }
+
+  describe("Binary Poll Workflow", function () {
+    it("should run a poll from deployment to decrypted tally", async function () {
+      const poll = await deployPoll();
+
+      for (const [signer, choice] of [[1, 1], [2, 0], [3, 1]]) {
+        const { result, error } = await runTask("poll:vote", { poll, choice, signer, json: true });
+        expect(error).to.equal(null);
+        expect(result.replaced).to.equal(false);
+      }
+      await runTask("poll:close", { poll, signer: 0, json: true });
+
+      const { result, output, error } = await runTask("poll:tally", { poll, signer: 0, json: true });
+      expect(error).to.equal(null);
+      expect(result.yes).to.equal(2n);
+      expect(result.no).to.equal(1n);
+      expect(result.passed).to.equal(true);
+      expect(JSON.parse(output)).to.deep.include({ yes: "2", no: "1", passed: true, kind: "binary" });
+    });
+
+    it("should report replaced ballots", async function () {
+      const poll = await deployPoll();
+      await runTask("poll:vote", { poll, choice: 1, signer: 1, json: true });
+
+      const { result } = await runTask("poll:vote", { poll, choice: 0, signer: 1, json: true });
+      expect(result.replaced).to.equal(true);
+      expect(result.voter).to.equal(voter1.address);
+    });
+
+    it("should print readable status lines", async function () {
+      const poll = await deployPoll();
+      await runTask("poll:vote", { poll, choice: 1, signer: 2, json: true });
+
+      const { result, output } = await runTask("poll:status", { poll, json: false });
+      expect(result.status).to.equal("Open");
+      expect(result.turnout).to.equal(1n);
+      expect(output).to.include("Status: Open");
+      expect(output).to.include("Turnout: 1");
+    });
+
+    it("should flag an invalid poll when it closes below the minimum turnout", async function () {
+      const poll = await deployPoll();
+      const contract = await ethers.getContractAt("FHEPoll", poll);
+      await (await contract.connect(owner).setMinTurnout(2)).wait();
+      await runTask("poll:vote", { poll, choice: 1, signer: 1, json: true });
+
+      const { result, output } = await runTask("poll:close", { poll, signer: 0, json: false });
+      expect(result.invalid).to.equal(true);
+      expect(output).to.include("the poll is invalid");
+    });
+
+    it("should recount a closed poll across as many transactions as it takes", async function () {
+      const poll = await deployPoll();
+      for (const [signer, choice] of [[1, 1], [2, 0], [1, 0], [3, 1], [4, 1]]) {
+        await runTask("poll:vote", { poll, choice, signer, json: true });
+      }
+      await runTask("poll:close", { poll, signer: 0, json: true });
+
+      const { result, output, error } = await runTask("poll:recount", { poll, batch: 2, signer: 2, json: false });
+      expect(error).to.equal(null);
+      expect(result).to.deep.equal({ poll, ballotCount: 5, transactions: 3, revealed: true, matches: true });
+      expect(output).to.include("The recount matches the tally");
+
+      // A second run only reads the published result
+      const { result: again } = await runTask("poll:recount", { poll, json: true });
+      expect(again.transactions).to.equal(0);
+      const { output: status } = await runTask("poll:status", { poll, json: false });
+      expect(status).to.include("Recount: matches the tally");
+    });
+
+    it("should show trustee approvals and wait for them before tallying", async function () {
+      const poll = await deployPoll();
+      const contract = await ethers.getContractAt("FHEPoll", poll);
+      await (await contract.connect(owner).registerTrustees([voter1.address, voter2.address], 2)).wait();
+      await (await contract.connect(voter2).approveReveal()).wait();
+      await runTask("poll:close", { poll, signer: 0, json: true });
+
+      const { result, output } = await runTask("poll:status", { poll, json: false });
+      expect(result.revealApprovals).to.equal(1n);
+      expect(output).to.include("Reveal approvals: 1 of 2 needed (2 trustees)");
+      const { error } = await runTask("poll:tally", { poll, signer: 0, json: false });
+      expect(error.message).to.equal("Transaction reverted with RevealNotApproved");
+
+      await (await contract.connect(voter1).approveReveal()).wait();
+      const { result: tally } = await runTask("poll:tally", { poll, signer: 0, json: true });
+      expect(tally.yes).to.equal(0n);
+    });
+  });
+
+  describe("Other Poll Kinds", function () {
+    it("should deploy and tally a multi-option poll", async function () {
+      const poll = await deployPoll({ options: 3 });
+
+      await runTask("poll:vote", { poll, choice: 2, signer: 1, json: true });
+      await runTask("poll:vote", { poll, choice: 2, signer: 2, json: true });
+      await runTask("poll:close", { poll, signer: 0, json: true });
+
+      const { result } = await runTask("poll:tally", { poll, signer: 0, json: true });
+      expect(result.kind).to.equal("multi");
+      expect(result.tallies).to.deep.equal([0n, 0n, 2n]);
+    });
+
+    it("should vote in, inspect and tally a rating poll", async function () {
+      const rating = await (await ethers.getContractFactory("FHERatingPoll")).deploy(0, 0, 1, 10);
+      await rating.waitForDeployment();
+      const poll = await rating.getAddress();
+
+      const outOfRange = await runTask("poll:vote", { poll, choice: 11, signer: 1, json: true });
+      expect(outOfRange.error.message).to.include("Invalid choice 11, expecting 1 to 10");
+      await runTask("poll:vote", { poll, choice: 7, signer: 1, json: true });
+      await runTask("poll:vote", { poll, choice: 3, signer: 2, json: true });
+
+      const status = await runTask("poll:status", { poll, json: false });
+      expect(status.result.kind).to.equal("rating");
+      expect(status.output).to.include("Ratings: 1 to 10");
+      await runTask("poll:close", { poll, signer: 0, json: true });
+
+      const { result } = await runTask("poll:tally", { poll, signer: 0, json: true });
+      expect(result.kind).to.equal("rating");
+      expect(result.sum).to.equal(10n);
+      expect(result.min).to.equal(3n);
+      expect(result.max).to.equal(7n);
+      expect(result.histogram).to.deep.equal([0n, 0n, 1n, 0n, 0n, 0n, 1n, 0n, 0n, 0n]);
+    });
+
+    it("should hide the counts of an outcome-only poll", async function () {
+      const poll = await deployPoll();
+      const contract = await ethers.getContractAt("FHEPoll", poll);
+      await (await contract.connect(owner).setRevealScope(1)).wait();
+      await runTask("poll:vote", { poll, choice: 0, signer: 1, json: true });
+      await runTask("poll:close", { poll, signer: 0, json: true });
+
+      const { result, output } = await runTask("poll:tally", { poll, signer: 0, json: false });
+      expect(result.passed).to.equal(false);
+      expect(result).to.not.have.property("yes");
+      expect(output).to.include("Counts are hidden");
+    });
+  });
+
+  describe("Errors", function () {
+    it("should reject out-of-range choices before encrypting them", async function () {
+      const poll = await deployPoll();
+
+      const { error, output } = await runTask("poll:vote", { poll, choice: 2, signer: 1, json: true });
+      expect(error.message).to.include("Invalid choice 2");
+      expect(JSON.parse(output).error).to.include("Invalid choice 2");
+    });
+
+    it("should name the custom error of a reverted transaction", async function () {
+      const poll = await deployPoll();
+
+      const { error, output } = await runTask("poll:close", { poll, signer: 1, json: true });
+      expect(error.message).to.equal("Transaction reverted with NotOwner");
+      expect(JSON.parse(output)).to.deep.equal({ error: "Transaction reverted with NotOwner" });
+    });
+
+    it("should refuse to tally an open poll", async function () {
+      const poll = await deployPoll();
+
+      const { error } = await runTask("poll:tally", { poll, signer: 0, json: false });
+      expect(error.message).to.equal("Transaction reverted with PollNotClosed");
+    });
+
+    it("should only recount yes/no polls, in batches the contract accepts", async function () {
+      const multi = await deployPoll({ options: 3 });
+      const { error: wrongKind } = await runTask("poll:recount", { poll: multi, json: false });
+      expect(wrongKind.message).to.include("is a multi poll");
+
+      const poll = await deployPoll();
+      const { error: badBatch } = await runTask("poll:recount", { poll, batch: 33, json: false });
+      expect(badBatch.message).to.include("Invalid batch size 33, expecting 1 to 32");
+
+      const { error: open } = await runTask("poll:recount", { poll, json: false });
+      expect(open.message).to.equal("Transaction reverted with PollNotClosed");
+    });
+
+    it("should reject addresses without a poll and unknown signers", async function () {
+      const { error: noContract } = await runTask("poll:status", { poll: voter2.address, json: false });
+      expect(noContract.message).to.include("No contract deployed");
+
+      const { error: badSigner } = await runTask("poll:deploy", { signer: 999, json: false });
+      expect(badSigner.message).to.include("Invalid signer index 999");
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Chain Time Utilities for FHE Poll Testing
+ * Thin wrappers around Hardhat's time-travel RPC methods so that lifecycle
+ * tests can move the local chain clock without extra dependencies.
+ */
+
+const { ethers } = require("hardhat");
+
+/**
+ * Helpers for reading and advancing the Hardhat network clock
+ */
+class ChainTime {
+  /**
+   * Returns the timestamp of the latest block
+   * @returns {Promise<number>} - The latest block timestamp in seconds
+   */
+  static async latest() {
+    const block = await ethers.provider.getBlock("latest");
+    return block.timestamp;
+  }
+
+  /**
+   * Mines a block at the given timestamp
+   * @param {number} timestamp - The target timestamp in seconds
+   * @returns {Promise<void>}
+   */
+  static async increaseTo(timestamp) {
+    await ethers.provider.send("evm_mine", [timestamp]);
+  }
+
+  /**
+   * Advances the clock by the given number of seconds and mines a block
+   * @param {number} seconds - The number of seconds to advance
+   * @returns {Promise<void>}
+   */
+  static async increase(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+}
+
+module.exports = {
+  ChainTime
+};
@@ -5,8 +5,13 @@
  */
 
 const { expect } = require("chai");
+const { ethers } = require("hardhat");
 const hre = require("hardhat");
 const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { EncryptedVoteBuilder } = require("./TestDataBuilder");
+
+// Mirrors FHEPoll.PollStatus.Closed
+const POLL_STATUS_CLOSED = 2n;
 
 /**
  * Advanced assertion utilities for FHE poll testing
@@ -36,22 +41,51 @@ class FHEPollAssertions {
   /**
    * Asserts that a vote transaction reverts with expected error
    * @param {Promise} voteTransaction - The vote transaction promise
-   * @param {string} expectedError - The expected error message or pattern
+   * @param {string} expectedError - The expected error message, or a custom
+   *   error name (e.g. "PollNotOpen") or signature (e.g. "NotEligible(address)")
    * @param {string} context - Additional context for error reporting
    * @returns {Promise<void>}
    */
   static async assertVoteReverts(voteTransaction, expectedError = null, context = "") {
+    let revertError = null;
     try {
       const tx = await voteTransaction;
       await tx.wait();
-      throw new Error(`Expected vote transaction to revert${context ? ` (${context})` : ""}, but it succeeded`);
     } catch (error) {
-      if (expectedError) {
-        expect(error.message).to.include(expectedError, 
-          `Expected error message to contain "${expectedError}"${context ? ` (${context})` : ""}`);
-      }
       // Transaction reverted as expected
+      revertError = error;
+    }
+
+    // Thrown outside the try block so a successful transaction cannot be
+    // mistaken for the expected revert
+    if (revertError === null) {
+      throw new Error(`Expected vote transaction to revert${context ? ` (${context})` : ""}, but it succeeded`);
+    }
+    if (expectedError && !this._matchesCustomError(revertError, expectedError)) {
+      expect(revertError.message).to.include(expectedError,
+        `Expected error message to contain "${expectedError}"${context ? ` (${context})` : ""}`);
+    }
+  }
+
+  /**
+   * Checks whether a revert carries the selector of the given custom error.
+   * Hardhat cannot name custom errors of contracts compiled in the same run,
+   * so the revert data is compared against the error selector instead.
+   * @param {Error} error - The revert error
+   * @param {string} expectedError - A custom error name or full signature
+   * @returns {boolean}
+   * @private
+   */
+  static _matchesCustomError(error, expectedError) {
+    if (!/^[A-Za-z_$][\w$]*(\(.*\))?$/.test(expectedError)) {
+      return false;
+    }
+    const data = typeof error.data === "string" ? error.data : error.data?.data;
+    if (typeof data !== "string" || data.length < 10) {
+      return false;
     }
+    const signature = expectedError.includes("(") ? expectedError : `${expectedError}()`;
+    return data.slice(0, 10).toLowerCase() === ethers.id(signature).slice(0, 10);
   }
 
   /**
@@ -83,6 +117,54 @@ class FHEPollAssertions {
     }
   }
 
+  /**
+   * Closes the poll if it is still open, obtains tally access for the owner
+   * and asserts the decrypted final sum. Voters cannot decrypt the running
+   * tally, so this is how tests read the result.
+   * @param {Object} contract - The contract instance
+   * @param {string} contractAddress - The contract address
+   * @param {Object} owner - The poll owner, who holds the tally role by default
+   * @param {bigint} expectedSum - The expected decrypted sum
+   * @param {string} context - Additional context for error reporting
+   * @returns {Promise<void>}
+   */
+  static async assertFinalTally(contract, contractAddress, owner, expectedSum, context = "") {
+    if ((await contract.status()) !== POLL_STATUS_CLOSED) {
+      await (await contract.connect(owner).close()).wait();
+    }
+    await (await contract.connect(owner).allowTallyDecryption()).wait();
+
+    await this.assertEncryptedSum(contract, contractAddress, owner, expectedSum, context);
+  }
+
+  /**
+   * Asserts that an encrypted handle decrypts to the expected value
+   * @param {string} encryptedValue - The encrypted handle returned by the contract
+   * @param {string} contractAddress - The contract address
+   * @param {Object} decryptor - The signer with decryption permissions
+   * @param {bigint} expectedValue - The expected decrypted value
+   * @param {string} context - Additional context for error reporting
+   * @param {number} fhevmType - The encrypted type of the handle (euint32 by default)
+   * @returns {Promise<void>}
+   */
+  static async assertDecryptsTo(
+    encryptedValue, contractAddress, decryptor, expectedValue, context = "", fhevmType = FhevmType.euint32
+  ) {
+    try {
+      const clearValue = await hre.fhevm.userDecryptEuint(
+        fhevmType,
+        encryptedValue,
+        contractAddress,
+        decryptor
+      );
+
+      expect(clearValue).to.equal(expectedValue,
+        `Decrypted value should equal ${expectedValue}${context ? ` (${context})` : ""}`);
+    } catch (error) {
+      throw new Error(`Failed to decrypt value${context ? ` (${context})` : ""}: ${error.message}`);
+    }
+  }
+
   /**
    * Asserts that the contract state is in initial state
    * @param {Object} contract - The contract instance
@@ -138,29 +220,76 @@ class FHEPollAssertions {
    * @returns {Promise<void>}
    */
   static async assertVoterCannotDecrypt(contract, contractAddress, voter) {
+    const encryptedSum = await contract.getSum();
+    await this.assertCannotDecrypt(encryptedSum, contractAddress, voter);
+  }
+
+  /**
+   * Asserts that a signer cannot decrypt an encrypted handle
+   * @param {string} encryptedValue - The encrypted handle returned by the contract
+   * @param {string} contractAddress - The contract address
+   * @param {Object} signer - The signer expected to lack decryption permission
+   * @param {number} fhevmType - The encrypted type of the handle (euint32 by default)
+   * @returns {Promise<void>}
+   */
+  static async assertCannotDecrypt(encryptedValue, contractAddress, signer, fhevmType = FhevmType.euint32) {
     try {
-      const encryptedSum = await contract.getSum();
       await hre.fhevm.userDecryptEuint(
-        FhevmType.euint32,
-        encryptedSum,
+        fhevmType,
+        encryptedValue,
         contractAddress,
-        voter
+        signer
       );
-      throw new Error(`Expected voter ${voter.address} to be unable to decrypt, but decryption succeeded`);
+      throw new Error(`Expected ${signer.address} to be unable to decrypt, but decryption succeeded`);
     } catch (error) {
-      // Expected to fail - voter doesn't have permission
-      expect(error.message).to.include("not authorized", 
-        `Expected authorization error for voter ${voter.address}`);
+      // Expected to fail - signer doesn't have permission
+      expect(error.message).to.include("not authorized",
+        `Expected authorization error for ${signer.address}`);
     }
   }
 
   /**
-   * Asserts that the contract emits no events (current implementation)
+   * Asserts that a transaction emitted a contract event with the given arguments
    * @param {Object} receipt - The transaction receipt
+   * @param {Object} contract - The contract instance that emits the event
+   * @param {string} eventName - The event name
+   * @param {Array} expectedArgs - The expected event arguments, in order
+   * @returns {Object} - The parsed event log
+   */
+  static assertEventEmitted(receipt, contract, eventName, expectedArgs = []) {
+    const events = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch (error) {
+          // Logs from other contracts (e.g. the fhEVM executor) are not ours
+          return null;
+        }
+      })
+      .filter(event => event !== null && event.name === eventName);
+
+    expect(events).to.have.lengthOf(1, `Expected exactly one ${eventName} event`);
+    expect([...events[0].args]).to.deep.equal(expectedArgs,
+      `Unexpected ${eventName} event arguments`);
+    return events[0];
+  }
+
+  /**
+   * Asserts that a transaction did not emit a given contract event
+   * @param {Object} receipt - The transaction receipt
+   * @param {Object} contract - The contract instance that would emit the event
+   * @param {string} eventName - The event name
    * @returns {void}
    */
-  static assertNoEvents(receipt) {
-    expect(receipt.logs).to.have.lengthOf(0, "Contract should not emit events in current implementation");
+  static assertEventNotEmitted(receipt, contract, eventName) {
+    const emitted = receipt.logs.some(log => {
+      try {
+        return contract.interface.parseLog(log)?.name === eventName;
+      } catch (error) {
+        return false;
+      }
+    });
+    expect(emitted).to.equal(false, `Expected no ${eventName} event`);
   }
 
   /**
@@ -185,11 +314,11 @@ class FHEPollAssertions {
    * @returns {Promise<void>}
    */
   static async assertMultipleVotersCanDecrypt(contract, contractAddress, voters, expectedSum) {
-    const decryptionPromises = voters.map(voter => 
-      this.assertVoterCanDecrypt(contract, contractAddress, voter, expectedSum)
-    );
-    
-    await Promise.all(decryptionPromises);
+    // Decrypt one voter at a time: the mock relayer replays coprocessor
+    // events in order and rejects overlapping decryption requests
+    for (const voter of voters) {
+      await this.assertVoterCanDecrypt(contract, contractAddress, voter, expectedSum);
+    }
   }
 
   /**
@@ -198,28 +327,30 @@ class FHEPollAssertions {
    * @param {string} contractAddress - The contract address
    * @param {Object[]} voters - Array of voter signers
    * @param {number[]} votes - Array of vote values
-   * @param {Object} finalDecryptor - The signer to use for final decryption
+   * @param {Object} owner - The poll owner, used to close the poll and decrypt the tally
    * @returns {Promise<void>}
    */
-  static async assertConcurrentVoting(contract, contractAddress, voters, votes, finalDecryptor) {
+  static async assertConcurrentVoting(contract, contractAddress, voters, votes, owner) {
     const expectedSum = votes.reduce((sum, vote) => sum + vote, 0);
     
     // Execute all votes concurrently
-    const votePromises = voters.map((voter, index) => 
-      this.assertVoteSucceeds(
-        contract.connect(voter).castVote(
-          // This would need to be properly encrypted in real implementation
-          "0x0000000000000000000000000000000000000000000000000000000000000000",
-          "0x"
-        ),
+    const votePromises = voters.map(async (voter, index) => {
+      const encryptedVote = await new EncryptedVoteBuilder()
+        .forContract(contractAddress)
+        .byVoter(voter.address)
+        .withVote(votes[index])
+        .build();
+
+      return this.assertVoteSucceeds(
+        contract.connect(voter).castVote(encryptedVote.handle, encryptedVote.proof),
         voter.address
-      )
-    );
+      );
+    });
     
     await Promise.all(votePromises);
     
     // Verify final sum
-    await this.assertEncryptedSum(contract, contractAddress, finalDecryptor, BigInt(expectedSum));
+    await this.assertFinalTally(contract, contractAddress, owner, BigInt(expectedSum));
   }
 }
 
@@ -17,6 +17,7 @@ class EncryptedVoteBuilder {
     this._contractAddress = null;
     this._voterAddress = null;
     this._voteValue = null;
+    this._inputType = "uint32";
     this._customOptions = {};
   }
 
@@ -50,6 +51,69 @@ class EncryptedVoteBuilder {
       throw new Error(`Invalid vote value: ${value}. Must be 0 or 1`);
     }
     this._voteValue = value;
+    this._inputType = "uint32";
+    return this;
+  }
+
+  /**
+   * Sets an arbitrary 32-bit ballot value, bypassing the 0/1 check.
+   * Used to simulate a malicious client that encrypts out-of-range ballots.
+   * @param {number} value - The raw value to encrypt
+   * @returns {EncryptedVoteBuilder} - Fluent interface for chaining
+   */
+  withRawValue(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+      throw new Error(`Invalid raw value: ${value}. Must fit in a uint32`);
+    }
+    this._voteValue = value;
+    this._inputType = "uint32";
+    return this;
+  }
+
+  /**
+   * Sets an option index for a multi-option poll, encrypted as a uint8.
+   * Indices beyond the poll's option count are allowed so that tests can
+   * submit invalid ballots.
+   * @param {number} optionIndex - The chosen option index
+   * @returns {EncryptedVoteBuilder} - Fluent interface for chaining
+   */
+  withChoice(optionIndex) {
+    if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex > 0xff) {
+      throw new Error(`Invalid option index: ${optionIndex}. Must fit in a uint8`);
+    }
+    this._voteValue = optionIndex;
+    this._inputType = "uint8";
+    return this;
+  }
+
+  /**
+   * Sets the rating for a rating poll, encrypted as a uint8. Ratings
+   * outside the poll's range are allowed so that tests can check clamping.
+   * @param {number} rating - The rating
+   * @returns {EncryptedVoteBuilder} - Fluent interface for chaining
+   */
+  withRating(rating) {
+    if (!Number.isInteger(rating) || rating < 0 || rating > 0xff) {
+      throw new Error(`Invalid rating: ${rating}. Must fit in a uint8`);
+    }
+    this._voteValue = rating;
+    this._inputType = "uint8";
+    return this;
+  }
+
+  /**
+   * Sets an encrypted voting-power amount for a weighted poll, encrypted
+   * as a uint64
+   * @param {number|bigint} weight - The voting power
+   * @returns {EncryptedVoteBuilder} - Fluent interface for chaining
+   */
+  withWeight(weight) {
+    const value = BigInt(weight);
+    if (value < 0n || value > 0xffffffffffffffffn) {
+      throw new Error(`Invalid weight: ${weight}. Must fit in a uint64`);
+    }
+    this._voteValue = value;
+    this._inputType = "uint64";
     return this;
   }
 
@@ -74,7 +138,13 @@ class EncryptedVoteBuilder {
       this._contractAddress, 
       this._voterAddress
     );
-    input.add32(this._voteValue);
+    if (this._inputType === "uint8") {
+      input.add8(this._voteValue);
+    } else if (this._inputType === "uint64") {
+      input.add64(this._voteValue);
+    } else {
+      input.add32(this._voteValue);
+    }
     const encrypted = await input.encrypt();
 
     return new EncryptedVoteData(